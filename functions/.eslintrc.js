@@ -21,6 +21,12 @@ module.exports = {
       files: ['*.js'],
       excludedFiles: '*.test.js',
     },
+    {
+      files: ['test/**/*.test.js'],
+      env: {
+        mocha: true,
+      },
+    },
   ],
 };
 
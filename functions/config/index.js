@@ -1,16 +1,20 @@
 /**
  * Configuration module
- * 
+ *
  * Centralized configuration for Cloud Functions.
  * Supports multiple environments: local, staging, and prod.
  * Reads from environment variables with sensible defaults.
  */
 
-// Detect environment from multiple sources
+/**
+ * Detect environment from multiple sources
+ *
+ * @return {string} 'local', 'staging' or 'prod'
+ */
 function detectEnvironment() {
   // Priority: FIREBASE_ENV > NODE_ENV > default to local
   const env = process.env.FIREBASE_ENV || process.env.NODE_ENV || 'local';
-  
+
   // Normalize environment names
   const envMap = {
     'local': 'local',
@@ -19,9 +23,9 @@ function detectEnvironment() {
     'staging': 'staging',
     'stage': 'staging',
     'production': 'prod',
-    'prod': 'prod'
+    'prod': 'prod',
   };
-  
+
   return envMap[env.toLowerCase()] || 'local';
 }
 
@@ -36,20 +40,74 @@ const envDefaults = {
     DEFAULT_PAGE_SIZE: 10,
     MAX_PAGE_SIZE: 50,
     CURSOR_TTL_MS: 10 * 60 * 1000, // 10 minutes for local
-    LOG_LEVEL: 'debug'
+    TOSS_TIMEOUT_MS: 60 * 1000, // 1 minute for local
+    MOVE_TIMEOUT_MS: 60 * 1000, // 1 minute for local
+    MAX_CONSECUTIVE_TIMEOUTS: 3,
+    RECONNECT_GRACE_MS: 2 * 60 * 1000, // 2 minutes for local
+    RATING_BAND_INITIAL: 50,
+    RATING_BAND_GROWTH_PER_SECOND: 25,
+    RATING_BAND_OPEN_AFTER_MS: 10 * 1000, // 10 seconds for local
+    PRIVATE_ROOM_TTL_MS: 10 * 60 * 1000, // 10 minutes
+    REMATCH_OFFER_TTL_MS: 60 * 1000, // 1 minute for local
+    CHALLENGE_TTL_MS: 2 * 60 * 1000, // 2 minutes for local
+    TOURNAMENT_MAX_PLAYERS: 64,
+    TOURNAMENT_MAX_LEAD_MS: 7 * 24 * 60 * 60 * 1000, // 7 days for local
+    LEAGUE_MAX_MEMBERS: 8,
+    LEAGUE_ROUND_MS: 60 * 60 * 1000, // 1 hour for local
+    USERNAME_CHANGE_COOLDOWN_MS: 60 * 1000, // 1 minute for local
+    USERNAME_HOLD_MS: 5 * 60 * 1000, // 5 minutes for local
+    USERNAME_CHECK_LIMIT: 100,
+    USERNAME_CHECK_WINDOW_MS: 60 * 1000, // 1 minute
+    LOG_LEVEL: 'debug',
   },
   staging: {
     DEFAULT_PAGE_SIZE: 20,
     MAX_PAGE_SIZE: 100,
     CURSOR_TTL_MS: 30 * 60 * 1000, // 30 minutes
-    LOG_LEVEL: 'info'
+    TOSS_TIMEOUT_MS: 30 * 1000, // 30 seconds
+    MOVE_TIMEOUT_MS: 20 * 1000, // 20 seconds
+    MAX_CONSECUTIVE_TIMEOUTS: 3,
+    RECONNECT_GRACE_MS: 60 * 1000, // 1 minute
+    RATING_BAND_INITIAL: 50,
+    RATING_BAND_GROWTH_PER_SECOND: 10,
+    RATING_BAND_OPEN_AFTER_MS: 30 * 1000, // 30 seconds
+    PRIVATE_ROOM_TTL_MS: 10 * 60 * 1000, // 10 minutes
+    REMATCH_OFFER_TTL_MS: 30 * 1000, // 30 seconds
+    CHALLENGE_TTL_MS: 60 * 1000, // 1 minute
+    TOURNAMENT_MAX_PLAYERS: 64,
+    TOURNAMENT_MAX_LEAD_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+    LEAGUE_MAX_MEMBERS: 8,
+    LEAGUE_ROUND_MS: 3 * 24 * 60 * 60 * 1000, // 3 days
+    USERNAME_CHANGE_COOLDOWN_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+    USERNAME_HOLD_MS: 14 * 24 * 60 * 60 * 1000, // 14 days
+    USERNAME_CHECK_LIMIT: 20,
+    USERNAME_CHECK_WINDOW_MS: 60 * 1000, // 1 minute
+    LOG_LEVEL: 'info',
   },
   prod: {
     DEFAULT_PAGE_SIZE: 20,
     MAX_PAGE_SIZE: 100,
     CURSOR_TTL_MS: 30 * 60 * 1000, // 30 minutes
-    LOG_LEVEL: 'warn'
-  }
+    TOSS_TIMEOUT_MS: 30 * 1000, // 30 seconds
+    MOVE_TIMEOUT_MS: 20 * 1000, // 20 seconds
+    MAX_CONSECUTIVE_TIMEOUTS: 3,
+    RECONNECT_GRACE_MS: 60 * 1000, // 1 minute
+    RATING_BAND_INITIAL: 50,
+    RATING_BAND_GROWTH_PER_SECOND: 10,
+    RATING_BAND_OPEN_AFTER_MS: 30 * 1000, // 30 seconds
+    PRIVATE_ROOM_TTL_MS: 10 * 60 * 1000, // 10 minutes
+    REMATCH_OFFER_TTL_MS: 30 * 1000, // 30 seconds
+    CHALLENGE_TTL_MS: 60 * 1000, // 1 minute
+    TOURNAMENT_MAX_PLAYERS: 64,
+    TOURNAMENT_MAX_LEAD_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+    LEAGUE_MAX_MEMBERS: 8,
+    LEAGUE_ROUND_MS: 3 * 24 * 60 * 60 * 1000, // 3 days
+    USERNAME_CHANGE_COOLDOWN_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+    USERNAME_HOLD_MS: 14 * 24 * 60 * 60 * 1000, // 14 days
+    USERNAME_CHECK_LIMIT: 20,
+    USERNAME_CHECK_WINDOW_MS: 60 * 1000, // 1 minute
+    LOG_LEVEL: 'warn',
+  },
 };
 
 const defaults = envDefaults[ENV] || envDefaults.local;
@@ -61,30 +119,120 @@ module.exports = {
   IS_STAGING,
   IS_PROD,
   NODE_ENV: process.env.NODE_ENV || (IS_LOCAL ? 'development' : 'production'),
-  
+
   // Pagination defaults (env-specific with overrides)
   DEFAULT_PAGE_SIZE: parseInt(
-    process.env.DEFAULT_PAGE_SIZE || String(defaults.DEFAULT_PAGE_SIZE),
-    10
+      process.env.DEFAULT_PAGE_SIZE || String(defaults.DEFAULT_PAGE_SIZE),
+      10
   ),
   MAX_PAGE_SIZE: parseInt(
-    process.env.MAX_PAGE_SIZE || String(defaults.MAX_PAGE_SIZE),
-    10
+      process.env.MAX_PAGE_SIZE || String(defaults.MAX_PAGE_SIZE),
+      10
   ),
-  
+
   // Cursor configuration
   CURSOR_TTL_MS: parseInt(
-    process.env.CURSOR_TTL_MS || String(defaults.CURSOR_TTL_MS),
-    10
+      process.env.CURSOR_TTL_MS || String(defaults.CURSOR_TTL_MS),
+      10
+  ),
+
+  // Match timeouts
+  TOSS_TIMEOUT_MS: parseInt(
+      process.env.TOSS_TIMEOUT_MS || String(defaults.TOSS_TIMEOUT_MS),
+      10
+  ),
+  MOVE_TIMEOUT_MS: parseInt(
+      process.env.MOVE_TIMEOUT_MS || String(defaults.MOVE_TIMEOUT_MS),
+      10
   ),
-  
+  MAX_CONSECUTIVE_TIMEOUTS: parseInt(
+      process.env.MAX_CONSECUTIVE_TIMEOUTS || String(defaults.MAX_CONSECUTIVE_TIMEOUTS),
+      10
+  ),
+  RECONNECT_GRACE_MS: parseInt(
+      process.env.RECONNECT_GRACE_MS || String(defaults.RECONNECT_GRACE_MS),
+      10
+  ),
+
+  // Matchmaking rating band: accepted rating difference widens while waiting
+  RATING_BAND_INITIAL: parseInt(
+      process.env.RATING_BAND_INITIAL || String(defaults.RATING_BAND_INITIAL),
+      10
+  ),
+  RATING_BAND_GROWTH_PER_SECOND: parseInt(
+      process.env.RATING_BAND_GROWTH_PER_SECOND || String(defaults.RATING_BAND_GROWTH_PER_SECOND),
+      10
+  ),
+  RATING_BAND_OPEN_AFTER_MS: parseInt(
+      process.env.RATING_BAND_OPEN_AFTER_MS || String(defaults.RATING_BAND_OPEN_AFTER_MS),
+      10
+  ),
+
+  // Private rooms: how long an invite code stays joinable
+  PRIVATE_ROOM_TTL_MS: parseInt(
+      process.env.PRIVATE_ROOM_TTL_MS || String(defaults.PRIVATE_ROOM_TTL_MS),
+      10
+  ),
+
+  // Rematch offers: how long an offer stays acceptable
+  REMATCH_OFFER_TTL_MS: parseInt(
+      process.env.REMATCH_OFFER_TTL_MS || String(defaults.REMATCH_OFFER_TTL_MS),
+      10
+  ),
+
+  // Direct challenges: how long a challenge stays acceptable
+  CHALLENGE_TTL_MS: parseInt(
+      process.env.CHALLENGE_TTL_MS || String(defaults.CHALLENGE_TTL_MS),
+      10
+  ),
+
+  // Tournaments: largest field, and how far ahead a tournament may be scheduled
+  TOURNAMENT_MAX_PLAYERS: parseInt(
+      process.env.TOURNAMENT_MAX_PLAYERS || String(defaults.TOURNAMENT_MAX_PLAYERS),
+      10
+  ),
+  TOURNAMENT_MAX_LEAD_MS: parseInt(
+      process.env.TOURNAMENT_MAX_LEAD_MS || String(defaults.TOURNAMENT_MAX_LEAD_MS),
+      10
+  ),
+
+  // Leagues: most members a league can have, and the time allowed to play each round
+  LEAGUE_MAX_MEMBERS: parseInt(
+      process.env.LEAGUE_MAX_MEMBERS || String(defaults.LEAGUE_MAX_MEMBERS),
+      10
+  ),
+  LEAGUE_ROUND_MS: parseInt(
+      process.env.LEAGUE_ROUND_MS || String(defaults.LEAGUE_ROUND_MS),
+      10
+  ),
+
+  // Username changes: time between renames, and how long an old name stays reserved
+  USERNAME_CHANGE_COOLDOWN_MS: parseInt(
+      process.env.USERNAME_CHANGE_COOLDOWN_MS || String(defaults.USERNAME_CHANGE_COOLDOWN_MS),
+      10
+  ),
+  USERNAME_HOLD_MS: parseInt(
+      process.env.USERNAME_HOLD_MS || String(defaults.USERNAME_HOLD_MS),
+      10
+  ),
+
+  // Username availability checks allowed per user and window
+  USERNAME_CHECK_LIMIT: parseInt(
+      process.env.USERNAME_CHECK_LIMIT || String(defaults.USERNAME_CHECK_LIMIT),
+      10
+  ),
+  USERNAME_CHECK_WINDOW_MS: parseInt(
+      process.env.USERNAME_CHECK_WINDOW_MS || String(defaults.USERNAME_CHECK_WINDOW_MS),
+      10
+  ),
+
   // Firebase project
   PROJECT_ID: process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT,
-  
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || defaults.LOG_LEVEL,
-  
+
   // Cursor HMAC Secret (required, should be set per environment)
-  CURSOR_HMAC_SECRET: process.env.CURSOR_HMAC_SECRET
+  CURSOR_HMAC_SECRET: process.env.CURSOR_HMAC_SECRET,
 };
 
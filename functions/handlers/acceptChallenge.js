@@ -0,0 +1,184 @@
+/**
+ * Accept challenge function
+ *
+ * Callable function that accepts a challenge from the caller's inbox (see
+ * challengeUser). Creates a match between the two players in the format the
+ * challenger asked for, and tells the challenger through their inbox. Both
+ * players must still be online and neither may be waiting in the quick
+ * matchmaking queue. A challenger who hides their online state is checked
+ * all the same, but an offline one gets a generic answer that does not say
+ * why.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.challengeId - ID of the challenge in the caller's inbox
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the new match ID
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { createMatchInTransaction } = require('../services/matches');
+const { isBlocked } = require('../services/friends');
+const { inboxItems, notifyChallengeSender } = require('../services/inbox');
+const { showsOnline } = require('../services/presence');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+
+/**
+ * Check whether a player has a presence entry
+ *
+ * @param {string} uid - Player UID
+ * @returns {Promise<boolean>} True if the player is online
+ */
+async function isOnline(uid) {
+  const presenceSnapshot = await rtdb.ref(`presence/${uid}`).once('value');
+  return presenceSnapshot.exists();
+}
+
+// Export handler for testing
+const acceptChallengeHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'acceptChallenge');
+
+    const uid = context.auth.uid;
+    logger.debug('acceptChallenge called', { uid, challengeId: data?.challengeId });
+
+    // Step 2: Validate challengeId input
+    if (!data || typeof data.challengeId !== 'string' || data.challengeId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'challengeId is required and must be a string'
+      );
+    }
+
+    // Step 3: Check if user is online, as quickMatch does
+    if (!(await isOnline(uid))) {
+      logger.warn('User not online', { uid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'User Not Online'
+      );
+    }
+
+    const challengeRef = inboxItems(uid).doc(data.challengeId);
+
+    // Step 4: Check the challenge is still open (without locking it yet)
+    const challengeDoc = await challengeRef.get();
+    if (!challengeDoc.exists || challengeDoc.data().type !== 'challenge') {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'challenge not found'
+      );
+    }
+
+    // Step 5: The challenger must still be online too
+    const fromUid = challengeDoc.data().from_uid;
+    if (!(await isOnline(fromUid))) {
+      const challengerDoc = await db.collection('users').doc(fromUid).get();
+      const shown = showsOnline(challengerDoc.exists ? challengerDoc.data() : null);
+      logger.warn('Challenger not online', { uid, fromUid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        shown ? 'Opponent Not Online' : 'Opponent Not Available'
+      );
+    }
+
+    // Step 6: Claim the challenge and create the match atomically
+    const matchId = await runTransactionWithRetry(db, async (transaction) => {
+      const [lockedDoc, blocked, ownQueueDoc, theirQueueDoc] = await Promise.all([
+        transaction.get(challengeRef),
+        isBlocked(transaction, uid, fromUid),
+        transaction.get(db.collection('quick_matchmaking_queue').doc(uid)),
+        transaction.get(db.collection('quick_matchmaking_queue').doc(fromUid))
+      ]);
+      const challenge = lockedDoc.exists ? lockedDoc.data() : null;
+
+      if (!challenge || challenge.from_uid !== fromUid) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'challenge not found'
+        );
+      }
+      if (challenge.status !== 'pending') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `challenge already ${challenge.status}`
+        );
+      }
+      if (challenge.expires_at_ms <= Date.now()) {
+        throw new functions.https.HttpsError(
+          'deadline-exceeded',
+          'challenge has expired'
+        );
+      }
+      if (blocked) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot play this player'
+        );
+      }
+      if (ownQueueDoc.exists && ownQueueDoc.data().status === 'waiting') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Leave the quick match queue first'
+        );
+      }
+      if (theirQueueDoc.exists && theirQueueDoc.data().status === 'waiting') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Player is looking for a quick match'
+        );
+      }
+
+      const createdMatchId = createMatchInTransaction(transaction, {
+        players: [fromUid, uid],
+        source: 'challenge',
+        format: challenge.format
+      });
+
+      transaction.update(challengeRef, {
+        status: 'accepted',
+        match_id: createdMatchId,
+        responded_at: getServerTimestamp()
+      });
+      notifyChallengeSender(transaction, challenge, challengeRef.id, 'accepted', createdMatchId);
+
+      return createdMatchId;
+    });
+
+    logger.info('Challenge accepted', { uid, fromUid, matchId });
+
+    return {
+      success: true,
+      matchId
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in acceptChallenge', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(acceptChallengeHandler);
+
+// Export handler for testing
+module.exports.handler = acceptChallengeHandler;
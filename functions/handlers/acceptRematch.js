@@ -0,0 +1,172 @@
+/**
+ * Accept rematch function
+ *
+ * Callable function that accepts the opponent's rematch offer on a completed
+ * match (see requestRematch). Creates a new match between the same players
+ * with the same format; the toss is called by the player who did not call it
+ * last time. Both players must still be online, as for quickMatch. A
+ * requester who hides their online state is checked all the same, but an
+ * offline one gets a generic answer that does not say why.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.matchId - Completed match with the offer
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the new match ID
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { createMatchInTransaction } = require('../services/matches');
+const { isBlocked } = require('../services/friends');
+const { showsOnline } = require('../services/presence');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+
+/**
+ * Check whether a player has a presence entry
+ *
+ * @param {string} uid - Player UID
+ * @returns {Promise<boolean>} True if the player is online
+ */
+async function isOnline(uid) {
+  const presenceSnapshot = await rtdb.ref(`presence/${uid}`).once('value');
+  return presenceSnapshot.exists();
+}
+
+// Export handler for testing
+const acceptRematchHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'acceptRematch');
+
+    const uid = context.auth.uid;
+    logger.debug('acceptRematch called', { uid, matchId: data?.matchId });
+
+    // Step 2: Validate matchId input
+    if (!data || typeof data.matchId !== 'string' || data.matchId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'matchId is required and must be a string'
+      );
+    }
+
+    // Step 3: Check if user is online, as quickMatch does
+    if (!(await isOnline(uid))) {
+      logger.warn('User not online', { uid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'User Not Online'
+      );
+    }
+
+    const matchRef = db.collection('matches').doc(data.matchId);
+
+    // Step 4: Check the offer is still open (without locking the match yet)
+    const matchDoc = await matchRef.get();
+    const offer = matchDoc.exists ? matchDoc.data().rematch : null;
+    if (!offer || offer.requested_by === uid || !matchDoc.data().players.includes(uid)) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'No rematch offer to accept'
+      );
+    }
+
+    // Step 5: The player who asked must still be online too
+    if (!(await isOnline(offer.requested_by))) {
+      const requesterDoc = await db.collection('users').doc(offer.requested_by).get();
+      const shown = showsOnline(requesterDoc.exists ? requesterDoc.data() : null);
+      logger.warn('Rematch requester not online', { uid, requester: offer.requested_by });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        shown ? 'Opponent Not Online' : 'Opponent Not Available'
+      );
+    }
+
+    // Step 6: Claim the offer and create the new match atomically
+    const newMatchId = await runTransactionWithRetry(db, async (transaction) => {
+      const lockedDoc = await transaction.get(matchRef);
+      const match = lockedDoc.exists ? lockedDoc.data() : null;
+      const rematch = match?.rematch;
+
+      if (!rematch || rematch.requested_by !== offer.requested_by) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'No rematch offer to accept'
+        );
+      }
+
+      if (rematch.match_id) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'Rematch already played'
+        );
+      }
+
+      if (rematch.expires_at_ms <= Date.now()) {
+        throw new functions.https.HttpsError(
+          'deadline-exceeded',
+          'Rematch offer has expired'
+        );
+      }
+
+      if (await isBlocked(transaction, uid, rematch.requested_by)) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot play this player'
+        );
+      }
+
+      const createdMatchId = createMatchInTransaction(transaction, {
+        players: match.players,
+        source: 'rematch',
+        format: match.format,
+        // Toss priority swaps between the two games
+        tossCaller: match.players.find(player => player !== match.toss.caller)
+      });
+
+      transaction.update(matchRef, {
+        rematch: {
+          ...rematch,
+          match_id: createdMatchId,
+          accepted_at: getServerTimestamp()
+        }
+      });
+
+      return createdMatchId;
+    });
+
+    logger.info('Rematch accepted', { uid, matchId: data.matchId, newMatchId });
+
+    return {
+      success: true,
+      matchId: newMatchId
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in acceptRematch', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(acceptRematchHandler);
+
+// Export handler for testing
+module.exports.handler = acceptRematchHandler;
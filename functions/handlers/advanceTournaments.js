@@ -0,0 +1,293 @@
+/**
+ * Advance tournaments function
+ *
+ * Scheduled function that runs knockout tournaments (see
+ * utils/tournament.js):
+ * - Once `starts_at_ms` has passed, seeds the bracket and opens the first
+ *   round, or cancels the tournament if fewer than two players registered
+ * - While a tournament is under way, decides the current round's slots from
+ *   their games; once every slot is decided, opens the next round with the
+ *   winners, or completes the tournament after the final
+ *
+ * Whether a player can play is decided when their slot opens: they must
+ * have a presence entry (`presence/{uid}`) and not have withdrawn.
+ *
+ * Tournaments under way are checked page after page until every one is, or
+ * the run's time budget runs out; the rest then wait for the next run.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<Object>} { started, advanced } numbers of tournaments moved on
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { seedBracket, nextPairings, decideSlot } = require('../utils/tournament');
+const { findOnline } = require('../services/presence');
+const { entrantsOf, bracketOf, openRound } = require('../services/tournaments');
+
+const db = admin.firestore();
+
+// Maximum number of tournaments due to start handled per run, and the page
+// size for tournaments under way
+const BATCH_SIZE = 20;
+
+// Stop starting new pages after this long, inside the function's 60 second timeout
+const RUN_BUDGET_MS = 40 * 1000;
+
+/**
+ * Write the collected entrant changes
+ *
+ * Withdrawn entrants keep their status, and entrants whose document is gone
+ * (deleted accounts) are skipped.
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} entrants - Map of UID to entrant data, as read
+ * @param {Object} entrantUpdates - Map of UID to fields
+ */
+function writeEntrants(transaction, tournamentId, entrants, entrantUpdates) {
+  Object.entries(entrantUpdates).forEach(([uid, fields]) => {
+    const entrant = entrants[uid];
+    if (!entrant) {
+      return;
+    }
+    const update = { ...fields };
+    if (entrant.status === 'withdrawn') {
+      delete update.status;
+    }
+    transaction.update(entrantsOf(tournamentId).doc(uid), update);
+  });
+}
+
+/**
+ * Seed a tournament whose registration has closed and open its first round
+ *
+ * @param {admin.firestore.DocumentReference} tournamentRef - Tournament to start
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<string|null>} "started" or "cancelled", or null if nothing was due
+ */
+async function startTournament(tournamentRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const tournamentDoc = await transaction.get(tournamentRef);
+    if (!tournamentDoc.exists) {
+      return null;
+    }
+
+    const tournament = tournamentDoc.data();
+    if (tournament.status !== 'registration' || tournament.starts_at_ms > now) {
+      return null;
+    }
+
+    const entrantsSnapshot = await transaction.get(entrantsOf(tournamentRef.id));
+    const entrants = Object.fromEntries(entrantsSnapshot.docs.map(doc => [doc.id, doc.data()]));
+    const uids = Object.keys(entrants);
+    const timestamp = getServerTimestamp();
+
+    if (uids.length < 2) {
+      transaction.update(tournamentRef, {
+        status: 'cancelled',
+        ended_at: timestamp
+      });
+      return 'cancelled';
+    }
+
+    // Presence lives in the Realtime Database, so it is not part of the transaction
+    const online = new Set(await findOnline(uids));
+    const bracket = seedBracket(Object.values(entrants));
+
+    const entrantUpdates = Object.fromEntries(uids.map(uid => [uid, { seed: bracket.seeds[uid], status: 'active' }]));
+    openRound(transaction, tournamentRef.id, tournament, 1, bracket.pairings, {
+      seeds: bracket.seeds,
+      canPlay: uid => online.has(uid),
+      entrantUpdates
+    });
+    writeEntrants(transaction, tournamentRef.id, entrants, entrantUpdates);
+
+    transaction.update(tournamentRef, {
+      status: 'in_progress',
+      bracket_size: bracket.size,
+      rounds: bracket.rounds,
+      current_round: 1,
+      started_at: timestamp
+    });
+    return 'started';
+  });
+}
+
+/**
+ * Decide the current round of a tournament and open the next one
+ *
+ * @param {admin.firestore.DocumentReference} tournamentRef - Tournament under way
+ * @returns {Promise<string|null>} "next_round" or "completed", or null while games are still being played
+ */
+async function advanceTournament(tournamentRef) {
+  return db.runTransaction(async (transaction) => {
+    const tournamentDoc = await transaction.get(tournamentRef);
+    if (!tournamentDoc.exists || tournamentDoc.data().status !== 'in_progress') {
+      return null;
+    }
+
+    const tournament = tournamentDoc.data();
+    const round = tournament.current_round;
+    const slotsSnapshot = await transaction.get(bracketOf(tournamentRef.id).where('round', '==', round));
+    const slots = slotsSnapshot.docs
+      .map(doc => ({ ref: doc.ref, data: doc.data() }))
+      .sort((a, b) => a.data.slot - b.data.slot);
+
+    // Read every game still being played and every entrant of the round
+    const playing = slots.filter(slot => slot.data.status === 'playing');
+    const players = slots.flatMap(slot => slot.data.players).filter(uid => uid !== null);
+    const [matchDocs, entrantDocs] = await Promise.all([
+      Promise.all(playing.map(slot => transaction.get(db.collection('matches').doc(slot.data.match_id)))),
+      Promise.all(players.map(uid => transaction.get(entrantsOf(tournamentRef.id).doc(uid))))
+    ]);
+    const entrants = Object.fromEntries(entrantDocs
+      .filter(doc => doc.exists)
+      .map(doc => [doc.data().uid, doc.data()]));
+
+    const entrantUpdates = {};
+    const timestamp = getServerTimestamp();
+    const winners = new Map(slots.map(slot => [slot.data.slot, slot.data.winner_uid]));
+    const decided = [];
+    playing.forEach((slot, i) => {
+      const decision = matchDocs[i].exists ? decideSlot(slot.data, matchDocs[i].data()) : null;
+      if (decision) {
+        decided.push({ slot, decision });
+        winners.set(slot.data.slot, decision.winner);
+        decision.eliminated.forEach((uid) => {
+          entrantUpdates[uid] = { status: 'eliminated', eliminated_in_round: round };
+        });
+      }
+    });
+    const undecided = playing.length - decided.length;
+
+    // The next round's players, found before any write
+    const lastRound = round === tournament.rounds;
+    const pairings = undecided === 0 && !lastRound
+      ? nextPairings(slots.map(slot => winners.get(slot.data.slot)))
+      : [];
+    const nextPlayers = pairings.flat().filter(uid => uid !== null);
+    const online = new Set(nextPlayers.length > 0 ? await findOnline(nextPlayers) : []);
+
+    decided.forEach(({ slot, decision }) => {
+      transaction.update(slot.ref, {
+        status: decision.status,
+        winner_uid: decision.winner,
+        decided_at: timestamp
+      });
+    });
+
+    let outcome = null;
+    if (undecided === 0 && lastRound) {
+      // The final is decided: its winner, if any, is the champion
+      const champion = winners.get(1) || null;
+      if (champion) {
+        entrantUpdates[champion] = { status: 'champion' };
+      }
+      transaction.update(tournamentRef, {
+        status: 'completed',
+        winner_uid: champion,
+        ended_at: timestamp
+      });
+      outcome = 'completed';
+    } else if (undecided === 0) {
+      const seeds = Object.fromEntries(Object.values(entrants).map(entrant => [entrant.uid, entrant.seed]));
+      openRound(transaction, tournamentRef.id, tournament, round + 1, pairings, {
+        seeds,
+        canPlay: uid => online.has(uid) && entrants[uid]?.status === 'active',
+        entrantUpdates
+      });
+      transaction.update(tournamentRef, {
+        current_round: round + 1
+      });
+      outcome = 'next_round';
+    }
+
+    writeEntrants(transaction, tournamentRef.id, entrants, entrantUpdates);
+    return outcome;
+  });
+}
+
+// Export handler for testing
+const advanceTournamentsHandler = async (context) => {
+  const now = Date.now();
+
+  const due = await db.collection('tournaments')
+    .where('status', '==', 'registration')
+    .where('starts_at_ms', '<=', now)
+    .limit(BATCH_SIZE)
+    .get();
+
+  let started = 0;
+  let advanced = 0;
+  for (const tournamentDoc of due.docs) {
+    try {
+      const outcome = await startTournament(tournamentDoc.ref, now);
+      if (outcome) {
+        started++;
+        logger.info('Tournament registration closed', { tournamentId: tournamentDoc.id, outcome });
+      }
+    } catch (error) {
+      // Keep going: one bad tournament should not block the rest
+      logger.error('Failed to start tournament', {
+        tournamentId: tournamentDoc.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  // Tournaments under way stay under way for several runs: page through all
+  // of them in document ID order, so every one is checked on every run
+  let running = 0;
+  let lastDoc = null;
+  for (;;) {
+    let q = db.collection('tournaments')
+      .where('status', '==', 'in_progress')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'asc')
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      q = q.startAfter(lastDoc);
+    }
+    const page = await q.get();
+    running += page.size;
+
+    for (const tournamentDoc of page.docs) {
+      try {
+        const outcome = await advanceTournament(tournamentDoc.ref);
+        if (outcome) {
+          advanced++;
+          logger.info('Tournament advanced', { tournamentId: tournamentDoc.id, outcome });
+        }
+      } catch (error) {
+        logger.error('Failed to advance tournament', {
+          tournamentId: tournamentDoc.id,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    if (page.size < BATCH_SIZE) {
+      break;
+    }
+    if (Date.now() - now >= RUN_BUDGET_MS) {
+      logger.warn('Not every tournament under way was checked, continuing next run', { running, advanced });
+      break;
+    }
+    lastDoc = page.docs[page.size - 1];
+  }
+
+  logger.debug('advanceTournaments finished', { due: due.size, running, started, advanced });
+  return { started, advanced };
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(advanceTournamentsHandler);
+
+// Export handler for testing
+module.exports.handler = advanceTournamentsHandler;
@@ -0,0 +1,121 @@
+/**
+ * Block user function
+ *
+ * Callable function that blocks another player, addressed by username.
+ * Blocks are mutual: neither player can send the other friend requests,
+ * join the other's private room, offer a rematch or be paired with the other
+ * by quick match. Any friendship or pending request between them is removed,
+ * and their unplayed fixtures in leagues they share are voided, since they
+ * can no longer be played. Blocking a player twice is not an error.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - Current username of the player to block
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { USERNAME_PATTERN } = require('../utils/username');
+const { findUsernameOwner } = require('../services/usernames');
+const { removeTies } = require('../services/friends');
+const { voidFixturesBetween } = require('../services/leagues');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const blockUserHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'blockUser');
+
+    const uid = context.auth.uid;
+    logger.debug('blockUser called', { uid, username: data?.username });
+
+    // Step 2: Validate the username
+    const username = typeof data?.username === 'string' ? data.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username must be a valid username'
+      );
+    }
+
+    // Step 3: Record the block on both players and cut their ties
+    const blockedUid = await runTransactionWithRetry(db, async (transaction) => {
+      const otherUid = await findUsernameOwner(transaction, username);
+      if (!otherUid) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'player not found'
+        );
+      }
+      if (otherUid === uid) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'you cannot block yourself'
+        );
+      }
+
+      // Both players, and their queue entries in case they are waiting for a quick match
+      const pairs = [[uid, otherUid], [otherUid, uid]];
+      const refs = pairs.flatMap(([player]) => [
+        db.collection('users').doc(player),
+        db.collection('quick_matchmaking_queue').doc(player)
+      ]);
+      const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+      snapshots.forEach((snapshot, i) => {
+        const avoided = pairs[Math.floor(i / 2)][1];
+        const blockedUids = snapshot.exists ? snapshot.data().blocked_uids || [] : null;
+        if (blockedUids && !blockedUids.includes(avoided)) {
+          transaction.update(refs[i], { blocked_uids: [...blockedUids, avoided] });
+        }
+      });
+
+      transaction.set(db.collection('blocks').doc(`${uid}_${otherUid}`), {
+        blocker_uid: uid,
+        blocked_uid: otherUid,
+        created_at: getServerTimestamp()
+      });
+      removeTies(transaction, uid, otherUid);
+
+      return otherUid;
+    });
+
+    // Step 4: Void league fixtures the two can no longer play
+    const voided = await voidFixturesBetween(uid, blockedUid);
+
+    logger.info('User blocked', { uid, blocked: blockedUid, fixturesVoided: voided });
+
+    return {
+      success: true
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in blockUser', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(blockUserHandler);
+
+// Export handler for testing
+module.exports.handler = blockUserHandler;
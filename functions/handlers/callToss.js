@@ -0,0 +1,161 @@
+/**
+ * Call toss function
+ *
+ * Callable function for the toss that runs before ball one of a match.
+ * The toss caller sends their odd/even call with their fingers; the other
+ * player sends only their fingers. Once both are in, the parity of the total
+ * decides the toss winner, who then has to call chooseBatOrBowl.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.matchId - Match document ID
+ * @param {number} data.fingers - Fingers shown, 1 to 6
+ * @param {string} [data.call] - 'odd' or 'even' (toss caller only)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the toss result once decided
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const {
+  TOSS_CALLS,
+  isValidFingers,
+  isCalling,
+  decideWinner
+} = require('../utils/toss');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const callTossHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'callToss');
+
+    const uid = context.auth.uid;
+    logger.debug('callToss called', { uid, matchId: data?.matchId });
+
+    // Step 2: Validate request shape
+    if (!data || typeof data.matchId !== 'string' || !data.matchId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'matchId is required and must be a string'
+      );
+    }
+
+    if (!isValidFingers(data.fingers)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'fingers must be a whole number from 1 to 6'
+      );
+    }
+
+    if (data.call !== undefined && !TOSS_CALLS.includes(data.call)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'call must be odd or even'
+      );
+    }
+
+    const matchRef = db.collection('matches').doc(data.matchId);
+
+    // Step 3: Record the call and fingers atomically, deciding the toss once both are in
+    const response = await runTransactionWithRetry(db, async (transaction) => {
+      const matchDoc = await transaction.get(matchRef);
+      const match = matchDoc.exists ? matchDoc.data() : null;
+
+      if (!match || !match.players.includes(uid)) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Match not found'
+        );
+      }
+
+      if (match.status !== 'toss' || !isCalling(match.toss)) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Toss has already been decided'
+        );
+      }
+
+      const isCaller = match.toss.caller === uid;
+      if (isCaller && data.call === undefined) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'call is required for the toss caller'
+        );
+      }
+      if (!isCaller && data.call !== undefined) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the toss caller may call odd or even'
+        );
+      }
+
+      if (match.toss.fingers[uid] !== undefined) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'Fingers already shown for this toss'
+        );
+      }
+
+      const toss = {
+        ...match.toss,
+        call: isCaller ? data.call : match.toss.call,
+        fingers: { ...match.toss.fingers, [uid]: data.fingers }
+      };
+      toss.winner = decideWinner(toss, match.players);
+
+      if (toss.winner) {
+        // Winner now has their own deadline to choose bat or bowl
+        toss.deadline_at_ms = Date.now() + config.TOSS_TIMEOUT_MS;
+      }
+
+      transaction.update(matchRef, {
+        toss,
+        updated_at: getServerTimestamp()
+      });
+
+      if (!toss.winner) {
+        return { success: true, decided: false };
+      }
+
+      return {
+        success: true,
+        decided: true,
+        call: toss.call,
+        fingers: toss.fingers,
+        winner: toss.winner
+      };
+    });
+
+    logger.info('Toss input recorded', { uid, matchId: data.matchId, decided: response.decided });
+    return response;
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in callToss', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(callTossHandler);
+
+// Export handler for testing
+module.exports.handler = callTossHandler;
@@ -0,0 +1,101 @@
+/**
+ * Cancel private match function
+ *
+ * Callable function for the host to close their private room before anyone
+ * joins. Like cancelQuickMatch, cancelling a room that is already gone (or
+ * has expired) succeeds, so clients can call it safely on exit.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.code - Invite code of the room
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { normalizeInviteCode } = require('../utils/inviteCode');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const cancelPrivateMatchHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'cancelPrivateMatch');
+
+    const uid = context.auth.uid;
+    logger.debug('cancelPrivateMatch called', { uid, code: data?.code });
+
+    // Step 2: Validate the code
+    const code = normalizeInviteCode(data?.code);
+    if (!code) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'code must be a 6 character invite code'
+      );
+    }
+
+    const roomRef = db.collection('private_rooms').doc(code);
+
+    // Step 3: Close the room unless the friend already joined
+    const cancelled = await runTransactionWithRetry(db, async (transaction) => {
+      const roomDoc = await transaction.get(roomRef);
+      const room = roomDoc.exists ? roomDoc.data() : null;
+
+      // Another host's room (or a recycled code) is reported like a missing one
+      if (!room || room.host_uid !== uid || room.status === 'cancelled') {
+        return false;
+      }
+
+      if (room.status === 'joined') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Room already joined, the match has started'
+        );
+      }
+
+      transaction.update(roomRef, {
+        status: 'cancelled',
+        cancelled_at: getServerTimestamp()
+      });
+      return true;
+    });
+
+    if (cancelled) {
+      logger.info('Private room cancelled', { uid, code });
+    } else {
+      logger.debug('No open private room to cancel', { uid, code });
+    }
+
+    // Step 4: Return success whether or not there was anything to cancel
+    return {
+      success: true
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in cancelPrivateMatch', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(cancelPrivateMatchHandler);
+
+// Export handler for testing
+module.exports.handler = cancelPrivateMatchHandler;
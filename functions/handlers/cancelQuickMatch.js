@@ -13,76 +13,10 @@ const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const logger = require('../utils/logger');
 const { validateAuthAndEmail } = require('../utils/auth');
+const { deleteWithRetry } = require('../utils/firestore');
 
 const db = admin.firestore();
 
-/**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Attempts to delete a document with retry logic for locked documents
- * @param {admin.firestore.DocumentReference} docRef - Document reference to delete
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} retryDelayMs - Delay between retries in milliseconds
- * @returns {Promise<boolean>} True if deleted successfully, false otherwise
- */
-async function deleteWithRetry(docRef, maxRetries = 10, retryDelayMs = 500) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // Check if document exists first
-      const doc = await docRef.get();
-      if (!doc.exists) {
-        logger.debug('Document does not exist, nothing to delete');
-        return true; // Document doesn't exist, consider it successful
-      }
-
-      // Attempt to delete
-      await docRef.delete();
-      logger.debug('Document deleted successfully', { attempt });
-      return true;
-    } catch (error) {
-      // Check if this is a locked/contention error
-      // Firestore returns 'aborted' for transaction conflicts
-      // and 'failed-precondition' for other contention issues
-      const isLockedError = error.code === 'aborted' || 
-                           error.code === 'failed-precondition' ||
-                           error.code === 'unavailable' ||
-                           error.message?.includes('concurrent') ||
-                           error.message?.includes('locked');
-
-      if (isLockedError && attempt < maxRetries) {
-        logger.debug('Document locked, retrying', { 
-          attempt, 
-          maxRetries,
-          errorCode: error.code 
-        });
-        await sleep(retryDelayMs);
-        continue;
-      }
-
-      // If not a locked error or we've exhausted retries, log and return false
-      if (isLockedError) {
-        logger.warn('Document still locked after max retries', {
-          maxRetries,
-          errorCode: error.code
-        });
-      } else {
-        logger.warn('Unexpected error during delete', {
-          attempt,
-          errorCode: error.code,
-          errorMessage: error.message
-        });
-      }
-      return false;
-    }
-  }
-  return false;
-}
-
 // Export handler for testing
 const cancelQuickMatchHandler = async (data, context) => {
   try {
@@ -0,0 +1,194 @@
+/**
+ * Challenge user function
+ *
+ * Callable function that challenges another player, addressed by username,
+ * to a match. The challenge is written to the other player's inbox
+ * (`inbox/{uid}/items`, see services/inbox.js), where their client picks it
+ * up; they answer with acceptChallenge or declineChallenge before
+ * CHALLENGE_TTL_MS has passed.
+ *
+ * The other player must be online, must not have a block with the caller
+ * and must not have an entry in the quick matchmaking queue, waiting or
+ * matched. A player who hides their online state cannot be challenged: they
+ * get the same answer as a player who is offline. A player has at most one
+ * open challenge from each sender.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - Current username of the player to challenge
+ * @param {string|Object} [data.format] - Preset name or custom format (see utils/matchFormat.js)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the challenge ID and its expiry
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { resolveFormat, MatchFormatError } = require('../utils/matchFormat');
+const { USERNAME_PATTERN } = require('../utils/username');
+const { findUsernameOwner } = require('../services/usernames');
+const { isBlocked } = require('../services/friends');
+const { inboxItems, challengeId } = require('../services/inbox');
+const { isVisiblyOnline } = require('../services/presence');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+
+// Export handler for testing
+const challengeUserHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'challengeUser');
+
+    const uid = context.auth.uid;
+    logger.debug('challengeUser called', { uid, username: data?.username, format: data?.format });
+
+    // Step 2: Validate the username and the requested match format (default format if none)
+    const username = typeof data?.username === 'string' ? data.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username must be a valid username'
+      );
+    }
+
+    let format;
+    try {
+      format = resolveFormat(data?.format);
+    } catch (error) {
+      if (!(error instanceof MatchFormatError)) {
+        throw error;
+      }
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
+
+    // Step 3: Check if user is online, as quickMatch does
+    const presenceSnapshot = await rtdb.ref(`presence/${uid}`).once('value');
+    if (!presenceSnapshot.exists()) {
+      logger.warn('User not online', { uid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'User Not Online'
+      );
+    }
+
+    // Step 4: Write the challenge to the other player's inbox
+    const challenge = await runTransactionWithRetry(db, async (transaction) => {
+      const otherUid = await findUsernameOwner(transaction, username);
+      if (!otherUid) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'player not found'
+        );
+      }
+      if (otherUid === uid) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'you cannot challenge yourself'
+        );
+      }
+
+      const challengeRef = inboxItems(otherUid).doc(challengeId(uid));
+      const [blocked, userDoc, otherUserDoc, ownQueueDoc, theirQueueDoc, challengeDoc] = await Promise.all([
+        isBlocked(transaction, uid, otherUid),
+        transaction.get(db.collection('users').doc(uid)),
+        transaction.get(db.collection('users').doc(otherUid)),
+        transaction.get(db.collection('quick_matchmaking_queue').doc(uid)),
+        transaction.get(db.collection('quick_matchmaking_queue').doc(otherUid)),
+        transaction.get(challengeRef)
+      ]);
+
+      if (blocked) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot play this player'
+        );
+      }
+      if (ownQueueDoc.exists && ownQueueDoc.data().status === 'waiting') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Leave the quick match queue first'
+        );
+      }
+
+      // Presence lives in the Realtime Database, so it is not part of the transaction.
+      // Checked before the queue, which would give away that a hidden player is online
+      if (!(await isVisiblyOnline(otherUid, otherUserDoc.exists ? otherUserDoc.data() : null))) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Player Not Online'
+        );
+      }
+      // Matched entries stay until the game ends (see quickMatch)
+      if (theirQueueDoc.exists) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          theirQueueDoc.data().status === 'waiting'
+            ? 'Player is looking for a quick match'
+            : 'Player is playing a quick match'
+        );
+      }
+
+      const now = Date.now();
+      if (challengeDoc.exists && challengeDoc.data().status === 'pending' &&
+          challengeDoc.data().expires_at_ms > now) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'challenge already sent'
+        );
+      }
+
+      const expiresAtMs = now + config.CHALLENGE_TTL_MS;
+      transaction.set(challengeRef, {
+        type: 'challenge',
+        from_uid: uid,
+        from_username: userDoc.exists ? userDoc.data().username || null : null,
+        to_uid: otherUid,
+        format,
+        format_key: format.key,
+        status: 'pending',
+        match_id: null,
+        expires_at_ms: expiresAtMs,
+        created_at: getServerTimestamp(),
+        responded_at: null
+      });
+      return { otherUid, id: challengeRef.id, expiresAtMs };
+    });
+
+    logger.info('Challenge sent', { uid, otherUid: challenge.otherUid, format: format.key });
+
+    return {
+      success: true,
+      challengeId: challenge.id,
+      expiresAtMs: challenge.expiresAtMs
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in challengeUser', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(challengeUserHandler);
+
+// Export handler for testing
+module.exports.handler = challengeUserHandler;
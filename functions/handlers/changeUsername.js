@@ -0,0 +1,176 @@
+/**
+ * Change username function
+ *
+ * Callable function that renames the caller. Validates the new username with
+ * the same rules as createNewUser and swaps the `usernames` reservation and
+ * `users/{uid}.username` in one transaction.
+ *
+ * A user can rename once per USERNAME_CHANGE_COOLDOWN_MS. The old name stays
+ * reserved for USERNAME_HOLD_MS so nobody can take it right after a rename;
+ * only its previous owner may claim it back during that time. Every rename
+ * is recorded in `users/{uid}/username_history`.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - New username (same rules as createNewUser)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the new username and when it can next change
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { validateUsername, UsernamePolicyError } = require('../utils/username');
+const {
+  findReservation,
+  isUsernameFree,
+  usernameConflict,
+  reserveUsername
+} = require('../services/usernames');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const changeUsernameHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'changeUsername');
+
+    const uid = context.auth.uid;
+    logger.debug('changeUsername called', { uid, username: data?.username });
+
+    // Step 2: Validate username input
+    if (!data || typeof data.username !== 'string') {
+      logger.warn('Invalid username input', { uid, username: data?.username });
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username is required and must be a string'
+      );
+    }
+
+    // Step 3: Validate username against the policy (same rules as createNewUser)
+    let username;
+    try {
+      username = validateUsername(data.username);
+    } catch (error) {
+      if (!(error instanceof UsernamePolicyError)) {
+        throw error;
+      }
+      logger.warn('Username validation failed', { uid, username: data.username, rule: error.rule });
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message,
+        { rule: error.rule }
+      );
+    }
+
+    const userRef = db.collection('users').doc(uid);
+
+    // Step 4: Swap the reservation and the profile atomically
+    const result = await runTransactionWithRetry(db, async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'user not found'
+        );
+      }
+
+      const user = userDoc.data();
+      const oldUsername = user.username;
+      if (oldUsername === username) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'username is unchanged'
+        );
+      }
+
+      const now = Date.now();
+      const nextChangeAtMs = (user.username_changed_at_ms || 0) + config.USERNAME_CHANGE_COOLDOWN_MS;
+      if (user.username_changed_at_ms && nextChangeAtMs > now) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'username was changed recently',
+          { nextChangeAtMs }
+        );
+      }
+
+      const newReservation = await findReservation(transaction, username);
+      const oldReservation = await findReservation(transaction, oldUsername);
+
+      if (newReservation && !isUsernameFree(newReservation.data, uid, now)) {
+        const conflict = usernameConflict(username, newReservation.data);
+        logger.warn('Username already taken in transaction', { uid, username, rule: conflict.rule });
+        throw new functions.https.HttpsError(
+          'already-exists',
+          conflict.message,
+          { rule: conflict.rule }
+        );
+      }
+
+      const timestamp = getServerTimestamp();
+
+      // Reserve the new name (dropping any hold on it)
+      const newRef = reserveUsername(transaction, username, uid, timestamp);
+
+      // Keep the old name reserved for the grace period (see releaseUsernames),
+      // unless the new name is a restyle sharing its reservation
+      if (oldReservation && oldReservation.data.uid === uid && oldReservation.ref.path !== newRef.path) {
+        transaction.update(oldReservation.ref, {
+          released_at: timestamp,
+          held_until_ms: now + config.USERNAME_HOLD_MS
+        });
+      }
+
+      transaction.update(userRef, {
+        username: username,
+        username_changed_at_ms: now,
+        updated_at: timestamp
+      });
+
+      transaction.set(userRef.collection('username_history').doc(), {
+        old_username: oldUsername,
+        new_username: username,
+        changed_at: timestamp
+      });
+
+      return {
+        oldUsername,
+        nextChangeAtMs: now + config.USERNAME_CHANGE_COOLDOWN_MS
+      };
+    });
+
+    logger.info('Username changed', { uid, oldUsername: result.oldUsername, username });
+
+    return {
+      success: true,
+      username,
+      nextChangeAtMs: result.nextChangeAtMs
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in changeUsername', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(changeUsernameHandler);
+
+// Export handler for testing
+module.exports.handler = changeUsernameHandler;
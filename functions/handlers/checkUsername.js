@@ -0,0 +1,133 @@
+/**
+ * Check username function
+ *
+ * Callable function for the signup and rename screens. Tells the caller
+ * whether a username could be taken right now, using the same policy as
+ * createNewUser and changeUsername, and suggests a few free alternatives when
+ * the name is reserved. Calls are rate limited per user so the function
+ * cannot be used to enumerate the usernames in use.
+ *
+ * The answer is advisory: the name is only reserved by createNewUser or
+ * changeUsername.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - Username to check
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Availability, the failed rule and suggestions
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { validateUsername, suggestUsernames, UsernamePolicyError } = require('../utils/username');
+const { findReservation, isUsernameFree, usernameConflict } = require('../services/usernames');
+const { consumeRateLimit } = require('../services/rateLimits');
+
+const db = admin.firestore();
+
+// Number of free alternatives returned for a reserved name
+const SUGGESTION_COUNT = 3;
+
+// Export handler for testing
+const checkUsernameHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'checkUsername');
+
+    const uid = context.auth.uid;
+    logger.debug('checkUsername called', { uid, username: data?.username });
+
+    // Step 2: Validate username input
+    if (!data || typeof data.username !== 'string') {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username is required and must be a string'
+      );
+    }
+
+    // Step 3: Count the call against the caller's limit
+    const rateLimit = await consumeRateLimit(uid, 'check_username', {
+      limit: config.USERNAME_CHECK_LIMIT,
+      windowMs: config.USERNAME_CHECK_WINDOW_MS
+    });
+    if (!rateLimit.allowed) {
+      logger.warn('Username check rate limit exceeded', { uid });
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        'too many username checks, try again later',
+        { retryAfterMs: rateLimit.retryAfterMs }
+      );
+    }
+
+    // Step 4: Apply the username policy
+    let username;
+    try {
+      username = validateUsername(data.username);
+    } catch (error) {
+      if (!(error instanceof UsernamePolicyError)) {
+        throw error;
+      }
+      return {
+        success: true,
+        username: data.username.trim(),
+        available: false,
+        rule: error.rule,
+        message: error.message,
+        suggestions: []
+      };
+    }
+
+    // Step 5: Look the name up, and the suggestions if it is reserved
+    const response = await db.runTransaction(async (transaction) => {
+      const now = Date.now();
+      const reservation = await findReservation(transaction, username);
+      if (!reservation || isUsernameFree(reservation.data, uid, now)) {
+        return { success: true, username, available: true };
+      }
+
+      const candidates = suggestUsernames(username);
+      const reservations = await Promise.all(candidates.map(candidate => findReservation(transaction, candidate)));
+      const suggestions = candidates
+        .filter((candidate, i) => !reservations[i] || isUsernameFree(reservations[i].data, uid, now))
+        .slice(0, SUGGESTION_COUNT);
+
+      const conflict = usernameConflict(username, reservation.data);
+      return {
+        success: true,
+        username,
+        available: false,
+        rule: conflict.rule,
+        message: conflict.message,
+        suggestions
+      };
+    });
+
+    logger.debug('Username checked', { uid, username, available: response.available });
+    return response;
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in checkUsername', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(checkUsernameHandler);
+
+// Export handler for testing
+module.exports.handler = checkUsernameHandler;
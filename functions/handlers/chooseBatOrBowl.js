@@ -0,0 +1,125 @@
+/**
+ * Choose bat or bowl function
+ *
+ * Callable function for the toss winner to choose whether to bat or bowl
+ * first. Creates the game and moves the match from the toss into play.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.matchId - Match document ID
+ * @param {string} data.choice - 'bat' or 'bowl'
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the batting order
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { startGameFields } = require('../services/matches');
+const { TOSS_CHOICES, isCalling, getBattingOrder } = require('../utils/toss');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const chooseBatOrBowlHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'chooseBatOrBowl');
+
+    const uid = context.auth.uid;
+    logger.debug('chooseBatOrBowl called', { uid, matchId: data?.matchId, choice: data?.choice });
+
+    // Step 2: Validate request shape
+    if (!data || typeof data.matchId !== 'string' || !data.matchId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'matchId is required and must be a string'
+      );
+    }
+
+    if (!TOSS_CHOICES.includes(data.choice)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'choice must be bat or bowl'
+      );
+    }
+
+    const matchRef = db.collection('matches').doc(data.matchId);
+
+    // Step 3: Record the choice and start the game atomically
+    const battingOrder = await runTransactionWithRetry(db, async (transaction) => {
+      const matchDoc = await transaction.get(matchRef);
+      const match = matchDoc.exists ? matchDoc.data() : null;
+
+      if (!match || !match.players.includes(uid)) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Match not found'
+        );
+      }
+
+      if (match.status !== 'toss') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Match is not in the toss phase'
+        );
+      }
+
+      if (isCalling(match.toss)) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Toss has not been decided yet'
+        );
+      }
+
+      if (match.toss.winner !== uid) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the toss winner may choose to bat or bowl'
+        );
+      }
+
+      const toss = { ...match.toss, choice: data.choice };
+      const order = getBattingOrder(toss, match.players);
+
+      transaction.update(matchRef, {
+        toss,
+        ...startGameFields(order, match.format),
+        updated_at: getServerTimestamp()
+      });
+
+      return order;
+    });
+
+    logger.info('Toss choice made, match started', { uid, matchId: data.matchId, ...battingOrder });
+
+    return {
+      success: true,
+      ...battingOrder
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in chooseBatOrBowl', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(chooseBatOrBowlHandler);
+
+// Export handler for testing
+module.exports.handler = chooseBatOrBowlHandler;
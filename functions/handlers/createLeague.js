@@ -0,0 +1,147 @@
+/**
+ * Create league function
+ *
+ * Callable function that creates a private round-robin league with the
+ * caller as its first member. Returns an invite code the creator shares;
+ * others join with joinLeague until the creator starts the league.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.name - League name (3 to 50 characters)
+ * @param {number} [data.maxMembers] - Most members (LEAGUE_MAX_MEMBERS if omitted)
+ * @param {string[]} [data.tieBreakers] - Order of tie-breakers (see utils/league.js)
+ * @param {string|Object} [data.format] - Preset name or custom format (see utils/matchFormat.js)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, leagueId, inviteCode }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { resolveFormat, MatchFormatError } = require('../utils/matchFormat');
+const { generateInviteCode } = require('../utils/inviteCode');
+const { validateLeague, emptyStanding, LeagueError } = require('../utils/league');
+const { standingsOf } = require('../services/leagues');
+
+const db = admin.firestore();
+
+// Codes to try before giving up when generated codes are still in use
+const MAX_CODE_ATTEMPTS = 5;
+
+// Export handler for testing
+const createLeagueHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'createLeague');
+
+    const uid = context.auth.uid;
+    logger.debug('createLeague called', { uid, name: data?.name, format: data?.format });
+
+    // Step 2: Validate the settings and the match format (default format if none)
+    let settings;
+    let format;
+    try {
+      settings = validateLeague(data, { maxMembers: config.LEAGUE_MAX_MEMBERS });
+      format = resolveFormat(data?.format);
+    } catch (error) {
+      if (!(error instanceof LeagueError) && !(error instanceof MatchFormatError)) {
+        throw error;
+      }
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
+
+    // Step 3: Create the league under an unused code, trying a new one on collision
+    for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+      const code = generateInviteCode();
+      const leagueRef = db.collection('leagues').doc();
+
+      const created = await runTransactionWithRetry(db, async (transaction) => {
+        const [holders, userDoc] = await Promise.all([
+          transaction.get(db.collection('leagues').where('invite_code', '==', code).limit(1)),
+          transaction.get(db.collection('users').doc(uid))
+        ]);
+
+        if (!userDoc.exists) {
+          throw new functions.https.HttpsError(
+            'not-found',
+            'user not found'
+          );
+        }
+        if (!holders.empty) {
+          return false;
+        }
+
+        const timestamp = getServerTimestamp();
+        transaction.set(leagueRef, {
+          name: settings.name,
+          created_by: uid,
+          format,
+          format_key: format.key,
+          tie_breakers: settings.tieBreakers,
+          status: 'open',
+          max_members: settings.maxMembers,
+          member_uids: [uid],
+          // Cleared when the league starts, which frees the code
+          invite_code: code,
+          rounds: null,
+          fixtures_total: 0,
+          fixtures_done: 0,
+          winner_uid: null,
+          created_at: timestamp,
+          started_at: null,
+          ended_at: null
+        });
+        transaction.set(standingsOf(leagueRef.id).doc(uid), {
+          ...emptyStanding(uid, userDoc.data().username || null),
+          updated_at: timestamp
+        });
+        return true;
+      });
+
+      if (created) {
+        logger.info('League created', { uid, leagueId: leagueRef.id, format: format.key });
+        return {
+          success: true,
+          leagueId: leagueRef.id,
+          inviteCode: code
+        };
+      }
+
+      logger.debug('Invite code in use, retrying', { uid, attempt });
+    }
+
+    logger.error('Could not find a free invite code', { uid, attempts: MAX_CODE_ATTEMPTS });
+    throw new functions.https.HttpsError(
+      'unavailable',
+      'Could not create a league, please try again'
+    );
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in createLeague', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(createLeagueHandler);
+
+// Export handler for testing
+module.exports.handler = createLeagueHandler;
@@ -2,10 +2,11 @@
  * Create user profile with username
  * 
  * Callable function that creates a user profile with a unique username.
- * Validates App Check, auth, email verification, username format, and ensures uniqueness.
+ * Validates App Check, auth, email verification and the username policy, and
+ * ensures uniqueness of the name's canonical key (so look-alikes are refused).
  * 
  * @param {Object} data - Request data containing username
- * @param {string} data.username - Username (8-15 chars, lowercase/numbers/underscore, not starting with _ or number)
+ * @param {string} data.username - Username (see utils/username.js for the policy)
  * @param {Object} context - Callable context with auth information
  * @returns {Promise<Object>} Success response
  */
@@ -15,6 +16,15 @@ const admin = require('firebase-admin');
 const logger = require('../utils/logger');
 const { validateAuthAndEmail } = require('../utils/auth');
 const { getServerTimestamp } = require('../utils/firestore');
+const { ratingFields } = require('../services/ratings');
+const { initialRating } = require('../utils/rating');
+const { validateUsername, UsernamePolicyError } = require('../utils/username');
+const {
+  findReservation,
+  isUsernameFree,
+  usernameConflict,
+  reserveUsername
+} = require('../services/usernames');
 
 const db = admin.firestore();
 
@@ -39,19 +49,24 @@ const createNewUserHandler = async (data, context) => {
       );
     }
 
-    const username = data.username.trim();
-
-    // Step 4: Validate username format
-    // Rules:
+    // Step 4: Validate username against the policy
+    // Rules (see utils/username.js):
     // - Min 8 chars, max 15 chars
     // - Only lowercase letters, numbers, and underscore
     // - Cannot start with _ or number
-    const usernameRegex = /^[a-z][a-z0-9_]{7,14}$/;
-    if (!usernameRegex.test(username)) {
-      logger.warn('Username validation failed', { uid, username });
+    // - No reserved or offensive words
+    let username;
+    try {
+      username = validateUsername(data.username);
+    } catch (error) {
+      if (!(error instanceof UsernamePolicyError)) {
+        throw error;
+      }
+      logger.warn('Username validation failed', { uid, username: data.username, rule: error.rule });
       throw new functions.https.HttpsError(
         'invalid-argument',
-        'username rules failed'
+        error.message,
+        { rule: error.rule }
       );
     }
 
@@ -67,10 +82,9 @@ const createNewUserHandler = async (data, context) => {
     }
 
     // Step 6: Create user and username documents atomically using Firestore transaction
-    // We use a separate 'usernames' collection (document ID = username) to ensure
-    // atomic uniqueness checks, since Firestore transactions can read documents by ID
-    // but cannot perform queries
-    const usernameRef = db.collection('usernames').doc(username);
+    // We use a separate 'usernames' collection (document ID = canonical key of the
+    // username, see services/usernames.js) to ensure atomic uniqueness checks, since
+    // Firestore transactions can read documents by ID but cannot perform queries
     let userCreated = false;
     const maxRetries = 3;
     const retryDelay = 500; // 0.5 seconds
@@ -94,28 +108,29 @@ const createNewUserHandler = async (data, context) => {
             throw new Error('User already exists');
           }
 
-          // Check if username is already taken by reading the username document
-          const usernameDocSnapshot = await transaction.get(usernameRef);
-          if (usernameDocSnapshot.exists) {
-            logger.warn('Username already taken in transaction', { uid, username });
+          // Check if the username (or a look-alike) is already taken
+          const reservation = await findReservation(transaction, username);
+          if (reservation && !isUsernameFree(reservation.data, uid, Date.now())) {
+            const conflict = usernameConflict(username, reservation.data);
+            logger.warn('Username already taken in transaction', { uid, username, rule: conflict.rule });
             throw new functions.https.HttpsError(
               'already-exists',
-              `username ${username} already taken`
+              conflict.message,
+              { rule: conflict.rule }
             );
           }
 
           // Both checks passed, create both documents atomically
           // Create username document (for uniqueness tracking)
-          transaction.set(usernameRef, {
-            uid: uid,
-            created_at: timestamp
-          });
+          reserveUsername(transaction, username, uid, timestamp);
 
-          // Create user document
+          // Create user document, starting at the initial skill rating
           transaction.set(userRef, {
             created_at: timestamp,
             username: username,
-            email_address: userRecord.email
+            email_address: userRecord.email,
+            ...ratingFields(initialRating()),
+            rated_games: 0
           });
         });
 
@@ -0,0 +1,132 @@
+/**
+ * Create private match function
+ *
+ * Callable function that opens a private room for playing a specific friend.
+ * Returns a short invite code the host shares; the friend joins with
+ * joinPrivateMatch. Codes expire after PRIVATE_ROOM_TTL_MS and can be used once.
+ *
+ * @param {Object} data - Request data
+ * @param {string|Object} [data.format] - Preset name or custom format (see utils/matchFormat.js)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the invite code and its expiry
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { resolveFormat, MatchFormatError } = require('../utils/matchFormat');
+const { generateInviteCode } = require('../utils/inviteCode');
+
+const db = admin.firestore();
+
+// Codes to try before giving up when generated codes are still in use
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Check whether a room still holds its code
+ *
+ * Expired, cancelled and joined rooms free their code for reuse.
+ *
+ * @param {Object} room - Room document data
+ * @param {number} now - Current epoch millis
+ * @returns {boolean} True if the code is taken
+ */
+function holdsCode(room, now) {
+  return room.status === 'open' && room.expires_at_ms > now;
+}
+
+// Export handler for testing
+const createPrivateMatchHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'createPrivateMatch');
+
+    const uid = context.auth.uid;
+    logger.debug('createPrivateMatch called', { uid, format: data?.format });
+
+    // Step 2: Validate the requested match format (default format if none)
+    let format;
+    try {
+      format = resolveFormat(data?.format);
+    } catch (error) {
+      if (!(error instanceof MatchFormatError)) {
+        throw error;
+      }
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
+
+    // Step 3: Reserve an unused code, trying a new one on collision
+    for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+      const code = generateInviteCode();
+      const roomRef = db.collection('private_rooms').doc(code);
+      const now = Date.now();
+      const expiresAtMs = now + config.PRIVATE_ROOM_TTL_MS;
+
+      const reserved = await runTransactionWithRetry(db, async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (roomDoc.exists && holdsCode(roomDoc.data(), now)) {
+          return false;
+        }
+
+        transaction.set(roomRef, {
+          code,
+          host_uid: uid,
+          status: 'open',
+          format,
+          format_key: format.key,
+          guest_uid: null,
+          match_id: null,
+          expires_at_ms: expiresAtMs,
+          created_at: getServerTimestamp()
+        });
+        return true;
+      });
+
+      if (reserved) {
+        logger.info('Private room created', { uid, code, format: format.key });
+        return {
+          success: true,
+          code,
+          expiresAtMs
+        };
+      }
+
+      logger.debug('Invite code in use, retrying', { uid, attempt });
+    }
+
+    logger.error('Could not find a free invite code', { uid, attempts: MAX_CODE_ATTEMPTS });
+    throw new functions.https.HttpsError(
+      'unavailable',
+      'Could not create a private room, please try again'
+    );
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in createPrivateMatch', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(createPrivateMatchHandler);
+
+// Export handler for testing
+module.exports.handler = createPrivateMatchHandler;
@@ -0,0 +1,108 @@
+/**
+ * Create tournament function
+ *
+ * Callable function that schedules a knockout tournament. Players register
+ * with registerForTournament until it starts; at `startsAtMs` the
+ * advanceTournaments job seeds the bracket and plays it out round by round
+ * (see utils/tournament.js). The creator does not take part unless they
+ * register too.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.name - Tournament name
+ * @param {number} data.maxPlayers - Largest field (up to TOURNAMENT_MAX_PLAYERS)
+ * @param {number} data.startsAtMs - Epoch millis when registration closes and play starts
+ * @param {string|Object} [data.format] - Preset name or custom format (see utils/matchFormat.js)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the tournament ID
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp } = require('../utils/firestore');
+const { resolveFormat, MatchFormatError } = require('../utils/matchFormat');
+const { validateTournament, TournamentError } = require('../utils/tournament');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const createTournamentHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'createTournament');
+
+    const uid = context.auth.uid;
+    logger.debug('createTournament called', { uid, name: data?.name, format: data?.format });
+
+    // Step 2: Validate the settings and the match format (default format if none)
+    let settings;
+    let format;
+    try {
+      settings = validateTournament(data, Date.now(), {
+        maxPlayers: config.TOURNAMENT_MAX_PLAYERS,
+        maxLeadMs: config.TOURNAMENT_MAX_LEAD_MS
+      });
+      format = resolveFormat(data?.format);
+    } catch (error) {
+      if (!(error instanceof TournamentError) && !(error instanceof MatchFormatError)) {
+        throw error;
+      }
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
+
+    // Step 3: Create the tournament, open for registration
+    const tournamentRef = db.collection('tournaments').doc();
+    await tournamentRef.set({
+      name: settings.name,
+      created_by: uid,
+      format,
+      format_key: format.key,
+      status: 'registration',
+      max_players: settings.maxPlayers,
+      player_count: 0,
+      starts_at_ms: settings.startsAtMs,
+      bracket_size: null,
+      rounds: null,
+      current_round: 0,
+      winner_uid: null,
+      created_at: getServerTimestamp(),
+      started_at: null,
+      ended_at: null
+    });
+
+    logger.info('Tournament created', { uid, tournamentId: tournamentRef.id, format: format.key });
+
+    return {
+      success: true,
+      tournamentId: tournamentRef.id
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in createTournament', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(createTournamentHandler);
+
+// Export handler for testing
+module.exports.handler = createTournamentHandler;
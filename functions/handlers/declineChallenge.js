@@ -0,0 +1,99 @@
+/**
+ * Decline challenge function
+ *
+ * Callable function that turns down a challenge from the caller's inbox (see
+ * challengeUser) and tells the challenger through their inbox. A challenge
+ * that has passed its expiry can still be declined, so the client can clear
+ * it before the expireChallenges sweep gets to it.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.challengeId - ID of the challenge in the caller's inbox
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { inboxItems, notifyChallengeSender } = require('../services/inbox');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const declineChallengeHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'declineChallenge');
+
+    const uid = context.auth.uid;
+    logger.debug('declineChallenge called', { uid, challengeId: data?.challengeId });
+
+    // Step 2: Validate challengeId input
+    if (!data || typeof data.challengeId !== 'string' || data.challengeId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'challengeId is required and must be a string'
+      );
+    }
+
+    const challengeRef = inboxItems(uid).doc(data.challengeId);
+
+    // Step 3: Mark the challenge declined and tell the challenger
+    const fromUid = await runTransactionWithRetry(db, async (transaction) => {
+      const challengeDoc = await transaction.get(challengeRef);
+      const challenge = challengeDoc.exists ? challengeDoc.data() : null;
+
+      if (!challenge || challenge.type !== 'challenge') {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'challenge not found'
+        );
+      }
+      if (challenge.status !== 'pending') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `challenge already ${challenge.status}`
+        );
+      }
+
+      transaction.update(challengeRef, {
+        status: 'declined',
+        responded_at: getServerTimestamp()
+      });
+      notifyChallengeSender(transaction, challenge, challengeRef.id, 'declined');
+
+      return challenge.from_uid;
+    });
+
+    logger.info('Challenge declined', { uid, fromUid });
+
+    return {
+      success: true
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in declineChallenge', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(declineChallengeHandler);
+
+// Export handler for testing
+module.exports.handler = declineChallengeHandler;
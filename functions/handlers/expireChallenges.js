@@ -0,0 +1,93 @@
+/**
+ * Expire challenges function
+ *
+ * Scheduled function that closes direct challenges nobody answered (see
+ * challengeUser). Finds pending challenges past `expires_at_ms` in every
+ * inbox, marks them expired and tells each challenger through their inbox.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of challenges that were expired
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { notifyChallengeSender } = require('../services/inbox');
+
+const db = admin.firestore();
+
+// Maximum number of expired challenges handled per run
+const BATCH_SIZE = 100;
+
+/**
+ * Expire a single challenge
+ *
+ * Re-reads the challenge in a transaction so an answer at the last moment
+ * is never overwritten.
+ *
+ * @param {admin.firestore.DocumentReference} challengeRef - Challenge to expire
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<boolean>} True if the challenge was expired
+ */
+async function expireChallenge(challengeRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const challengeDoc = await transaction.get(challengeRef);
+    if (!challengeDoc.exists) {
+      return false;
+    }
+
+    const challenge = challengeDoc.data();
+    if (challenge.status !== 'pending' || challenge.expires_at_ms > now) {
+      return false;
+    }
+
+    transaction.update(challengeRef, {
+      status: 'expired',
+      responded_at: getServerTimestamp()
+    });
+    notifyChallengeSender(transaction, challenge, challengeRef.id, 'expired');
+    return true;
+  });
+}
+
+// Export handler for testing
+const expireChallengesHandler = async (context) => {
+  const now = Date.now();
+
+  // Inbox items share the "items" collection group; the type filter keeps it to challenges
+  const snapshot = await db.collectionGroup('items')
+    .where('type', '==', 'challenge')
+    .where('status', '==', 'pending')
+    .where('expires_at_ms', '<=', now)
+    .limit(BATCH_SIZE)
+    .get();
+
+  let expired = 0;
+  for (const challengeDoc of snapshot.docs) {
+    try {
+      if (await expireChallenge(challengeDoc.ref, now)) {
+        expired++;
+        logger.info('Challenge expired', { path: challengeDoc.ref.path });
+      }
+    } catch (error) {
+      // Keep going: one bad challenge should not block the rest
+      logger.error('Failed to expire challenge', {
+        path: challengeDoc.ref.path,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.debug('expireChallenges finished', { candidates: snapshot.size, expired });
+  return expired;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(expireChallengesHandler);
+
+// Export handler for testing
+module.exports.handler = expireChallengesHandler;
@@ -0,0 +1,102 @@
+/**
+ * Expire disconnects function
+ *
+ * Scheduled function that ends matches whose reconnect grace window has
+ * passed. The opponent of a player who did not come back wins by walkover;
+ * if neither player came back, the match is abandoned.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of matches that were ended
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { ACTIVE_MATCH_STATUSES, walkoverFields } = require('../services/matches');
+
+const db = admin.firestore();
+
+// Maximum number of expired disconnects handled per run
+const BATCH_SIZE = 100;
+
+/**
+ * End a single match whose grace window has passed
+ *
+ * Re-reads the match in a transaction so a player reconnecting at the last
+ * moment is never overwritten.
+ *
+ * @param {admin.firestore.DocumentReference} matchRef - Match to expire
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<string[]|null>} UIDs that did not come back, or null if nothing was due
+ */
+async function expireDisconnect(matchRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const matchDoc = await transaction.get(matchRef);
+    if (!matchDoc.exists) {
+      return null;
+    }
+
+    const match = matchDoc.data();
+    if (!ACTIVE_MATCH_STATUSES.includes(match.status)) {
+      return null;
+    }
+
+    const gone = match.players.filter(uid => match.disconnected?.[uid] !== undefined &&
+      match.disconnected[uid] <= now);
+    if (gone.length === 0) {
+      return null;
+    }
+
+    let update;
+    if (gone.length === match.players.length) {
+      const timestamp = getServerTimestamp();
+      update = { status: 'abandoned', ball: null, ended_at: timestamp, updated_at: timestamp };
+    } else {
+      update = walkoverFields(match, gone[0]);
+    }
+
+    transaction.update(matchRef, { ...update, reconnect_deadline_at_ms: null });
+    return gone;
+  });
+}
+
+// Export handler for testing
+const expireDisconnectsHandler = async (context) => {
+  const now = Date.now();
+
+  const snapshot = await db.collection('matches')
+    .where('status', 'in', ACTIVE_MATCH_STATUSES)
+    .where('reconnect_deadline_at_ms', '<=', now)
+    .limit(BATCH_SIZE)
+    .get();
+
+  let expired = 0;
+  for (const matchDoc of snapshot.docs) {
+    try {
+      const gone = await expireDisconnect(matchDoc.ref, now);
+      if (gone) {
+        expired++;
+        logger.info('Reconnect window passed, match ended', { matchId: matchDoc.id, gone });
+      }
+    } catch (error) {
+      // Keep going: one bad match should not block the rest
+      logger.error('Failed to expire disconnect', {
+        matchId: matchDoc.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.debug('expireDisconnects finished', { candidates: snapshot.size, expired });
+  return expired;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(expireDisconnectsHandler);
+
+// Export handler for testing
+module.exports.handler = expireDisconnectsHandler;
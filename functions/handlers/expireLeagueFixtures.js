@@ -0,0 +1,65 @@
+/**
+ * Expire league fixtures function
+ *
+ * Scheduled function that voids league fixtures left unplayed past their
+ * `deadline_at_ms` (set by startLeague), so a member who never plays cannot
+ * hold up the league. A fixture whose game is still being played is kept;
+ * onMatchCompleted records it as usual.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of fixtures that were voided
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { voidUnplayedFixtures } = require('../services/leagues');
+
+const db = admin.firestore();
+
+// Maximum number of overdue fixtures handled per run
+const BATCH_SIZE = 100;
+
+// Export handler for testing
+const expireLeagueFixturesHandler = async (context) => {
+  const now = Date.now();
+
+  // Only leagues have "fixtures" subcollections
+  const snapshot = await db.collectionGroup('fixtures')
+    .where('status', 'in', ['scheduled', 'playing'])
+    .where('deadline_at_ms', '<=', now)
+    .limit(BATCH_SIZE)
+    .get();
+
+  // One transaction per league, re-reading its fixtures
+  const leagueIds = [...new Set(snapshot.docs.map(doc => doc.ref.parent.parent.id))];
+
+  let voided = 0;
+  for (const leagueId of leagueIds) {
+    try {
+      const count = await voidUnplayedFixtures(leagueId, fixture => fixture.deadline_at_ms <= now);
+      if (count > 0) {
+        voided += count;
+        logger.info('Overdue league fixtures voided', { leagueId, count });
+      }
+    } catch (error) {
+      // Keep going: one bad league should not block the rest
+      logger.error('Failed to expire league fixtures', {
+        leagueId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.debug('expireLeagueFixtures finished', { candidates: snapshot.size, voided });
+  return voided;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 60 minutes')
+  .onRun(expireLeagueFixturesHandler);
+
+// Export handler for testing
+module.exports.handler = expireLeagueFixturesHandler;
@@ -0,0 +1,202 @@
+/**
+ * Expire moves function
+ *
+ * Scheduled function that enforces the per-ball move deadline.
+ * Finds matches whose current ball has timed out and plays for every idle
+ * player. A player who times out MAX_CONSECUTIVE_TIMEOUTS balls in a row
+ * forfeits the match; if both do, the match is abandoned.
+ * Matches with a disconnected player are skipped until they resume.
+ *
+ * Runs once a minute, so a ball is expired between MOVE_TIMEOUT_MS and
+ * MOVE_TIMEOUT_MS plus one minute after it was dealt (20 to 80 seconds in
+ * production); players can act until then.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of balls that were expired
+ */
+
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getServerTimestamp } = require('../utils/firestore');
+const { resolveBall, forfeitFields } = require('../services/matches');
+const { getCurrentInnings } = require('../utils/gameEngine');
+
+const db = admin.firestore();
+
+// Maximum number of expired balls handled per run, and the query page size
+const BATCH_SIZE = 100;
+
+// Maximum number of query pages read per run, paused matches included
+const MAX_PAGES = 10;
+
+// Stored instead of a hash when the server picked for an idle player
+const AUTO_COMMITMENT = 'auto';
+
+/**
+ * Pick for every idle player on a ball
+ *
+ * While commitments are still missing, the players who have not committed
+ * are idle and get a random pick. Once both have committed, the players who
+ * have not revealed are. A player who withholds their reveal after the other
+ * player revealed theirs loses the ball: a batter is out, a bowler concedes
+ * the batter's pick. Otherwise withholding would swap a committed pick for a
+ * random one. A pick the server made for the other player does not count as
+ * a reveal, so nobody is punished when neither player revealed.
+ * Idle players get an automatic commitment and a revealed pick, so they can
+ * no longer act on this ball.
+ *
+ * @param {Object} ball - Ball state
+ * @param {Object} game - Game state (players, pick range, current innings)
+ * @param {Function} [randomInt] - Random integer source, for tests
+ * @returns {Object} { ball, idle } where idle lists the UIDs picked for
+ */
+function autoPlayIdle(ball, game, randomInt = crypto.randomInt) {
+  const { players, format } = game;
+  const allCommitted = players.every(uid => ball.commitments[uid]);
+  const idle = players.filter(uid => (allCommitted
+    ? ball.reveals[uid] === undefined
+    : !ball.commitments[uid]));
+
+  const { batter } = getCurrentInnings(game);
+  const commitments = { ...ball.commitments };
+  const reveals = { ...ball.reveals };
+  idle.forEach((uid) => {
+    const other = players.find(player => player !== uid);
+    const otherPick = ball.reveals[other];
+    const otherRevealed = otherPick !== undefined && ball.commitments[other] !== AUTO_COMMITMENT;
+    commitments[uid] = commitments[uid] || AUTO_COMMITMENT;
+    if (!allCommitted || !otherRevealed) {
+      reveals[uid] = randomInt(format.min_pick, format.max_pick + 1);
+    } else if (uid === batter) {
+      reveals[uid] = otherPick;
+    } else {
+      // Any number but the batter's
+      const pick = randomInt(format.min_pick, format.max_pick);
+      reveals[uid] = pick >= otherPick ? pick + 1 : pick;
+    }
+  });
+
+  return { ball: { ...ball, commitments, reveals }, idle };
+}
+
+/**
+ * Expire the current ball of a single match
+ *
+ * Re-reads the match in a transaction so a player acting at the last moment
+ * is never overwritten.
+ *
+ * @param {admin.firestore.DocumentReference} matchRef - Match to expire
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<Object|null>} { idle, forfeited }, or null if nothing was due
+ */
+async function expireBall(matchRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const matchDoc = await transaction.get(matchRef);
+    if (!matchDoc.exists) {
+      return null;
+    }
+
+    const match = matchDoc.data();
+    if (match.status !== 'in_progress' || !match.ball || match.ball.deadline_at_ms > now) {
+      return null;
+    }
+
+    // Paused while a player is disconnected (see presenceDisconnect)
+    if (match.reconnect_deadline_at_ms) {
+      return null;
+    }
+
+    const { ball, idle } = autoPlayIdle(match.ball, match.game);
+
+    const timeouts = { ...match.timeouts };
+    idle.forEach((uid) => {
+      timeouts[uid] = (timeouts[uid] || 0) + 1;
+    });
+    const forfeited = idle.filter(uid => timeouts[uid] >= config.MAX_CONSECUTIVE_TIMEOUTS);
+
+    let update;
+    if (forfeited.length === match.players.length) {
+      // Nobody is playing any more
+      const timestamp = getServerTimestamp();
+      update = { status: 'abandoned', ball: null, ended_at: timestamp, updated_at: timestamp };
+    } else if (forfeited.length > 0) {
+      update = forfeitFields(match.game, forfeited[0]);
+    } else if (match.players.every(uid => ball.reveals[uid] !== undefined)) {
+      update = resolveBall(match.game, ball).fields;
+    } else {
+      // Picked for the player who never committed: the other one still has to reveal
+      update = {
+        ball: { ...ball, deadline_at_ms: now + config.MOVE_TIMEOUT_MS },
+        updated_at: getServerTimestamp()
+      };
+    }
+
+    transaction.update(matchRef, { ...update, timeouts });
+    return { idle, forfeited };
+  });
+}
+
+// Export handler for testing
+const expireMovesHandler = async (context) => {
+  const now = Date.now();
+
+  // Paused matches stay overdue until their player is back, so page past
+  // them rather than let them fill every batch
+  let candidates = 0;
+  let paused = 0;
+  let expired = 0;
+  let lastDoc = null;
+  for (let page = 0; page < MAX_PAGES && candidates - paused < BATCH_SIZE; page++) {
+    let q = db.collection('matches')
+      .where('status', '==', 'in_progress')
+      .where('ball.deadline_at_ms', '<=', now)
+      .orderBy('ball.deadline_at_ms', 'asc')
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      q = q.startAfter(lastDoc);
+    }
+    const snapshot = await q.get();
+    candidates += snapshot.size;
+
+    for (const matchDoc of snapshot.docs) {
+      // Re-checked in the transaction; skipped here to save one
+      if (matchDoc.data().reconnect_deadline_at_ms) {
+        paused++;
+        continue;
+      }
+      try {
+        const outcome = await expireBall(matchDoc.ref, now);
+        if (outcome) {
+          expired++;
+          logger.info('Move timed out, picked for idle players', { matchId: matchDoc.id, ...outcome });
+        }
+      } catch (error) {
+        // Keep going: one bad match should not block the rest
+        logger.error('Failed to expire move', {
+          matchId: matchDoc.id,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    if (snapshot.size < BATCH_SIZE) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.size - 1];
+  }
+
+  logger.debug('expireMoves finished', { candidates, paused, expired });
+  return expired;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(expireMovesHandler);
+
+// Export handler for testing
+module.exports.handler = expireMovesHandler;
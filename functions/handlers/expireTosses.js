@@ -0,0 +1,107 @@
+/**
+ * Expire tosses function
+ *
+ * Scheduled function that decides for idle players in the toss phase.
+ * Finds matches whose toss deadline has passed and fills in a random call,
+ * random fingers or a random bat/bowl choice for whoever did not act.
+ * Matches with a disconnected player are skipped until they resume.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of matches that were moved on
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getServerTimestamp } = require('../utils/firestore');
+const { startGameFields } = require('../services/matches');
+const { decideForIdle, getBattingOrder } = require('../utils/toss');
+
+const db = admin.firestore();
+
+// Maximum number of expired tosses handled per run
+const BATCH_SIZE = 100;
+
+/**
+ * Decides for idle players on a single match
+ *
+ * Re-reads the match in a transaction so a player acting at the last moment
+ * is never overwritten.
+ *
+ * @param {admin.firestore.DocumentReference} matchRef - Match to expire
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<string[]|null>} UIDs decided for, or null if nothing was due
+ */
+async function expireToss(matchRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const matchDoc = await transaction.get(matchRef);
+    if (!matchDoc.exists) {
+      return null;
+    }
+
+    const match = matchDoc.data();
+    if (match.status !== 'toss' || match.toss.deadline_at_ms > now) {
+      return null;
+    }
+
+    // Paused while a player is disconnected (see presenceDisconnect)
+    if (match.reconnect_deadline_at_ms) {
+      return null;
+    }
+
+    const { toss, idle } = decideForIdle(match.toss, match.players);
+    const update = { updated_at: getServerTimestamp() };
+
+    if (toss.choice) {
+      // The winner's choice was made for them: start the game
+      Object.assign(update, { toss }, startGameFields(getBattingOrder(toss, match.players), match.format));
+    } else {
+      // Toss decided for idle players: the winner gets a fresh deadline to choose
+      update.toss = { ...toss, deadline_at_ms: now + config.TOSS_TIMEOUT_MS };
+    }
+
+    transaction.update(matchRef, update);
+    return idle;
+  });
+}
+
+// Export handler for testing
+const expireTossesHandler = async (context) => {
+  const now = Date.now();
+
+  const snapshot = await db.collection('matches')
+    .where('status', '==', 'toss')
+    .where('toss.deadline_at_ms', '<=', now)
+    .limit(BATCH_SIZE)
+    .get();
+
+  let expired = 0;
+  for (const matchDoc of snapshot.docs) {
+    try {
+      const idle = await expireToss(matchDoc.ref, now);
+      if (idle) {
+        expired++;
+        logger.info('Toss timed out, decided for idle players', { matchId: matchDoc.id, idle });
+      }
+    } catch (error) {
+      // Keep going: one bad match should not block the rest
+      logger.error('Failed to expire toss', {
+        matchId: matchDoc.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.debug('expireTosses finished', { candidates: snapshot.size, expired });
+  return expired;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(expireTossesHandler);
+
+// Export handler for testing
+module.exports.handler = expireTossesHandler;
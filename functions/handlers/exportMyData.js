@@ -0,0 +1,61 @@
+/**
+ * Export my data function
+ *
+ * Callable function that returns everything stored about the caller as one
+ * JSON bundle (see services/userData.js), for data access requests.
+ * Timestamps are returned as ISO 8601 strings.
+ *
+ * @param {Object} data - Request data (unused)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the export bundle
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { exportUserData } = require('../services/userData');
+
+// Export handler for testing
+const exportMyDataHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'exportMyData');
+
+    const uid = context.auth.uid;
+    logger.debug('exportMyData called', { uid });
+
+    // Step 2: Collect the caller's data
+    const bundle = await exportUserData(uid);
+
+    logger.info('User data exported', { uid, matches: bundle.matches.length });
+
+    return {
+      success: true,
+      exportedAt: new Date().toISOString(),
+      data: bundle
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in exportMyData', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(exportMyDataHandler);
+
+// Export handler for testing
+module.exports.handler = exportMyDataHandler;
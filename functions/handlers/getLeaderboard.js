@@ -0,0 +1,140 @@
+/**
+ * Get leaderboard function
+ *
+ * Callable function that returns one page of a leaderboard: players ranked
+ * by rating, wins or runs, all-time or for an ISO week (see
+ * utils/leaderboard.js). Pages use the same signed cursors and page size
+ * limits as listItems.
+ *
+ * @param {Object} data - Request data
+ * @param {string} [data.board] - "rating" (default), "wins" or "runs"
+ * @param {string} [data.period] - "all_time" (default) or "weekly"
+ * @param {string} [data.week] - ISO week of a weekly board, e.g. "2024-W05" (default: current week)
+ * @param {number} [data.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [data.cursor] - nextCursor from the previous page
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, board, period, week, items, nextCursor, hasMore }
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { verifyCursor, signPayload } = require('../utils/cursor');
+const { resolveBoard, fieldValue, LeaderboardError } = require('../utils/leaderboard');
+const { boardQuery, boardItem } = require('../services/leaderboards');
+
+// Export handler for testing
+const getLeaderboardHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'getLeaderboard');
+
+    const uid = context.auth.uid;
+    logger.debug('getLeaderboard called', { uid, board: data?.board, period: data?.period, week: data?.week });
+
+    // Step 2: Validate the board and page size
+    let spec;
+    try {
+      spec = resolveBoard(data, Date.now());
+    } catch (error) {
+      if (!(error instanceof LeaderboardError)) {
+        throw error;
+      }
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
+    const { board, period, week, field } = spec;
+
+    const requestedSize = parseInt(data?.limit ?? config.DEFAULT_PAGE_SIZE, 10);
+    if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'limit must be a positive number'
+      );
+    }
+    const pageSize = Math.min(requestedSize, config.MAX_PAGE_SIZE);
+
+    // Step 3: Build the query with deterministic ordering
+    let q = boardQuery(spec).limit(pageSize + 1);
+
+    // Step 4: Apply the cursor, which must come from the same board
+    let rankBefore = 0;
+    if (data?.cursor) {
+      let payload;
+      try {
+        payload = verifyCursor(data.cursor);
+      } catch (err) {
+        logger.warn('Invalid cursor', { error: err.message, uid });
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid or expired cursor'
+        );
+      }
+      if (payload.board !== board || payload.period !== period || payload.week !== week) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'cursor belongs to a different leaderboard'
+        );
+      }
+      q = q.startAfter(payload.lastValue, payload.docId);
+      rankBefore = payload.rank;
+    }
+
+    // Step 5: Read the page
+    const snapshot = await q.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const items = docs.map((doc, i) => boardItem(spec, doc, rankBefore + i + 1));
+
+    // Step 6: Sign a cursor for the next page if there is one
+    let nextCursor = null;
+    if (snapshot.docs.length === pageSize + 1) {
+      const last = docs[docs.length - 1];
+      nextCursor = signPayload({
+        lastValue: fieldValue(last.data(), field),
+        docId: last.id,
+        rank: rankBefore + docs.length,
+        board,
+        period,
+        week,
+        v: 1,
+        exp: Date.now() + config.CURSOR_TTL_MS
+      });
+    }
+
+    return {
+      success: true,
+      board,
+      period,
+      week,
+      items,
+      nextCursor,
+      hasMore: !!nextCursor
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in getLeaderboard', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(getLeaderboardHandler);
+
+// Export handler for testing
+module.exports.handler = getLeaderboardHandler;
@@ -0,0 +1,106 @@
+/**
+ * Get league table function
+ *
+ * Callable function that returns a league's summary and its points table,
+ * ranked on the server by points and then the league's tie-breakers (see
+ * utils/league.js). Leagues are private: only members can see them.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.leagueId - League to show
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, league, table }
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { rankStandings } = require('../utils/league');
+const { leagueRef, standingsOf, leagueSummary } = require('../services/leagues');
+
+/**
+ * Build the public row of a standing
+ *
+ * @param {Object} standing - Ranked standing
+ * @returns {Object} { position, uid, username, played, won, lost, tied, points, nrr }
+ */
+function tableRow(standing) {
+  return {
+    position: standing.position,
+    uid: standing.uid,
+    username: standing.username,
+    played: standing.played,
+    won: standing.won,
+    lost: standing.lost,
+    tied: standing.tied,
+    points: standing.points,
+    nrr: standing.nrr
+  };
+}
+
+// Export handler for testing
+const getLeagueTableHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'getLeagueTable');
+
+    const uid = context.auth.uid;
+    logger.debug('getLeagueTable called', { uid, leagueId: data?.leagueId });
+
+    // Step 2: Validate leagueId input
+    if (!data || typeof data.leagueId !== 'string' || data.leagueId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'leagueId is required and must be a string'
+      );
+    }
+
+    // Step 3: Load the league; members only
+    const leagueDoc = await leagueRef(data.leagueId).get();
+    if (!leagueDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'League not found'
+      );
+    }
+    const league = leagueDoc.data();
+    if (!league.member_uids.includes(uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Not a member of this league'
+      );
+    }
+
+    // Step 4: Rank the table
+    const standingsSnapshot = await standingsOf(data.leagueId).get();
+    const table = rankStandings(standingsSnapshot.docs.map(doc => doc.data()), league.tie_breakers);
+
+    return {
+      success: true,
+      league: leagueSummary(data.leagueId, league),
+      table: table.map(tableRow)
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in getLeagueTable', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(getLeagueTableHandler);
+
+// Export handler for testing
+module.exports.handler = getLeagueTableHandler;
@@ -0,0 +1,119 @@
+/**
+ * Get match function
+ *
+ * Callable function that returns a match with its ball-by-ball scorecard and
+ * a compact replay the client can animate (see utils/scorecard.js).
+ * Finished matches can be viewed by any signed-in player; matches still
+ * being played only by their two players. Picks of the ball being played are
+ * never returned, so a player cannot see the other's pick before revealing.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.matchId - Match document ID
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the match view
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { ACTIVE_MATCH_STATUSES } = require('../services/matches');
+const { buildScorecard, encodeReplay, ballStatus, tossStatus } = require('../utils/scorecard');
+
+const db = admin.firestore();
+
+/**
+ * Convert a Firestore timestamp to an ISO 8601 string
+ *
+ * @param {*} value - Timestamp, or anything else
+ * @returns {string|null} ISO string, or null if value is not a timestamp
+ */
+function toIsoString(value) {
+  return value && typeof value.toDate === 'function' ? value.toDate().toISOString() : null;
+}
+
+// Export handler for testing
+const getMatchHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'getMatch');
+
+    const uid = context.auth.uid;
+    logger.debug('getMatch called', { uid, matchId: data?.matchId });
+
+    // Step 2: Validate matchId input
+    if (!data || typeof data.matchId !== 'string' || data.matchId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'matchId is required and must be a string'
+      );
+    }
+
+    // Step 3: Load the match
+    const matchDoc = await db.collection('matches').doc(data.matchId).get();
+    if (!matchDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Match not found'
+      );
+    }
+
+    // Step 4: Only players may follow a match that is still being played
+    const match = matchDoc.data();
+    const active = ACTIVE_MATCH_STATUSES.includes(match.status);
+    if (active && !match.players.includes(uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only players can view a match in progress'
+      );
+    }
+
+    // Step 5: Build the view without any unrevealed pick
+    return {
+      success: true,
+      match: {
+        id: matchDoc.id,
+        players: match.players,
+        source: match.source,
+        format: match.format,
+        status: match.status,
+        result: match.result || null,
+        toss: tossStatus(match.toss, match.players),
+        ball: active ? ballStatus(match.ball, match.players) : null,
+        scorecard: buildScorecard(match.game),
+        replay: encodeReplay(match.game),
+        rematch: match.rematch ? {
+          requested_by: match.rematch.requested_by,
+          expires_at_ms: match.rematch.expires_at_ms,
+          match_id: match.rematch.match_id
+        } : null,
+        created_at: toIsoString(match.created_at),
+        started_at: toIsoString(match.started_at),
+        ended_at: toIsoString(match.ended_at)
+      }
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in getMatch', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(getMatchHandler);
+
+// Export handler for testing
+module.exports.handler = getMatchHandler;
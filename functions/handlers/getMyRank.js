@@ -0,0 +1,89 @@
+/**
+ * Get my rank function
+ *
+ * Callable function that returns the caller's exact rank on a leaderboard
+ * (see getLeaderboard) and the players ranked just above and below them,
+ * as rows in the same shape as leaderboard pages. Ranks come from count
+ * aggregations, so the board is never scanned.
+ *
+ * @param {Object} data - Request data
+ * @param {string} [data.board] - "rating" (default), "wins" or "runs"
+ * @param {string} [data.period] - "all_time" (default) or "weekly"
+ * @param {string} [data.week] - ISO week of a weekly board (default: current week)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, board, period, week, rank, total, items }
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { resolveBoard, LeaderboardError } = require('../utils/leaderboard');
+const { findRank } = require('../services/leaderboards');
+
+// Players returned on each side of the caller
+const NEIGHBOURS = 10;
+
+// Export handler for testing
+const getMyRankHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'getMyRank');
+
+    const uid = context.auth.uid;
+    logger.debug('getMyRank called', { uid, board: data?.board, period: data?.period, week: data?.week });
+
+    // Step 2: Validate the board
+    let spec;
+    try {
+      spec = resolveBoard(data, Date.now());
+    } catch (error) {
+      if (!(error instanceof LeaderboardError)) {
+        throw error;
+      }
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
+    const { board, period, week } = spec;
+
+    // Step 3: Count the rank and read the neighbourhood
+    const found = await findRank(spec, uid, NEIGHBOURS);
+
+    // Players who have not played (this week) are not on the board yet
+    if (!found) {
+      return { success: true, board, period, week, rank: null, total: null, items: [] };
+    }
+
+    return {
+      success: true,
+      board,
+      period,
+      week,
+      ...found
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in getMyRank', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(getMyRankHandler);
+
+// Export handler for testing
+module.exports.handler = getMyRankHandler;
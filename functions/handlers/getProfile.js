@@ -0,0 +1,91 @@
+/**
+ * Get profile function
+ *
+ * Callable function that returns a player's public profile, looked up by
+ * UID or by username: username, rating and career stats (see
+ * services/profiles.js). Private fields such as the email address are never
+ * returned.
+ *
+ * @param {Object} data - Request data, exactly one of:
+ * @param {string} [data.uid] - UID of the player
+ * @param {string} [data.username] - Current username of the player
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the public profile
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { publicProfile } = require('../services/profiles');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const getProfileHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'getProfile');
+
+    const uid = context.auth.uid;
+    logger.debug('getProfile called', { uid, target: data?.uid, username: data?.username });
+
+    // Step 2: Validate the lookup key
+    const byUid = typeof data?.uid === 'string' && data.uid.length > 0;
+    const byUsername = typeof data?.username === 'string' && data.username.trim().length > 0;
+    if (byUid === byUsername) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'provide either uid or username'
+      );
+    }
+
+    // Step 3: Find the user document
+    let userDoc;
+    if (byUid) {
+      userDoc = await db.collection('users').doc(data.uid).get();
+    } else {
+      const snapshot = await db.collection('users')
+        .where('username', '==', data.username.trim())
+        .limit(1)
+        .get();
+      userDoc = snapshot.docs[0];
+    }
+
+    if (!userDoc || !userDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'player not found'
+      );
+    }
+
+    // Step 4: Return only the public fields
+    return {
+      success: true,
+      profile: publicProfile(userDoc.id, userDoc.data())
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in getProfile', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(getProfileHandler);
+
+// Export handler for testing
+module.exports.handler = getProfileHandler;
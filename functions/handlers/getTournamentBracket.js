@@ -0,0 +1,169 @@
+/**
+ * Get tournament bracket function
+ *
+ * Callable function that returns a tournament's summary and one page of its
+ * bracket, round by round and slot by slot (see services/tournaments.js).
+ * Pages use the same signed cursors and page size limits as listItems; the
+ * round filter is bound into the cursor.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.tournamentId - Tournament to show
+ * @param {number} [data.round] - Only this round
+ * @param {number} [data.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [data.cursor] - nextCursor from the previous page
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, tournament, items, nextCursor, hasMore }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { verifyCursor, signPayload } = require('../utils/cursor');
+const { tournamentRef, bracketOf, tournamentSummary } = require('../services/tournaments');
+
+/**
+ * Build the public row of a bracket slot
+ *
+ * @param {string} id - Slot document ID
+ * @param {Object} slot - Slot document data
+ * @returns {Object} { id, round, slot, players, seeds, status, match_id, winner_uid }
+ */
+function slotItem(id, slot) {
+  return {
+    id,
+    round: slot.round,
+    slot: slot.slot,
+    players: slot.players,
+    seeds: slot.seeds,
+    status: slot.status,
+    match_id: slot.match_id,
+    winner_uid: slot.winner_uid
+  };
+}
+
+// Export handler for testing
+const getTournamentBracketHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'getTournamentBracket');
+
+    const uid = context.auth.uid;
+    logger.debug('getTournamentBracket called', { uid, tournamentId: data?.tournamentId, round: data?.round });
+
+    // Step 2: Validate the tournament, round filter and page size
+    if (!data || typeof data.tournamentId !== 'string' || data.tournamentId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'tournamentId is required and must be a string'
+      );
+    }
+    const tournamentId = data.tournamentId;
+
+    const round = data.round ?? null;
+    if (round !== null && (!Number.isInteger(round) || round < 1)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'round must be a positive whole number'
+      );
+    }
+
+    const requestedSize = parseInt(data.limit ?? config.DEFAULT_PAGE_SIZE, 10);
+    if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'limit must be a positive number'
+      );
+    }
+    const pageSize = Math.min(requestedSize, config.MAX_PAGE_SIZE);
+
+    // Step 3: Load the tournament
+    const tournamentDoc = await tournamentRef(tournamentId).get();
+    if (!tournamentDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Tournament not found'
+      );
+    }
+
+    // Step 4: Build the query; slot IDs sort by round, then slot
+    let q = bracketOf(tournamentId);
+    if (round !== null) {
+      q = q.where('round', '==', round);
+    }
+    q = q.orderBy(admin.firestore.FieldPath.documentId(), 'asc').limit(pageSize + 1);
+
+    // Step 5: Apply the cursor, which must carry the same tournament and round
+    if (data.cursor) {
+      let payload;
+      try {
+        payload = verifyCursor(data.cursor);
+      } catch (err) {
+        logger.warn('Invalid cursor', { error: err.message, uid });
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid or expired cursor'
+        );
+      }
+      if (payload.tournamentId !== tournamentId || payload.round !== round) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'cursor belongs to a different listing'
+        );
+      }
+      q = q.startAfter(payload.docId);
+    }
+
+    // Step 6: Read the page
+    const snapshot = await q.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const items = docs.map(doc => slotItem(doc.id, doc.data()));
+
+    // Step 7: Sign a cursor for the next page if there is one
+    let nextCursor = null;
+    if (snapshot.docs.length === pageSize + 1) {
+      // The slot ID is both the ordered value and the tie-break
+      const lastId = docs[docs.length - 1].id;
+      nextCursor = signPayload({
+        lastValue: lastId,
+        docId: lastId,
+        tournamentId,
+        round,
+        v: 1,
+        exp: Date.now() + config.CURSOR_TTL_MS
+      });
+    }
+
+    return {
+      success: true,
+      tournament: tournamentSummary(tournamentId, tournamentDoc.data()),
+      items,
+      nextCursor,
+      hasMore: !!nextCursor
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in getTournamentBracket', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(getTournamentBracketHandler);
+
+// Export handler for testing
+module.exports.handler = getTournamentBracketHandler;
@@ -0,0 +1,129 @@
+/**
+ * Join league function
+ *
+ * Callable function for joining a league by its invite code while the
+ * league is still open. Players with a block between them and any member
+ * cannot join, since every member plays every other member.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.code - Invite code (case, spaces and dashes are ignored)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, leagueId, memberCount }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { normalizeInviteCode } = require('../utils/inviteCode');
+const { emptyStanding } = require('../utils/league');
+const { standingsOf } = require('../services/leagues');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const joinLeagueHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'joinLeague');
+
+    const uid = context.auth.uid;
+    logger.debug('joinLeague called', { uid });
+
+    // Step 2: Validate the invite code
+    const code = normalizeInviteCode(data?.code);
+    if (!code) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'code must be a 6 character invite code'
+      );
+    }
+
+    // Step 3: Add the member while there is room
+    const joined = await runTransactionWithRetry(db, async (transaction) => {
+      const [leagues, userDoc] = await Promise.all([
+        transaction.get(db.collection('leagues').where('invite_code', '==', code).limit(1)),
+        transaction.get(db.collection('users').doc(uid))
+      ]);
+
+      if (leagues.empty) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Invite code not found'
+        );
+      }
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'user not found'
+        );
+      }
+
+      const leagueDoc = leagues.docs[0];
+      const league = leagueDoc.data();
+      const user = userDoc.data();
+      if (league.member_uids.includes(uid)) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'Already a member'
+        );
+      }
+      if (league.member_uids.length >= league.max_members) {
+        throw new functions.https.HttpsError(
+          'resource-exhausted',
+          'League is full'
+        );
+      }
+      // Blocks are mutual, so the joiner's list covers both sides
+      if ((user.blocked_uids || []).some(blockedUid => league.member_uids.includes(blockedUid))) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot join this league'
+        );
+      }
+
+      const memberUids = [...league.member_uids, uid];
+      transaction.update(leagueDoc.ref, {
+        member_uids: memberUids
+      });
+      transaction.set(standingsOf(leagueDoc.id).doc(uid), {
+        ...emptyStanding(uid, user.username || null),
+        updated_at: getServerTimestamp()
+      });
+
+      return { leagueId: leagueDoc.id, memberCount: memberUids.length };
+    });
+
+    logger.info('Joined league', { uid, leagueId: joined.leagueId });
+
+    return {
+      success: true,
+      leagueId: joined.leagueId,
+      memberCount: joined.memberCount
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in joinLeague', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(joinLeagueHandler);
+
+// Export handler for testing
+module.exports.handler = joinLeagueHandler;
@@ -0,0 +1,131 @@
+/**
+ * Join private match function
+ *
+ * Callable function for joining a friend's private room by invite code.
+ * Creates the match for both players and closes the room, so each code can
+ * be used once. The host learns the match ID from their room document.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.code - Invite code (case, spaces and dashes are ignored)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the match ID
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { createMatchInTransaction } = require('../services/matches');
+const { isBlocked } = require('../services/friends');
+const { normalizeInviteCode } = require('../utils/inviteCode');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const joinPrivateMatchHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'joinPrivateMatch');
+
+    const uid = context.auth.uid;
+    logger.debug('joinPrivateMatch called', { uid, code: data?.code });
+
+    // Step 2: Validate the code
+    const code = normalizeInviteCode(data?.code);
+    if (!code) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'code must be a 6 character invite code'
+      );
+    }
+
+    const roomRef = db.collection('private_rooms').doc(code);
+
+    // Step 3: Claim the room and create the match atomically
+    const matchId = await runTransactionWithRetry(db, async (transaction) => {
+      const roomDoc = await transaction.get(roomRef);
+      const room = roomDoc.exists ? roomDoc.data() : null;
+
+      if (!room || room.status === 'cancelled') {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Invite code not found'
+        );
+      }
+
+      if (room.host_uid === uid) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'You cannot join your own room'
+        );
+      }
+
+      if (room.status === 'joined') {
+        throw new functions.https.HttpsError(
+          'resource-exhausted',
+          'Room is full'
+        );
+      }
+
+      if (room.expires_at_ms <= Date.now()) {
+        throw new functions.https.HttpsError(
+          'deadline-exceeded',
+          'Invite code has expired'
+        );
+      }
+
+      if (await isBlocked(transaction, uid, room.host_uid)) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot play this player'
+        );
+      }
+
+      const newMatchId = createMatchInTransaction(transaction, {
+        players: [room.host_uid, uid],
+        source: 'private',
+        format: room.format
+      });
+
+      transaction.update(roomRef, {
+        status: 'joined',
+        guest_uid: uid,
+        match_id: newMatchId,
+        joined_at: getServerTimestamp()
+      });
+
+      return newMatchId;
+    });
+
+    logger.info('Private room joined', { uid, code, matchId });
+
+    return {
+      success: true,
+      matchId
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in joinPrivateMatch', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(joinPrivateMatchHandler);
+
+// Export handler for testing
+module.exports.handler = joinPrivateMatchHandler;
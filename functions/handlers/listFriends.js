@@ -0,0 +1,152 @@
+/**
+ * List friends function
+ *
+ * Callable function that returns one page of the caller's friends, or of
+ * the friend requests they received or sent, newest first. Modelled on
+ * listItems: deterministic ordering by `created_at` and document ID, signed
+ * cursors and the same page size limits. The list is bound into the cursor.
+ *
+ * @param {Object} data - Request data
+ * @param {string} [data.list] - "friends" (default), "incoming" or "outgoing"
+ * @param {number} [data.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [data.cursor] - nextCursor from the previous page
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, list, items, nextCursor, hasMore }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { verifyCursor, signPayload } = require('../utils/cursor');
+const { FRIEND_LISTS } = require('../services/friends');
+
+const db = admin.firestore();
+
+// Where each list is stored: collection, the caller's field and the other player's field
+const LIST_SOURCES = {
+  friends: { collection: 'friends', ownField: 'uid', otherField: 'friend_uid' },
+  incoming: { collection: 'friend_requests', ownField: 'to_uid', otherField: 'from_uid' },
+  outgoing: { collection: 'friend_requests', ownField: 'from_uid', otherField: 'to_uid' }
+};
+
+// Export handler for testing
+const listFriendsHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'listFriends');
+
+    const uid = context.auth.uid;
+    logger.debug('listFriends called', { uid, list: data?.list });
+
+    // Step 2: Validate the list and page size
+    const list = data?.list ?? 'friends';
+    if (!FRIEND_LISTS.includes(list)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `list must be one of: ${FRIEND_LISTS.join(', ')}`
+      );
+    }
+    const source = LIST_SOURCES[list];
+
+    const requestedSize = parseInt(data?.limit ?? config.DEFAULT_PAGE_SIZE, 10);
+    if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'limit must be a positive number'
+      );
+    }
+    const pageSize = Math.min(requestedSize, config.MAX_PAGE_SIZE);
+
+    // Step 3: Build the query with deterministic ordering
+    let q = db.collection(source.collection)
+      .where(source.ownField, '==', uid)
+      .orderBy('created_at', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+      .limit(pageSize + 1);
+
+    // Step 4: Apply the cursor, which must come from the same list
+    if (data?.cursor) {
+      let payload;
+      try {
+        payload = verifyCursor(data.cursor);
+      } catch (err) {
+        logger.warn('Invalid cursor', { error: err.message, uid });
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid or expired cursor'
+        );
+      }
+      if (payload.uid !== uid || payload.list !== list) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'cursor belongs to a different listing'
+        );
+      }
+      q = q.startAfter(admin.firestore.Timestamp.fromMillis(payload.lastValue), payload.docId);
+    }
+
+    // Step 5: Read the page and the other players' current usernames
+    const snapshot = await q.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const otherUids = docs.map(doc => doc.data()[source.otherField]);
+    const userDocs = otherUids.length > 0
+      ? await db.getAll(...otherUids.map(otherUid => db.collection('users').doc(otherUid)))
+      : [];
+
+    const items = docs.map((doc, i) => {
+      const createdAt = doc.data().created_at;
+      return {
+        uid: otherUids[i],
+        username: userDocs[i].exists ? userDocs[i].data().username || null : null,
+        since: createdAt && typeof createdAt.toDate === 'function' ? createdAt.toDate().toISOString() : null
+      };
+    });
+
+    // Step 6: Sign a cursor for the next page if there is one
+    let nextCursor = null;
+    if (snapshot.docs.length === pageSize + 1) {
+      const last = docs[docs.length - 1];
+      nextCursor = signPayload({
+        lastValue: last.data().created_at.toMillis(),
+        docId: last.id,
+        uid,
+        list,
+        v: 1,
+        exp: Date.now() + config.CURSOR_TTL_MS
+      });
+    }
+
+    return {
+      success: true,
+      list,
+      items,
+      nextCursor,
+      hasMore: !!nextCursor
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in listFriends', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(listFriendsHandler);
+
+// Export handler for testing
+module.exports.handler = listFriendsHandler;
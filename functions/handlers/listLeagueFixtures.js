@@ -0,0 +1,175 @@
+/**
+ * List league fixtures function
+ *
+ * Callable function that returns one page of a league's fixtures, round by
+ * round. Pages use the same signed cursors and page size limits as
+ * listItems; the round filter is bound into the cursor. Only members can
+ * list a league's fixtures.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.leagueId - League to list
+ * @param {number} [data.round] - Only this round
+ * @param {number} [data.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [data.cursor] - nextCursor from the previous page
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, items, nextCursor, hasMore }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { verifyCursor, signPayload } = require('../utils/cursor');
+const { leagueRef, fixturesOf } = require('../services/leagues');
+
+/**
+ * Build the public row of a fixture
+ *
+ * @param {string} id - Fixture document ID
+ * @param {Object} fixture - Fixture document data
+ * @returns {Object} { id, round, number, players, status, match_id, result, deadline_at_ms }
+ */
+function fixtureItem(id, fixture) {
+  return {
+    id,
+    round: fixture.round,
+    number: fixture.number,
+    players: fixture.players,
+    status: fixture.status,
+    match_id: fixture.match_id,
+    result: fixture.result,
+    // Leagues started before fixtures had deadlines have none
+    deadline_at_ms: fixture.deadline_at_ms ?? null
+  };
+}
+
+// Export handler for testing
+const listLeagueFixturesHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'listLeagueFixtures');
+
+    const uid = context.auth.uid;
+    logger.debug('listLeagueFixtures called', { uid, leagueId: data?.leagueId, round: data?.round });
+
+    // Step 2: Validate the league, round filter and page size
+    if (!data || typeof data.leagueId !== 'string' || data.leagueId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'leagueId is required and must be a string'
+      );
+    }
+    const leagueId = data.leagueId;
+
+    const round = data.round ?? null;
+    if (round !== null && (!Number.isInteger(round) || round < 1)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'round must be a positive whole number'
+      );
+    }
+
+    const requestedSize = parseInt(data.limit ?? config.DEFAULT_PAGE_SIZE, 10);
+    if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'limit must be a positive number'
+      );
+    }
+    const pageSize = Math.min(requestedSize, config.MAX_PAGE_SIZE);
+
+    // Step 3: Load the league; members only
+    const leagueDoc = await leagueRef(leagueId).get();
+    if (!leagueDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'League not found'
+      );
+    }
+    if (!leagueDoc.data().member_uids.includes(uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Not a member of this league'
+      );
+    }
+
+    // Step 4: Build the query; fixture IDs sort by round, then fixture
+    let q = fixturesOf(leagueId);
+    if (round !== null) {
+      q = q.where('round', '==', round);
+    }
+    q = q.orderBy(admin.firestore.FieldPath.documentId(), 'asc').limit(pageSize + 1);
+
+    // Step 5: Apply the cursor, which must carry the same league and round
+    if (data.cursor) {
+      let payload;
+      try {
+        payload = verifyCursor(data.cursor);
+      } catch (err) {
+        logger.warn('Invalid cursor', { error: err.message, uid });
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid or expired cursor'
+        );
+      }
+      if (payload.leagueId !== leagueId || payload.round !== round) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'cursor belongs to a different listing'
+        );
+      }
+      q = q.startAfter(payload.docId);
+    }
+
+    // Step 6: Read the page
+    const snapshot = await q.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const items = docs.map(doc => fixtureItem(doc.id, doc.data()));
+
+    // Step 7: Sign a cursor for the next page if there is one
+    let nextCursor = null;
+    if (snapshot.docs.length === pageSize + 1) {
+      // The fixture ID is both the ordered value and the tie-break
+      const lastId = docs[docs.length - 1].id;
+      nextCursor = signPayload({
+        lastValue: lastId,
+        docId: lastId,
+        leagueId,
+        round,
+        v: 1,
+        exp: Date.now() + config.CURSOR_TTL_MS
+      });
+    }
+
+    return {
+      success: true,
+      items,
+      nextCursor,
+      hasMore: !!nextCursor
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in listLeagueFixtures', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(listLeagueFixturesHandler);
+
+// Export handler for testing
+module.exports.handler = listLeagueFixturesHandler;
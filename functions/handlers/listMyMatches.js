@@ -0,0 +1,160 @@
+/**
+ * List my matches function
+ *
+ * Callable function that returns one page of the caller's finished matches,
+ * most recently ended first. Modelled on listItems: deterministic ordering
+ * by `ended_at` and document ID, signed cursors and the same page size
+ * limits. The filters are bound into the cursor, so a cursor cannot be
+ * replayed against a different filter.
+ *
+ * @param {Object} data - Request data
+ * @param {string} [data.result] - Only "won", "lost" or "abandoned" matches
+ * @param {string|Object} [data.format] - Only matches of this format (preset name or custom format, as for quickMatch)
+ * @param {number} [data.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [data.cursor] - nextCursor from the previous page
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, items, nextCursor, hasMore }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { verifyCursor, signPayload } = require('../utils/cursor');
+const { resolveFormat, MatchFormatError } = require('../utils/matchFormat');
+const { FINISHED_MATCH_STATUSES, RESULT_FILTERS, historyItem } = require('../utils/matchHistory');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const listMyMatchesHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'listMyMatches');
+
+    const uid = context.auth.uid;
+    logger.debug('listMyMatches called', { uid, result: data?.result, format: data?.format });
+
+    // Step 2: Validate the filters and page size
+    const result = data?.result ?? null;
+    if (result !== null && !RESULT_FILTERS.includes(result)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `result must be one of: ${RESULT_FILTERS.join(', ')}`
+      );
+    }
+
+    let formatKey = null;
+    if (data?.format !== undefined && data?.format !== null) {
+      try {
+        formatKey = resolveFormat(data.format).key;
+      } catch (error) {
+        if (!(error instanceof MatchFormatError)) {
+          throw error;
+        }
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          error.message
+        );
+      }
+    }
+
+    const requestedSize = parseInt(data?.limit ?? config.DEFAULT_PAGE_SIZE, 10);
+    if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'limit must be a positive number'
+      );
+    }
+    const pageSize = Math.min(requestedSize, config.MAX_PAGE_SIZE);
+
+    // Step 3: Build the query with deterministic ordering
+    let q = db.collection('matches');
+    if (result === 'won') {
+      q = q.where('result.winner', '==', uid);
+    } else if (result === 'lost') {
+      q = q.where('result.loser', '==', uid);
+    } else {
+      q = q.where('players', 'array-contains', uid)
+        .where('status', 'in', result === 'abandoned' ? ['abandoned'] : FINISHED_MATCH_STATUSES);
+    }
+    if (formatKey) {
+      q = q.where('format.key', '==', formatKey);
+    }
+    q = q.orderBy('ended_at', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+      .limit(pageSize + 1);
+
+    // Step 4: Apply the cursor, which must carry the same filters
+    if (data?.cursor) {
+      let payload;
+      try {
+        payload = verifyCursor(data.cursor);
+      } catch (err) {
+        logger.warn('Invalid cursor', { error: err.message, uid });
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid or expired cursor'
+        );
+      }
+      if (payload.uid !== uid || payload.result !== result || payload.format !== formatKey) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'cursor belongs to a different listing'
+        );
+      }
+      q = q.startAfter(admin.firestore.Timestamp.fromMillis(payload.lastValue), payload.docId);
+    }
+
+    // Step 5: Read the page
+    const snapshot = await q.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const items = docs.map(doc => historyItem(doc.id, doc.data(), uid));
+
+    // Step 6: Sign a cursor for the next page if there is one
+    let nextCursor = null;
+    if (snapshot.docs.length === pageSize + 1) {
+      const last = docs[docs.length - 1];
+      nextCursor = signPayload({
+        lastValue: last.data().ended_at.toMillis(),
+        docId: last.id,
+        uid,
+        result,
+        format: formatKey,
+        v: 1,
+        exp: Date.now() + config.CURSOR_TTL_MS
+      });
+    }
+
+    return {
+      success: true,
+      items,
+      nextCursor,
+      hasMore: !!nextCursor
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in listMyMatches', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(listMyMatchesHandler);
+
+// Export handler for testing
+module.exports.handler = listMyMatchesHandler;
@@ -0,0 +1,94 @@
+/**
+ * List online friends function
+ *
+ * Callable function that returns the caller's friends who are online right
+ * now, with what each is doing: "idle", "in_queue" or "in_match" (see
+ * services/presence.js). Friends who hide their online state are left out,
+ * as if offline.
+ *
+ * Built for a few hundred friends: one query for the friend list, parallel
+ * presence reads, then batched reads for the online friends only.
+ *
+ * @param {Object} data - Request data (unused)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, items: [{ uid, username, status }] } sorted by username
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { showsOnline, findOnline, findActivities } = require('../services/presence');
+
+const db = admin.firestore();
+
+// Friends looked at per call
+const MAX_FRIENDS = 500;
+
+// Export handler for testing
+const listOnlineFriendsHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'listOnlineFriends');
+
+    const uid = context.auth.uid;
+    logger.debug('listOnlineFriends called', { uid });
+
+    // Step 2: Read the friend list
+    const friendsSnapshot = await db.collection('friends')
+      .where('uid', '==', uid)
+      .limit(MAX_FRIENDS)
+      .get();
+    const friendUids = friendsSnapshot.docs.map(doc => doc.data().friend_uid);
+
+    // Step 3: Keep the friends with a presence entry
+    const onlineUids = await findOnline(friendUids);
+    if (onlineUids.length === 0) {
+      return { success: true, items: [] };
+    }
+
+    // Step 4: Drop friends who hide their online state
+    const userDocs = await db.getAll(...onlineUids.map(friendUid => db.collection('users').doc(friendUid)));
+    const visible = userDocs
+      .map((userDoc, i) => ({ uid: onlineUids[i], user: userDoc.exists ? userDoc.data() : null }))
+      .filter(friend => friend.user && showsOnline(friend.user));
+
+    // Step 5: Tell what each of them is doing
+    const activities = await findActivities(visible.map(friend => friend.uid));
+    const items = visible
+      .map(friend => ({
+        uid: friend.uid,
+        username: friend.user.username || null,
+        status: activities[friend.uid]
+      }))
+      .sort((a, b) => (a.username || '').localeCompare(b.username || ''));
+
+    return {
+      success: true,
+      items
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in listOnlineFriends', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(listOnlineFriendsHandler);
+
+// Export handler for testing
+module.exports.handler = listOnlineFriendsHandler;
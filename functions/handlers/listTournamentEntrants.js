@@ -0,0 +1,153 @@
+/**
+ * List tournament entrants function
+ *
+ * Callable function that returns one page of a tournament's entrants in
+ * registration order. Pages use the same signed cursors and page size
+ * limits as listItems; a cursor only works for the tournament it came from.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.tournamentId - Tournament to list
+ * @param {number} [data.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @param {string} [data.cursor] - nextCursor from the previous page
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, items, nextCursor, hasMore }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { verifyCursor, signPayload } = require('../utils/cursor');
+const { tournamentRef, entrantsOf } = require('../services/tournaments');
+
+/**
+ * Build the public row of an entrant
+ *
+ * @param {Object} entrant - Entrant document data
+ * @returns {Object} { uid, username, seed, status, eliminated_in_round, registered_at }
+ */
+function entrantItem(entrant) {
+  const registeredAt = entrant.registered_at;
+  return {
+    uid: entrant.uid,
+    username: entrant.username,
+    seed: entrant.seed,
+    status: entrant.status,
+    eliminated_in_round: entrant.eliminated_in_round,
+    registered_at: registeredAt && typeof registeredAt.toDate === 'function' ? registeredAt.toDate().toISOString() : null
+  };
+}
+
+// Export handler for testing
+const listTournamentEntrantsHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'listTournamentEntrants');
+
+    const uid = context.auth.uid;
+    logger.debug('listTournamentEntrants called', { uid, tournamentId: data?.tournamentId });
+
+    // Step 2: Validate the tournament and page size
+    if (!data || typeof data.tournamentId !== 'string' || data.tournamentId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'tournamentId is required and must be a string'
+      );
+    }
+    const tournamentId = data.tournamentId;
+
+    const requestedSize = parseInt(data.limit ?? config.DEFAULT_PAGE_SIZE, 10);
+    if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'limit must be a positive number'
+      );
+    }
+    const pageSize = Math.min(requestedSize, config.MAX_PAGE_SIZE);
+
+    // Step 3: Check the tournament exists
+    const tournamentDoc = await tournamentRef(tournamentId).get();
+    if (!tournamentDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Tournament not found'
+      );
+    }
+
+    // Step 4: Build the query with deterministic ordering
+    let q = entrantsOf(tournamentId)
+      .orderBy('registered_at', 'asc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'asc')
+      .limit(pageSize + 1);
+
+    // Step 5: Apply the cursor, which must come from the same tournament
+    if (data.cursor) {
+      let payload;
+      try {
+        payload = verifyCursor(data.cursor);
+      } catch (err) {
+        logger.warn('Invalid cursor', { error: err.message, uid });
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid or expired cursor'
+        );
+      }
+      if (payload.tournamentId !== tournamentId) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'cursor belongs to a different listing'
+        );
+      }
+      q = q.startAfter(admin.firestore.Timestamp.fromMillis(payload.lastValue), payload.docId);
+    }
+
+    // Step 6: Read the page
+    const snapshot = await q.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const items = docs.map(doc => entrantItem(doc.data()));
+
+    // Step 7: Sign a cursor for the next page if there is one
+    let nextCursor = null;
+    if (snapshot.docs.length === pageSize + 1) {
+      const last = docs[docs.length - 1];
+      nextCursor = signPayload({
+        lastValue: last.data().registered_at.toMillis(),
+        docId: last.id,
+        tournamentId,
+        v: 1,
+        exp: Date.now() + config.CURSOR_TTL_MS
+      });
+    }
+
+    return {
+      success: true,
+      items,
+      nextCursor,
+      hasMore: !!nextCursor
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in listTournamentEntrants', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(listTournamentEntrantsHandler);
+
+// Export handler for testing
+module.exports.handler = listTournamentEntrantsHandler;
@@ -0,0 +1,137 @@
+/**
+ * Migrate username keys function
+ *
+ * Scheduled function that moves username reservations to the canonical key
+ * of the current USERNAME_KEY_VERSION (see utils/username.js): reservations
+ * keyed by the raw username from before canonical keys existed, and ones
+ * keyed by an older version of the key. Until a reservation is moved,
+ * look-alikes of its name are not caught.
+ *
+ * Walks the whole `usernames` collection in document ID order, one batch per
+ * run, and remembers where it stopped in `migrations/username_keys`. Once it
+ * reaches the end it does nothing until the key version changes again.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of reservations that were moved
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { USERNAME_KEY_VERSION, usernameKey } = require('../utils/username');
+
+const db = admin.firestore();
+
+// Maximum number of reservations checked per run
+const BATCH_SIZE = 200;
+
+/**
+ * Move a single reservation to its canonical key
+ *
+ * Re-reads the reservation in a transaction so a name renamed or released
+ * at the same moment is never lost. When the canonical key already belongs
+ * to someone else, two look-alikes were taken before the key caught them;
+ * both are left where they are.
+ *
+ * @param {admin.firestore.DocumentReference} usernameRef - Reservation to move
+ * @returns {Promise<boolean>} True if the reservation was moved
+ */
+async function migrateReservation(usernameRef) {
+  return db.runTransaction(async (transaction) => {
+    const usernameDoc = await transaction.get(usernameRef);
+    if (!usernameDoc.exists) {
+      return false;
+    }
+
+    const reservation = usernameDoc.data();
+    // Legacy reservations are keyed by the exact name
+    const username = reservation.username || usernameRef.id;
+    const key = usernameKey(username);
+    if (key === usernameRef.id) {
+      return false;
+    }
+
+    const canonicalRef = db.collection('usernames').doc(key);
+    const canonicalDoc = await transaction.get(canonicalRef);
+    if (canonicalDoc.exists) {
+      const canonical = canonicalDoc.data();
+      if (canonical.uid !== reservation.uid) {
+        logger.warn('Look-alike usernames reserved by different users', {
+          username,
+          key,
+          otherUsername: canonical.username || key
+        });
+        return false;
+      }
+      // The owner's name in use wins over a name they gave up
+      if (!canonical.released_at || reservation.released_at) {
+        transaction.delete(usernameRef);
+        return true;
+      }
+    }
+
+    transaction.set(canonicalRef, { ...reservation, username });
+    transaction.delete(usernameRef);
+    return true;
+  });
+}
+
+// Export handler for testing
+const migrateUsernameKeysHandler = async (context) => {
+  const stateRef = db.collection('migrations').doc('username_keys');
+  const stateDoc = await stateRef.get();
+  const state = stateDoc.exists ? stateDoc.data() : {};
+
+  // Start again from the top whenever the key changes
+  const current = state.version === USERNAME_KEY_VERSION;
+  if (current && state.done) {
+    return 0;
+  }
+
+  let q = db.collection('usernames')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'asc')
+    .limit(BATCH_SIZE);
+  if (current && state.last_id) {
+    q = q.startAfter(state.last_id);
+  }
+  const snapshot = await q.get();
+
+  let moved = 0;
+  for (const usernameDoc of snapshot.docs) {
+    try {
+      if (await migrateReservation(usernameDoc.ref)) {
+        moved++;
+      }
+    } catch (error) {
+      // Keep going: one bad reservation should not block the rest
+      logger.error('Failed to migrate username key', {
+        username: usernameDoc.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  const done = snapshot.size < BATCH_SIZE;
+  await stateRef.set({
+    version: USERNAME_KEY_VERSION,
+    last_id: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1].id : null,
+    done,
+    updated_at: getServerTimestamp()
+  });
+
+  if (done) {
+    logger.info('Username keys migrated', { version: USERNAME_KEY_VERSION });
+  }
+  logger.debug('migrateUsernameKeys finished', { checked: snapshot.size, moved });
+  return moved;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 10 minutes')
+  .onRun(migrateUsernameKeysHandler);
+
+// Export handler for testing
+module.exports.handler = migrateUsernameKeysHandler;
@@ -0,0 +1,68 @@
+/**
+ * Match completed trigger
+ *
+ * Firestore trigger on matches/{matchId}.
+ * Runs once when a match reaches `status: 'completed'` and applies everything
+ * that follows from the result. Every step is idempotent, so the trigger can
+ * safely be retried.
+ *
+ * @param {functions.Change} change - Before/after snapshots of the match document
+ * @param {functions.EventContext} context - Trigger context with params
+ * @returns {Promise<void>}
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const { applyMatchRatings } = require('../services/ratings');
+const { applyMatchStats } = require('../services/stats');
+const { applyLeagueResult } = require('../services/leagues');
+
+// Export handler for testing
+const onMatchCompletedHandler = async (change, context) => {
+  const matchId = context.params.matchId;
+  const before = change.before.exists ? change.before.data() : null;
+  const after = change.after.exists ? change.after.data() : null;
+
+  // Only react to the transition into 'completed'
+  if (!after || after.status !== 'completed' || before?.status === 'completed') {
+    return;
+  }
+
+  logger.debug('onMatchCompleted triggered', { matchId, result: after.result });
+
+  try {
+    // Step 1: Update both players' skill ratings
+    const ratings = await applyMatchRatings(matchId, after);
+    if (ratings) {
+      logger.info('Ratings updated for completed match', { matchId, ratings });
+    }
+
+    // Step 2: Add the match to both players' career stats
+    const stats = await applyMatchStats(matchId, after);
+    if (stats) {
+      logger.info('Career stats updated for completed match', { matchId, players: Object.keys(stats) });
+    }
+
+    // Step 3: Record league games in the points table
+    const league = await applyLeagueResult(matchId, after);
+    if (league) {
+      logger.info('League table updated for completed match', { matchId, ...league });
+    }
+  } catch (error) {
+    // Log and rethrow so the trigger can be retried
+    logger.error('Unexpected error in onMatchCompleted', {
+      error: error.message,
+      stack: error.stack,
+      matchId
+    });
+    throw error;
+  }
+};
+
+// Export the Firestore trigger
+module.exports = functions.firestore
+  .document('matches/{matchId}')
+  .onUpdate(onMatchCompletedHandler);
+
+// Export handler for testing
+module.exports.handler = onMatchCompletedHandler;
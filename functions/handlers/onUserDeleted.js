@@ -0,0 +1,44 @@
+/**
+ * User deleted trigger
+ *
+ * Auth trigger that runs when a Firebase Auth user is deleted and removes
+ * everything stored about them (see services/userData.js): the profile and
+ * its history, username reservations, queue entry and hosted private rooms.
+ * Active matches end with a walkover for the opponent.
+ *
+ * @param {admin.auth.UserRecord} user - Deleted user
+ * @param {functions.EventContext} context - Trigger context
+ * @returns {Promise<Object>} Summary of what was removed
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const { deleteUserData } = require('../services/userData');
+
+// Export handler for testing
+const onUserDeletedHandler = async (user, context) => {
+  const uid = user.uid;
+  logger.debug('onUserDeleted triggered', { uid });
+
+  try {
+    const summary = await deleteUserData(uid);
+    logger.info('Deleted user data removed', { uid, ...summary });
+    return summary;
+  } catch (error) {
+    // Log and rethrow so the trigger can be retried
+    logger.error('Unexpected error in onUserDeleted', {
+      error: error.message,
+      stack: error.stack,
+      uid
+    });
+    throw error;
+  }
+};
+
+// Export the Auth trigger
+module.exports = functions.auth
+  .user()
+  .onDelete(onUserDeletedHandler);
+
+// Export handler for testing
+module.exports.handler = onUserDeletedHandler;
@@ -0,0 +1,56 @@
+/**
+ * Quick match queue matcher
+ *
+ * Firestore trigger on quick_matchmaking_queue/{uid}.
+ * Whenever a player starts waiting, pairs waiting entries that asked for the
+ * same match format and are within each other's rating band (see
+ * utils/matchmaking.js) into new `matches/{matchId}` documents, and tells the
+ * clients the match ID through their queue documents.
+ *
+ * @param {functions.Change} change - Before/after snapshots of the queue document
+ * @param {functions.EventContext} context - Trigger context with params
+ * @returns {Promise<number>} Number of pairs created
+ */
+
+const functions = require('firebase-functions');
+const logger = require('../utils/logger');
+const { pairWaitingEntries } = require('../services/matchmaking');
+const { getDefaultFormat } = require('../utils/matchFormat');
+
+// Export handler for testing
+const pairQuickMatchQueueHandler = async (change, context) => {
+  // Only react when an entry starts waiting (new entry or re-queue)
+  const after = change.after.exists ? change.after.data() : null;
+  const before = change.before.exists ? change.before.data() : null;
+  if (!after || after.status !== 'waiting' || before?.status === 'waiting') {
+    return 0;
+  }
+
+  // Default format if the entry does not carry one
+  const format = after.format || getDefaultFormat();
+  logger.debug('pairQuickMatchQueue triggered', { uid: context.params.uid, format: format.key });
+
+  try {
+    const pairs = await pairWaitingEntries(format, Date.now());
+    pairs.forEach((pair) => {
+      logger.info('Players matched from quick matchmaking queue', pair);
+    });
+    return pairs.length;
+  } catch (error) {
+    // Log and rethrow so the trigger can be retried
+    logger.error('Unexpected error in pairQuickMatchQueue', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.params.uid
+    });
+    throw error;
+  }
+};
+
+// Export the Firestore trigger
+module.exports = functions.firestore
+  .document('quick_matchmaking_queue/{uid}')
+  .onWrite(pairQuickMatchQueueHandler);
+
+// Export handler for testing
+module.exports.handler = pairQuickMatchQueueHandler;
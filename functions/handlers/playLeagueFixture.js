@@ -0,0 +1,200 @@
+/**
+ * Play league fixture function
+ *
+ * Callable function that starts the game of one of the caller's league
+ * fixtures. Both players must be online, as for a challenge; an offline
+ * opponent who hides their online state gets a generic answer that does not
+ * say why. The result is recorded in the points table by onMatchCompleted;
+ * a fixture whose game was abandoned can be played again.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.leagueId - League of the fixture
+ * @param {string} data.fixtureId - Fixture to play (see listLeagueFixtures)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the match ID
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { runTransactionWithRetry } = require('../utils/firestore');
+const { createMatchInTransaction } = require('../services/matches');
+const { isBlocked } = require('../services/friends');
+const { leagueRef, fixturesOf } = require('../services/leagues');
+const { showsOnline } = require('../services/presence');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+
+/**
+ * Check whether a player has a presence entry
+ *
+ * @param {string} uid - Player UID
+ * @returns {Promise<boolean>} True if the player is online
+ */
+async function isOnline(uid) {
+  const presenceSnapshot = await rtdb.ref(`presence/${uid}`).once('value');
+  return presenceSnapshot.exists();
+}
+
+// Export handler for testing
+const playLeagueFixtureHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'playLeagueFixture');
+
+    const uid = context.auth.uid;
+    logger.debug('playLeagueFixture called', { uid, leagueId: data?.leagueId, fixtureId: data?.fixtureId });
+
+    // Step 2: Validate leagueId and fixtureId input
+    if (!data || typeof data.leagueId !== 'string' || data.leagueId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'leagueId is required and must be a string'
+      );
+    }
+    if (typeof data.fixtureId !== 'string' || data.fixtureId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'fixtureId is required and must be a string'
+      );
+    }
+
+    // Step 3: Check if user is online, as quickMatch does
+    if (!(await isOnline(uid))) {
+      logger.warn('User not online', { uid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'User Not Online'
+      );
+    }
+
+    const ref = leagueRef(data.leagueId);
+    const fixtureRef = fixturesOf(data.leagueId).doc(data.fixtureId);
+
+    // Step 4: Find the opponent (without locking the fixture yet)
+    const fixtureDoc = await fixtureRef.get();
+    if (!fixtureDoc.exists || !fixtureDoc.data().players.includes(uid)) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Fixture not found'
+      );
+    }
+
+    // Step 5: The opponent must be online too
+    const opponentUid = fixtureDoc.data().players.find(player => player !== uid);
+    if (!(await isOnline(opponentUid))) {
+      const opponentDoc = await db.collection('users').doc(opponentUid).get();
+      const shown = showsOnline(opponentDoc.exists ? opponentDoc.data() : null);
+      logger.warn('Opponent not online', { uid, opponentUid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        shown ? 'Opponent Not Online' : 'Opponent Not Available'
+      );
+    }
+
+    // Step 6: Claim the fixture and create the match atomically
+    const matchId = await runTransactionWithRetry(db, async (transaction) => {
+      const [leagueDoc, lockedDoc, blocked, ownQueueDoc, theirQueueDoc] = await Promise.all([
+        transaction.get(ref),
+        transaction.get(fixtureRef),
+        isBlocked(transaction, uid, opponentUid),
+        transaction.get(db.collection('quick_matchmaking_queue').doc(uid)),
+        transaction.get(db.collection('quick_matchmaking_queue').doc(opponentUid))
+      ]);
+      const fixture = lockedDoc.exists ? lockedDoc.data() : null;
+
+      if (!leagueDoc.exists || !fixture) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Fixture not found'
+        );
+      }
+      if (leagueDoc.data().status !== 'in_progress') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'League is not under way'
+        );
+      }
+      if (fixture.status === 'completed' || fixture.status === 'void') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `fixture already ${fixture.status}`
+        );
+      }
+      if (fixture.status === 'playing') {
+        // Only an abandoned game frees the fixture again
+        const currentMatch = await transaction.get(db.collection('matches').doc(fixture.match_id));
+        if (currentMatch.exists && currentMatch.data().status !== 'abandoned') {
+          throw new functions.https.HttpsError(
+            'already-exists',
+            'Fixture is already being played'
+          );
+        }
+      }
+      if (blocked) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot play this player'
+        );
+      }
+      if (ownQueueDoc.exists && ownQueueDoc.data().status === 'waiting') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Leave the quick match queue first'
+        );
+      }
+      if (theirQueueDoc.exists && theirQueueDoc.data().status === 'waiting') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Player is looking for a quick match'
+        );
+      }
+
+      const createdMatchId = createMatchInTransaction(transaction, {
+        players: fixture.players,
+        source: 'league',
+        format: leagueDoc.data().format,
+        league: { league_id: data.leagueId, fixture_id: data.fixtureId }
+      });
+
+      transaction.update(fixtureRef, {
+        status: 'playing',
+        match_id: createdMatchId
+      });
+
+      return createdMatchId;
+    });
+
+    logger.info('League fixture started', { uid, leagueId: data.leagueId, fixtureId: data.fixtureId, matchId });
+
+    return {
+      success: true,
+      matchId
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in playLeagueFixture', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(playLeagueFixtureHandler);
+
+// Export handler for testing
+module.exports.handler = playLeagueFixtureHandler;
@@ -0,0 +1,103 @@
+/**
+ * Presence disconnect trigger
+ *
+ * Realtime Database trigger on presence/{uid} being deleted.
+ * Removes the user from the quick matchmaking queue and marks them
+ * disconnected in their active matches, which starts the reconnect grace
+ * window. Move and toss timers are paused while anyone is disconnected.
+ * See presenceReconnect and expireDisconnects for how the window ends.
+ *
+ * @param {functions.database.DataSnapshot} snapshot - Deleted presence data
+ * @param {functions.EventContext} context - Trigger context with params
+ * @returns {Promise<number>} Number of matches the user was marked disconnected in
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getServerTimestamp, deleteWithRetry } = require('../utils/firestore');
+const { ACTIVE_MATCH_STATUSES } = require('../services/matches');
+
+const db = admin.firestore();
+
+/**
+ * Mark a player disconnected on a single match
+ *
+ * @param {admin.firestore.DocumentReference} matchRef - Match to update
+ * @param {string} uid - Disconnected player
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<number|null>} Reconnect deadline, or null if nothing changed
+ */
+async function markDisconnected(matchRef, uid, now) {
+  return db.runTransaction(async (transaction) => {
+    const matchDoc = await transaction.get(matchRef);
+    if (!matchDoc.exists) {
+      return null;
+    }
+
+    const match = matchDoc.data();
+    if (!ACTIVE_MATCH_STATUSES.includes(match.status) || match.disconnected?.[uid] !== undefined) {
+      return null;
+    }
+
+    const deadline = now + config.RECONNECT_GRACE_MS;
+    const disconnected = { ...match.disconnected, [uid]: deadline };
+
+    transaction.update(matchRef, {
+      disconnected,
+      // Earliest deadline, so expireDisconnects can find the match with one query
+      reconnect_deadline_at_ms: Math.min(...Object.values(disconnected)),
+      updated_at: getServerTimestamp()
+    });
+    return deadline;
+  });
+}
+
+// Export handler for testing
+const presenceDisconnectHandler = async (snapshot, context) => {
+  const uid = context.params.uid;
+  const now = Date.now();
+  logger.debug('presenceDisconnect triggered', { uid });
+
+  try {
+    // Step 1: Leave the quick matchmaking queue
+    const deleted = await deleteWithRetry(db.collection('quick_matchmaking_queue').doc(uid), 10, 500);
+    if (!deleted) {
+      logger.warn('Failed to remove disconnected user from queue after retries', { uid });
+    }
+
+    // Step 2: Start the reconnect grace window in every active match
+    const matches = await db.collection('matches')
+      .where('players', 'array-contains', uid)
+      .where('status', 'in', ACTIVE_MATCH_STATUSES)
+      .get();
+
+    let marked = 0;
+    for (const matchDoc of matches.docs) {
+      const deadline = await markDisconnected(matchDoc.ref, uid, now);
+      if (deadline !== null) {
+        marked++;
+        logger.info('Player disconnected from match', { uid, matchId: matchDoc.id, reconnectDeadline: deadline });
+      }
+    }
+
+    return marked;
+  } catch (error) {
+    // Log and rethrow so the trigger can be retried
+    logger.error('Unexpected error in presenceDisconnect', {
+      error: error.message,
+      stack: error.stack,
+      uid
+    });
+    throw error;
+  }
+};
+
+// Export the Realtime Database trigger
+module.exports = functions.database
+  .ref('/presence/{uid}')
+  .onDelete(presenceDisconnectHandler);
+
+// Export handler for testing
+module.exports.handler = presenceDisconnectHandler;
@@ -0,0 +1,114 @@
+/**
+ * Presence reconnect trigger
+ *
+ * Realtime Database trigger on presence/{uid} being created.
+ * Clears the user's disconnected mark in their active matches if they came
+ * back within the reconnect grace window. Once nobody is disconnected, the
+ * match resumes with fresh move or toss deadlines.
+ *
+ * @param {functions.database.DataSnapshot} snapshot - Created presence data
+ * @param {functions.EventContext} context - Trigger context with params
+ * @returns {Promise<number>} Number of matches the user rejoined
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getServerTimestamp } = require('../utils/firestore');
+const { ACTIVE_MATCH_STATUSES } = require('../services/matches');
+
+const db = admin.firestore();
+
+/**
+ * Clear a player's disconnected mark on a single match
+ *
+ * @param {admin.firestore.DocumentReference} matchRef - Match to update
+ * @param {string} uid - Reconnected player
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<boolean|null>} True if the match resumed, false if someone
+ *   is still disconnected, null if nothing changed
+ */
+async function markReconnected(matchRef, uid, now) {
+  return db.runTransaction(async (transaction) => {
+    const matchDoc = await transaction.get(matchRef);
+    if (!matchDoc.exists) {
+      return null;
+    }
+
+    const match = matchDoc.data();
+    const deadline = match.disconnected?.[uid];
+    if (!ACTIVE_MATCH_STATUSES.includes(match.status) || deadline === undefined) {
+      return null;
+    }
+
+    if (deadline <= now) {
+      // Too late: expireDisconnects awards the walkover
+      logger.info('Player reconnected after the grace window', { uid, matchId: matchRef.id });
+      return null;
+    }
+
+    const disconnected = { ...match.disconnected };
+    delete disconnected[uid];
+    const remaining = Object.values(disconnected);
+
+    const update = {
+      disconnected,
+      reconnect_deadline_at_ms: remaining.length > 0 ? Math.min(...remaining) : null,
+      updated_at: getServerTimestamp()
+    };
+
+    if (remaining.length === 0) {
+      // Timers were paused: give everyone a full window again
+      if (match.status === 'toss') {
+        update.toss = { ...match.toss, deadline_at_ms: now + config.TOSS_TIMEOUT_MS };
+      } else if (match.ball) {
+        update.ball = { ...match.ball, deadline_at_ms: now + config.MOVE_TIMEOUT_MS };
+      }
+    }
+
+    transaction.update(matchRef, update);
+    return remaining.length === 0;
+  });
+}
+
+// Export handler for testing
+const presenceReconnectHandler = async (snapshot, context) => {
+  const uid = context.params.uid;
+  const now = Date.now();
+  logger.debug('presenceReconnect triggered', { uid });
+
+  try {
+    const matches = await db.collection('matches')
+      .where('players', 'array-contains', uid)
+      .where('status', 'in', ACTIVE_MATCH_STATUSES)
+      .get();
+
+    let rejoined = 0;
+    for (const matchDoc of matches.docs) {
+      const resumed = await markReconnected(matchDoc.ref, uid, now);
+      if (resumed !== null) {
+        rejoined++;
+        logger.info('Player reconnected to match', { uid, matchId: matchDoc.id, resumed });
+      }
+    }
+
+    return rejoined;
+  } catch (error) {
+    // Log and rethrow so the trigger can be retried
+    logger.error('Unexpected error in presenceReconnect', {
+      error: error.message,
+      stack: error.stack,
+      uid
+    });
+    throw error;
+  }
+};
+
+// Export the Realtime Database trigger
+module.exports = functions.database
+  .ref('/presence/{uid}')
+  .onCreate(presenceReconnectHandler);
+
+// Export handler for testing
+module.exports.handler = presenceReconnectHandler;
@@ -3,8 +3,11 @@
  * 
  * Callable function for quick match functionality.
  * Adds user to the quick matchmaking queue if they are online and not already waiting.
+ * Players are only paired with others who asked for the same match format
+ * and whose rating is within their rating band (see utils/matchmaking.js).
  * 
- * @param {Object} data - Request data (not used)
+ * @param {Object} data - Request data
+ * @param {string|Object} [data.format] - Preset name or custom format (see utils/matchFormat.js)
  * @param {Object} context - Callable context with auth information
  * @returns {Promise<Object>} Success response
  */
@@ -14,6 +17,11 @@ const admin = require('firebase-admin');
 const logger = require('../utils/logger');
 const { validateAuthAndEmail } = require('../utils/auth');
 const { getServerTimestamp } = require('../utils/firestore');
+const config = require('../config');
+const { resolveFormat, MatchFormatError } = require('../utils/matchFormat');
+const { createBand } = require('../utils/matchmaking');
+const { ratingOf } = require('../services/ratings');
+const { ACTIVE_MATCH_STATUSES } = require('../services/matches');
 
 const db = admin.firestore();
 const rtdb = admin.database();
@@ -25,7 +33,22 @@ const quickMatchHandler = async (data, context) => {
     await validateAuthAndEmail(context, 'quickMatch');
     
     const uid = context.auth.uid;
-    logger.debug('quickMatch called', { uid });
+    logger.debug('quickMatch called', { uid, format: data?.format });
+
+    // Validate the requested match format (default format if none)
+    let format;
+    try {
+      format = resolveFormat(data?.format);
+    } catch (error) {
+      if (!(error instanceof MatchFormatError)) {
+        throw error;
+      }
+      logger.warn('Invalid match format', { uid, format: data?.format });
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        error.message
+      );
+    }
 
     // Step 2: Check if user is online by checking presence/{uid} in Realtime Database
     const presenceRef = rtdb.ref(`presence/${uid}`);
@@ -40,10 +63,12 @@ const quickMatchHandler = async (data, context) => {
     }
 
     // Step 3: Check if user is already waiting in the queue
+    // A leftover 'matched' entry may be overwritten once its game has ended
     const queueDocRef = db.collection('quick_matchmaking_queue').doc(uid);
     const queueDoc = await queueDocRef.get();
+    const entry = queueDoc.exists ? queueDoc.data() : null;
     
-    if (queueDoc.exists) {
+    if (entry?.status === 'waiting') {
       logger.warn('User already waiting to be matched', { uid });
       throw new functions.https.HttpsError(
         'already-exists',
@@ -51,15 +76,38 @@ const quickMatchHandler = async (data, context) => {
       );
     }
 
-    // Step 4: Create document in quick_matchmaking_queue collection
+    if (entry?.status === 'matched' && entry.match_id) {
+      const matchDoc = await db.collection('matches').doc(entry.match_id).get();
+      if (matchDoc.exists && ACTIVE_MATCH_STATUSES.includes(matchDoc.data().status)) {
+        logger.warn('User still playing their quick match', { uid, matchId: entry.match_id });
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'User Already In a Match'
+        );
+      }
+    }
+
+    // Step 4: Look up the user's skill rating (initial rating if they have none yet)
+    // and the players they must never be paired with (see blockUser)
+    const userDoc = await db.collection('users').doc(uid).get();
+    const user = userDoc.exists ? userDoc.data() : {};
+    const rating = ratingOf(user).rating;
+
+    // Step 5: Create document in quick_matchmaking_queue collection
     const timestamp = getServerTimestamp();
     await queueDocRef.set({
       uid: uid,
       created_at: timestamp,
-      status: 'waiting'
+      queued_at_ms: Date.now(),
+      status: 'waiting',
+      format: format,
+      format_key: format.key,
+      rating: rating,
+      rating_band: createBand(config),
+      blocked_uids: user.blocked_uids || []
     });
 
-    logger.info('User added to quick matchmaking queue', { uid });
+    logger.info('User added to quick matchmaking queue', { uid, format: format.key, rating });
     
     return {
       success: true
@@ -0,0 +1,134 @@
+/**
+ * Register for tournament function
+ *
+ * Callable function that enters the caller in a tournament that is still
+ * open for registration. The caller's current rating is recorded for seeding.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.tournamentId - Tournament to enter
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the number of entrants
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { ratingOf } = require('../services/ratings');
+const { tournamentRef, entrantsOf } = require('../services/tournaments');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const registerForTournamentHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'registerForTournament');
+
+    const uid = context.auth.uid;
+    logger.debug('registerForTournament called', { uid, tournamentId: data?.tournamentId });
+
+    // Step 2: Validate tournamentId input
+    if (!data || typeof data.tournamentId !== 'string' || data.tournamentId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'tournamentId is required and must be a string'
+      );
+    }
+
+    const ref = tournamentRef(data.tournamentId);
+    const entrantRef = entrantsOf(data.tournamentId).doc(uid);
+
+    // Step 3: Add the entrant while there is room
+    const playerCount = await runTransactionWithRetry(db, async (transaction) => {
+      const [tournamentDoc, entrantDoc, userDoc] = await Promise.all([
+        transaction.get(ref),
+        transaction.get(entrantRef),
+        transaction.get(db.collection('users').doc(uid))
+      ]);
+
+      if (!tournamentDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Tournament not found'
+        );
+      }
+      if (!userDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'user not found'
+        );
+      }
+
+      const tournament = tournamentDoc.data();
+      const now = Date.now();
+      if (tournament.status !== 'registration' || tournament.starts_at_ms <= now) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Registration is closed'
+        );
+      }
+      if (entrantDoc.exists) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'Already registered'
+        );
+      }
+      if (tournament.player_count >= tournament.max_players) {
+        throw new functions.https.HttpsError(
+          'resource-exhausted',
+          'Tournament is full'
+        );
+      }
+
+      const user = userDoc.data();
+      transaction.set(entrantRef, {
+        uid,
+        username: user.username || null,
+        rating: ratingOf(user).rating,
+        seed: null,
+        status: 'registered',
+        slot_id: null,
+        eliminated_in_round: null,
+        registered_at: getServerTimestamp(),
+        registered_at_ms: now
+      });
+      transaction.update(ref, {
+        player_count: tournament.player_count + 1
+      });
+
+      return tournament.player_count + 1;
+    });
+
+    logger.info('Registered for tournament', { uid, tournamentId: data.tournamentId, playerCount });
+
+    return {
+      success: true,
+      playerCount
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in registerForTournament', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(registerForTournamentHandler);
+
+// Export handler for testing
+module.exports.handler = registerForTournamentHandler;
@@ -0,0 +1,84 @@
+/**
+ * Release usernames function
+ *
+ * Scheduled function that frees usernames held after a rename (see
+ * changeUsername) once their hold has passed, so createNewUser and
+ * changeUsername can hand them out again.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of usernames that were released
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+
+const db = admin.firestore();
+
+// Maximum number of held usernames released per run
+const BATCH_SIZE = 100;
+
+/**
+ * Release a single held username
+ *
+ * Re-reads the reservation in a transaction so a name reclaimed by its owner
+ * at the last moment is never deleted.
+ *
+ * @param {admin.firestore.DocumentReference} usernameRef - Reservation to release
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<boolean>} True if the reservation was deleted
+ */
+async function releaseUsername(usernameRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const usernameDoc = await transaction.get(usernameRef);
+    if (!usernameDoc.exists) {
+      return false;
+    }
+
+    const heldUntil = usernameDoc.data().held_until_ms;
+    if (typeof heldUntil !== 'number' || heldUntil > now) {
+      return false;
+    }
+
+    transaction.delete(usernameRef);
+    return true;
+  });
+}
+
+// Export handler for testing
+const releaseUsernamesHandler = async (context) => {
+  const now = Date.now();
+
+  const snapshot = await db.collection('usernames')
+    .where('held_until_ms', '<=', now)
+    .limit(BATCH_SIZE)
+    .get();
+
+  let released = 0;
+  for (const usernameDoc of snapshot.docs) {
+    try {
+      if (await releaseUsername(usernameDoc.ref, now)) {
+        released++;
+        logger.info('Held username released', { username: usernameDoc.id });
+      }
+    } catch (error) {
+      // Keep going: one bad reservation should not block the rest
+      logger.error('Failed to release username', {
+        username: usernameDoc.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.debug('releaseUsernames finished', { candidates: snapshot.size, released });
+  return released;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 60 minutes')
+  .onRun(releaseUsernamesHandler);
+
+// Export handler for testing
+module.exports.handler = releaseUsernamesHandler;
@@ -0,0 +1,88 @@
+/**
+ * Remove friend function
+ *
+ * Callable function that ends a friendship with another player, addressed by
+ * username. Pending requests between the two players, in either direction,
+ * are withdrawn too. Succeeds if there was nothing to remove.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - Current username of the other player
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with whether a friendship was removed
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { runTransactionWithRetry } = require('../utils/firestore');
+const { USERNAME_PATTERN } = require('../utils/username');
+const { findUsernameOwner } = require('../services/usernames');
+const { friendRefs, removeTies } = require('../services/friends');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const removeFriendHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'removeFriend');
+
+    const uid = context.auth.uid;
+    logger.debug('removeFriend called', { uid, username: data?.username });
+
+    // Step 2: Validate the username
+    const username = typeof data?.username === 'string' ? data.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username must be a valid username'
+      );
+    }
+
+    // Step 3: Remove both sides of the friendship and any pending request
+    const removed = await runTransactionWithRetry(db, async (transaction) => {
+      const otherUid = await findUsernameOwner(transaction, username);
+      if (!otherUid) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'player not found'
+        );
+      }
+
+      const friendDoc = await transaction.get(friendRefs(uid, otherUid)[0]);
+      removeTies(transaction, uid, otherUid);
+      return friendDoc.exists;
+    });
+
+    logger.info('Friend removed', { uid, username, removed });
+
+    return {
+      success: true,
+      removed
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in removeFriend', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(removeFriendHandler);
+
+// Export handler for testing
+module.exports.handler = removeFriendHandler;
@@ -0,0 +1,148 @@
+/**
+ * Request rematch function
+ *
+ * Callable function that offers the opponent of a completed match a rematch.
+ * The offer is stored on the match as `rematch` and can be accepted with
+ * acceptRematch until REMATCH_OFFER_TTL_MS has passed. A lapsed offer can be
+ * made again; once a rematch has been played the match accepts no more offers.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.matchId - Completed match to replay
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the offer's expiry
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { isBlocked } = require('../services/friends');
+
+const db = admin.firestore();
+const rtdb = admin.database();
+
+// Export handler for testing
+const requestRematchHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'requestRematch');
+
+    const uid = context.auth.uid;
+    logger.debug('requestRematch called', { uid, matchId: data?.matchId });
+
+    // Step 2: Validate matchId input
+    if (!data || typeof data.matchId !== 'string' || data.matchId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'matchId is required and must be a string'
+      );
+    }
+
+    // Step 3: Check if user is online, as quickMatch does
+    const presenceSnapshot = await rtdb.ref(`presence/${uid}`).once('value');
+    if (!presenceSnapshot.exists()) {
+      logger.warn('User not online', { uid });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'User Not Online'
+      );
+    }
+
+    const matchRef = db.collection('matches').doc(data.matchId);
+
+    // Step 4: Record the offer on the match
+    const expiresAtMs = await runTransactionWithRetry(db, async (transaction) => {
+      const matchDoc = await transaction.get(matchRef);
+      if (!matchDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Match not found'
+        );
+      }
+
+      const match = matchDoc.data();
+      if (!match.players.includes(uid)) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only players can ask for a rematch'
+        );
+      }
+
+      if (match.status !== 'completed') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Only a completed match can be replayed'
+        );
+      }
+
+      const opponent = match.players.find(player => player !== uid);
+      if (await isBlocked(transaction, uid, opponent)) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'You cannot play this player'
+        );
+      }
+
+      const now = Date.now();
+      const offer = match.rematch;
+      if (offer?.match_id) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'Rematch already played'
+        );
+      }
+      if (offer && offer.expires_at_ms > now) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          offer.requested_by === uid
+            ? 'Rematch already requested'
+            : 'Your opponent already asked for a rematch'
+        );
+      }
+
+      const offerExpiresAtMs = now + config.REMATCH_OFFER_TTL_MS;
+      transaction.update(matchRef, {
+        rematch: {
+          requested_by: uid,
+          requested_at: getServerTimestamp(),
+          expires_at_ms: offerExpiresAtMs,
+          match_id: null
+        }
+      });
+
+      return offerExpiresAtMs;
+    });
+
+    logger.info('Rematch requested', { uid, matchId: data.matchId });
+
+    return {
+      success: true,
+      expiresAtMs
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in requestRematch', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(requestRematchHandler);
+
+// Export handler for testing
+module.exports.handler = requestRematchHandler;
@@ -0,0 +1,136 @@
+/**
+ * Reset weekly leaderboards function
+ *
+ * Scheduled function that resets the weekly leaderboards once the ISO week
+ * is over: entries of past weeks are moved from `weekly_leaderboard` to
+ * `leaderboard_archives`, which keeps one snapshot per week. The current
+ * week's board only reads entries of the current week, so it starts empty
+ * as soon as the week changes, even before this job has caught up.
+ *
+ * Past weeks are read from the archive only, so each run keeps going batch
+ * after batch until every past entry is moved, or its time budget runs out;
+ * the next run carries on from there, and retries entries that failed.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of entries that were archived
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { isoWeek } = require('../utils/leaderboard');
+
+const db = admin.firestore();
+
+// Number of entries queried and archived at a time
+const BATCH_SIZE = 100;
+
+// Stop starting new batches after this long, inside the function's timeout
+const RUN_BUDGET_MS = 4 * 60 * 1000;
+
+/**
+ * Move a single entry into the archive
+ *
+ * Re-reads the entry in a transaction so it is archived exactly once.
+ *
+ * @param {admin.firestore.DocumentReference} entryRef - Entry in weekly_leaderboard
+ * @returns {Promise<boolean>} True if the entry was archived
+ */
+async function archiveEntry(entryRef) {
+  const archiveRef = db.collection('leaderboard_archives').doc(entryRef.id);
+
+  return db.runTransaction(async (transaction) => {
+    const entryDoc = await transaction.get(entryRef);
+    if (!entryDoc.exists) {
+      return false;
+    }
+
+    transaction.set(archiveRef, { ...entryDoc.data(), archived_at: getServerTimestamp() });
+    transaction.delete(entryRef);
+    return true;
+  });
+}
+
+/**
+ * Archive one batch of past entries
+ *
+ * @param {string} currentWeek - ISO week still being played
+ * @param {admin.firestore.DocumentSnapshot|null} after - Last entry of the previous batch
+ * @returns {Promise<Object>} { candidates, archived, last } for the batch
+ */
+async function archiveBatch(currentWeek, after) {
+  // ISO weeks ("2024-W05") sort in time order as strings
+  let q = db.collection('weekly_leaderboard')
+    .where('week', '<', currentWeek)
+    .orderBy('week', 'asc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'asc')
+    .limit(BATCH_SIZE);
+  if (after) {
+    q = q.startAfter(after);
+  }
+  const snapshot = await q.get();
+
+  const results = await Promise.all(snapshot.docs.map(async (entryDoc) => {
+    try {
+      return await archiveEntry(entryDoc.ref);
+    } catch (error) {
+      // Keep going: one bad entry should not block the rest
+      logger.error('Failed to archive leaderboard entry', {
+        entryId: entryDoc.id,
+        error: error.message,
+        stack: error.stack
+      });
+      return false;
+    }
+  }));
+
+  return {
+    candidates: snapshot.size,
+    archived: results.filter(Boolean).length,
+    last: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1] : null
+  };
+}
+
+// Export handler for testing
+const resetWeeklyLeaderboardsHandler = async (context) => {
+  const startedAt = Date.now();
+  const currentWeek = isoWeek(startedAt);
+
+  // Each batch starts after the last one, so entries that failed are left
+  // for the next run instead of being retried until the budget runs out
+  let archived = 0;
+  let batches = 0;
+  let last = null;
+  for (;;) {
+    const batch = await archiveBatch(currentWeek, last);
+    archived += batch.archived;
+    batches++;
+    last = batch.last;
+
+    // Done once a batch comes back short; stop early if nothing moved, as the rest would likely fail too
+    if (batch.candidates < BATCH_SIZE || batch.archived === 0) {
+      break;
+    }
+    if (Date.now() - startedAt >= RUN_BUDGET_MS) {
+      logger.warn('Weekly leaderboard archive not finished, continuing next run', { currentWeek, archived });
+      break;
+    }
+  }
+
+  if (archived > 0) {
+    logger.info('Weekly leaderboard entries archived', { currentWeek, archived });
+  }
+  logger.debug('resetWeeklyLeaderboards finished', { batches, archived });
+  return archived;
+};
+
+// Export the scheduled function
+module.exports = functions
+  .runWith({ timeoutSeconds: 300 })
+  .pubsub
+  .schedule('every 5 minutes')
+  .onRun(resetWeeklyLeaderboardsHandler);
+
+// Export handler for testing
+module.exports.handler = resetWeeklyLeaderboardsHandler;
@@ -0,0 +1,99 @@
+/**
+ * Respond friend request function
+ *
+ * Callable function that accepts or declines a friend request the caller
+ * received from another player, addressed by username. Either way the
+ * request is removed; accepting makes the two players friends.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - Current username of the player who asked
+ * @param {boolean} data.accept - True to accept, false to decline
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with whether the request was accepted
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { USERNAME_PATTERN } = require('../utils/username');
+const { findUsernameOwner } = require('../services/usernames');
+const { requestRefs, addFriendship } = require('../services/friends');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const respondFriendRequestHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'respondFriendRequest');
+
+    const uid = context.auth.uid;
+    logger.debug('respondFriendRequest called', { uid, username: data?.username, accept: data?.accept });
+
+    // Step 2: Validate the username and the answer
+    const username = typeof data?.username === 'string' ? data.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username must be a valid username'
+      );
+    }
+    if (typeof data.accept !== 'boolean') {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'accept must be true or false'
+      );
+    }
+
+    // Step 3: Answer the request
+    const otherUid = await runTransactionWithRetry(db, async (transaction) => {
+      const requesterUid = await findUsernameOwner(transaction, username);
+      const requestRef = requesterUid ? requestRefs(requesterUid, uid)[0] : null;
+      const requestDoc = requestRef ? await transaction.get(requestRef) : null;
+      if (!requestDoc?.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'friend request not found'
+        );
+      }
+
+      transaction.delete(requestRef);
+      if (data.accept) {
+        addFriendship(transaction, uid, requesterUid, getServerTimestamp());
+      }
+      return requesterUid;
+    });
+
+    logger.info('Friend request answered', { uid, from: otherUid, accepted: data.accept });
+
+    return {
+      success: true,
+      accepted: data.accept
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in respondFriendRequest', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(respondFriendRequestHandler);
+
+// Export handler for testing
+module.exports.handler = respondFriendRequestHandler;
@@ -0,0 +1,132 @@
+/**
+ * Send friend request function
+ *
+ * Callable function that asks another player, addressed by username, to be
+ * friends. If that player has already asked the caller, the two become
+ * friends straight away. Players with a block between them cannot send
+ * requests to each other (see services/friends.js).
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.username - Current username of the other player
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with status "pending" or "accepted"
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { USERNAME_PATTERN } = require('../utils/username');
+const { findUsernameOwner } = require('../services/usernames');
+const { friendRefs, requestRefs, addFriendship, isBlocked } = require('../services/friends');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const sendFriendRequestHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'sendFriendRequest');
+
+    const uid = context.auth.uid;
+    logger.debug('sendFriendRequest called', { uid, username: data?.username });
+
+    // Step 2: Validate the username
+    const username = typeof data?.username === 'string' ? data.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'username must be a valid username'
+      );
+    }
+
+    // Step 3: Send the request, or accept theirs if they asked first
+    const result = await runTransactionWithRetry(db, async (transaction) => {
+      const otherUid = await findUsernameOwner(transaction, username);
+      if (!otherUid) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'player not found'
+        );
+      }
+      if (otherUid === uid) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'you cannot send a friend request to yourself'
+        );
+      }
+
+      const [ownRequestRef, theirRequestRef] = requestRefs(uid, otherUid);
+      const [blocked, friendDoc, ownRequestDoc, theirRequestDoc] = await Promise.all([
+        isBlocked(transaction, uid, otherUid),
+        transaction.get(friendRefs(uid, otherUid)[0]),
+        transaction.get(ownRequestRef),
+        transaction.get(theirRequestRef)
+      ]);
+
+      if (blocked) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'you cannot send a friend request to this player'
+        );
+      }
+      if (friendDoc.exists) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'already friends'
+        );
+      }
+      if (ownRequestDoc.exists) {
+        throw new functions.https.HttpsError(
+          'already-exists',
+          'friend request already sent'
+        );
+      }
+
+      const timestamp = getServerTimestamp();
+      if (theirRequestDoc.exists) {
+        transaction.delete(theirRequestRef);
+        addFriendship(transaction, uid, otherUid, timestamp);
+        return { otherUid, status: 'accepted' };
+      }
+
+      transaction.set(ownRequestRef, {
+        from_uid: uid,
+        to_uid: otherUid,
+        created_at: timestamp
+      });
+      return { otherUid, status: 'pending' };
+    });
+
+    logger.info('Friend request sent', { uid, to: result.otherUid, status: result.status });
+
+    return {
+      success: true,
+      status: result.status
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in sendFriendRequest', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(sendFriendRequestHandler);
+
+// Export handler for testing
+module.exports.handler = sendFriendRequestHandler;
@@ -0,0 +1,139 @@
+/**
+ * Start league function
+ *
+ * Callable function for the league creator to close membership and draw
+ * the fixtures: every member plays every other member once (see
+ * utils/league.js). The invite code stops working. Each round must be played
+ * within LEAGUE_ROUND_MS of the one before; expireLeagueFixtures voids the
+ * fixtures left unplayed after that.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.leagueId - League to start
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} { success, rounds, fixtures }
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp, runTransactionWithRetry } = require('../utils/firestore');
+const { fixtureId, roundRobin } = require('../utils/league');
+const { leagueRef, fixturesOf } = require('../services/leagues');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const startLeagueHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'startLeague');
+
+    const uid = context.auth.uid;
+    logger.debug('startLeague called', { uid, leagueId: data?.leagueId });
+
+    // Step 2: Validate leagueId input
+    if (!data || typeof data.leagueId !== 'string' || data.leagueId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'leagueId is required and must be a string'
+      );
+    }
+
+    const ref = leagueRef(data.leagueId);
+
+    // Step 3: Draw the fixtures and close membership
+    const drawn = await runTransactionWithRetry(db, async (transaction) => {
+      const leagueDoc = await transaction.get(ref);
+      if (!leagueDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'League not found'
+        );
+      }
+
+      const league = leagueDoc.data();
+      if (league.created_by !== uid) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the league creator can start it'
+        );
+      }
+      if (league.status !== 'open') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'League has already started'
+        );
+      }
+      if (league.member_uids.length < 2) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'A league needs at least 2 members'
+        );
+      }
+
+      const timestamp = getServerTimestamp();
+      const now = Date.now();
+      const rounds = roundRobin(league.member_uids);
+      rounds.forEach((pairs, i) => {
+        pairs.forEach((players, j) => {
+          transaction.set(fixturesOf(data.leagueId).doc(fixtureId(i + 1, j + 1)), {
+            round: i + 1,
+            number: j + 1,
+            players,
+            status: 'scheduled',
+            match_id: null,
+            result: null,
+            created_at: timestamp,
+            decided_at: null,
+            deadline_at_ms: now + (i + 1) * config.LEAGUE_ROUND_MS
+          });
+        });
+      });
+
+      const fixtures = rounds.reduce((total, pairs) => total + pairs.length, 0);
+      transaction.update(ref, {
+        status: 'in_progress',
+        invite_code: null,
+        rounds: rounds.length,
+        fixtures_total: fixtures,
+        fixtures_done: 0,
+        started_at: timestamp
+      });
+
+      return { rounds: rounds.length, fixtures };
+    });
+
+    logger.info('League started', { uid, leagueId: data.leagueId, ...drawn });
+
+    return {
+      success: true,
+      rounds: drawn.rounds,
+      fixtures: drawn.fixtures
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in startLeague', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(startLeagueHandler);
+
+// Export handler for testing
+module.exports.handler = startLeagueHandler;
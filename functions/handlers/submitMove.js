@@ -0,0 +1,281 @@
+/**
+ * Submit move function
+ *
+ * Callable function for playing a ball with commit–reveal.
+ * Each player first sends a commitment (hash of their pick), then reveals
+ * the pick and nonce once both commitments are in. When both reveals are in,
+ * the ball is resolved by the game engine in the same transaction.
+ * Acting on a ball resets the caller's consecutive timeout count.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.matchId - Match document ID
+ * @param {number} data.ball - Ball number being played (must be the current ball)
+ * @param {string} [data.commitment] - Commit step: hex sha256 of `${matchId}:${ball}:${pick}:${nonce}`
+ * @param {number} [data.pick] - Reveal step: picked number
+ * @param {string} [data.nonce] - Reveal step: nonce used in the commitment
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the ball outcome once resolved
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp } = require('../utils/firestore');
+const engine = require('../utils/gameEngine');
+const { resolveBall } = require('../services/matches');
+const {
+  isValidCommitment,
+  isValidNonce,
+  verifyReveal
+} = require('../utils/commitment');
+
+const db = admin.firestore();
+
+/**
+ * Validates the request shape and works out which step it is
+ *
+ * @param {Object} data - Request data
+ * @returns {string} 'commit' or 'reveal'
+ * @throws {functions.https.HttpsError} If the request is malformed
+ */
+function parseMoveRequest(data) {
+  if (!data || typeof data.matchId !== 'string' || !data.matchId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'matchId is required and must be a string'
+    );
+  }
+
+  if (!Number.isInteger(data.ball) || data.ball < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'ball is required and must be a positive integer'
+    );
+  }
+
+  const isCommit = data.commitment !== undefined;
+  const isReveal = data.pick !== undefined || data.nonce !== undefined;
+
+  if (isCommit === isReveal) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'send either a commitment or a pick and nonce'
+    );
+  }
+
+  if (isCommit && !isValidCommitment(data.commitment)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'commitment must be a hex sha256 digest'
+    );
+  }
+
+  // The allowed range depends on the match format and is checked in the transaction
+  if (isReveal && !Number.isInteger(data.pick)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'pick must be a whole number'
+    );
+  }
+
+  if (isReveal && !isValidNonce(data.nonce)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'nonce must be a string of 16 to 128 characters'
+    );
+  }
+
+  return isCommit ? 'commit' : 'reveal';
+}
+
+/**
+ * Records a commitment on the current ball
+ *
+ * @param {Object} ball - Current ball state { number, commitments, reveals }
+ * @param {string} uid - Caller UID
+ * @param {string} commitment - Caller's commitment
+ * @returns {Object} Updated ball state
+ */
+function applyCommit(ball, uid, commitment) {
+  if (ball.commitments[uid]) {
+    throw new functions.https.HttpsError(
+      'already-exists',
+      'Move already committed for this ball'
+    );
+  }
+
+  return {
+    ...ball,
+    commitments: { ...ball.commitments, [uid]: commitment }
+  };
+}
+
+/**
+ * Records a reveal on the current ball after checking it against the commitment
+ *
+ * @param {Object} ball - Current ball state { number, commitments, reveals }
+ * @param {string[]} players - Match players
+ * @param {string} matchId - Match document ID
+ * @param {string} uid - Caller UID
+ * @param {Object} data - Request data with pick and nonce
+ * @param {Object} format - Match format spec (allowed pick range)
+ * @returns {Object} Updated ball state
+ */
+function applyReveal(ball, players, matchId, uid, data, format) {
+  if (!engine.isValidPick(data.pick, format)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `pick must be a whole number from ${format.min_pick} to ${format.max_pick}`
+    );
+  }
+
+  if (!ball.commitments[uid]) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'Commit a move before revealing it'
+    );
+  }
+
+  if (!players.every(player => ball.commitments[player])) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'Waiting for opponent to commit'
+    );
+  }
+
+  if (ball.reveals[uid] !== undefined) {
+    throw new functions.https.HttpsError(
+      'already-exists',
+      'Move already revealed for this ball'
+    );
+  }
+
+  if (!verifyReveal(ball.commitments[uid], matchId, ball.number, data.pick, data.nonce)) {
+    logger.warn('Reveal does not match commitment', { uid, matchId, ball: ball.number });
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Reveal does not match commitment'
+    );
+  }
+
+  return {
+    ...ball,
+    reveals: { ...ball.reveals, [uid]: data.pick }
+  };
+}
+
+// Export handler for testing
+const submitMoveHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'submitMove');
+
+    const uid = context.auth.uid;
+    logger.debug('submitMove called', { uid, matchId: data?.matchId, ball: data?.ball });
+
+    // Step 2: Validate request shape
+    const step = parseMoveRequest(data);
+    const matchId = data.matchId;
+    const matchRef = db.collection('matches').doc(matchId);
+
+    // Step 3: Apply the move atomically, resolving the ball once both reveals are in
+    const response = await db.runTransaction(async (transaction) => {
+      const matchDoc = await transaction.get(matchRef);
+      const match = matchDoc.exists ? matchDoc.data() : null;
+
+      if (!match || !match.players.includes(uid)) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Match not found'
+        );
+      }
+
+      if (match.status !== 'in_progress' || !match.ball) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Match is not in progress'
+        );
+      }
+
+      if (data.ball !== match.ball.number) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Not the current ball, expected ball ${match.ball.number}`
+        );
+      }
+
+      // The caller is active again, so their timeout streak ends
+      const timeouts = { ...match.timeouts, [uid]: 0 };
+
+      if (step === 'commit') {
+        transaction.update(matchRef, {
+          ball: applyCommit(match.ball, uid, data.commitment),
+          timeouts,
+          updated_at: getServerTimestamp()
+        });
+        return { success: true, ball: match.ball.number, resolved: false };
+      }
+
+      const ball = applyReveal(match.ball, match.players, matchId, uid, data, match.game.format);
+      const bothRevealed = match.players.every(player => ball.reveals[player] !== undefined);
+
+      if (!bothRevealed) {
+        transaction.update(matchRef, {
+          ball,
+          timeouts,
+          updated_at: getServerTimestamp()
+        });
+        return { success: true, ball: ball.number, resolved: false };
+      }
+
+      // Both picks are known: let the engine resolve the ball
+      const { game, outcome, fields } = resolveBall(match.game, ball);
+      const completed = game.status === 'completed';
+      transaction.update(matchRef, { ...fields, timeouts });
+
+      return {
+        success: true,
+        ball: ball.number,
+        resolved: true,
+        outcome,
+        status: completed ? 'completed' : 'in_progress',
+        result: completed ? game.result : null
+      };
+    });
+
+    logger.info('Move submitted', { uid, matchId, step, ball: response.ball, resolved: response.resolved });
+    return response;
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Rule violations caught by the engine
+    if (error instanceof engine.GameEngineError) {
+      throw new functions.https.HttpsError(
+        error.code === 'invalid-pick' ? 'invalid-argument' : 'failed-precondition',
+        error.message
+      );
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in submitMove', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(submitMoveHandler);
+
+// Export handler for testing
+module.exports.handler = submitMoveHandler;
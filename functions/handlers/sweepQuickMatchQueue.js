@@ -0,0 +1,73 @@
+/**
+ * Sweep quick match queue function
+ *
+ * Scheduled function that retries pairing for everyone still waiting.
+ * The queue trigger only runs when a player starts waiting, but rating bands
+ * keep widening afterwards, so two players who could not be paired then may
+ * be pairable now.
+ *
+ * @param {functions.EventContext} context - Scheduler event context
+ * @returns {Promise<number>} Number of pairs created
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { pairWaitingEntries } = require('../services/matchmaking');
+const { getDefaultFormat } = require('../utils/matchFormat');
+
+const db = admin.firestore();
+
+// Maximum number of waiting entries read to find the formats in use
+const SCAN_LIMIT = 500;
+
+// Export handler for testing
+const sweepQuickMatchQueueHandler = async (context) => {
+  const now = Date.now();
+
+  const snapshot = await db.collection('quick_matchmaking_queue')
+    .where('status', '==', 'waiting')
+    .limit(SCAN_LIMIT)
+    .get();
+
+  // One pairing run per format with at least two waiting players
+  const formats = new Map();
+  const counts = new Map();
+  snapshot.docs.forEach((doc) => {
+    const format = doc.data().format || getDefaultFormat();
+    formats.set(format.key, format);
+    counts.set(format.key, (counts.get(format.key) || 0) + 1);
+  });
+
+  let paired = 0;
+  for (const [key, format] of formats) {
+    if (counts.get(key) < 2) {
+      continue;
+    }
+    try {
+      const pairs = await pairWaitingEntries(format, now);
+      pairs.forEach((pair) => {
+        logger.info('Players matched by queue sweep', pair);
+      });
+      paired += pairs.length;
+    } catch (error) {
+      // Keep going: one format failing should not block the rest
+      logger.error('Failed to sweep quick match queue', {
+        format: key,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.debug('sweepQuickMatchQueue finished', { waiting: snapshot.size, paired });
+  return paired;
+};
+
+// Export the scheduled function
+module.exports = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(sweepQuickMatchQueueHandler);
+
+// Export handler for testing
+module.exports.handler = sweepQuickMatchQueueHandler;
@@ -0,0 +1,86 @@
+/**
+ * Update privacy settings function
+ *
+ * Callable function that changes the caller's privacy settings, stored as
+ * `privacy` on `users/{uid}`. Settings left out of the request keep their
+ * current value.
+ *
+ * @param {Object} data - Request data
+ * @param {boolean} [data.showOnline] - False to look offline to friends (see listOnlineFriends)
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response with the settings now in force
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { getServerTimestamp } = require('../utils/firestore');
+const { showsOnline } = require('../services/presence');
+
+const db = admin.firestore();
+
+// Export handler for testing
+const updatePrivacySettingsHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'updatePrivacySettings');
+
+    const uid = context.auth.uid;
+    logger.debug('updatePrivacySettings called', { uid, showOnline: data?.showOnline });
+
+    // Step 2: Validate the settings
+    if (data?.showOnline !== undefined && typeof data.showOnline !== 'boolean') {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'showOnline must be true or false'
+      );
+    }
+
+    // Step 3: Merge the settings into the profile
+    const userRef = db.collection('users').doc(uid);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'user not found'
+      );
+    }
+
+    const showOnline = data?.showOnline ?? showsOnline(userDoc.data());
+    await userRef.update({
+      privacy: { ...userDoc.data().privacy, show_online: showOnline },
+      updated_at: getServerTimestamp()
+    });
+
+    logger.info('Privacy settings updated', { uid, showOnline });
+
+    return {
+      success: true,
+      settings: { showOnline }
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in updatePrivacySettings', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(updatePrivacySettingsHandler);
+
+// Export handler for testing
+module.exports.handler = updatePrivacySettingsHandler;
@@ -0,0 +1,147 @@
+/**
+ * Withdraw from tournament function
+ *
+ * Callable function that takes the caller out of a tournament. Before it
+ * starts the entry is simply removed. Once it is under way the entrant is
+ * marked withdrawn: a game they are playing ends with a walkover for the
+ * opponent, and advanceTournaments treats them as a no-show from then on.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.tournamentId - Tournament to leave
+ * @param {Object} context - Callable context with auth information
+ * @returns {Promise<Object>} Success response
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { validateAuthAndEmail } = require('../utils/auth');
+const { runTransactionWithRetry } = require('../utils/firestore');
+const { ACTIVE_MATCH_STATUSES, walkoverFields } = require('../services/matches');
+const { tournamentRef, entrantsOf, bracketOf } = require('../services/tournaments');
+
+const db = admin.firestore();
+
+// Entrants who are still in the running
+const IN_PLAY_STATUSES = ['registered', 'active'];
+
+// Export handler for testing
+const withdrawFromTournamentHandler = async (data, context) => {
+  try {
+    // Step 1: Validate App Check, auth, and email verification
+    await validateAuthAndEmail(context, 'withdrawFromTournament');
+
+    const uid = context.auth.uid;
+    logger.debug('withdrawFromTournament called', { uid, tournamentId: data?.tournamentId });
+
+    // Step 2: Validate tournamentId input
+    if (!data || typeof data.tournamentId !== 'string' || data.tournamentId.length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'tournamentId is required and must be a string'
+      );
+    }
+
+    const ref = tournamentRef(data.tournamentId);
+    const entrantRef = entrantsOf(data.tournamentId).doc(uid);
+
+    // Step 3: Remove the entry, or forfeit and mark it withdrawn once play has started
+    const forfeitedMatchId = await runTransactionWithRetry(db, async (transaction) => {
+      const [tournamentDoc, entrantDoc] = await Promise.all([
+        transaction.get(ref),
+        transaction.get(entrantRef)
+      ]);
+
+      if (!tournamentDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Tournament not found'
+        );
+      }
+      if (!entrantDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Not registered'
+        );
+      }
+
+      const tournament = tournamentDoc.data();
+      const entrant = entrantDoc.data();
+      if (tournament.status !== 'registration' && tournament.status !== 'in_progress') {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Tournament is over'
+        );
+      }
+      if (!IN_PLAY_STATUSES.includes(entrant.status)) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'No longer in the tournament'
+        );
+      }
+
+      if (tournament.status === 'registration') {
+        transaction.delete(entrantRef);
+        transaction.update(ref, {
+          player_count: tournament.player_count - 1
+        });
+        return null;
+      }
+
+      // Forfeit the game the entrant is playing, if any
+      let matchRef = null;
+      let match = null;
+      if (entrant.slot_id) {
+        const slotDoc = await transaction.get(bracketOf(data.tournamentId).doc(entrant.slot_id));
+        const matchId = slotDoc.exists ? slotDoc.data().match_id : null;
+        if (matchId && slotDoc.data().status === 'playing') {
+          matchRef = db.collection('matches').doc(matchId);
+          const matchDoc = await transaction.get(matchRef);
+          match = matchDoc.exists ? matchDoc.data() : null;
+        }
+      }
+
+      const forfeits = !!match && ACTIVE_MATCH_STATUSES.includes(match.status);
+      if (forfeits) {
+        transaction.update(matchRef, {
+          ...walkoverFields(match, uid),
+          reconnect_deadline_at_ms: null
+        });
+      }
+      transaction.update(entrantRef, {
+        status: 'withdrawn'
+      });
+
+      return forfeits ? matchRef.id : null;
+    });
+
+    logger.info('Withdrew from tournament', { uid, tournamentId: data.tournamentId, forfeitedMatchId });
+
+    return {
+      success: true
+    };
+  } catch (error) {
+    // Re-throw HttpsError as-is
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    // Log unexpected errors
+    logger.error('Unexpected error in withdrawFromTournament', {
+      error: error.message,
+      stack: error.stack,
+      uid: context.auth?.uid
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'An unexpected error occurred'
+    );
+  }
+};
+
+// Export the callable function
+module.exports = functions.https.onCall(withdrawFromTournamentHandler);
+
+// Export handler for testing
+module.exports.handler = withdrawFromTournamentHandler;
@@ -1,6 +1,6 @@
 /**
  * Firebase Cloud Functions entry point
- * 
+ *
  * This file exports all Cloud Functions for the Hand Cricket application.
  * Individual functions are organized in separate files under the handlers/ directory.
  */
@@ -13,20 +13,20 @@ const projectId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT || 'hand
 
 // Configure for emulator if running locally
 // Firebase emulator sets FIREBASE_DATABASE_EMULATOR_HOST when database emulator is running
-const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true' || 
+const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true' ||
                    process.env.FIREBASE_DATABASE_EMULATOR_HOST ||
                    process.env.FIREBASE_AUTH_EMULATOR_HOST;
 
 if (isEmulator) {
   // Use emulator database URL
   // Format: http://localhost:9000?ns=<project-id>
-  const databaseURL = process.env.FIREBASE_DATABASE_EMULATOR_HOST
-    ? `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=${projectId}`
-    : `http://localhost:9000?ns=${projectId}`;
-  
+  const databaseURL = process.env.FIREBASE_DATABASE_EMULATOR_HOST ?
+    `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=${projectId}` :
+    `http://localhost:9000?ns=${projectId}`;
+
   admin.initializeApp({
     projectId: projectId,
-    databaseURL: databaseURL
+    databaseURL: databaseURL,
   });
 } else {
   // Production: use default initialization
@@ -38,6 +38,58 @@ if (isEmulator) {
 exports.listItems = require('./handlers/listItems');
 exports.health = require('./handlers/health');
 exports.createNewUser = require('./handlers/createNewUser');
+exports.checkUsername = require('./handlers/checkUsername');
+exports.changeUsername = require('./handlers/changeUsername');
+exports.releaseUsernames = require('./handlers/releaseUsernames');
+exports.migrateUsernameKeys = require('./handlers/migrateUsernameKeys');
+exports.onUserDeleted = require('./handlers/onUserDeleted');
+exports.exportMyData = require('./handlers/exportMyData');
+exports.getProfile = require('./handlers/getProfile');
+exports.getLeaderboard = require('./handlers/getLeaderboard');
+exports.getMyRank = require('./handlers/getMyRank');
+exports.listMyMatches = require('./handlers/listMyMatches');
+exports.getMatch = require('./handlers/getMatch');
+exports.resetWeeklyLeaderboards = require('./handlers/resetWeeklyLeaderboards');
 exports.quickMatch = require('./handlers/quickMatch');
 exports.cancelQuickMatch = require('./handlers/cancelQuickMatch');
+exports.createPrivateMatch = require('./handlers/createPrivateMatch');
+exports.joinPrivateMatch = require('./handlers/joinPrivateMatch');
+exports.cancelPrivateMatch = require('./handlers/cancelPrivateMatch');
+exports.requestRematch = require('./handlers/requestRematch');
+exports.acceptRematch = require('./handlers/acceptRematch');
+exports.challengeUser = require('./handlers/challengeUser');
+exports.acceptChallenge = require('./handlers/acceptChallenge');
+exports.declineChallenge = require('./handlers/declineChallenge');
+exports.expireChallenges = require('./handlers/expireChallenges');
+exports.createTournament = require('./handlers/createTournament');
+exports.registerForTournament = require('./handlers/registerForTournament');
+exports.withdrawFromTournament = require('./handlers/withdrawFromTournament');
+exports.listTournamentEntrants = require('./handlers/listTournamentEntrants');
+exports.getTournamentBracket = require('./handlers/getTournamentBracket');
+exports.advanceTournaments = require('./handlers/advanceTournaments');
+exports.createLeague = require('./handlers/createLeague');
+exports.joinLeague = require('./handlers/joinLeague');
+exports.startLeague = require('./handlers/startLeague');
+exports.playLeagueFixture = require('./handlers/playLeagueFixture');
+exports.getLeagueTable = require('./handlers/getLeagueTable');
+exports.listLeagueFixtures = require('./handlers/listLeagueFixtures');
+exports.expireLeagueFixtures = require('./handlers/expireLeagueFixtures');
+exports.sendFriendRequest = require('./handlers/sendFriendRequest');
+exports.respondFriendRequest = require('./handlers/respondFriendRequest');
+exports.removeFriend = require('./handlers/removeFriend');
+exports.blockUser = require('./handlers/blockUser');
+exports.listFriends = require('./handlers/listFriends');
+exports.listOnlineFriends = require('./handlers/listOnlineFriends');
+exports.updatePrivacySettings = require('./handlers/updatePrivacySettings');
+exports.pairQuickMatchQueue = require('./handlers/pairQuickMatchQueue');
+exports.sweepQuickMatchQueue = require('./handlers/sweepQuickMatchQueue');
+exports.submitMove = require('./handlers/submitMove');
+exports.callToss = require('./handlers/callToss');
+exports.chooseBatOrBowl = require('./handlers/chooseBatOrBowl');
+exports.expireTosses = require('./handlers/expireTosses');
+exports.expireMoves = require('./handlers/expireMoves');
+exports.presenceDisconnect = require('./handlers/presenceDisconnect');
+exports.presenceReconnect = require('./handlers/presenceReconnect');
+exports.expireDisconnects = require('./handlers/expireDisconnects');
+exports.onMatchCompleted = require('./handlers/onMatchCompleted');
 
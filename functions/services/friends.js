@@ -0,0 +1,97 @@
+/**
+ * Friends service layer
+ *
+ * The social graph between players:
+ * - `friend_requests/{from}_{to}`: { from_uid, to_uid, created_at }, removed once answered
+ * - `friends/{uid}_{friendUid}`: { uid, friend_uid, created_at }, one document
+ *   per side so each player's list is a single query
+ * - `blocks/{blocker}_{blocked}`: { blocker_uid, blocked_uid, created_at }
+ *
+ * Blocks are mutual: both players get the other in `blocked_uids` on their
+ * `users/{uid}` document (and on a waiting quick_matchmaking_queue entry),
+ * so every flow that brings two players together only has to read one side.
+ */
+
+const admin = require('firebase-admin');
+
+// Lists a player can page through (see listFriends)
+const FRIEND_LISTS = ['friends', 'incoming', 'outgoing'];
+
+/**
+ * Get the friendship documents between two players
+ *
+ * @param {string} uid - One player
+ * @param {string} otherUid - The other player
+ * @returns {admin.firestore.DocumentReference[]} [uid's side, otherUid's side]
+ */
+function friendRefs(uid, otherUid) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  return [
+    db.collection('friends').doc(`${uid}_${otherUid}`),
+    db.collection('friends').doc(`${otherUid}_${uid}`)
+  ];
+}
+
+/**
+ * Get the friend request documents between two players
+ *
+ * @param {string} uid - One player
+ * @param {string} otherUid - The other player
+ * @returns {admin.firestore.DocumentReference[]} [from uid, from otherUid]
+ */
+function requestRefs(uid, otherUid) {
+  const db = admin.firestore();
+  return [
+    db.collection('friend_requests').doc(`${uid}_${otherUid}`),
+    db.collection('friend_requests').doc(`${otherUid}_${uid}`)
+  ];
+}
+
+/**
+ * Make two players friends inside a transaction
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} uid - One player
+ * @param {string} otherUid - The other player
+ * @param {admin.firestore.FieldValue} timestamp - Server timestamp sentinel
+ */
+function addFriendship(transaction, uid, otherUid, timestamp) {
+  const [ownRef, otherRef] = friendRefs(uid, otherUid);
+  transaction.set(ownRef, { uid, friend_uid: otherUid, created_at: timestamp });
+  transaction.set(otherRef, { uid: otherUid, friend_uid: uid, created_at: timestamp });
+}
+
+/**
+ * Remove the friendship and any pending request between two players inside a transaction
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} uid - One player
+ * @param {string} otherUid - The other player
+ */
+function removeTies(transaction, uid, otherUid) {
+  [...friendRefs(uid, otherUid), ...requestRefs(uid, otherUid)].forEach(ref => transaction.delete(ref));
+}
+
+/**
+ * Check whether a block stands between a player and someone else inside a transaction
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} uid - Player whose side is read
+ * @param {string} otherUid - The other player
+ * @returns {Promise<boolean>} True if either player blocked the other
+ */
+async function isBlocked(transaction, uid, otherUid) {
+  const db = admin.firestore();
+  const userDoc = await transaction.get(db.collection('users').doc(uid));
+  return userDoc.exists && (userDoc.data().blocked_uids || []).includes(otherUid);
+}
+
+module.exports = {
+  FRIEND_LISTS,
+  friendRefs,
+  requestRefs,
+  addFriendship,
+  removeTies,
+  isBlocked
+};
@@ -0,0 +1,63 @@
+/**
+ * Inbox service layer
+ *
+ * Every player has an inbox at `inbox/{uid}/items` that the client listens
+ * to, so challenges and their answers arrive without polling. Items are
+ * written only by Cloud Functions; the owner may read them.
+ *
+ * Item types:
+ * - "challenge": a direct challenge from another player (see challengeUser),
+ *   `challenge_{fromUid}` so a player has at most one challenge from each sender
+ * - "challenge_accepted", "challenge_declined", "challenge_expired": the
+ *   answer to a challenge the player sent, under an automatic ID
+ */
+
+const admin = require('firebase-admin');
+const {getServerTimestamp} = require('../utils/firestore');
+
+/**
+ * Get a player's inbox
+ *
+ * @param {string} uid - Player UID
+ * @return {admin.firestore.CollectionReference} `inbox/{uid}/items`
+ */
+function inboxItems(uid) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  return db.collection('inbox').doc(uid).collection('items');
+}
+
+/**
+ * Get the ID of the challenge a player sent to another
+ *
+ * @param {string} fromUid - Player who challenges
+ * @return {string} Item ID in the challenged player's inbox
+ */
+function challengeId(fromUid) {
+  return `challenge_${fromUid}`;
+}
+
+/**
+ * Tell the sender of a challenge how it ended
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {Object} challenge - Challenge item data
+ * @param {string} id - Challenge item ID
+ * @param {string} status - "accepted", "declined" or "expired"
+ * @param {string|null} [matchId] - Match created by an accepted challenge
+ */
+function notifyChallengeSender(transaction, challenge, id, status, matchId = null) {
+  transaction.set(inboxItems(challenge.from_uid).doc(), {
+    type: `challenge_${status}`,
+    challenge_id: id,
+    from_uid: challenge.to_uid,
+    match_id: matchId,
+    created_at: getServerTimestamp(),
+  });
+}
+
+module.exports = {
+  inboxItems,
+  challengeId,
+  notifyChallengeSender,
+};
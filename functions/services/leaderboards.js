@@ -0,0 +1,102 @@
+/**
+ * Leaderboard service layer
+ *
+ * Queries the boards described in utils/leaderboard.js. A board is ordered by
+ * its field, highest first, with the document ID (highest first) breaking
+ * ties, so every row has exactly one position.
+ */
+
+const admin = require('firebase-admin');
+const { weeklyEntryId, fieldValue, leaderboardItem } = require('../utils/leaderboard');
+
+/**
+ * Get every row of a board, unordered
+ *
+ * @param {Object} spec - Board from resolveBoard
+ * @returns {admin.firestore.Query} Query over the board's rows
+ */
+function boardRows(spec) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const collection = db.collection(spec.collection);
+  return spec.week === null ? collection : collection.where('week', '==', spec.week);
+}
+
+/**
+ * Get the rows of a board in board order
+ *
+ * @param {Object} spec - Board from resolveBoard
+ * @param {string} [direction] - "desc" (top first, default) or "asc" (bottom first)
+ * @returns {admin.firestore.Query} Ordered query
+ */
+function boardQuery(spec, direction = 'desc') {
+  return boardRows(spec)
+    .orderBy(spec.field, direction)
+    .orderBy(admin.firestore.FieldPath.documentId(), direction);
+}
+
+/**
+ * Build the public row of a board document
+ *
+ * @param {Object} spec - Board from resolveBoard
+ * @param {admin.firestore.DocumentSnapshot} doc - User or entry document
+ * @param {number} rank - Position on the board, from 1
+ * @returns {Object} Row (see leaderboardItem)
+ */
+function boardItem(spec, doc, rank) {
+  const uid = spec.period === 'all_time' ? doc.id : doc.data().uid;
+  return leaderboardItem(spec.period, uid, doc.data(), rank);
+}
+
+/**
+ * Find a player's exact rank and the rows around it
+ *
+ * Uses count aggregations, so the cost does not grow with the player's rank:
+ * the rank is one plus the rows with a higher value, plus the rows with the
+ * same value that sort first (higher document ID).
+ *
+ * @param {Object} spec - Board from resolveBoard
+ * @param {string} uid - Player UID
+ * @param {number} neighbours - Rows wanted on each side of the player
+ * @returns {Promise<Object|null>} { rank, total, items } with items in board
+ *   order, the player included, or null if the player is not on the board
+ */
+async function findRank(spec, uid, neighbours) {
+  const db = admin.firestore();
+  const docId = spec.period === 'all_time' ? uid : weeklyEntryId(spec.week, uid);
+  const playerDoc = await db.collection(spec.collection).doc(docId).get();
+  const value = playerDoc.exists ? fieldValue(playerDoc.data(), spec.field) : undefined;
+  if (typeof value !== 'number') {
+    return null;
+  }
+
+  const documentId = admin.firestore.FieldPath.documentId();
+  const [higher, tiedFirst, total, above, below] = await Promise.all([
+    boardRows(spec).where(spec.field, '>', value).count().get(),
+    boardRows(spec).where(spec.field, '==', value).where(documentId, '>', docId).count().get(),
+    // Ordering leaves out documents without the field, as the board does
+    boardQuery(spec).count().get(),
+    // Bottom-first from the player is the rows just above them
+    boardQuery(spec, 'asc').startAfter(value, docId).limit(neighbours).get(),
+    boardQuery(spec, 'desc').startAfter(value, docId).limit(neighbours).get()
+  ]);
+
+  const rank = higher.data().count + tiedFirst.data().count + 1;
+  const aboveDocs = [...above.docs].reverse();
+  return {
+    rank,
+    total: total.data().count,
+    items: [
+      ...aboveDocs.map((doc, i) => boardItem(spec, doc, rank - aboveDocs.length + i)),
+      boardItem(spec, playerDoc, rank),
+      ...below.docs.map((doc, i) => boardItem(spec, doc, rank + i + 1))
+    ]
+  };
+}
+
+module.exports = {
+  boardRows,
+  boardQuery,
+  boardItem,
+  findRank
+};
@@ -0,0 +1,255 @@
+/**
+ * League service layer
+ *
+ * Storage of round-robin leagues (the table rules are in utils/league.js):
+ * - `leagues/{id}`: settings, members and progress, with `status` "open",
+ *   "in_progress" or "completed"
+ * - `leagues/{id}/fixtures/{fixtureId}`: { round, number, players, status,
+ *   match_id, result, created_at, decided_at, deadline_at_ms } where status is
+ *   "scheduled", "playing", "completed" or "void"
+ * - `leagues/{id}/standings/{uid}`: the member's row of the points table
+ *
+ * Leagues are only read and written by Cloud Functions, so clients cannot
+ * alter a table. Games are ordinary `matches` documents with
+ * `source: "league"` and `league: { league_id, fixture_id }`; the table is
+ * updated from onMatchCompleted.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { addResult, rankStandings } = require('../utils/league');
+
+/**
+ * Get a league document
+ *
+ * @param {string} leagueId - League ID
+ * @returns {admin.firestore.DocumentReference} `leagues/{id}`
+ */
+function leagueRef(leagueId) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  return db.collection('leagues').doc(leagueId);
+}
+
+/**
+ * Get the fixtures of a league
+ *
+ * @param {string} leagueId - League ID
+ * @returns {admin.firestore.CollectionReference} `leagues/{id}/fixtures`
+ */
+function fixturesOf(leagueId) {
+  return leagueRef(leagueId).collection('fixtures');
+}
+
+/**
+ * Get the points table of a league
+ *
+ * @param {string} leagueId - League ID
+ * @returns {admin.firestore.CollectionReference} `leagues/{id}/standings`
+ */
+function standingsOf(leagueId) {
+  return leagueRef(leagueId).collection('standings');
+}
+
+/**
+ * Build the fields that count settled fixtures towards a league's progress
+ *
+ * Once every fixture is settled the league is completed and the top of the
+ * table is its winner.
+ *
+ * @param {Object} league - League document data
+ * @param {number} settled - Fixtures just completed or voided
+ * @param {Object[]} standings - Standings after those fixtures
+ * @returns {Object} Fields to merge into the league document
+ */
+function progressFields(league, settled, standings) {
+  const fixturesDone = league.fixtures_done + settled;
+  if (fixturesDone < league.fixtures_total) {
+    return { fixtures_done: fixturesDone };
+  }
+
+  const table = rankStandings(standings, league.tie_breakers);
+  return {
+    fixtures_done: fixturesDone,
+    status: 'completed',
+    winner_uid: table.length > 0 ? table[0].uid : null,
+    ended_at: getServerTimestamp()
+  };
+}
+
+/**
+ * Record a completed league game in its fixture and the points table
+ *
+ * Runs in a transaction and is idempotent: only a fixture still "playing"
+ * this match is settled, so a settled match is never counted again. Members
+ * whose standing is gone (deleted accounts) are skipped.
+ *
+ * @param {string} matchId - Match document ID
+ * @param {Object} match - Completed match document data
+ * @returns {Promise<Object|null>} { leagueId, fixtureId, completed }, or null if
+ *   the match is not a league game or was already recorded
+ */
+async function applyLeagueResult(matchId, match) {
+  if (match.source !== 'league' || !match.league) {
+    return null;
+  }
+
+  const db = admin.firestore();
+  const { league_id: leagueId, fixture_id: fixtureId } = match.league;
+  const fixtureRef = fixturesOf(leagueId).doc(fixtureId);
+
+  return db.runTransaction(async (transaction) => {
+    const [leagueDoc, fixtureDoc, standingsSnapshot] = await Promise.all([
+      transaction.get(leagueRef(leagueId)),
+      transaction.get(fixtureRef),
+      transaction.get(standingsOf(leagueId))
+    ]);
+
+    const fixture = fixtureDoc.exists ? fixtureDoc.data() : null;
+    if (!leagueDoc.exists || !fixture || fixture.status !== 'playing' || fixture.match_id !== matchId) {
+      logger.debug('League result already recorded', { matchId, leagueId, fixtureId });
+      return null;
+    }
+
+    const timestamp = getServerTimestamp();
+    const standings = Object.fromEntries(standingsSnapshot.docs.map(doc => [doc.id, doc.data()]));
+    match.players.forEach((uid) => {
+      if (!standings[uid]) {
+        logger.warn('Skipping league standing, member missing', { matchId, leagueId, uid });
+        return;
+      }
+      standings[uid] = { ...addResult(standings[uid], match, uid), updated_at: timestamp };
+      transaction.set(standingsOf(leagueId).doc(uid), standings[uid]);
+    });
+
+    transaction.update(fixtureRef, {
+      status: 'completed',
+      result: {
+        winner_uid: match.result.tie ? null : match.result.winner,
+        tie: match.result.tie,
+        by: match.result.by
+      },
+      decided_at: timestamp
+    });
+
+    const progress = progressFields(leagueDoc.data(), 1, Object.values(standings));
+    transaction.update(leagueRef(leagueId), progress);
+
+    return { leagueId, fixtureId, completed: progress.status === 'completed' };
+  });
+}
+
+/**
+ * Void unplayed fixtures of a league
+ *
+ * A fixture is unplayed while it is scheduled, or while it is playing a
+ * game that was abandoned (see playLeagueFixture). Runs in a transaction and
+ * counts the voided fixtures towards the league's progress, so the league
+ * still completes when they were the last ones.
+ *
+ * @param {string} leagueId - League ID
+ * @param {Function} select - Picks the fixtures to consider, given fixture data
+ * @returns {Promise<number>} Number of fixtures voided
+ */
+async function voidUnplayedFixtures(leagueId, select) {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const [leagueDoc, fixtures, standings] = await Promise.all([
+      transaction.get(leagueRef(leagueId)),
+      transaction.get(fixturesOf(leagueId)),
+      transaction.get(standingsOf(leagueId))
+    ]);
+    if (!leagueDoc.exists || leagueDoc.data().status !== 'in_progress') {
+      return 0;
+    }
+
+    const candidates = fixtures.docs.filter((doc) => {
+      const fixture = doc.data();
+      return (fixture.status === 'scheduled' || fixture.status === 'playing') && select(fixture);
+    });
+    const games = await Promise.all(candidates.map(doc => (doc.data().status === 'playing'
+      ? transaction.get(db.collection('matches').doc(doc.data().match_id))
+      : null)));
+    const unplayed = candidates.filter((doc, i) => !games[i] || !games[i].exists || games[i].data().status === 'abandoned');
+    if (unplayed.length === 0) {
+      return 0;
+    }
+
+    const timestamp = getServerTimestamp();
+    unplayed.forEach(doc => transaction.update(doc.ref, { status: 'void', decided_at: timestamp }));
+    transaction.update(
+      leagueRef(leagueId),
+      progressFields(leagueDoc.data(), unplayed.length, standings.docs.map(doc => doc.data()))
+    );
+    return unplayed.length;
+  });
+}
+
+/**
+ * Void the unplayed fixtures between two players
+ *
+ * Used when one blocks the other: blocked players cannot meet (see
+ * playLeagueFixture), so their fixtures would otherwise hold up the league.
+ *
+ * @param {string} uid - One player
+ * @param {string} otherUid - The other player
+ * @returns {Promise<number>} Number of fixtures voided
+ */
+async function voidFixturesBetween(uid, otherUid) {
+  const db = admin.firestore();
+  const leagues = await db.collection('leagues')
+    .where('member_uids', 'array-contains', uid)
+    .where('status', '==', 'in_progress')
+    .get();
+
+  let voided = 0;
+  for (const leagueDoc of leagues.docs) {
+    if (leagueDoc.data().member_uids.includes(otherUid)) {
+      voided += await voidUnplayedFixtures(
+        leagueDoc.id,
+        fixture => fixture.players.includes(uid) && fixture.players.includes(otherUid)
+      );
+    }
+  }
+  return voided;
+}
+
+/**
+ * Build the public view of a league
+ *
+ * The invite code is left out; only the creator gets it, from createLeague.
+ *
+ * @param {string} leagueId - League ID
+ * @param {Object} league - League document data
+ * @returns {Object} { id, name, created_by, format_key, tie_breakers, status, max_members,
+ *   member_count, rounds, fixtures_total, fixtures_done, winner_uid }
+ */
+function leagueSummary(leagueId, league) {
+  return {
+    id: leagueId,
+    name: league.name,
+    created_by: league.created_by,
+    format_key: league.format_key,
+    tie_breakers: league.tie_breakers,
+    status: league.status,
+    max_members: league.max_members,
+    member_count: league.member_uids.length,
+    rounds: league.rounds,
+    fixtures_total: league.fixtures_total,
+    fixtures_done: league.fixtures_done,
+    winner_uid: league.winner_uid
+  };
+}
+
+module.exports = {
+  leagueRef,
+  fixturesOf,
+  standingsOf,
+  progressFields,
+  applyLeagueResult,
+  voidUnplayedFixtures,
+  voidFixturesBetween,
+  leagueSummary
+};
@@ -0,0 +1,198 @@
+/**
+ * Match service layer
+ *
+ * Provides helper functions for creating documents in the
+ * `matches` collection. Every flow that starts a game goes through here so
+ * match documents always have the same shape.
+ *
+ * Lifecycle: 'toss' -> 'in_progress' -> 'completed' (or 'abandoned' when
+ * both players time out or disconnect)
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const config = require('../config');
+const {getServerTimestamp} = require('../utils/firestore');
+const {createGame, forfeit, getLastBall, playBall} = require('../utils/gameEngine');
+const {createToss} = require('../utils/toss');
+const {getDefaultFormat} = require('../utils/matchFormat');
+
+// Statuses of a match that is still being played
+const ACTIVE_MATCH_STATUSES = ['toss', 'in_progress'];
+
+/**
+ * Create a match document inside an existing transaction
+ *
+ * The match starts in the toss phase; the game itself is created once the
+ * toss winner chooses to bat or bowl (see startGameFields).
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {Object} options - Match options
+ * @param {string[]} options.players - UIDs of the two players
+ * @param {string} options.source - What created the match (e.g. 'quick_match')
+ * @param {Object} [options.format] - Format spec from matchFormat.resolveFormat (default format if omitted)
+ * @param {string} [options.tossCaller] - UID of the player who calls the toss (random if omitted)
+ * @param {Object} [options.league] - { league_id, fixture_id } of the league fixture the match settles
+ * @return {string} ID of the new match document
+ */
+function createMatchInTransaction(transaction, {players, source, format, tossCaller, league}) {
+  if (!Array.isArray(players) || players.length !== 2 || players[0] === players[1]) {
+    throw new Error('A match needs exactly two distinct players');
+  }
+  if (tossCaller !== undefined && !players.includes(tossCaller)) {
+    throw new Error('Toss caller must be one of the players');
+  }
+
+  const caller = tossCaller || players[crypto.randomInt(players.length)];
+
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const matchRef = db.collection('matches').doc();
+  const fields = {
+    players: players,
+    source: source,
+    format: format || getDefaultFormat(),
+    status: 'toss',
+    toss: createToss(caller, Date.now() + config.TOSS_TIMEOUT_MS),
+    game: null,
+    ball: null,
+    created_at: getServerTimestamp(),
+  };
+  // Only league matches carry their fixture (see services/leagues.js)
+  if (league) {
+    fields.league = league;
+  }
+  transaction.set(matchRef, fields);
+
+  return matchRef.id;
+}
+
+/**
+ * Build the fields that move a match from the toss into play
+ *
+ * @param {Object} battingOrder - { battingFirst, bowlingFirst } UIDs
+ * @param {Object} format - Format spec of the match
+ * @return {Object} Fields to merge into the match document
+ */
+function startGameFields(battingOrder, format) {
+  return {
+    status: 'in_progress',
+    // Game state is owned by the server-side engine
+    game: createGame(Object.assign({}, battingOrder, {format})),
+    // Commit–reveal state of the ball being played (see handlers/submitMove.js)
+    ball: newBall(1),
+    // Consecutive move timeouts per player (see handlers/expireMoves.js)
+    timeouts: {},
+    started_at: getServerTimestamp(),
+  };
+}
+
+/**
+ * Build an empty ball waiting for both commitments
+ *
+ * @param {number} number - Ball number, starting at 1
+ * @return {Object} Ball state with a fresh move deadline
+ */
+function newBall(number) {
+  return {
+    number,
+    commitments: {},
+    reveals: {},
+    deadline_at_ms: Date.now() + config.MOVE_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Build the fields that store a new game state
+ *
+ * Starts the next ball, or completes the match if the game is over.
+ *
+ * @param {Object} game - Game state after the last action
+ * @param {number} nextBallNumber - Number of the next ball if play goes on
+ * @return {Object} Fields to merge into the match document
+ */
+function gameFields(game, nextBallNumber) {
+  const timestamp = getServerTimestamp();
+  const completed = game.status === 'completed';
+
+  const fields = {
+    game,
+    ball: completed ? null : newBall(nextBallNumber),
+    updated_at: timestamp,
+  };
+  if (completed) {
+    fields.status = 'completed';
+    fields.result = game.result;
+    fields.ended_at = timestamp;
+  }
+  return fields;
+}
+
+/**
+ * Resolve a ball whose picks have all been revealed
+ *
+ * @param {Object} game - Current game state
+ * @param {Object} ball - Ball state with both reveals
+ * @return {Object} { game, outcome, fields } where fields are merged into the match document
+ * @throws {GameEngineError} If the engine rejects the picks
+ */
+function resolveBall(game, ball) {
+  const next = playBall(game, ball.reveals);
+  return {
+    game: next,
+    outcome: getLastBall(next),
+    fields: gameFields(next, ball.number + 1),
+  };
+}
+
+/**
+ * Build the fields that end a match with one player forfeiting
+ *
+ * @param {Object} game - Current game state
+ * @param {string} loser - UID of the player who forfeits
+ * @return {Object} Fields to merge into the match document
+ */
+function forfeitFields(game, loser) {
+  return gameFields(forfeit(game, loser), null);
+}
+
+/**
+ * Build the fields that end a match with a walkover
+ *
+ * Works in the toss phase too, before there is a game to forfeit.
+ *
+ * @param {Object} match - Match document data
+ * @param {string} loser - UID of the player who did not come back
+ * @return {Object} Fields to merge into the match document
+ */
+function walkoverFields(match, loser) {
+  if (match.game) {
+    return gameFields(forfeit(match.game, loser, 'walkover'), null);
+  }
+
+  const timestamp = getServerTimestamp();
+  return {
+    status: 'completed',
+    result: {
+      winner: match.players.find((uid) => uid !== loser),
+      loser,
+      tie: false,
+      by: 'walkover',
+      margin: null,
+      super_overs: 0,
+    },
+    ball: null,
+    updated_at: timestamp,
+    ended_at: timestamp,
+  };
+}
+
+module.exports = {
+  ACTIVE_MATCH_STATUSES,
+  createMatchInTransaction,
+  startGameFields,
+  newBall,
+  resolveBall,
+  forfeitFields,
+  walkoverFields,
+};
@@ -0,0 +1,93 @@
+/**
+ * Matchmaking service layer
+ *
+ * Pairs waiting `quick_matchmaking_queue` entries into matches. Used by the
+ * queue trigger (when a player starts waiting) and by the scheduled sweep
+ * (to pair players whose rating band has widened since).
+ */
+
+const admin = require('firebase-admin');
+const config = require('../config');
+const { getServerTimestamp } = require('../utils/firestore');
+const { createMatchInTransaction } = require('./matches');
+const { createBand, pickPairs } = require('../utils/matchmaking');
+const { DEFAULT_RATING } = require('../utils/rating');
+
+// Maximum number of waiting entries considered per format in one transaction
+const QUEUE_SCAN_LIMIT = 50;
+
+/**
+ * Read a queue document into a matchmaking entry
+ *
+ * Entries written before rating bands existed get the default rating and
+ * count as having waited forever, so they are paired with anyone.
+ *
+ * @param {admin.firestore.QueryDocumentSnapshot} doc - Queue document
+ * @returns {Object} Entry { id, ref, rating, rating_band, queued_at_ms, blocked_uids }
+ */
+function entryFromDoc(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ref: doc.ref,
+    rating: typeof data.rating === 'number' ? data.rating : DEFAULT_RATING,
+    rating_band: data.rating_band || createBand(config),
+    queued_at_ms: typeof data.queued_at_ms === 'number' ? data.queued_at_ms : 0,
+    blocked_uids: data.blocked_uids || []
+  };
+}
+
+/**
+ * Pair every waiting entry of a format that has an acceptable opponent
+ *
+ * Runs inside a transaction: the queue query read locks the entries, so a
+ * concurrent run that grabs the same player is aborted and retried by
+ * Firestore, and on retry it sees those entries as already matched.
+ *
+ * @param {Object} format - Format spec shared by the entries
+ * @param {number} now - Current epoch millis
+ * @returns {Promise<Object[]>} Created pairs { matchId, players, format }
+ */
+async function pairWaitingEntries(format, now) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const waitingQuery = db.collection('quick_matchmaking_queue')
+      .where('status', '==', 'waiting')
+      .where('format_key', '==', format.key)
+      .orderBy('created_at', 'asc')
+      .limit(QUEUE_SCAN_LIMIT);
+
+    const snapshot = await transaction.get(waitingQuery);
+    if (snapshot.size < 2) {
+      return [];
+    }
+
+    const pairs = pickPairs(snapshot.docs.map(entryFromDoc), now);
+    const timestamp = getServerTimestamp();
+
+    return pairs.map((pair) => {
+      const players = pair.map(entry => entry.id);
+      const matchId = createMatchInTransaction(transaction, {
+        players,
+        source: 'quick_match',
+        format
+      });
+
+      pair.forEach((entry) => {
+        transaction.update(entry.ref, {
+          status: 'matched',
+          match_id: matchId,
+          matched_at: timestamp
+        });
+      });
+
+      return { matchId, players, format: format.key };
+    });
+  });
+}
+
+module.exports = {
+  pairWaitingEntries
+};
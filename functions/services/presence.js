@@ -0,0 +1,109 @@
+/**
+ * Presence service layer
+ *
+ * `presence/{uid}` in the Realtime Database is the source of truth for a
+ * player being online (see quickMatch). This module looks it up for many
+ * players at once and tells what online players are doing:
+ * - "in_match": playing a match (toss or in progress)
+ * - "in_queue": waiting in the quick matchmaking queue
+ * - "idle": online and doing neither
+ *
+ * Players can hide their online state with `privacy.show_online: false` on
+ * `users/{uid}` (see updatePrivacySettings); hidden players look offline.
+ * The server still reads their presence entry where a game needs both
+ * players online; when they are not, the answer gives no reason.
+ */
+
+const admin = require('firebase-admin');
+const { ACTIVE_MATCH_STATUSES } = require('./matches');
+
+// Players per active match query: array-contains-any times the status `in`
+// values may be at most 30 combinations
+const MATCH_QUERY_CHUNK = Math.floor(30 / ACTIVE_MATCH_STATUSES.length);
+
+/**
+ * Check whether a player lets others see them online
+ *
+ * @param {Object} user - User document data
+ * @returns {boolean} False only if the player chose to hide it
+ */
+function showsOnline(user) {
+  return user?.privacy?.show_online !== false;
+}
+
+/**
+ * Check whether a player is online as far as others may know
+ *
+ * @param {string} uid - Player UID
+ * @param {Object|null} user - The player's users/{uid} data
+ * @returns {Promise<boolean>} True if the player is online and shows it
+ */
+async function isVisiblyOnline(uid, user) {
+  if (!showsOnline(user)) {
+    return false;
+  }
+  // Get the database instances lazily so handlers can load this module in tests
+  const rtdb = admin.database();
+  const presenceSnapshot = await rtdb.ref(`presence/${uid}`).once('value');
+  return presenceSnapshot.exists();
+}
+
+/**
+ * Find which players have a presence entry
+ *
+ * Reads the entries in parallel over the one Realtime Database connection.
+ *
+ * @param {string[]} uids - Players to look up
+ * @returns {Promise<string[]>} The online players, in the order given
+ */
+async function findOnline(uids) {
+  // Get the database instances lazily so handlers can load this module in tests
+  const rtdb = admin.database();
+  const snapshots = await Promise.all(uids.map(uid => rtdb.ref(`presence/${uid}`).once('value')));
+  return uids.filter((uid, i) => snapshots[i].exists());
+}
+
+/**
+ * Tell what each online player is doing
+ *
+ * One batched read of the queue entries, plus one query of active matches
+ * per MATCH_QUERY_CHUNK players.
+ *
+ * @param {string[]} uids - Online players
+ * @returns {Promise<Object>} Map of UID to "in_match", "in_queue" or "idle"
+ */
+async function findActivities(uids) {
+  if (uids.length === 0) {
+    return {};
+  }
+
+  const db = admin.firestore();
+  const chunks = [];
+  for (let i = 0; i < uids.length; i += MATCH_QUERY_CHUNK) {
+    chunks.push(uids.slice(i, i + MATCH_QUERY_CHUNK));
+  }
+
+  const [queueDocs, ...matchSnapshots] = await Promise.all([
+    db.getAll(...uids.map(uid => db.collection('quick_matchmaking_queue').doc(uid))),
+    ...chunks.map(chunk => db.collection('matches')
+      .where('players', 'array-contains-any', chunk)
+      .where('status', 'in', ACTIVE_MATCH_STATUSES)
+      .get())
+  ]);
+
+  const playing = new Set(matchSnapshots.flatMap(snapshot => snapshot.docs.flatMap(doc => doc.data().players)));
+  return Object.fromEntries(uids.map((uid, i) => {
+    if (playing.has(uid)) {
+      return [uid, 'in_match'];
+    }
+    const waiting = queueDocs[i].exists && queueDocs[i].data().status === 'waiting';
+    return [uid, waiting ? 'in_queue' : 'idle'];
+  }));
+}
+
+module.exports = {
+  showsOnline,
+  isVisiblyOnline,
+  findOnline,
+  findActivities
+};
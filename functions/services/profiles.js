@@ -0,0 +1,42 @@
+/**
+ * Profile service layer
+ *
+ * Builds the public view of a user: what any signed-in player may see about
+ * another one. Private fields such as `email_address` never leave here.
+ */
+
+const {emptyStats, careerAverages} = require('../utils/stats');
+const {ratingOf} = require('./ratings');
+
+/**
+ * Convert a Firestore timestamp to an ISO 8601 string
+ *
+ * @param {*} value - Timestamp, or anything else
+ * @return {string|null} ISO string, or null if value is not a timestamp
+ */
+function toIsoString(value) {
+  return value && typeof value.toDate === 'function' ? value.toDate().toISOString() : null;
+}
+
+/**
+ * Build the public profile of a user
+ *
+ * @param {string} uid - User ID
+ * @param {Object} user - users/{uid} document data
+ * @return {Object} Public profile
+ */
+function publicProfile(uid, user) {
+  const stats = Object.assign(emptyStats(), user.stats);
+  return {
+    uid,
+    username: user.username,
+    created_at: toIsoString(user.created_at),
+    rating: Math.round(ratingOf(user).rating),
+    rated_games: user.rated_games || 0,
+    stats: Object.assign({}, stats, careerAverages(stats)),
+  };
+}
+
+module.exports = {
+  publicProfile,
+};
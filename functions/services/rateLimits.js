@@ -0,0 +1,53 @@
+/**
+ * Rate limit service layer
+ *
+ * Fixed-window, per-user rate limits stored on `rate_limits/{uid}`, one map
+ * per action:
+ * {
+ *   [action]: {
+ *     window_start_ms,  // start of the current window
+ *     count             // calls counted in the window
+ *   }
+ * }
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * Count a call against a user's limit for an action
+ *
+ * Runs in a transaction so concurrent calls are all counted. Calls that are
+ * refused do not extend the window.
+ *
+ * @param {string} uid - User ID
+ * @param {string} action - Action name, e.g. 'check_username'
+ * @param {Object} limit - { limit, windowMs }: calls allowed per window
+ * @returns {Promise<Object>} { allowed, retryAfterMs } (retryAfterMs is 0 when allowed)
+ */
+async function consumeRateLimit(uid, action, { limit, windowMs }) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const ref = db.collection('rate_limits').doc(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const now = Date.now();
+    const current = doc.exists ? doc.data()[action] : null;
+
+    if (!current || now - current.window_start_ms >= windowMs) {
+      transaction.set(ref, { [action]: { window_start_ms: now, count: 1 } }, { merge: true });
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    if (current.count >= limit) {
+      return { allowed: false, retryAfterMs: current.window_start_ms + windowMs - now };
+    }
+
+    transaction.set(ref, { [action]: { ...current, count: current.count + 1 } }, { merge: true });
+    return { allowed: true, retryAfterMs: 0 };
+  });
+}
+
+module.exports = {
+  consumeRateLimit
+};
@@ -0,0 +1,128 @@
+/**
+ * Rating service layer
+ *
+ * Stores Glicko-2 ratings (see utils/rating.js) on `users/{uid}`:
+ * - `rating`, `rating_deviation`, `rating_volatility`: current rating
+ * - `rated_games`: number of rated matches played
+ *
+ * and keeps one `users/{uid}/rating_history/{matchId}` document per rated match.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { SCORES, initialRating, rateGame } = require('../utils/rating');
+
+/**
+ * Build the user document fields that hold a rating
+ *
+ * @param {Object} rating - { rating, deviation, volatility }
+ * @returns {Object} Fields to merge into users/{uid}
+ */
+function ratingFields(rating) {
+  return {
+    rating: rating.rating,
+    rating_deviation: rating.deviation,
+    rating_volatility: rating.volatility
+  };
+}
+
+/**
+ * Read the rating stored on a user document
+ *
+ * Users created before ratings existed get the initial rating.
+ *
+ * @param {Object} user - User document data
+ * @returns {Object} { rating, deviation, volatility }
+ */
+function ratingOf(user) {
+  if (typeof user.rating !== 'number') {
+    return initialRating();
+  }
+  return {
+    rating: user.rating,
+    deviation: user.rating_deviation,
+    volatility: user.rating_volatility
+  };
+}
+
+/**
+ * Score of the first player of a completed match
+ *
+ * @param {Object} match - Match document data with result
+ * @returns {number} 1 for a win, 0.5 for a tie, 0 for a loss
+ */
+function firstPlayerScore(match) {
+  if (match.result.tie) {
+    return SCORES.tie;
+  }
+  return match.result.winner === match.players[0] ? SCORES.win : SCORES.loss;
+}
+
+/**
+ * Update both players' ratings for a completed match
+ *
+ * Runs in a transaction and is idempotent: if a rating history document for
+ * this match already exists, nothing is written again.
+ *
+ * @param {string} matchId - Match document ID
+ * @param {Object} match - Completed match document data
+ * @returns {Promise<Object|null>} Map of UID to new rating, or null if skipped
+ */
+async function applyMatchRatings(matchId, match) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const userRefs = match.players.map(uid => db.collection('users').doc(uid));
+  const historyRefs = userRefs.map(ref => ref.collection('rating_history').doc(matchId));
+
+  return db.runTransaction(async (transaction) => {
+    const userDocs = await Promise.all(userRefs.map(ref => transaction.get(ref)));
+    const historyDocs = await Promise.all(historyRefs.map(ref => transaction.get(ref)));
+
+    if (historyDocs.some(doc => doc.exists)) {
+      logger.debug('Match already rated', { matchId });
+      return null;
+    }
+
+    if (userDocs.some(doc => !doc.exists)) {
+      logger.warn('Skipping rating, user document missing', { matchId, players: match.players });
+      return null;
+    }
+
+    const before = userDocs.map(doc => ratingOf(doc.data()));
+    const firstScore = firstPlayerScore(match);
+    const after = rateGame(before[0], before[1], firstScore);
+    const scores = [firstScore, 1 - firstScore];
+    const timestamp = getServerTimestamp();
+
+    const updated = {};
+    match.players.forEach((uid, i) => {
+      const opponent = 1 - i;
+      transaction.update(userRefs[i], {
+        ...ratingFields(after[i]),
+        rated_games: (userDocs[i].data().rated_games || 0) + 1
+      });
+      transaction.set(historyRefs[i], {
+        match_id: matchId,
+        opponent_uid: match.players[opponent],
+        score: scores[i],
+        rating_before: before[i].rating,
+        rating_after: after[i].rating,
+        deviation_before: before[i].deviation,
+        deviation_after: after[i].deviation,
+        volatility_after: after[i].volatility,
+        opponent_rating: before[opponent].rating,
+        created_at: timestamp
+      });
+      updated[uid] = after[i];
+    });
+
+    return updated;
+  });
+}
+
+module.exports = {
+  ratingFields,
+  ratingOf,
+  applyMatchRatings
+};
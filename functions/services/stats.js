@@ -0,0 +1,86 @@
+/**
+ * Career statistics service layer
+ *
+ * Keeps the career totals on `users/{uid}.stats` (see utils/stats.js) and the
+ * weekly leaderboard entries (see utils/leaderboard.js) up to date as matches
+ * complete.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { getServerTimestamp } = require('../utils/firestore');
+const { emptyStats, addMatch } = require('../utils/stats');
+const { isoWeek, weeklyEntryId, addToWeeklyEntry } = require('../utils/leaderboard');
+const { ratingOf } = require('./ratings');
+
+/**
+ * Add a completed match to both players' career totals
+ *
+ * Also adds it to both players' entries on the leaderboard of the week the
+ * match ended, taking the rating from the user document, so run it after the
+ * ratings are updated. A match processed after its week was archived (see
+ * resetWeeklyLeaderboards) is added to the archived entry instead.
+ *
+ * Runs in a transaction and is idempotent: the match is flagged with
+ * `stats_recorded` and a flagged match is never counted again. Players whose
+ * user document is gone (deleted accounts) are skipped.
+ *
+ * @param {string} matchId - Match document ID
+ * @param {Object} match - Completed match document data
+ * @returns {Promise<Object|null>} Map of UID to new totals, or null if already recorded
+ */
+async function applyMatchStats(matchId, match) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const matchRef = db.collection('matches').doc(matchId);
+  const userRefs = match.players.map(uid => db.collection('users').doc(uid));
+  // A retried trigger can run in the following week
+  const week = isoWeek(match.ended_at ? match.ended_at.toMillis() : Date.now());
+  const entryRefs = match.players.map(uid => db.collection('weekly_leaderboard').doc(weeklyEntryId(week, uid)));
+  const archiveRefs = match.players.map(uid => db.collection('leaderboard_archives').doc(weeklyEntryId(week, uid)));
+
+  return db.runTransaction(async (transaction) => {
+    const matchDoc = await transaction.get(matchRef);
+    const userDocs = await Promise.all(userRefs.map(ref => transaction.get(ref)));
+    const entryDocs = await Promise.all(entryRefs.map(ref => transaction.get(ref)));
+    const archiveDocs = await Promise.all(archiveRefs.map(ref => transaction.get(ref)));
+
+    if (!matchDoc.exists || matchDoc.data().stats_recorded) {
+      logger.debug('Match stats already recorded', { matchId });
+      return null;
+    }
+
+    const updated = {};
+    match.players.forEach((uid, i) => {
+      if (!userDocs[i].exists) {
+        logger.warn('Skipping stats, user document missing', { matchId, uid });
+        return;
+      }
+      const user = userDocs[i].data();
+      updated[uid] = addMatch(user.stats, match, uid);
+      transaction.update(userRefs[i], { stats: updated[uid] });
+
+      // Archiving a recreated entry later would overwrite the archived totals
+      const archived = !entryDocs[i].exists && archiveDocs[i].exists;
+      const current = entryDocs[i].exists ? entryDocs[i] : archiveDocs[i];
+      const entry = addToWeeklyEntry(
+        current.exists ? current.data() : undefined,
+        { uid, username: user.username, rating: ratingOf(user).rating, week },
+        { ...emptyStats(), ...user.stats },
+        updated[uid]
+      );
+      if (archived) {
+        transaction.update(archiveRefs[i], { ...entry, updated_at: getServerTimestamp() });
+      } else {
+        transaction.set(entryRefs[i], { ...entry, updated_at: getServerTimestamp() });
+      }
+    });
+
+    transaction.update(matchRef, { stats_recorded: true, updated_at: getServerTimestamp() });
+    return updated;
+  });
+}
+
+module.exports = {
+  applyMatchStats
+};
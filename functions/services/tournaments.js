@@ -0,0 +1,137 @@
+/**
+ * Tournament service layer
+ *
+ * Storage of knockout tournaments (the bracket rules are in
+ * utils/tournament.js):
+ * - `tournaments/{id}`: settings, status and progress
+ * - `tournaments/{id}/entrants/{uid}`: { uid, username, rating, seed, status,
+ *   slot_id, eliminated_in_round, registered_at, registered_at_ms } where
+ *   status is "registered", "active", "eliminated", "withdrawn" or "champion"
+ * - `tournaments/{id}/bracket/{slotId}`: { round, slot, players, seeds,
+ *   status, match_id, winner_uid, created_at, decided_at }
+ *
+ * Games are ordinary `matches` documents with `source: "tournament"`.
+ */
+
+const admin = require('firebase-admin');
+const {getServerTimestamp} = require('../utils/firestore');
+const {slotId, openSlot} = require('../utils/tournament');
+const {createMatchInTransaction} = require('./matches');
+
+/**
+ * Get a tournament document
+ *
+ * @param {string} tournamentId - Tournament ID
+ * @return {admin.firestore.DocumentReference} `tournaments/{id}`
+ */
+function tournamentRef(tournamentId) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  return db.collection('tournaments').doc(tournamentId);
+}
+
+/**
+ * Get the entrants of a tournament
+ *
+ * @param {string} tournamentId - Tournament ID
+ * @return {admin.firestore.CollectionReference} `tournaments/{id}/entrants`
+ */
+function entrantsOf(tournamentId) {
+  return tournamentRef(tournamentId).collection('entrants');
+}
+
+/**
+ * Get the bracket of a tournament
+ *
+ * @param {string} tournamentId - Tournament ID
+ * @return {admin.firestore.CollectionReference} `tournaments/{id}/bracket`
+ */
+function bracketOf(tournamentId) {
+  return tournamentRef(tournamentId).collection('bracket');
+}
+
+/**
+ * Open every slot of a round inside an existing transaction
+ *
+ * Creates a match for each slot whose players can both play; the other
+ * slots are decided on the spot (bye, walkover or void). Entrant changes are
+ * collected in `entrantUpdates` so the caller writes each entrant once.
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} tournament - Tournament document data (for the format)
+ * @param {number} round - Round number, from 1
+ * @param {Array<Array<string|null>>} pairings - The round's pairs, in slot order
+ * @param {Object} options - { seeds, canPlay, entrantUpdates }
+ * @param {Object} options.seeds - Map of UID to seed
+ * @param {function(string): boolean} options.canPlay - Whether a player can play now
+ * @param {Object} options.entrantUpdates - Map of UID to fields, added to in place
+ * @return {Object[]} Slot data, in slot order
+ */
+function openRound(transaction, tournamentId, tournament, round, pairings, {seeds, canPlay, entrantUpdates}) {
+  const timestamp = getServerTimestamp();
+
+  return pairings.map((players, i) => {
+    const id = slotId(round, i + 1);
+    const opening = openSlot(players, canPlay);
+
+    const matchId = opening.status === 'playing' ?
+      createMatchInTransaction(transaction, {players, source: 'tournament', format: tournament.format}) :
+      null;
+
+    const slot = {
+      round,
+      slot: i + 1,
+      players,
+      seeds: players.map((uid) => (uid === null ? null : seeds[uid])),
+      status: opening.status,
+      match_id: matchId,
+      winner_uid: opening.winner,
+      created_at: timestamp,
+      decided_at: opening.status === 'playing' ? null : timestamp,
+    };
+    transaction.set(bracketOf(tournamentId).doc(id), slot);
+
+    players.filter((uid) => uid !== null).forEach((uid) => {
+      entrantUpdates[uid] = Object.assign({}, entrantUpdates[uid], {slot_id: id});
+    });
+    opening.eliminated.forEach((uid) => {
+      entrantUpdates[uid] = Object.assign({}, entrantUpdates[uid], {status: 'eliminated', eliminated_in_round: round});
+    });
+
+    return slot;
+  });
+}
+
+/**
+ * Build the public view of a tournament
+ *
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} tournament - Tournament document data
+ * @return {Object} { id, name, created_by, format_key, status, max_players, player_count,
+ *   starts_at_ms, bracket_size, rounds, current_round, winner_uid }
+ */
+function tournamentSummary(tournamentId, tournament) {
+  return {
+    id: tournamentId,
+    name: tournament.name,
+    created_by: tournament.created_by,
+    format_key: tournament.format_key,
+    status: tournament.status,
+    max_players: tournament.max_players,
+    player_count: tournament.player_count,
+    starts_at_ms: tournament.starts_at_ms,
+    bracket_size: tournament.bracket_size,
+    rounds: tournament.rounds,
+    current_round: tournament.current_round,
+    winner_uid: tournament.winner_uid,
+  };
+}
+
+module.exports = {
+  tournamentRef,
+  entrantsOf,
+  bracketOf,
+  openRound,
+  tournamentSummary,
+};
@@ -0,0 +1,359 @@
+/**
+ * User data service layer
+ *
+ * Knows every place a user's data is stored, so it can be exported
+ * (exportMyData) and removed when the account is deleted (onUserDeleted):
+ * - `users/{uid}` and its subcollections (USER_SUBCOLLECTIONS)
+ * - `usernames/{key}` reservations owned by the user, including held ones
+ * - `quick_matchmaking_queue/{uid}`
+ * - `private_rooms` hosted by the user
+ * - `rate_limits/{uid}`
+ * - `weekly_leaderboard` and `leaderboard_archives` entries of the user
+ * - `friends`, `friend_requests` and `blocks` on either side of the user
+ * - `inbox/{uid}/items`, and items the user sent to other players' inboxes
+ * - `tournaments/{id}/entrants/{uid}` entries of the user
+ * - `leagues/{id}/standings/{uid}` rows of the user, and their league memberships
+ * - `matches` the user played in
+ *
+ * Add new per-user data here so both flows stay complete.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../utils/logger');
+const { deleteWithRetry, getServerTimestamp } = require('../utils/firestore');
+const { ACTIVE_MATCH_STATUSES, walkoverFields } = require('./matches');
+const { fixturesOf, standingsOf, progressFields } = require('./leagues');
+const { ballStatus, tossStatus } = require('../utils/scorecard');
+
+// Subcollections of users/{uid}
+const USER_SUBCOLLECTIONS = ['rating_history', 'username_history'];
+
+/**
+ * Convert Firestore values into plain JSON
+ *
+ * Timestamps become ISO 8601 strings; arrays and objects are converted
+ * recursively.
+ *
+ * @param {*} value - Value read from Firestore
+ * @returns {*} JSON-safe value
+ */
+function toExportValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toExportValue);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toExportValue(item)]));
+}
+
+/**
+ * Convert a query snapshot into exported documents
+ *
+ * @param {admin.firestore.QuerySnapshot} snapshot - Query result
+ * @returns {Object[]} Documents with their ID as `id`
+ */
+function exportDocs(snapshot) {
+  return snapshot.docs.map(doc => ({ id: doc.id, ...toExportValue(doc.data()) }));
+}
+
+/**
+ * Convert the user's matches into exported documents
+ *
+ * Matches still being played get the same public toss and ball views as
+ * getMatch, so an export never shows the opponent's fingers or picks before
+ * they are revealed.
+ *
+ * @param {admin.firestore.QuerySnapshot} snapshot - Matches query result
+ * @returns {Object[]} Documents with their ID as `id`
+ */
+function exportMatches(snapshot) {
+  return snapshot.docs.map((doc) => {
+    const match = doc.data();
+    if (!ACTIVE_MATCH_STATUSES.includes(match.status)) {
+      return { id: doc.id, ...toExportValue(match) };
+    }
+    return {
+      id: doc.id,
+      ...toExportValue({
+        ...match,
+        toss: tossStatus(match.toss, match.players),
+        ball: ballStatus(match.ball, match.players)
+      })
+    };
+  });
+}
+
+/**
+ * Collect everything stored about a user
+ *
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} JSON-safe bundle, one key per kind of data
+ */
+async function exportUserData(uid) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+
+  const [
+    userDoc,
+    queueDoc,
+    rateLimitDoc,
+    usernames,
+    privateRooms,
+    matches,
+    weeklyEntries,
+    archivedEntries,
+    friends,
+    sentRequests,
+    receivedRequests,
+    blocks,
+    inbox,
+    tournamentEntries,
+    leagueStandings,
+    ...subcollections
+  ] = await Promise.all([
+    userRef.get(),
+    db.collection('quick_matchmaking_queue').doc(uid).get(),
+    db.collection('rate_limits').doc(uid).get(),
+    db.collection('usernames').where('uid', '==', uid).get(),
+    db.collection('private_rooms').where('host_uid', '==', uid).get(),
+    db.collection('matches').where('players', 'array-contains', uid).get(),
+    db.collection('weekly_leaderboard').where('uid', '==', uid).get(),
+    db.collection('leaderboard_archives').where('uid', '==', uid).get(),
+    db.collection('friends').where('uid', '==', uid).get(),
+    db.collection('friend_requests').where('from_uid', '==', uid).get(),
+    db.collection('friend_requests').where('to_uid', '==', uid).get(),
+    // Only the blocks the user made; being blocked by someone else is their data
+    db.collection('blocks').where('blocker_uid', '==', uid).get(),
+    db.collection('inbox').doc(uid).collection('items').get(),
+    db.collectionGroup('entrants').where('uid', '==', uid).get(),
+    db.collectionGroup('standings').where('uid', '==', uid).get(),
+    ...USER_SUBCOLLECTIONS.map(name => userRef.collection(name).get())
+  ]);
+
+  const bundle = {
+    uid,
+    user: userDoc.exists ? toExportValue(userDoc.data()) : null,
+    usernames: exportDocs(usernames),
+    quick_matchmaking_queue: queueDoc.exists ? toExportValue(queueDoc.data()) : null,
+    private_rooms: exportDocs(privateRooms),
+    matches: exportMatches(matches),
+    rate_limits: rateLimitDoc.exists ? toExportValue(rateLimitDoc.data()) : null,
+    weekly_leaderboard: exportDocs(weeklyEntries),
+    leaderboard_archives: exportDocs(archivedEntries),
+    friends: exportDocs(friends),
+    friend_requests: [...exportDocs(sentRequests), ...exportDocs(receivedRequests)],
+    blocks: exportDocs(blocks),
+    inbox: exportDocs(inbox),
+    tournament_entries: tournamentEntries.docs.map(doc => ({
+      tournament_id: doc.ref.parent.parent.id,
+      ...toExportValue(doc.data())
+    })),
+    league_standings: leagueStandings.docs.map(doc => ({
+      league_id: doc.ref.parent.parent.id,
+      ...toExportValue(doc.data())
+    }))
+  };
+  USER_SUBCOLLECTIONS.forEach((name, i) => {
+    bundle[name] = exportDocs(subcollections[i]);
+  });
+
+  return bundle;
+}
+
+/**
+ * End every active match of a user by walkover
+ *
+ * @param {string} uid - User who is leaving
+ * @returns {Promise<string[]>} IDs of the matches that were ended
+ */
+async function endActiveMatches(uid) {
+  const db = admin.firestore();
+  const snapshot = await db.collection('matches')
+    .where('players', 'array-contains', uid)
+    .where('status', 'in', ACTIVE_MATCH_STATUSES)
+    .get();
+
+  const ended = [];
+  for (const matchDoc of snapshot.docs) {
+    const changed = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(matchDoc.ref);
+      if (!current.exists || !ACTIVE_MATCH_STATUSES.includes(current.data().status)) {
+        return false;
+      }
+      transaction.update(matchDoc.ref, {
+        ...walkoverFields(current.data(), uid),
+        reconnect_deadline_at_ms: null
+      });
+      return true;
+    });
+    if (changed) {
+      ended.push(matchDoc.id);
+    }
+  }
+  return ended;
+}
+
+/**
+ * Remove a user's tournament entries
+ *
+ * A tournament still open for registration gets its place back. Once play
+ * has started, brackets keep the UID and advanceTournaments treats the
+ * missing entrant as a no-show.
+ *
+ * @param {string} uid - User who is leaving
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function leaveTournaments(uid) {
+  const db = admin.firestore();
+  const entries = await db.collectionGroup('entrants').where('uid', '==', uid).get();
+
+  for (const entryDoc of entries.docs) {
+    const tournamentRef = entryDoc.ref.parent.parent;
+    await db.runTransaction(async (transaction) => {
+      const [tournamentDoc, current] = await Promise.all([
+        transaction.get(tournamentRef),
+        transaction.get(entryDoc.ref)
+      ]);
+      if (!current.exists) {
+        return;
+      }
+      if (tournamentDoc.exists && tournamentDoc.data().status === 'registration') {
+        transaction.update(tournamentRef, { player_count: tournamentDoc.data().player_count - 1 });
+      }
+      transaction.delete(entryDoc.ref);
+    });
+  }
+  return entries.size;
+}
+
+/**
+ * Take a user out of their leagues
+ *
+ * An open league the user created is removed, since nobody else can start
+ * it. Otherwise the user's standing is deleted and their fixtures not yet
+ * played are voided, which may complete a league under way. Games still in
+ * play end by walkover (see endActiveMatches) and reach the table through
+ * onMatchCompleted.
+ *
+ * @param {string} uid - User who is leaving
+ * @returns {Promise<number>} Number of leagues left
+ */
+async function leaveLeagues(uid) {
+  const db = admin.firestore();
+  const leagues = await db.collection('leagues').where('member_uids', 'array-contains', uid).get();
+
+  for (const leagueDoc of leagues.docs) {
+    await db.runTransaction(async (transaction) => {
+      const [current, fixtures, standings] = await Promise.all([
+        transaction.get(leagueDoc.ref),
+        transaction.get(fixturesOf(leagueDoc.id).where('players', 'array-contains', uid)),
+        transaction.get(standingsOf(leagueDoc.id))
+      ]);
+      if (!current.exists) {
+        return;
+      }
+
+      const league = current.data();
+      if (league.status === 'open' && league.created_by === uid) {
+        standings.docs.forEach(doc => transaction.delete(doc.ref));
+        transaction.delete(leagueDoc.ref);
+        return;
+      }
+
+      const timestamp = getServerTimestamp();
+      const unplayed = fixtures.docs.filter(doc => doc.data().status === 'scheduled');
+      unplayed.forEach(doc => transaction.update(doc.ref, { status: 'void', decided_at: timestamp }));
+      transaction.delete(standingsOf(leagueDoc.id).doc(uid));
+
+      const others = standings.docs.filter(doc => doc.id !== uid).map(doc => doc.data());
+      transaction.update(leagueDoc.ref, {
+        member_uids: league.member_uids.filter(member => member !== uid),
+        ...(unplayed.length > 0 ? progressFields(league, unplayed.length, others) : {})
+      });
+    });
+  }
+  return leagues.size;
+}
+
+/**
+ * Remove everything stored about a user
+ *
+ * Active matches end with a walkover for the opponent. Finished matches are
+ * kept so the opponent's history and ratings stay intact; they only hold the
+ * UID, which no longer leads to a profile or username once this has run.
+ *
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} Summary { matchesEnded, usernames, privateRooms, queueEntryDeleted }
+ */
+async function deleteUserData(uid) {
+  const db = admin.firestore();
+
+  // Step 1: Let opponents win the matches still in play
+  const matchesEnded = await endActiveMatches(uid);
+
+  // Step 2: Leave the quick matchmaking queue
+  const queueEntryDeleted = await deleteWithRetry(db.collection('quick_matchmaking_queue').doc(uid), 10, 500);
+  if (!queueEntryDeleted) {
+    logger.warn('Failed to remove deleted user from queue after retries', { uid });
+  }
+
+  // Step 3: Free the username and any names held after renames
+  const usernames = await db.collection('usernames').where('uid', '==', uid).get();
+  await Promise.all(usernames.docs.map(doc => doc.ref.delete()));
+
+  // Step 4: Close private rooms the user was hosting
+  const privateRooms = await db.collection('private_rooms').where('host_uid', '==', uid).get();
+  await Promise.all(privateRooms.docs.map(doc => doc.ref.delete()));
+
+  // Step 5: Drop rate limit counters
+  await db.collection('rate_limits').doc(uid).delete();
+
+  // Step 6: Take the user off the weekly leaderboards and their archives
+  const leaderboardEntries = await Promise.all(['weekly_leaderboard', 'leaderboard_archives']
+    .map(name => db.collection(name).where('uid', '==', uid).get()));
+  await Promise.all(leaderboardEntries.flatMap(snapshot => snapshot.docs.map(doc => doc.ref.delete())));
+
+  // Step 7: Drop friendships, friend requests and blocks on both sides
+  const socialDocs = await Promise.all([
+    ['friends', 'uid'],
+    ['friends', 'friend_uid'],
+    ['friend_requests', 'from_uid'],
+    ['friend_requests', 'to_uid'],
+    ['blocks', 'blocker_uid'],
+    ['blocks', 'blocked_uid']
+  ].map(([name, field]) => db.collection(name).where(field, '==', uid).get()));
+  await Promise.all(socialDocs.flatMap(snapshot => snapshot.docs.map(doc => doc.ref.delete())));
+
+  // Step 8: Clear the user's inbox and what they sent to other inboxes
+  await db.recursiveDelete(db.collection('inbox').doc(uid));
+  const sentItems = await db.collectionGroup('items').where('from_uid', '==', uid).get();
+  await Promise.all(sentItems.docs.map(doc => doc.ref.delete()));
+
+  // Step 9: Leave tournaments
+  await leaveTournaments(uid);
+
+  // Step 10: Leave leagues
+  await leaveLeagues(uid);
+
+  // Step 11: Delete the profile with all of its subcollections
+  await db.recursiveDelete(db.collection('users').doc(uid));
+
+  return {
+    matchesEnded,
+    usernames: usernames.docs.map(doc => doc.id),
+    privateRooms: privateRooms.docs.map(doc => doc.id),
+    queueEntryDeleted
+  };
+}
+
+module.exports = {
+  USER_SUBCOLLECTIONS,
+  toExportValue,
+  exportUserData,
+  deleteUserData
+};
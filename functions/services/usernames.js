@@ -0,0 +1,137 @@
+/**
+ * Username reservation service layer
+ *
+ * Usernames are made unique by reservation documents in the `usernames`
+ * collection, keyed by the canonical key of the name (see utils/username.js):
+ * {
+ *   uid,            // owner
+ *   username,       // the name as the owner spelled it
+ *   created_at,
+ *   released_at,    // set when the owner renamed (see changeUsername)
+ *   held_until_ms   // the name stays reserved until then
+ * }
+ *
+ * Reservations written before canonical keys existed are keyed by the raw
+ * username and have no `username` field, and some are keyed by the previous
+ * version of the key; both are still honoured until migrateUsernameKeys has
+ * moved them.
+ */
+
+const admin = require('firebase-admin');
+const { previousUsernameKey, usernameKey } = require('../utils/username');
+
+/**
+ * Get the documents that may reserve a username
+ *
+ * @param {string} username - Valid username
+ * @returns {admin.firestore.DocumentReference[]} Canonical reservation first, then the legacy ones that differ
+ */
+function reservationRefs(username) {
+  // Get the Firestore instance lazily so handlers can load this module in tests
+  const db = admin.firestore();
+  const keys = [...new Set([usernameKey(username), previousUsernameKey(username), username])];
+  return keys.map(key => db.collection('usernames').doc(key));
+}
+
+/**
+ * Find the reservation covering a username inside a transaction
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} username - Valid username
+ * @returns {Promise<Object|null>} { ref, data } with data.username filled in, or null if unreserved
+ */
+async function findReservation(transaction, username) {
+  const refs = reservationRefs(username);
+  const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+  const index = docs.findIndex(doc => doc.exists);
+  if (index === -1) {
+    return null;
+  }
+  const data = docs[index].data();
+  return {
+    ref: refs[index],
+    // Legacy reservations are keyed by the exact name
+    data: { ...data, username: data.username || refs[index].id }
+  };
+}
+
+/**
+ * Find the player who currently goes by a username inside a transaction
+ *
+ * A name given up in a rename no longer leads to its old owner, even while
+ * it is held.
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} username - Valid username
+ * @returns {Promise<string|null>} UID of the owner, or null if nobody uses the name
+ */
+async function findUsernameOwner(transaction, username) {
+  const reservation = await findReservation(transaction, username);
+  if (!reservation || reservation.data.released_at) {
+    return null;
+  }
+  return reservation.data.uid;
+}
+
+/**
+ * Check whether a reservation lets a user take the name
+ *
+ * The owner can always use their own reservation (a restyled spelling of
+ * their name, or a name they gave up that is still held). Anyone else can
+ * take it only once its hold has passed.
+ *
+ * @param {Object|null} reservation - Reservation data, or null if missing
+ * @param {string} uid - UID of the user taking the name
+ * @param {number} now - Current epoch millis
+ * @returns {boolean} True if the name can be taken
+ */
+function isUsernameFree(reservation, uid, now) {
+  if (!reservation || reservation.uid === uid) {
+    return true;
+  }
+  return typeof reservation.held_until_ms === 'number' && reservation.held_until_ms <= now;
+}
+
+/**
+ * Describe why a reserved name cannot be taken
+ *
+ * @param {string} username - Requested username
+ * @param {Object} reservation - Reservation data covering it
+ * @returns {Object} { rule, message }, rule is 'taken' for the same name or 'lookalike' for a similar one
+ */
+function usernameConflict(username, reservation) {
+  if (reservation.username === username) {
+    return { rule: 'taken', message: `username ${username} already taken` };
+  }
+  return { rule: 'lookalike', message: `username ${username} is too similar to an existing username` };
+}
+
+/**
+ * Reserve a username inside a transaction
+ *
+ * Overwrites any reservation under the same key, including a hold.
+ *
+ * @param {admin.firestore.Transaction} transaction - Active Firestore transaction
+ * @param {string} username - Valid username
+ * @param {string} uid - Owner
+ * @param {admin.firestore.FieldValue} timestamp - Server timestamp sentinel
+ * @returns {admin.firestore.DocumentReference} The reservation written
+ */
+function reserveUsername(transaction, username, uid, timestamp) {
+  const [ref] = reservationRefs(username);
+  transaction.set(ref, {
+    uid: uid,
+    username: username,
+    created_at: timestamp
+  });
+  return ref;
+}
+
+module.exports = {
+  reservationRefs,
+  findReservation,
+  findUsernameOwner,
+  isUsernameFree,
+  usernameConflict,
+  reserveUsername
+};
@@ -0,0 +1,308 @@
+/**
+ * Tests for acceptChallenge Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('acceptChallenge', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let online;
+  let docs;
+  let autoId;
+  let acceptChallengeHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const challengeId = `challenge_${alice}`;
+  const challengePath = `inbox/${bob}/items/${challengeId}`;
+  const now = 1000000;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  // Documents created under automatic IDs in a collection
+  const createdIn = collectionPath => Object.keys(docs)
+    .filter(path => path.startsWith(`${collectionPath}/auto-`))
+    .map(path => docs[path]);
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Players with a presence entry
+    online = new Set([alice, bob]);
+    const rtdbStub = {
+      ref: path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      })
+    };
+
+    // In-memory documents keyed by path, alice challenged bob to a t1 match
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [challengePath]: {
+        type: 'challenge',
+        from_uid: alice,
+        from_username: 'alice_1234',
+        to_uid: bob,
+        format: resolveFormat('t1'),
+        format_key: resolveFormat('t1').key,
+        status: 'pending',
+        match_id: null,
+        expires_at_ms: now + 60000,
+        created_at: 'EARLIER',
+        responded_at: null
+      }
+    };
+    autoId = 0;
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const snapshotFor = path => ({
+      exists: !!docs[path],
+      data: () => JSON.parse(JSON.stringify(docs[path]))
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => snapshotFor(path),
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: (id = `auto-${++autoId}`) => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => snapshotFor(ref.path)),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/acceptChallenge')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/inbox')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockInbox = proxyquire('../services/inbox', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const acceptChallenge = proxyquire('../handlers/acceptChallenge', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches,
+      '../services/friends': mockFriends,
+      '../services/inbox': mockInbox
+    });
+    acceptChallengeHandler = acceptChallenge.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a challengeId', async () => {
+      await expectHttpsError(acceptChallengeHandler({}, contextFor(bob)), 'invalid-argument', 'challengeId is required');
+    });
+
+    it('should require the caller to be online', async () => {
+      online.delete(bob);
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'User Not Online');
+    });
+
+    it('should require the challenger to be online', async () => {
+      online.delete(alice);
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'Opponent Not Online');
+    });
+
+    it('should still check a challenger who hides being online', async () => {
+      docs[`users/${alice}`].privacy = { show_online: false };
+      online.delete(alice);
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'Opponent Not Available');
+      expect(createdIn('matches')).to.have.length(0);
+
+      online.add(alice);
+      const result = await acceptChallengeHandler({ challengeId }, contextFor(bob));
+      expect(result.success).to.equal(true);
+    });
+
+    it('should only look in the caller\'s own inbox', async () => {
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(alice)), 'not-found', 'challenge not found');
+    });
+
+    it('should not accept an item that is not a challenge', async () => {
+      docs[`inbox/${bob}/items/note-1`] = { type: 'challenge_declined', challenge_id: challengeId, from_uid: alice };
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId: 'note-1' }, contextFor(bob)), 'not-found');
+    });
+
+    it('should reject an expired challenge', async () => {
+      clock.tick(60000);
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'deadline-exceeded', 'challenge has expired');
+      expect(createdIn('matches')).to.have.length(0);
+    });
+
+    it('should reject a challenge that was already answered', async () => {
+      docs[challengePath].status = 'declined';
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'challenge already declined');
+    });
+  });
+
+  describe('Rejections', () => {
+    it('should not start a match once a block stands between the players', async () => {
+      docs[`users/${bob}`].blocked_uids = [alice];
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'permission-denied', 'You cannot play this player');
+      expect(createdIn('matches')).to.have.length(0);
+    });
+
+    it('should not start a match while the challenger waits for a quick match', async () => {
+      docs[`quick_matchmaking_queue/${alice}`] = { uid: alice, status: 'waiting' };
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'looking for a quick match');
+    });
+
+    it('should not start a match while the caller waits for a quick match', async () => {
+      docs[`quick_matchmaking_queue/${bob}`] = { uid: bob, status: 'waiting' };
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'Leave the quick match queue first');
+    });
+  });
+
+  describe('Accepting', () => {
+    it('should create a match in the challenge\'s format', async () => {
+      const result = await acceptChallengeHandler({ challengeId }, contextFor(bob));
+
+      expect(result.success).to.equal(true);
+      const match = docs[`matches/${result.matchId}`];
+      expect(match).to.include({ source: 'challenge', status: 'toss' });
+      expect(match.players).to.deep.equal([alice, bob]);
+      expect(match.format).to.deep.equal(resolveFormat('t1'));
+    });
+
+    it('should mark the challenge accepted with the match', async () => {
+      const { matchId } = await acceptChallengeHandler({ challengeId }, contextFor(bob));
+
+      expect(docs[challengePath]).to.include({
+        status: 'accepted',
+        match_id: matchId,
+        responded_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should tell the challenger through their inbox', async () => {
+      const { matchId } = await acceptChallengeHandler({ challengeId }, contextFor(bob));
+
+      expect(createdIn(`inbox/${alice}/items`)).to.deep.equal([{
+        type: 'challenge_accepted',
+        challenge_id: challengeId,
+        from_uid: bob,
+        match_id: matchId,
+        created_at: 'SERVER_TIMESTAMP'
+      }]);
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      await acceptChallengeHandler({ challengeId }, contextFor(bob));
+
+      await expectHttpsError(acceptChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'challenge already accepted');
+      expect(createdIn('matches')).to.have.length(1);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = acceptChallengeHandler({ challengeId }, contextFor(bob));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for acceptRematch Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('acceptRematch', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let online;
+  let docs;
+  let acceptRematchHandler;
+  let mockAdmin;
+
+  const matchId = 'match-1';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const now = 1000000;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Players with a presence entry
+    online = new Set([alice, bob, carol]);
+    const rtdbStub = {
+      ref: path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      })
+    };
+
+    // In-memory documents keyed by path, bob offered alice a rematch of a t1 match
+    docs = {
+      [`matches/${matchId}`]: {
+        players: [alice, bob],
+        source: 'quick_match',
+        format: resolveFormat('t1'),
+        status: 'completed',
+        toss: { caller: alice },
+        result: { winner: alice, loser: bob, tie: false },
+        rematch: { requested_by: bob, requested_at: 'EARLIER', expires_at_ms: now + 30000, match_id: null }
+      }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const snapshotFor = path => ({
+      exists: !!docs[path],
+      data: () => JSON.parse(JSON.stringify(docs[path]))
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: (id = 'match-2') => ({ id, path: `${name}/${id}`, get: async () => snapshotFor(`${name}/${id}`) })
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => snapshotFor(ref.path)),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/acceptRematch')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+    delete require.cache[require.resolve('../services/matches')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const acceptRematch = proxyquire('../handlers/acceptRematch', {
+      'firebase-admin': mockAdmin,
+      '../services/friends': mockFriends,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    acceptRematchHandler = acceptRematch.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(acceptRematchHandler({ matchId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a matchId', async () => {
+      await expectHttpsError(acceptRematchHandler({}, contextFor(alice)), 'invalid-argument', 'matchId is required');
+    });
+
+    it('should require the caller to be online', async () => {
+      online.delete(alice);
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'failed-precondition', 'User Not Online');
+    });
+
+    it('should require the player who asked to be online', async () => {
+      online.delete(bob);
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'failed-precondition', 'Opponent Not Online');
+    });
+
+    it('should still check a player who asked and hides being online', async () => {
+      docs[`users/${bob}`] = { username: 'bobby_1234', privacy: { show_online: false } };
+      online.delete(bob);
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'failed-precondition', 'Opponent Not Available');
+
+      online.add(bob);
+      const result = await acceptRematchHandler({ matchId }, contextFor(alice));
+      expect(result.success).to.equal(true);
+    });
+
+    it('should not let the player who asked accept their own offer', async () => {
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(bob)), 'not-found', 'No rematch offer to accept');
+    });
+
+    it('should not let someone else accept the offer', async () => {
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(carol)), 'not-found');
+    });
+
+    it('should throw not-found without an offer', async () => {
+      delete docs[`matches/${matchId}`].rematch;
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'not-found');
+    });
+
+    it('should reject an expired offer', async () => {
+      clock.tick(30000);
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'deadline-exceeded', 'Rematch offer has expired');
+    });
+
+    it('should reject an offer that was already accepted', async () => {
+      docs[`matches/${matchId}`].rematch.match_id = 'match-0';
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'already-exists', 'Rematch already played');
+    });
+  });
+
+  describe('Blocks', () => {
+    it('should not start a rematch once a block stands between the players', async () => {
+      docs[`users/${alice}`] = { username: 'alice_1234', blocked_uids: [bob] };
+
+      await expectHttpsError(acceptRematchHandler({ matchId }, contextFor(alice)), 'permission-denied', 'You cannot play this player');
+      expect(docs['matches/match-2']).to.equal(undefined);
+    });
+  });
+
+  describe('Rematch', () => {
+    it('should create a new match with the same players and format', async () => {
+      const result = await acceptRematchHandler({ matchId }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, matchId: 'match-2' });
+      const rematch = docs['matches/match-2'];
+      expect(rematch).to.include({ source: 'rematch', status: 'toss' });
+      expect(rematch.players).to.deep.equal([alice, bob]);
+      expect(rematch.format).to.deep.equal(resolveFormat('t1'));
+    });
+
+    it('should give the toss call to the player who did not call it last time', async () => {
+      await acceptRematchHandler({ matchId }, contextFor(alice));
+
+      expect(docs['matches/match-2'].toss.caller).to.equal(bob);
+    });
+
+    it('should link the new match from the offer', async () => {
+      await acceptRematchHandler({ matchId }, contextFor(alice));
+
+      expect(docs[`matches/${matchId}`].rematch).to.deep.equal({
+        requested_by: bob,
+        requested_at: 'EARLIER',
+        expires_at_ms: now + 30000,
+        match_id: 'match-2',
+        accepted_at: 'SERVER_TIMESTAMP'
+      });
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = acceptRematchHandler({ matchId }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Tests for advanceTournaments scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+describe('advanceTournaments', () => {
+  let sandbox;
+  let firestoreStub;
+  let online;
+  let docs;
+  let autoId;
+  let advanceTournamentsHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const dave = 'uid-dave';
+  const now = 1000000;
+  const tournamentId = 'cup-1';
+  const tournamentPath = `tournaments/${tournamentId}`;
+  const entrantPath = uid => `${tournamentPath}/entrants/${uid}`;
+  const slotPath = id => `${tournamentPath}/bracket/${id}`;
+
+  // Documents created under automatic IDs in a collection
+  const createdIn = collectionPath => Object.keys(docs)
+    .filter(path => path.startsWith(`${collectionPath}/auto-`))
+    .map(path => docs[path]);
+
+  const addEntrant = (uid, rating, fields = {}) => {
+    docs[entrantPath(uid)] = {
+      uid,
+      username: uid.replace('uid-', ''),
+      rating,
+      seed: null,
+      status: 'registered',
+      slot_id: null,
+      eliminated_in_round: null,
+      registered_at_ms: now - 1000,
+      ...fields
+    };
+  };
+
+  // A tournament under way in the given round of a four player bracket
+  const underWay = (round) => {
+    docs[tournamentPath] = {
+      ...docs[tournamentPath],
+      status: 'in_progress',
+      player_count: 4,
+      bracket_size: 4,
+      rounds: 2,
+      current_round: round
+    };
+    [alice, bob, carol, dave].forEach((uid, i) => addEntrant(uid, 1600 - i * 100, { seed: i + 1, status: 'active' }));
+  };
+
+  const addSlot = (id, fields) => {
+    docs[slotPath(id)] = {
+      status: 'playing',
+      winner_uid: null,
+      decided_at: null,
+      ...fields
+    };
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.useFakeTimers(now);
+
+    // Players with a presence entry
+    online = new Set([alice, bob, carol, dave]);
+    const rtdbStub = {
+      ref: path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      })
+    };
+
+    // A four player cup whose registration closes now
+    docs = {
+      [tournamentPath]: {
+        name: 'Sunday Cup',
+        format: null,
+        status: 'registration',
+        max_players: 8,
+        player_count: 0,
+        starts_at_ms: now,
+        bracket_size: null,
+        rounds: null,
+        current_round: 0,
+        winner_uid: null
+      }
+    };
+    autoId = 0;
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const snapshotFor = path => ({
+      id: path.split('/').pop(),
+      ref: refFor(path),
+      exists: !!docs[path],
+      data: () => JSON.parse(JSON.stringify(docs[path]))
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => queryFor(`${path}/${name}`, [])
+    });
+    const matches = (value, op, expected) => (op === '==' ? value === expected : value <= expected);
+    // Query fake: filters, document ID order, page size and cursor
+    const queryFor = (collectionPath, filters, page = {}) => ({
+      filters,
+      doc: (id = `auto-${++autoId}`) => refFor(`${collectionPath}/${id}`),
+      where: (field, op, value) => queryFor(collectionPath, [...filters, [field, op, value]], page),
+      orderBy: () => queryFor(collectionPath, filters, page),
+      limit: count => queryFor(collectionPath, filters, { ...page, limit: count }),
+      startAfter: doc => queryFor(collectionPath, filters, { ...page, after: doc.id }),
+      get: async () => {
+        const depth = collectionPath.split('/').length + 1;
+        const found = Object.keys(docs)
+          .filter(path => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+          .filter(path => filters.every(([field, op, value]) => matches(docs[path][field], op, value)))
+          .sort()
+          .filter(path => !page.after || path.split('/').pop() > page.after)
+          .slice(0, page.limit)
+          .map(snapshotFor);
+        return { size: found.length, docs: found };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, [])),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async target => (target.filters ? target.get() : snapshotFor(target.path))),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      firestore,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/advanceTournaments')];
+    delete require.cache[require.resolve('../services/presence')];
+    delete require.cache[require.resolve('../services/tournaments')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockPresence = proxyquire('../services/presence', {
+      'firebase-admin': mockAdmin,
+      './matches': mockMatches
+    });
+
+    const mockTournaments = proxyquire('../services/tournaments', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      './matches': mockMatches
+    });
+
+    const advanceTournaments = proxyquire('../handlers/advanceTournaments', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/presence': mockPresence,
+      '../services/tournaments': mockTournaments
+    });
+    advanceTournamentsHandler = advanceTournaments.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Starting', () => {
+    it('should leave a tournament whose start time is still ahead alone', async () => {
+      docs[tournamentPath].starts_at_ms = now + 1000;
+      addEntrant(alice, 1500);
+      addEntrant(bob, 1500);
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 0, advanced: 0 });
+      expect(docs[tournamentPath].status).to.equal('registration');
+    });
+
+    it('should cancel a tournament with fewer than two players', async () => {
+      addEntrant(alice, 1500);
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 1, advanced: 0 });
+      expect(docs[tournamentPath]).to.include({ status: 'cancelled', ended_at: 'SERVER_TIMESTAMP' });
+      expect(docs).to.not.have.property(slotPath('r01_s001'));
+    });
+
+    it('should seed the bracket and open the first round', async () => {
+      addEntrant(alice, 1700);
+      addEntrant(bob, 1500);
+      addEntrant(carol, 1600);
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 1, advanced: 0 });
+      expect(docs[tournamentPath]).to.include({
+        status: 'in_progress',
+        bracket_size: 4,
+        rounds: 2,
+        current_round: 1,
+        started_at: 'SERVER_TIMESTAMP'
+      });
+
+      // The top seed has a bye, the others play
+      expect(docs[slotPath('r01_s001')]).to.include({ status: 'bye', winner_uid: alice, match_id: null });
+      expect(docs[slotPath('r01_s001')].players).to.deep.equal([alice, null]);
+      const slot = docs[slotPath('r01_s002')];
+      expect(slot).to.include({ round: 1, slot: 2, status: 'playing', winner_uid: null, decided_at: null });
+      expect(slot.players).to.deep.equal([carol, bob]);
+      expect(slot.seeds).to.deep.equal([2, 3]);
+      expect(docs[`matches/${slot.match_id}`]).to.include({ source: 'tournament', status: 'toss' });
+
+      expect(docs[entrantPath(alice)]).to.include({ seed: 1, status: 'active', slot_id: 'r01_s001' });
+      expect(docs[entrantPath(bob)]).to.include({ seed: 3, status: 'active', slot_id: 'r01_s002' });
+    });
+
+    it('should knock out players who are offline at the start', async () => {
+      addEntrant(alice, 1700);
+      addEntrant(bob, 1500);
+      online.delete(bob);
+
+      await advanceTournamentsHandler({});
+
+      expect(docs[slotPath('r01_s001')]).to.include({ status: 'walkover', winner_uid: alice, match_id: null });
+      expect(docs[entrantPath(bob)]).to.include({ status: 'eliminated', eliminated_in_round: 1 });
+      expect(createdIn('matches')).to.have.length(0);
+    });
+  });
+
+  describe('Advancing', () => {
+    beforeEach(() => {
+      underWay(1);
+      addSlot('r01_s001', { round: 1, slot: 1, players: [alice, dave], seeds: [1, 4], match_id: 'match-1' });
+      addSlot('r01_s002', { round: 1, slot: 2, players: [bob, carol], seeds: [2, 3], match_id: 'match-2' });
+      docs['matches/match-1'] = { players: [alice, dave], status: 'completed', result: { winner: alice, tie: false } };
+      docs['matches/match-2'] = { players: [bob, carol], status: 'in_progress' };
+    });
+
+    it('should wait while a game of the round is still being played', async () => {
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 0, advanced: 0 });
+      expect(docs[slotPath('r01_s001')]).to.include({ status: 'completed', winner_uid: alice, decided_at: 'SERVER_TIMESTAMP' });
+      expect(docs[entrantPath(dave)]).to.include({ status: 'eliminated', eliminated_in_round: 1 });
+      expect(docs[tournamentPath].current_round).to.equal(1);
+    });
+
+    it('should open the next round once every slot is decided', async () => {
+      docs['matches/match-2'] = { players: [bob, carol], status: 'completed', result: { winner: null, tie: true } };
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 0, advanced: 1 });
+      // The tie goes to the better seed
+      expect(docs[slotPath('r01_s002')]).to.include({ status: 'completed', winner_uid: bob });
+      expect(docs[entrantPath(carol)]).to.include({ status: 'eliminated', eliminated_in_round: 1 });
+
+      const final = docs[slotPath('r02_s001')];
+      expect(final).to.include({ round: 2, slot: 1, status: 'playing' });
+      expect(final.players).to.deep.equal([alice, bob]);
+      expect(final.seeds).to.deep.equal([1, 2]);
+      expect(docs[`matches/${final.match_id}`].players).to.deep.equal([alice, bob]);
+      expect(docs[entrantPath(alice)].slot_id).to.equal('r02_s001');
+      expect(docs[tournamentPath].current_round).to.equal(2);
+    });
+
+    it('should give a walkover against a player who withdrew', async () => {
+      docs['matches/match-2'] = { players: [bob, carol], status: 'completed', result: { winner: bob, tie: false } };
+      docs[entrantPath(bob)].status = 'withdrawn';
+
+      await advanceTournamentsHandler({});
+
+      expect(docs[slotPath('r02_s001')]).to.include({ status: 'walkover', winner_uid: alice, match_id: null });
+      expect(docs[entrantPath(bob)]).to.include({ status: 'withdrawn', eliminated_in_round: 2 });
+    });
+
+    it('should advance nobody from an abandoned game', async () => {
+      docs['matches/match-2'] = { players: [bob, carol], status: 'abandoned' };
+
+      await advanceTournamentsHandler({});
+
+      expect(docs[slotPath('r01_s002')]).to.include({ status: 'void', winner_uid: null });
+      expect(docs[slotPath('r02_s001')]).to.include({ status: 'bye', winner_uid: alice });
+    });
+  });
+
+  describe('Completing', () => {
+    beforeEach(() => {
+      underWay(2);
+      addSlot('r02_s001', { round: 2, slot: 1, players: [alice, bob], seeds: [1, 2], match_id: 'match-3' });
+    });
+
+    it('should crown the winner of the final', async () => {
+      docs['matches/match-3'] = { players: [alice, bob], status: 'completed', result: { winner: bob, tie: false } };
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 0, advanced: 1 });
+      expect(docs[tournamentPath]).to.include({ status: 'completed', winner_uid: bob, ended_at: 'SERVER_TIMESTAMP' });
+      expect(docs[entrantPath(bob)].status).to.equal('champion');
+      expect(docs[entrantPath(alice)]).to.include({ status: 'eliminated', eliminated_in_round: 2 });
+    });
+
+    it('should complete without a champion after a void final', async () => {
+      docs['matches/match-3'] = { players: [alice, bob], status: 'abandoned' };
+
+      await advanceTournamentsHandler({});
+
+      expect(docs[tournamentPath]).to.include({ status: 'completed', winner_uid: null });
+    });
+  });
+
+  describe('Paging', () => {
+    it('should check every tournament under way, page after page', async () => {
+      delete docs[tournamentPath];
+      const ids = Array.from({ length: 45 }, (_, i) => `cup-${String(i).padStart(2, '0')}`);
+      ids.forEach((id) => {
+        docs[`tournaments/${id}`] = { status: 'in_progress', rounds: 1, current_round: 1 };
+        docs[`tournaments/${id}/bracket/r01_s001`] = {
+          round: 1, slot: 1, status: 'playing', players: [alice, bob], seeds: [1, 2], match_id: `match-${id}`
+        };
+        docs[`matches/match-${id}`] = { players: [alice, bob], status: 'completed', result: { winner: alice, tie: false } };
+      });
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 0, advanced: 45 });
+      ids.forEach((id) => {
+        expect(docs[`tournaments/${id}`]).to.include({ status: 'completed', winner_uid: alice });
+      });
+    });
+
+    it('should stop paging once the run is out of time', async () => {
+      delete docs[tournamentPath];
+      const ids = Array.from({ length: 45 }, (_, i) => `cup-${String(i).padStart(2, '0')}`);
+      ids.forEach((id) => {
+        docs[`tournaments/${id}`] = { status: 'in_progress', rounds: 1, current_round: 1 };
+        docs[`tournaments/${id}/bracket/r01_s001`] = {
+          round: 1, slot: 1, status: 'playing', players: [alice, bob], seeds: [1, 2], match_id: `match-${id}`
+        };
+        docs[`matches/match-${id}`] = { players: [alice, bob], status: 'completed', result: { winner: alice, tie: false } };
+      });
+      // Every reading of the clock is a minute after the last
+      let clock = Date.now();
+      sandbox.stub(Date, 'now').callsFake(() => (clock += 60 * 1000));
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 0, advanced: 20 });
+      expect(docs['tournaments/cup-19'].status).to.equal('completed');
+      expect(docs['tournaments/cup-20'].status).to.equal('in_progress');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should carry on when one tournament fails', async () => {
+      addEntrant(alice, 1500);
+      addEntrant(bob, 1500);
+      docs['tournaments/cup-2'] = { ...docs[tournamentPath] };
+      firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+      const result = await advanceTournamentsHandler({});
+
+      expect(result).to.deep.equal({ started: 1, advanced: 0 });
+      expect(docs[tournamentPath].status).to.equal('registration');
+      expect(docs['tournaments/cup-2'].status).to.equal('cancelled');
+    });
+  });
+});
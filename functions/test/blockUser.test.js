@@ -0,0 +1,305 @@
+/**
+ * Tests for blockUser Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { usernameKey } = require('../utils/username');
+
+describe('blockUser', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let blockUserHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`usernames/${usernameKey('alice_1234')}`]: { uid: alice, username: 'alice_1234' },
+      [`usernames/${usernameKey('bobby_1234')}`]: { uid: bob, username: 'bobby_1234' },
+      [`friends/${alice}_${bob}`]: { uid: alice, friend_uid: bob, created_at: 'EARLIER' },
+      [`friends/${bob}_${alice}`]: { uid: bob, friend_uid: alice, created_at: 'EARLIER' },
+      [`friend_requests/${bob}_${alice}`]: { from_uid: bob, to_uid: alice, created_at: 'EARLIER' },
+      [`quick_matchmaking_queue/${bob}`]: { uid: bob, status: 'waiting', blocked_uids: ['uid-carol'] }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const snapshotFor = path => ({
+      exists: !!docs[path],
+      data: () => JSON.parse(JSON.stringify(docs[path]))
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    // Query fake: direct children of a collection, equality and array-contains filters
+    const collectionFor = (path, filters = []) => ({
+      isQuery: true,
+      doc: id => refFor(`${path}/${id}`),
+      where: (...filter) => collectionFor(path, [...filters, filter]),
+      get: async () => ({
+        docs: Object.keys(docs)
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .filter(key => filters.every(([field, op, value]) => (op === 'array-contains'
+            ? (docs[key][field] || []).includes(value)
+            : docs[key][field] === value)))
+          .map(key => ({ id: key.split('/').pop(), ref: refFor(key), data: () => JSON.parse(JSON.stringify(docs[key])) }))
+      })
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => collectionFor(name)),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => (ref.isQuery ? ref.get() : snapshotFor(ref.path))),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/blockUser')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../services/usernames')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const blockUser = proxyquire('../handlers/blockUser', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/friends': mockFriends,
+      '../services/usernames': mockUsernames,
+      '../services/leagues': mockLeagues
+    });
+    blockUserHandler = blockUser.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(blockUserHandler({ username: 'bobby_1234' }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a valid username', async () => {
+      await expectHttpsError(blockUserHandler({ username: 42 }, contextFor(alice)), 'invalid-argument', 'username');
+    });
+
+    it('should throw not-found for an unknown username', async () => {
+      await expectHttpsError(blockUserHandler({ username: 'nobody_1234' }, contextFor(alice)), 'not-found', 'player not found');
+    });
+
+    it('should not let a player block themselves', async () => {
+      await expectHttpsError(blockUserHandler({ username: 'alice_1234' }, contextFor(alice)), 'invalid-argument', 'yourself');
+    });
+  });
+
+  describe('Blocking', () => {
+    it('should record who blocked whom', async () => {
+      const result = await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true });
+      expect(docs[`blocks/${alice}_${bob}`]).to.deep.equal({
+        blocker_uid: alice,
+        blocked_uid: bob,
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should record the block on both players', async () => {
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[`users/${alice}`].blocked_uids).to.deep.equal([bob]);
+      expect(docs[`users/${bob}`].blocked_uids).to.deep.equal([alice]);
+    });
+
+    it('should record the block on a waiting queue entry', async () => {
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[`quick_matchmaking_queue/${bob}`].blocked_uids).to.deep.equal(['uid-carol', alice]);
+      expect(docs[`quick_matchmaking_queue/${alice}`]).to.equal(undefined);
+    });
+
+    it('should remove the friendship and pending requests', async () => {
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[`friends/${alice}_${bob}`]).to.equal(undefined);
+      expect(docs[`friends/${bob}_${alice}`]).to.equal(undefined);
+      expect(docs[`friend_requests/${bob}_${alice}`]).to.equal(undefined);
+    });
+
+    it('should be safe to block twice', async () => {
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[`users/${bob}`].blocked_uids).to.deep.equal([alice]);
+    });
+  });
+
+  describe('Leagues', () => {
+    const leaguePath = 'leagues/league-1';
+    const fixture = (players, status, fields = {}) => ({
+      players,
+      status,
+      match_id: null,
+      result: null,
+      decided_at: null,
+      ...fields
+    });
+
+    beforeEach(() => {
+      // Three members in their last round; alice and bob have yet to meet
+      docs[leaguePath] = {
+        status: 'in_progress',
+        member_uids: [alice, bob, carol],
+        tie_breakers: ['nrr'],
+        fixtures_total: 3,
+        fixtures_done: 1
+      };
+      docs[`${leaguePath}/fixtures/r01_f001`] = fixture([bob, carol], 'completed');
+      docs[`${leaguePath}/fixtures/r02_f001`] = fixture([alice, carol], 'scheduled');
+      docs[`${leaguePath}/fixtures/r03_f001`] = fixture([alice, bob], 'scheduled');
+      docs[`${leaguePath}/standings/${alice}`] = { uid: alice, points: 0, nrr: 0 };
+      docs[`${leaguePath}/standings/${bob}`] = { uid: bob, points: 2, nrr: 1 };
+      docs[`${leaguePath}/standings/${carol}`] = { uid: carol, points: 0, nrr: -1 };
+    });
+
+    it('should void the unplayed fixtures between the two players', async () => {
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[`${leaguePath}/fixtures/r03_f001`]).to.include({ status: 'void', decided_at: 'SERVER_TIMESTAMP' });
+      expect(docs[`${leaguePath}/fixtures/r02_f001`].status).to.equal('scheduled');
+      expect(docs[leaguePath]).to.include({ status: 'in_progress', fixtures_done: 2 });
+    });
+
+    it('should void a fixture whose game was abandoned, but not one being played', async () => {
+      docs[`${leaguePath}/fixtures/r03_f001`] = fixture([alice, bob], 'playing', { match_id: 'match-1' });
+      docs['matches/match-1'] = { status: 'abandoned' };
+
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+      expect(docs[`${leaguePath}/fixtures/r03_f001`].status).to.equal('void');
+
+      docs[`${leaguePath}/fixtures/r03_f001`] = fixture([alice, bob], 'playing', { match_id: 'match-2' });
+      docs['matches/match-2'] = { status: 'in_progress' };
+      docs[leaguePath].fixtures_done = 1;
+
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+      expect(docs[`${leaguePath}/fixtures/r03_f001`].status).to.equal('playing');
+    });
+
+    it('should complete the league when the voided fixture was the last one', async () => {
+      docs[`${leaguePath}/fixtures/r02_f001`].status = 'completed';
+      docs[leaguePath].fixtures_done = 2;
+
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[leaguePath]).to.include({ status: 'completed', fixtures_done: 3, winner_uid: bob });
+    });
+
+    it('should leave leagues the other player is not in alone', async () => {
+      docs[leaguePath].member_uids = [alice, carol];
+
+      await blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs[`${leaguePath}/fixtures/r03_f001`].status).to.equal('scheduled');
+      expect(docs[leaguePath].fixtures_done).to.equal(1);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = blockUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for callToss Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { createToss } = require('../utils/toss');
+
+describe('callToss', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let matchDoc;
+  let callTossHandler;
+  let mockAdmin;
+
+  const matchId = 'match-1';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory match in the toss phase, alice calls
+    matchDoc = {
+      players: [alice, bob],
+      status: 'toss',
+      toss: createToss(alice, Date.now() + 30000),
+      game: null,
+      ball: null
+    };
+
+    const matchesCollectionStub = {
+      doc: sandbox.stub().returns({ id: matchId })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(matchesCollectionStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async () => ({
+            exists: !!matchDoc,
+            data: () => JSON.parse(JSON.stringify(matchDoc))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDoc = { ...matchDoc, ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/callToss')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const callToss = proxyquire('../handlers/callToss', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore
+    });
+    callTossHandler = callToss.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(
+        callTossHandler({ matchId, call: 'odd', fingers: 3 }, { auth: null, app: {} }),
+        'unauthenticated'
+      );
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a matchId', async () => {
+      await expectHttpsError(callTossHandler({ fingers: 3 }, contextFor(alice)), 'invalid-argument');
+    });
+
+    it('should reject fingers out of range', async () => {
+      await expectHttpsError(
+        callTossHandler({ matchId, call: 'odd', fingers: 0 }, contextFor(alice)),
+        'invalid-argument',
+        'fingers'
+      );
+    });
+
+    it('should reject an unknown call', async () => {
+      await expectHttpsError(
+        callTossHandler({ matchId, call: 'heads', fingers: 2 }, contextFor(alice)),
+        'invalid-argument',
+        'call'
+      );
+    });
+  });
+
+  describe('Who May Act', () => {
+    it('should return not-found for a non-participant', async () => {
+      await expectHttpsError(
+        callTossHandler({ matchId, fingers: 2 }, contextFor('uid-carol')),
+        'not-found'
+      );
+    });
+
+    it('should require the caller to call odd or even', async () => {
+      await expectHttpsError(
+        callTossHandler({ matchId, fingers: 2 }, contextFor(alice)),
+        'invalid-argument',
+        'call is required'
+      );
+    });
+
+    it('should not let the other player make the call', async () => {
+      await expectHttpsError(
+        callTossHandler({ matchId, call: 'even', fingers: 2 }, contextFor(bob)),
+        'permission-denied'
+      );
+    });
+
+    it('should reject showing fingers twice', async () => {
+      await callTossHandler({ matchId, call: 'odd', fingers: 2 }, contextFor(alice));
+      await expectHttpsError(
+        callTossHandler({ matchId, call: 'odd', fingers: 3 }, contextFor(alice)),
+        'already-exists'
+      );
+    });
+
+    it('should reject toss input once the toss is decided', async () => {
+      matchDoc.toss.winner = alice;
+      await expectHttpsError(
+        callTossHandler({ matchId, fingers: 3 }, contextFor(bob)),
+        'failed-precondition'
+      );
+    });
+
+    it('should reject toss input on a match already in play', async () => {
+      matchDoc.status = 'in_progress';
+      await expectHttpsError(
+        callTossHandler({ matchId, call: 'odd', fingers: 3 }, contextFor(alice)),
+        'failed-precondition'
+      );
+    });
+  });
+
+  describe('Deciding the Toss', () => {
+    it('should wait for both players before deciding', async () => {
+      const result = await callTossHandler({ matchId, call: 'odd', fingers: 2 }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, decided: false });
+      expect(matchDoc.toss.call).to.equal('odd');
+      expect(matchDoc.toss.fingers).to.deep.equal({ [alice]: 2 });
+      expect(matchDoc.toss.winner).to.be.null;
+    });
+
+    it('should let the caller win when the parity matches the call', async () => {
+      await callTossHandler({ matchId, call: 'odd', fingers: 2 }, contextFor(alice));
+      const result = await callTossHandler({ matchId, fingers: 3 }, contextFor(bob));
+
+      expect(result.decided).to.be.true;
+      expect(result.winner).to.equal(alice);
+      expect(result.fingers).to.deep.equal({ [alice]: 2, [bob]: 3 });
+      expect(matchDoc.toss.winner).to.equal(alice);
+    });
+
+    it('should let the other player win when the parity does not match', async () => {
+      await callTossHandler({ matchId, fingers: 4 }, contextFor(bob));
+      const result = await callTossHandler({ matchId, call: 'odd', fingers: 2 }, contextFor(alice));
+
+      expect(result.winner).to.equal(bob);
+    });
+
+    it('should give the winner a fresh deadline to choose', async () => {
+      matchDoc.toss.deadline_at_ms = 0;
+      await callTossHandler({ matchId, call: 'even', fingers: 1 }, contextFor(alice));
+      await callTossHandler({ matchId, fingers: 1 }, contextFor(bob));
+
+      expect(matchDoc.toss.deadline_at_ms).to.be.greaterThan(Date.now());
+      expect(matchDoc.status).to.equal('toss');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      const clock = sandbox.useFakeTimers();
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = callTossHandler({ matchId, call: 'odd', fingers: 2 }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+      expect(firestoreStub.runTransaction.callCount).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for cancelPrivateMatch Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('cancelPrivateMatch', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let rooms;
+  let cancelPrivateMatchHandler;
+  let mockAdmin;
+
+  const code = 'K7QX2M';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, errorCode, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(errorCode);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory private_rooms collection, alice hosts an open room
+    rooms = {
+      [code]: { code, host_uid: alice, status: 'open', expires_at_ms: 1000000 + 60000 }
+    };
+
+    const roomsCollectionStub = {
+      doc: sandbox.stub().callsFake(id => ({ id }))
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(roomsCollectionStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!rooms[ref.id],
+            data: () => JSON.parse(JSON.stringify(rooms[ref.id]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            rooms[ref.id] = { ...rooms[ref.id], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/cancelPrivateMatch')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const cancelPrivateMatch = proxyquire('../handlers/cancelPrivateMatch', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore
+    });
+    cancelPrivateMatchHandler = cancelPrivateMatch.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(cancelPrivateMatchHandler({ code }, { auth: null, app: {} }), 'unauthenticated');
+      expect(rooms[code].status).to.equal('open');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should reject an invalid code', async () => {
+      await expectHttpsError(cancelPrivateMatchHandler({ code: 'nope' }, contextFor(alice)), 'invalid-argument');
+    });
+  });
+
+  describe('Cancelling a room', () => {
+    it('should cancel the host\'s open room', async () => {
+      const result = await cancelPrivateMatchHandler({ code: 'k7q-x2m' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true });
+      expect(rooms[code]).to.include({ status: 'cancelled', cancelled_at: 'SERVER_TIMESTAMP' });
+    });
+
+    it('should succeed when the room does not exist', async () => {
+      const result = await cancelPrivateMatchHandler({ code: 'P3RT9A' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true });
+      expect(firestoreStub.runTransaction.calledOnce).to.be.true;
+    });
+
+    it('should succeed when the room is already cancelled', async () => {
+      await cancelPrivateMatchHandler({ code }, contextFor(alice));
+      const result = await cancelPrivateMatchHandler({ code }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true });
+    });
+
+    it('should leave another host\'s room alone', async () => {
+      const result = await cancelPrivateMatchHandler({ code }, contextFor(bob));
+
+      expect(result).to.deep.equal({ success: true });
+      expect(rooms[code].status).to.equal('open');
+    });
+
+    it('should not cancel a room a friend already joined', async () => {
+      rooms[code] = { ...rooms[code], status: 'joined', guest_uid: bob, match_id: 'match-1' };
+
+      await expectHttpsError(cancelPrivateMatchHandler({ code }, contextFor(alice)), 'failed-precondition');
+      expect(rooms[code].status).to.equal('joined');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = cancelPrivateMatchHandler({ code }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Tests for challengeUser Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { usernameKey } = require('../utils/username');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('challengeUser', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let online;
+  let docs;
+  let challengeUserHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const now = 1000000;
+  const challengePath = `inbox/${bob}/items/challenge_${alice}`;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Players with a presence entry
+    online = new Set([alice, bob]);
+    const rtdbStub = {
+      ref: path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      })
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`usernames/${usernameKey('alice_1234')}`]: { uid: alice, username: 'alice_1234' },
+      [`usernames/${usernameKey('bobby_1234')}`]: { uid: bob, username: 'bobby_1234' }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: id => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/challengeUser')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/usernames')];
+    delete require.cache[require.resolve('../services/inbox')];
+    delete require.cache[require.resolve('../services/presence')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockInbox = proxyquire('../services/inbox', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockPresence = proxyquire('../services/presence', {
+      'firebase-admin': mockAdmin
+    });
+
+    const challengeUser = proxyquire('../handlers/challengeUser', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/friends': mockFriends,
+      '../services/usernames': mockUsernames,
+      '../services/inbox': mockInbox,
+      '../services/presence': mockPresence
+    });
+    challengeUserHandler = challengeUser.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    [undefined, 42, '', 'Not A Name'].forEach((input) => {
+      it(`should reject username ${JSON.stringify(input)}`, async () => {
+        await expectHttpsError(
+          challengeUserHandler({ username: input }, contextFor(alice)),
+          'invalid-argument',
+          'username must be a valid username'
+        );
+      });
+    });
+
+    it('should reject an unknown format', async () => {
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234', format: 'nope' }, contextFor(alice)), 'invalid-argument');
+    });
+
+    it('should throw not-found for an unknown username', async () => {
+      await expectHttpsError(challengeUserHandler({ username: 'nobody_1234' }, contextFor(alice)), 'not-found', 'player not found');
+    });
+
+    it('should reject a challenge to yourself', async () => {
+      await expectHttpsError(challengeUserHandler({ username: 'alice_1234' }, contextFor(alice)), 'invalid-argument', 'yourself');
+    });
+
+    it('should require the caller to be online', async () => {
+      online.delete(alice);
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'User Not Online');
+    });
+  });
+
+  describe('Rejections', () => {
+    it('should reject a challenge to an offline player', async () => {
+      online.delete(bob);
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'Player Not Online');
+      expect(docs[challengePath]).to.equal(undefined);
+    });
+
+    it('should answer for a player who hides being online as for one who is offline', async () => {
+      docs[`users/${bob}`].privacy = { show_online: false };
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'Player Not Online');
+
+      // Not even a queue entry gives them away
+      docs[`quick_matchmaking_queue/${bob}`] = { uid: bob, status: 'waiting' };
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'Player Not Online');
+      expect(docs[challengePath]).to.equal(undefined);
+    });
+
+    it('should reject a challenge across a block', async () => {
+      docs[`users/${alice}`].blocked_uids = [bob];
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'permission-denied', 'You cannot play this player');
+      expect(docs[challengePath]).to.equal(undefined);
+    });
+
+    it('should reject a challenge to a player waiting for a quick match', async () => {
+      docs[`quick_matchmaking_queue/${bob}`] = { uid: bob, status: 'waiting' };
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'looking for a quick match');
+    });
+
+    it('should reject a challenge to a player in a quick match', async () => {
+      docs[`quick_matchmaking_queue/${bob}`] = { uid: bob, status: 'matched', match_id: 'match-1' };
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'Player is playing a quick match');
+      expect(docs[challengePath]).to.equal(undefined);
+    });
+
+    it('should reject a challenge while the caller waits for a quick match', async () => {
+      docs[`quick_matchmaking_queue/${alice}`] = { uid: alice, status: 'waiting' };
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'failed-precondition', 'Leave the quick match queue first');
+    });
+  });
+
+  describe('Challenges', () => {
+    it('should write the challenge to the other player\'s inbox', async () => {
+      const result = await challengeUserHandler({ username: ' bobby_1234 ', format: 't1' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, challengeId: `challenge_${alice}`, expiresAtMs: now + 120000 });
+      expect(docs[challengePath]).to.deep.equal({
+        type: 'challenge',
+        from_uid: alice,
+        from_username: 'alice_1234',
+        to_uid: bob,
+        format: resolveFormat('t1'),
+        format_key: resolveFormat('t1').key,
+        status: 'pending',
+        match_id: null,
+        expires_at_ms: now + 120000,
+        created_at: 'SERVER_TIMESTAMP',
+        responded_at: null
+      });
+    });
+
+    it('should reject a second challenge while the first is open', async () => {
+      await challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      await expectHttpsError(challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice)), 'already-exists', 'challenge already sent');
+    });
+
+    it('should allow a new challenge once the last one expired', async () => {
+      await challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+      clock.tick(120000);
+
+      const result = await challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(result.expiresAtMs).to.equal(now + 240000);
+    });
+
+    it('should allow a new challenge once the last one was answered', async () => {
+      docs[challengePath] = { type: 'challenge', from_uid: alice, to_uid: bob, status: 'declined', expires_at_ms: now + 60000 };
+
+      const result = await challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(result.success).to.equal(true);
+      expect(docs[challengePath].status).to.equal('pending');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = challengeUserHandler({ username: 'bobby_1234' }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
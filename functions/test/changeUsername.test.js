@@ -0,0 +1,353 @@
+/**
+ * Tests for changeUsername Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const config = require('../config');
+
+describe('changeUsername', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let changeUsernameHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+      return error;
+    }
+  };
+
+  const historyOf = uid => Object.entries(docs)
+    .filter(([path]) => path.startsWith(`users/${uid}/username_history/`))
+    .map(([, doc]) => doc);
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path: alice and bob have never renamed
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      'usernames/allcel234': { uid: alice, username: 'alice_1234', created_at: 'EARLIER' },
+      'usernames/bobbyl234': { uid: bob, username: 'bobby_1234', created_at: 'EARLIER' }
+    };
+
+    let autoId = 0;
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => ({
+        doc: id => refFor(`${path}/${name}/${id || `auto-${++autoId}`}`)
+      })
+    });
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => refFor(`${name}/${id}`)
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/changeUsername')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+    delete require.cache[require.resolve('../services/usernames')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const changeUsername = proxyquire('../handlers/changeUsername', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/usernames': mockUsernames
+    });
+    changeUsernameHandler = changeUsername.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(
+        changeUsernameHandler({ username: 'alice_new1' }, { auth: null, app: {} }),
+        'unauthenticated'
+      );
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a username string', async () => {
+      await expectHttpsError(changeUsernameHandler({}, contextFor(alice)), 'invalid-argument', 'required');
+    });
+
+    [
+      ['short', 'length'],
+      ['_alice_new', 'start'],
+      ['1alice_new', 'start'],
+      ['Alice_New1', 'start'],
+      ['alice_name_too_long', 'length'],
+      ['alice-new1', 'characters'],
+      ['alice_admin', 'reserved']
+    ].forEach(([username, rule]) => {
+      it(`should reject "${username}" by the ${rule} rule`, async () => {
+        const error = await expectHttpsError(
+          changeUsernameHandler({ username }, contextFor(alice)),
+          'invalid-argument'
+        );
+        expect(error.details).to.deep.equal({ rule });
+      });
+    });
+
+    it('should reject the current username', async () => {
+      await expectHttpsError(
+        changeUsernameHandler({ username: 'alice_1234' }, contextFor(alice)),
+        'invalid-argument',
+        'unchanged'
+      );
+    });
+
+    it('should require an existing profile', async () => {
+      delete docs[`users/${alice}`];
+
+      await expectHttpsError(changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice)), 'not-found');
+    });
+  });
+
+  describe('Renaming', () => {
+    it('should swap the reservation and the profile', async () => {
+      const result = await changeUsernameHandler({ username: ' alice_new1 ' }, contextFor(alice));
+
+      expect(result).to.deep.equal({
+        success: true,
+        username: 'alice_new1',
+        nextChangeAtMs: 1000000000 + config.USERNAME_CHANGE_COOLDOWN_MS
+      });
+      expect(docs[`users/${alice}`]).to.include({
+        username: 'alice_new1',
+        username_changed_at_ms: 1000000000,
+        updated_at: 'SERVER_TIMESTAMP'
+      });
+      expect(docs['usernames/allcenewl']).to.deep.equal({
+        uid: alice,
+        username: 'alice_new1',
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should hold the old name for the grace period', async () => {
+      await changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+
+      expect(docs['usernames/allcel234']).to.deep.equal({
+        uid: alice,
+        username: 'alice_1234',
+        created_at: 'EARLIER',
+        released_at: 'SERVER_TIMESTAMP',
+        held_until_ms: 1000000000 + config.USERNAME_HOLD_MS
+      });
+    });
+
+    it('should record the rename in the history', async () => {
+      await changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+
+      expect(historyOf(alice)).to.deep.equal([{
+        old_username: 'alice_1234',
+        new_username: 'alice_new1',
+        changed_at: 'SERVER_TIMESTAMP'
+      }]);
+    });
+
+    it('should not take a name reserved by someone else', async () => {
+      const error = await expectHttpsError(
+        changeUsernameHandler({ username: 'bobby_1234' }, contextFor(alice)),
+        'already-exists',
+        'already taken'
+      );
+      expect(error.details).to.deep.equal({ rule: 'taken' });
+      expect(docs[`users/${alice}`].username).to.equal('alice_1234');
+      expect(docs['usernames/bobbyl234'].uid).to.equal(bob);
+      expect(historyOf(alice)).to.be.empty;
+    });
+
+    it('should not take a look-alike of someone else\'s name', async () => {
+      const error = await expectHttpsError(
+        changeUsernameHandler({ username: 'bobby_l234' }, contextFor(alice)),
+        'already-exists',
+        'too similar'
+      );
+      expect(error.details).to.deep.equal({ rule: 'lookalike' });
+    });
+
+    it('should honour reservations keyed by the raw name', async () => {
+      docs['usernames/carol_1234'] = { uid: 'uid-carol', created_at: 'LEGACY' };
+
+      const error = await expectHttpsError(
+        changeUsernameHandler({ username: 'carol_1234' }, contextFor(alice)),
+        'already-exists'
+      );
+      expect(error.details).to.deep.equal({ rule: 'taken' });
+    });
+
+    it('should hold the old name when it is reserved by its raw name', async () => {
+      docs['usernames/alice_1234'] = docs['usernames/allcel234'];
+      delete docs['usernames/allcel234'];
+
+      await changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+
+      expect(docs['usernames/alice_1234'].held_until_ms).to.equal(1000000000 + config.USERNAME_HOLD_MS);
+    });
+
+    it('should let a user restyle their own name', async () => {
+      await changeUsernameHandler({ username: 'alice_l234' }, contextFor(alice));
+
+      expect(docs[`users/${alice}`].username).to.equal('alice_l234');
+      expect(docs['usernames/allcel234']).to.deep.equal({
+        uid: alice,
+        username: 'alice_l234',
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should not take a name another user is holding', async () => {
+      await changeUsernameHandler({ username: 'bobby_new1' }, contextFor(bob));
+
+      await expectHttpsError(
+        changeUsernameHandler({ username: 'bobby_1234' }, contextFor(alice)),
+        'already-exists'
+      );
+    });
+
+    it('should take a held name once its hold has passed', async () => {
+      await changeUsernameHandler({ username: 'bobby_new1' }, contextFor(bob));
+      clock.tick(config.USERNAME_HOLD_MS);
+
+      await changeUsernameHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(docs['usernames/bobbyl234']).to.deep.equal({
+        uid: alice,
+        username: 'bobby_1234',
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should let the previous owner claim a held name back', async () => {
+      await changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+      clock.tick(config.USERNAME_CHANGE_COOLDOWN_MS);
+
+      await changeUsernameHandler({ username: 'alice_1234' }, contextFor(alice));
+
+      expect(docs[`users/${alice}`].username).to.equal('alice_1234');
+      expect(docs['usernames/allcel234']).to.deep.equal({
+        uid: alice,
+        username: 'alice_1234',
+        created_at: 'SERVER_TIMESTAMP'
+      });
+      expect(docs['usernames/allcenewl'].held_until_ms).to.be.a('number');
+      expect(historyOf(alice)).to.have.lengthOf(2);
+    });
+  });
+
+  describe('Cooldown', () => {
+    it('should refuse a second rename inside the cooldown', async () => {
+      await changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+      clock.tick(config.USERNAME_CHANGE_COOLDOWN_MS - 1);
+
+      const error = await expectHttpsError(
+        changeUsernameHandler({ username: 'alice_new2' }, contextFor(alice)),
+        'failed-precondition',
+        'changed recently'
+      );
+      expect(error.details).to.deep.equal({
+        nextChangeAtMs: 1000000000 + config.USERNAME_CHANGE_COOLDOWN_MS
+      });
+      expect(docs['usernames/allcenew2']).to.equal(undefined);
+    });
+
+    it('should allow a rename once the cooldown has passed', async () => {
+      await changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+      clock.tick(config.USERNAME_CHANGE_COOLDOWN_MS);
+
+      const result = await changeUsernameHandler({ username: 'alice_new2' }, contextFor(alice));
+
+      expect(result.username).to.equal('alice_new2');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = changeUsernameHandler({ username: 'alice_new1' }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
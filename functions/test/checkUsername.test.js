@@ -0,0 +1,246 @@
+/**
+ * Tests for checkUsername Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const config = require('../config');
+
+describe('checkUsername', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let checkUsernameHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+      return error;
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path: bob owns virat_kohli and its first suggestion
+    docs = {
+      'usernames/vlratkohll': { uid: bob, username: 'virat_kohli' },
+      'usernames/vlratkohllxl': { uid: bob, username: 'virat_kohli_xi' }
+    };
+
+    const refFor = path => ({ id: path.split('/').pop(), path });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => refFor(`${name}/${id}`)
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data, options) => {
+            docs[ref.path] = options?.merge ? { ...docs[ref.path], ...data } : data;
+          })
+        };
+        return callback(transaction);
+      })
+    };
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/checkUsername')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../services/usernames')];
+    delete require.cache[require.resolve('../services/rateLimits')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockRateLimits = proxyquire('../services/rateLimits', {
+      'firebase-admin': mockAdmin
+    });
+
+    const checkUsername = proxyquire('../handlers/checkUsername', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../services/usernames': mockUsernames,
+      '../services/rateLimits': mockRateLimits
+    });
+    checkUsernameHandler = checkUsername.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(
+        checkUsernameHandler({ username: 'testuser123' }, { auth: null, app: {} }),
+        'unauthenticated'
+      );
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a username string', async () => {
+      await expectHttpsError(checkUsernameHandler({ username: 42 }, contextFor(alice)), 'invalid-argument');
+    });
+  });
+
+  describe('Availability', () => {
+    it('should report a free name as available', async () => {
+      const result = await checkUsernameHandler({ username: ' sachin_fan ' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, username: 'sachin_fan', available: true });
+    });
+
+    it('should not reserve the name', async () => {
+      await checkUsernameHandler({ username: 'sachin_fan' }, contextFor(alice));
+
+      expect(docs).to.not.have.property('usernames/sachlnfan');
+    });
+
+    it('should report the rule a name breaks', async () => {
+      const result = await checkUsernameHandler({ username: 'admin_official' }, contextFor(alice));
+
+      expect(result).to.deep.equal({
+        success: true,
+        username: 'admin_official',
+        available: false,
+        rule: 'reserved',
+        message: 'username contains a reserved word',
+        suggestions: []
+      });
+    });
+
+    it('should suggest free alternatives for a taken name', async () => {
+      const result = await checkUsernameHandler({ username: 'virat_kohli' }, contextFor(alice));
+
+      expect(result).to.include({ available: false, rule: 'taken' });
+      expect(result.suggestions).to.have.lengthOf(3);
+      expect(result.suggestions).to.not.include('virat_kohli_xi');
+      expect(result.suggestions[0]).to.equal('virat_kohli_cc');
+      result.suggestions.forEach((suggestion) => {
+        expect(suggestion).to.match(/^[a-z][a-z0-9_]{7,14}$/);
+      });
+    });
+
+    it('should report a look-alike of a taken name', async () => {
+      const result = await checkUsernameHandler({ username: 'virat_koh1i' }, contextFor(alice));
+
+      expect(result).to.include({ available: false, rule: 'lookalike' });
+      expect(result.suggestions).to.have.lengthOf(3);
+    });
+
+    it('should report a name that is only close to a taken one as available', async () => {
+      docs['usernames/helloworld'] = { uid: bob, username: 'hello_world' };
+
+      const result = await checkUsernameHandler({ username: 'helo_world' }, contextFor(alice));
+
+      expect(result.available).to.be.true;
+    });
+
+    it('should still find a reservation under the previous version of the key', async () => {
+      docs['usernames/rohitsharma'] = { uid: bob, username: 'rohit_sharma' };
+
+      const result = await checkUsernameHandler({ username: 'rohit_sharma' }, contextFor(alice));
+
+      expect(result).to.include({ available: false, rule: 'taken' });
+    });
+
+    it('should report the caller\'s own name as available', async () => {
+      const result = await checkUsernameHandler({ username: 'virat_kohli' }, contextFor(bob));
+
+      expect(result.available).to.be.true;
+    });
+
+    it('should report a name whose hold has passed as available', async () => {
+      docs['usernames/vlratkohll'].held_until_ms = Date.now();
+
+      const result = await checkUsernameHandler({ username: 'virat_kohli' }, contextFor(alice));
+
+      expect(result.available).to.be.true;
+    });
+  });
+
+  describe('Rate Limiting', () => {
+    it('should count every call', async () => {
+      await checkUsernameHandler({ username: 'sachin_fan' }, contextFor(alice));
+      await checkUsernameHandler({ username: 'short' }, contextFor(alice));
+
+      expect(docs[`rate_limits/${alice}`]).to.deep.equal({
+        check_username: { window_start_ms: 1000000000, count: 2 }
+      });
+    });
+
+    it('should refuse calls over the limit until the window ends', async () => {
+      for (let i = 0; i < config.USERNAME_CHECK_LIMIT; i++) {
+        await checkUsernameHandler({ username: 'sachin_fan' }, contextFor(alice));
+      }
+      clock.tick(1000);
+
+      const error = await expectHttpsError(
+        checkUsernameHandler({ username: 'sachin_fan' }, contextFor(alice)),
+        'resource-exhausted'
+      );
+      expect(error.details).to.deep.equal({ retryAfterMs: config.USERNAME_CHECK_WINDOW_MS - 1000 });
+
+      // Other users have their own limit
+      const result = await checkUsernameHandler({ username: 'sachin_fan' }, contextFor(bob));
+      expect(result.available).to.be.true;
+
+      clock.tick(config.USERNAME_CHECK_WINDOW_MS - 1000);
+      const later = await checkUsernameHandler({ username: 'sachin_fan' }, contextFor(alice));
+      expect(later.available).to.be.true;
+      expect(docs[`rate_limits/${alice}`].check_username.count).to.equal(1);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      await expectHttpsError(
+        checkUsernameHandler({ username: 'sachin_fan' }, contextFor(alice)),
+        'internal',
+        'An unexpected error occurred'
+      );
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for chooseBatOrBowl Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('chooseBatOrBowl', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let matchDoc;
+  let chooseBatOrBowlHandler;
+  let mockAdmin;
+
+  const matchId = 'match-1';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory match where bob has won the toss
+    matchDoc = {
+      players: [alice, bob],
+      status: 'toss',
+      toss: {
+        caller: alice,
+        call: 'odd',
+        fingers: { [alice]: 2, [bob]: 4 },
+        winner: bob,
+        choice: null,
+        deadline_at_ms: Date.now() + 30000
+      },
+      game: null,
+      ball: null
+    };
+
+    const matchesCollectionStub = {
+      doc: sandbox.stub().returns({ id: matchId })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(matchesCollectionStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async () => ({
+            exists: !!matchDoc,
+            data: () => JSON.parse(JSON.stringify(matchDoc))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDoc = { ...matchDoc, ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/chooseBatOrBowl')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const chooseBatOrBowl = proxyquire('../handlers/chooseBatOrBowl', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    chooseBatOrBowlHandler = chooseBatOrBowl.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(
+        chooseBatOrBowlHandler({ matchId, choice: 'bat' }, { auth: null, app: {} }),
+        'unauthenticated'
+      );
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject an unknown choice', async () => {
+      await expectHttpsError(
+        chooseBatOrBowlHandler({ matchId, choice: 'field' }, contextFor(bob)),
+        'invalid-argument'
+      );
+    });
+
+    it('should return not-found for a non-participant', async () => {
+      await expectHttpsError(
+        chooseBatOrBowlHandler({ matchId, choice: 'bat' }, contextFor('uid-carol')),
+        'not-found'
+      );
+    });
+
+    it('should only let the toss winner choose', async () => {
+      await expectHttpsError(
+        chooseBatOrBowlHandler({ matchId, choice: 'bat' }, contextFor(alice)),
+        'permission-denied'
+      );
+    });
+
+    it('should reject a choice before the toss is decided', async () => {
+      matchDoc.toss.winner = null;
+      await expectHttpsError(
+        chooseBatOrBowlHandler({ matchId, choice: 'bat' }, contextFor(bob)),
+        'failed-precondition',
+        'not been decided'
+      );
+    });
+
+    it('should reject a second choice once the match is in play', async () => {
+      await chooseBatOrBowlHandler({ matchId, choice: 'bat' }, contextFor(bob));
+      await expectHttpsError(
+        chooseBatOrBowlHandler({ matchId, choice: 'bowl' }, contextFor(bob)),
+        'failed-precondition'
+      );
+    });
+  });
+
+  describe('Starting the Match', () => {
+    it('should make the winner bat first when they choose bat', async () => {
+      const result = await chooseBatOrBowlHandler({ matchId, choice: 'bat' }, contextFor(bob));
+
+      expect(result).to.deep.equal({ success: true, battingFirst: bob, bowlingFirst: alice });
+      expect(matchDoc.game.innings[0]).to.deep.include({ batter: bob, bowler: alice });
+    });
+
+    it('should make the winner bowl first when they choose bowl', async () => {
+      const result = await chooseBatOrBowlHandler({ matchId, choice: 'bowl' }, contextFor(bob));
+
+      expect(result.battingFirst).to.equal(alice);
+      expect(matchDoc.game.innings[0]).to.deep.include({ batter: alice, bowler: bob });
+    });
+
+    it('should move the match into play with the first ball ready', async () => {
+      await chooseBatOrBowlHandler({ matchId, choice: 'bat' }, contextFor(bob));
+
+      expect(matchDoc.status).to.equal('in_progress');
+      expect(matchDoc.toss.choice).to.equal('bat');
+      expect(matchDoc.ball).to.deep.include({ number: 1, commitments: {}, reveals: {} });
+      expect(matchDoc.ball.deadline_at_ms).to.be.greaterThan(Date.now());
+      expect(matchDoc.started_at).to.equal('SERVER_TIMESTAMP');
+    });
+  });
+});
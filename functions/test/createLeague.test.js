@@ -0,0 +1,244 @@
+/**
+ * Tests for createLeague Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+const { emptyStanding } = require('../utils/league');
+
+describe('createLeague', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let codes;
+  let autoId;
+  let createLeagueHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+  const valid = { name: 'Office League' };
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' }
+    };
+    // Codes handed out by the generator, in order
+    codes = ['K7QX2M', 'P3RT9A', 'ZZ4HNB', 'M2CW8D', 'T6YV3K', 'H9LP4R'];
+    autoId = 0;
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    // Query fake: equality filters on a collection
+    const queryFor = (path, filters = []) => ({
+      where: (field, op, value) => queryFor(path, [...filters, [field, value]]),
+      limit: () => queryFor(path, filters),
+      get: async () => {
+        const found = Object.keys(docs)
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .filter(key => filters.every(([field, value]) => docs[key][field] === value));
+        return { empty: found.length === 0, docs: found };
+      }
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      ...queryFor(path),
+      doc: (id = `league-${++autoId}`) => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async target => (target.where ? target.get() : {
+            exists: !!docs[target.path],
+            data: () => JSON.parse(JSON.stringify(docs[target.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/createLeague')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const createLeague = proxyquire('../handlers/createLeague', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../utils/inviteCode': {
+        generateInviteCode: () => codes.shift()
+      },
+      '../services/leagues': mockLeagues
+    });
+    createLeagueHandler = createLeague.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(createLeagueHandler(valid, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should reject a short name', async () => {
+      await expectHttpsError(createLeagueHandler({ name: 'ab' }, contextFor(alice)), 'invalid-argument', 'name must be');
+    });
+
+    it('should cap the number of members', async () => {
+      await expectHttpsError(createLeagueHandler({ ...valid, maxMembers: 9 }, contextFor(alice)), 'invalid-argument', 'maxMembers');
+    });
+
+    it('should reject unknown tie-breakers', async () => {
+      await expectHttpsError(createLeagueHandler({ ...valid, tieBreakers: ['runs'] }, contextFor(alice)), 'invalid-argument', 'tieBreakers');
+    });
+
+    it('should reject an unknown format', async () => {
+      await expectHttpsError(createLeagueHandler({ ...valid, format: 'test-cup' }, contextFor(alice)), 'invalid-argument');
+      expect(Object.keys(docs)).to.deep.equal([`users/${alice}`]);
+    });
+
+    it('should reject a caller without a profile', async () => {
+      delete docs[`users/${alice}`];
+
+      await expectHttpsError(createLeagueHandler(valid, contextFor(alice)), 'not-found', 'user not found');
+    });
+  });
+
+  describe('Creating', () => {
+    it('should open the league with the creator as its first member', async () => {
+      const result = await createLeagueHandler(
+        { name: ' Office League ', maxMembers: 4, tieBreakers: ['wins', 'nrr'], format: 't1' },
+        contextFor(alice)
+      );
+
+      expect(result).to.deep.equal({ success: true, leagueId: 'league-1', inviteCode: 'K7QX2M' });
+      expect(docs['leagues/league-1']).to.deep.equal({
+        name: 'Office League',
+        created_by: alice,
+        format: resolveFormat('t1'),
+        format_key: resolveFormat('t1').key,
+        tie_breakers: ['wins', 'nrr'],
+        status: 'open',
+        max_members: 4,
+        member_uids: [alice],
+        invite_code: 'K7QX2M',
+        rounds: null,
+        fixtures_total: 0,
+        fixtures_done: 0,
+        winner_uid: null,
+        created_at: 'SERVER_TIMESTAMP',
+        started_at: null,
+        ended_at: null
+      });
+      expect(docs[`leagues/league-1/standings/${alice}`]).to.deep.equal({
+        ...emptyStanding(alice, 'alice_1234'),
+        updated_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should use the defaults when settings are left out', async () => {
+      await createLeagueHandler(valid, contextFor(alice));
+
+      expect(docs['leagues/league-1']).to.deep.include({
+        format: resolveFormat(),
+        max_members: 8,
+        tie_breakers: ['nrr', 'head_to_head']
+      });
+    });
+
+    it('should try another code while the first one is held by an open league', async () => {
+      docs['leagues/older'] = { status: 'open', invite_code: 'K7QX2M' };
+
+      const result = await createLeagueHandler(valid, contextFor(alice));
+
+      expect(result.inviteCode).to.equal('P3RT9A');
+      expect(docs[`leagues/${result.leagueId}`].invite_code).to.equal('P3RT9A');
+    });
+
+    it('should give up after repeated collisions', async () => {
+      codes.slice(0, 5).forEach((code, i) => {
+        docs[`leagues/older-${i}`] = { status: 'open', invite_code: code };
+      });
+
+      await expectHttpsError(createLeagueHandler(valid, contextFor(alice)), 'unavailable', 'please try again');
+    });
+
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = createLeagueHandler(valid, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+      await assertion;
+    });
+  });
+});
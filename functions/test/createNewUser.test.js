@@ -83,6 +83,7 @@ describe('createNewUser', () => {
     delete require.cache[require.resolve('../handlers/createNewUser')];
     delete require.cache[require.resolve('../utils/auth')];
     delete require.cache[require.resolve('../utils/firestore')];
+    delete require.cache[require.resolve('../services/usernames')];
     
     // Mock utilities
     const mockAuth = proxyquire('../utils/auth', {
@@ -93,10 +94,15 @@ describe('createNewUser', () => {
       'firebase-admin': mockAdmin
     });
     
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+    
     const createNewUser = proxyquire('../handlers/createNewUser', {
       'firebase-admin': mockAdmin,
       '../utils/auth': mockAuth,
-      '../utils/firestore': mockFirestore
+      '../utils/firestore': mockFirestore,
+      '../services/usernames': mockUsernames
     });
     createNewUserHandler = createNewUser.handler;
   });
@@ -204,7 +210,8 @@ describe('createNewUser', () => {
       } catch (error) {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('invalid-argument');
-        expect(error.message).to.equal('username rules failed');
+        expect(error.message).to.equal('username must be 8 to 15 characters');
+        expect(error.details).to.deep.equal({ rule: 'length' });
       }
     });
 
@@ -217,7 +224,8 @@ describe('createNewUser', () => {
       } catch (error) {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('invalid-argument');
-        expect(error.message).to.equal('username rules failed');
+        expect(error.message).to.equal('username must be 8 to 15 characters');
+        expect(error.details).to.deep.equal({ rule: 'length' });
       }
     });
 
@@ -230,7 +238,8 @@ describe('createNewUser', () => {
       } catch (error) {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('invalid-argument');
-        expect(error.message).to.equal('username rules failed');
+        expect(error.message).to.equal('username must start with a lowercase letter');
+        expect(error.details).to.deep.equal({ rule: 'start' });
       }
     });
 
@@ -243,7 +252,8 @@ describe('createNewUser', () => {
       } catch (error) {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('invalid-argument');
-        expect(error.message).to.equal('username rules failed');
+        expect(error.message).to.equal('username must start with a lowercase letter');
+        expect(error.details).to.deep.equal({ rule: 'start' });
       }
     });
 
@@ -256,7 +266,8 @@ describe('createNewUser', () => {
       } catch (error) {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('invalid-argument');
-        expect(error.message).to.equal('username rules failed');
+        expect(error.message).to.equal('username must start with a lowercase letter');
+        expect(error.details).to.deep.equal({ rule: 'start' });
       }
     });
 
@@ -269,7 +280,35 @@ describe('createNewUser', () => {
       } catch (error) {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('invalid-argument');
-        expect(error.message).to.equal('username rules failed');
+        expect(error.message).to.equal('username may only contain lowercase letters, numbers and underscores');
+        expect(error.details).to.deep.equal({ rule: 'characters' });
+      }
+    });
+
+    it('should throw error if username contains a reserved word', async () => {
+      const data = { username: 'admin_official' };
+
+      try {
+        await createNewUserHandler(data, context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(functions.https.HttpsError);
+        expect(error.code).to.equal('invalid-argument');
+        expect(error.message).to.equal('username contains a reserved word');
+        expect(error.details).to.deep.equal({ rule: 'reserved' });
+      }
+    });
+
+    it('should throw error if username contains an offensive word', async () => {
+      const data = { username: 'big_sh1t_42' };
+
+      try {
+        await createNewUserHandler(data, context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(functions.https.HttpsError);
+        expect(error.code).to.equal('invalid-argument');
+        expect(error.details).to.deep.equal({ rule: 'profanity' });
       }
     });
 
@@ -334,11 +373,12 @@ describe('createNewUser', () => {
       // Username already exists (in transaction)
       firestoreStub.runTransaction.callsFake(async (callback) => {
         const transaction = {
-          get: sandbox.stub()
-            // First get: user document (doesn't exist)
-            .onFirstCall().resolves({ exists: false })
-            // Second get: username document (exists - username taken)
-            .onSecondCall().resolves({ exists: true }),
+          get: sandbox.stub().resolves({ exists: false })
+            // Second get: canonical username document (exists - username taken)
+            .onSecondCall().resolves({
+              exists: true,
+              data: () => ({ uid: 'other-uid', username: 'testuser123' })
+            }),
           set: sandbox.stub()
         };
         await callback(transaction);
@@ -351,6 +391,56 @@ describe('createNewUser', () => {
         expect(error).to.be.instanceOf(functions.https.HttpsError);
         expect(error.code).to.equal('already-exists');
         expect(error.message).to.include('already taken');
+        expect(error.details).to.deep.equal({ rule: 'taken' });
+      }
+    });
+
+    it('should throw error if a look-alike username is taken', async () => {
+      firestoreStub.runTransaction.callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().resolves({ exists: false })
+            .onSecondCall().resolves({
+              exists: true,
+              data: () => ({ uid: 'other-uid', username: 'test_userl23' })
+            }),
+          set: sandbox.stub()
+        };
+        await callback(transaction);
+      });
+
+      try {
+        await createNewUserHandler(data, context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(functions.https.HttpsError);
+        expect(error.code).to.equal('already-exists');
+        expect(error.message).to.include('too similar');
+        expect(error.details).to.deep.equal({ rule: 'lookalike' });
+      }
+    });
+
+    it('should throw error if a reservation keyed by the raw username exists', async () => {
+      firestoreStub.collection.withArgs('usernames').returns({ doc: id => ({ id }) });
+      firestoreStub.runTransaction.callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().resolves({ exists: false })
+            // Third get: legacy username document keyed by the raw name
+            .onThirdCall().resolves({
+              exists: true,
+              data: () => ({ uid: 'other-uid' })
+            }),
+          set: sandbox.stub()
+        };
+        await callback(transaction);
+      });
+
+      try {
+        await createNewUserHandler(data, context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(functions.https.HttpsError);
+        expect(error.code).to.equal('already-exists');
+        expect(error.details).to.deep.equal({ rule: 'taken' });
       }
     });
   });
@@ -409,6 +499,30 @@ describe('createNewUser', () => {
       expect(capturedTimestamps.length).to.equal(2);
       expect(capturedTimestamps[0]).to.equal(capturedTimestamps[1]);
     });
+
+    it('should start the user at the initial skill rating', async () => {
+      let userData;
+      firestoreStub.runTransaction.callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().resolves({ exists: false }),
+          set: sandbox.stub().callsFake((ref, data) => {
+            if (data.username) {
+              userData = data;
+            }
+          })
+        };
+        await callback(transaction);
+      });
+
+      await createNewUserHandler(data, context);
+
+      expect(userData).to.include({
+        rating: 1500,
+        rating_deviation: 350,
+        rating_volatility: 0.06,
+        rated_games: 0
+      });
+    });
   });
 
   describe('Retry Logic', () => {
@@ -0,0 +1,209 @@
+/**
+ * Tests for createPrivateMatch Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const config = require('../config');
+
+describe('createPrivateMatch', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let rooms;
+  let codes;
+  let createPrivateMatchHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory private_rooms collection, keyed by code
+    rooms = {};
+    // Codes handed out by the generator, in order
+    codes = ['K7QX2M', 'P3RT9A', 'ZZ4HNB'];
+
+    const roomsCollectionStub = {
+      doc: sandbox.stub().callsFake(id => ({ id }))
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(roomsCollectionStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!rooms[ref.id],
+            data: () => JSON.parse(JSON.stringify(rooms[ref.id]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            rooms[ref.id] = data;
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/createPrivateMatch')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const createPrivateMatch = proxyquire('../handlers/createPrivateMatch', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../utils/inviteCode': {
+        generateInviteCode: () => codes.shift()
+      }
+    });
+    createPrivateMatchHandler = createPrivateMatch.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(createPrivateMatchHandler({}, { auth: null, app: {} }), 'unauthenticated');
+      expect(rooms).to.deep.equal({});
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should reject an unknown format', async () => {
+      await expectHttpsError(
+        createPrivateMatchHandler({ format: 'test-cup' }, contextFor(alice)),
+        'invalid-argument'
+      );
+      expect(rooms).to.deep.equal({});
+    });
+  });
+
+  describe('Creating a room', () => {
+    it('should open a room for the host and return its code', async () => {
+      const result = await createPrivateMatchHandler({ format: 't1' }, contextFor(alice));
+
+      expect(result).to.deep.equal({
+        success: true,
+        code: 'K7QX2M',
+        expiresAtMs: 1000000 + config.PRIVATE_ROOM_TTL_MS
+      });
+      expect(rooms.K7QX2M).to.include({
+        code: 'K7QX2M',
+        host_uid: alice,
+        status: 'open',
+        format_key: 'b6-w1-n1_6-super_over',
+        guest_uid: null,
+        match_id: null,
+        expires_at_ms: 1000000 + config.PRIVATE_ROOM_TTL_MS,
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should use the default format when none is given', async () => {
+      await createPrivateMatchHandler({}, contextFor(alice));
+      expect(rooms.K7QX2M.format_key).to.equal('bx-w1-n1_6-draw');
+    });
+
+    it('should try another code while the first one is held by an open room', async () => {
+      rooms.K7QX2M = { host_uid: bob, status: 'open', expires_at_ms: 1000000 + 1 };
+
+      const result = await createPrivateMatchHandler({}, contextFor(alice));
+
+      expect(result.code).to.equal('P3RT9A');
+      expect(rooms.K7QX2M.host_uid).to.equal(bob);
+      expect(rooms.P3RT9A.host_uid).to.equal(alice);
+    });
+
+    ['joined', 'cancelled'].forEach((status) => {
+      it(`should reuse the code of a ${status} room`, async () => {
+        rooms.K7QX2M = { host_uid: bob, status, expires_at_ms: 1000000 + 60000 };
+
+        const result = await createPrivateMatchHandler({}, contextFor(alice));
+
+        expect(result.code).to.equal('K7QX2M');
+        expect(rooms.K7QX2M).to.include({ host_uid: alice, status: 'open' });
+      });
+    });
+
+    it('should reuse the code of an expired room', async () => {
+      rooms.K7QX2M = { host_uid: bob, status: 'open', expires_at_ms: 1000000 };
+
+      const result = await createPrivateMatchHandler({}, contextFor(alice));
+
+      expect(result.code).to.equal('K7QX2M');
+      expect(rooms.K7QX2M.host_uid).to.equal(alice);
+    });
+
+    it('should give up after repeated collisions', async () => {
+      codes = ['K7QX2M', 'K7QX2M', 'K7QX2M', 'K7QX2M', 'K7QX2M'];
+      rooms.K7QX2M = { host_uid: bob, status: 'open', expires_at_ms: 1000000 + 60000 };
+
+      await expectHttpsError(createPrivateMatchHandler({}, contextFor(alice)), 'unavailable');
+      expect(firestoreStub.runTransaction.callCount).to.equal(5);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = createPrivateMatchHandler({}, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for createTournament Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('createTournament', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let autoId;
+  let createTournamentHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const now = 1000000;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+  const valid = { name: 'Sunday Cup', maxPlayers: 8, startsAtMs: now + 3600000 };
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    docs = {};
+    autoId = 0;
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      set: sandbox.stub().callsFake(async (data) => {
+        docs[path] = data;
+      })
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: (id = `auto-${++autoId}`) => refFor(`${name}/${id}`)
+      }))
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/createTournament')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const createTournament = proxyquire('../handlers/createTournament', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore
+    });
+    createTournamentHandler = createTournament.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(createTournamentHandler(valid, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should reject a short name', async () => {
+      await expectHttpsError(createTournamentHandler({ ...valid, name: 'ab' }, contextFor(alice)), 'invalid-argument', 'name must be');
+    });
+
+    it('should cap the number of players', async () => {
+      await expectHttpsError(createTournamentHandler({ ...valid, maxPlayers: 65 }, contextFor(alice)), 'invalid-argument', 'maxPlayers');
+    });
+
+    it('should reject a start time in the past', async () => {
+      await expectHttpsError(createTournamentHandler({ ...valid, startsAtMs: now - 1 }, contextFor(alice)), 'invalid-argument', 'startsAtMs');
+    });
+
+    it('should reject an unknown format', async () => {
+      await expectHttpsError(createTournamentHandler({ ...valid, format: 'test-cup' }, contextFor(alice)), 'invalid-argument');
+      expect(docs).to.deep.equal({});
+    });
+  });
+
+  describe('Creating', () => {
+    it('should open the tournament for registration', async () => {
+      const result = await createTournamentHandler({ ...valid, name: ' Sunday Cup ', format: 't1' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, tournamentId: 'auto-1' });
+      expect(docs['tournaments/auto-1']).to.deep.equal({
+        name: 'Sunday Cup',
+        created_by: alice,
+        format: resolveFormat('t1'),
+        format_key: resolveFormat('t1').key,
+        status: 'registration',
+        max_players: 8,
+        player_count: 0,
+        starts_at_ms: now + 3600000,
+        bracket_size: null,
+        rounds: null,
+        current_round: 0,
+        winner_uid: null,
+        created_at: 'SERVER_TIMESTAMP',
+        started_at: null,
+        ended_at: null
+      });
+    });
+
+    it('should use the default format when none is given', async () => {
+      await createTournamentHandler(valid, contextFor(alice));
+
+      expect(docs['tournaments/auto-1'].format).to.deep.equal(resolveFormat());
+    });
+  });
+});
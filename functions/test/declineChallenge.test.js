@@ -0,0 +1,201 @@
+/**
+ * Tests for declineChallenge Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('declineChallenge', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let autoId;
+  let declineChallengeHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const challengeId = `challenge_${alice}`;
+  const challengePath = `inbox/${bob}/items/${challengeId}`;
+  const now = 1000000;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path, alice challenged bob
+    docs = {
+      [challengePath]: {
+        type: 'challenge',
+        from_uid: alice,
+        to_uid: bob,
+        status: 'pending',
+        match_id: null,
+        expires_at_ms: now + 60000,
+        responded_at: null
+      }
+    };
+    autoId = 0;
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: (id = `auto-${++autoId}`) => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/declineChallenge')];
+    delete require.cache[require.resolve('../services/inbox')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockInbox = proxyquire('../services/inbox', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const declineChallenge = proxyquire('../handlers/declineChallenge', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/inbox': mockInbox
+    });
+    declineChallengeHandler = declineChallenge.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(declineChallengeHandler({ challengeId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a challengeId', async () => {
+      await expectHttpsError(declineChallengeHandler({ challengeId: 7 }, contextFor(bob)), 'invalid-argument', 'challengeId is required');
+    });
+
+    it('should only look in the caller\'s own inbox', async () => {
+      await expectHttpsError(declineChallengeHandler({ challengeId }, contextFor(alice)), 'not-found', 'challenge not found');
+    });
+
+    it('should reject a challenge that was already answered', async () => {
+      docs[challengePath].status = 'accepted';
+
+      await expectHttpsError(declineChallengeHandler({ challengeId }, contextFor(bob)), 'failed-precondition', 'challenge already accepted');
+    });
+  });
+
+  describe('Declining', () => {
+    it('should mark the challenge declined', async () => {
+      const result = await declineChallengeHandler({ challengeId }, contextFor(bob));
+
+      expect(result).to.deep.equal({ success: true });
+      expect(docs[challengePath]).to.include({ status: 'declined', responded_at: 'SERVER_TIMESTAMP' });
+    });
+
+    it('should tell the challenger through their inbox', async () => {
+      await declineChallengeHandler({ challengeId }, contextFor(bob));
+
+      expect(docs[`inbox/${alice}/items/auto-1`]).to.deep.equal({
+        type: 'challenge_declined',
+        challenge_id: challengeId,
+        from_uid: bob,
+        match_id: null,
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should still decline a challenge past its expiry', async () => {
+      clock.tick(60000);
+
+      await declineChallengeHandler({ challengeId }, contextFor(bob));
+
+      expect(docs[challengePath].status).to.equal('declined');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = declineChallengeHandler({ challengeId }, contextFor(bob));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for expireChallenges scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+describe('expireChallenges', () => {
+  let sandbox;
+  let firestoreStub;
+  let docs;
+  let autoId;
+  let expireChallengesHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    docs = {};
+    autoId = 0;
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => ({
+        doc: (id = `auto-${++autoId}`) => refFor(`${path}/${name}/${id}`)
+      })
+    });
+
+    // Query returns every pending challenge past its expiry, in any inbox
+    const queryStub = {
+      where: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      get: sandbox.stub().callsFake(async () => {
+        const found = Object.entries(docs)
+          .filter(([path, item]) => path.startsWith('inbox/') && item.type === 'challenge' &&
+            item.status === 'pending' && item.expires_at_ms <= Date.now())
+          .map(([path]) => ({ id: path.split('/').pop(), ref: refFor(path) }));
+        return { size: found.length, docs: found };
+      })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => refFor(`${name}/${id}`)
+      })),
+      collectionGroup: sandbox.stub().returns(queryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/expireChallenges')];
+    delete require.cache[require.resolve('../services/inbox')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockInbox = proxyquire('../services/inbox', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const expireChallenges = proxyquire('../handlers/expireChallenges', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/inbox': mockInbox
+    });
+    expireChallengesHandler = expireChallenges.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const addChallenge = (fromUid, toUid, fields) => {
+    docs[`inbox/${toUid}/items/challenge_${fromUid}`] = {
+      type: 'challenge',
+      from_uid: fromUid,
+      to_uid: toUid,
+      status: 'pending',
+      match_id: null,
+      expires_at_ms: Date.now() - 1000,
+      responded_at: null,
+      ...fields
+    };
+  };
+
+  it('should query pending challenges across inboxes', async () => {
+    await expireChallengesHandler({});
+
+    expect(firestoreStub.collectionGroup.calledWith('items')).to.equal(true);
+  });
+
+  it('should leave challenges that have not timed out alone', async () => {
+    addChallenge(alice, bob, { expires_at_ms: Date.now() + 60000 });
+
+    const expired = await expireChallengesHandler({});
+
+    expect(expired).to.equal(0);
+    expect(docs[`inbox/${bob}/items/challenge_${alice}`].status).to.equal('pending');
+  });
+
+  it('should expire a challenge and tell the challenger', async () => {
+    addChallenge(alice, bob);
+
+    const expired = await expireChallengesHandler({});
+
+    expect(expired).to.equal(1);
+    expect(docs[`inbox/${bob}/items/challenge_${alice}`]).to.include({
+      status: 'expired',
+      responded_at: 'SERVER_TIMESTAMP'
+    });
+    expect(docs[`inbox/${alice}/items/auto-1`]).to.deep.equal({
+      type: 'challenge_expired',
+      challenge_id: `challenge_${alice}`,
+      from_uid: bob,
+      match_id: null,
+      created_at: 'SERVER_TIMESTAMP'
+    });
+  });
+
+  it('should carry on when one challenge fails', async () => {
+    addChallenge(alice, bob);
+    addChallenge(carol, bob);
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+    const expired = await expireChallengesHandler({});
+
+    expect(expired).to.equal(1);
+    expect(docs[`inbox/${bob}/items/challenge_${carol}`].status).to.equal('expired');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for expireDisconnects scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const engine = require('../utils/gameEngine');
+const { createToss } = require('../utils/toss');
+
+describe('expireDisconnects', () => {
+  let sandbox;
+  let firestoreStub;
+  let matchDocs;
+  let expireDisconnectsHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    matchDocs = {};
+
+    const refFor = id => ({ id, path: `matches/${id}` });
+
+    // Query returns every active match whose reconnect deadline has passed
+    const queryStub = {
+      where: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      get: sandbox.stub().callsFake(async () => {
+        const docs = Object.entries(matchDocs)
+          .filter(([, match]) => ['toss', 'in_progress'].includes(match.status) &&
+            match.reconnect_deadline_at_ms !== null && match.reconnect_deadline_at_ms <= Date.now())
+          .map(([id]) => ({ id, ref: refFor(id) }));
+        return { size: docs.length, docs };
+      })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(queryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!matchDocs[ref.id],
+            data: () => JSON.parse(JSON.stringify(matchDocs[ref.id]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDocs[ref.id] = { ...matchDocs[ref.id], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/expireDisconnects')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const expireDisconnects = proxyquire('../handlers/expireDisconnects', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    expireDisconnectsHandler = expireDisconnects.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Alice bats first; `disconnected` maps UIDs to reconnect deadlines
+  const addMatch = (id, disconnected) => {
+    matchDocs[id] = {
+      players: [alice, bob],
+      status: 'in_progress',
+      game: engine.createGame({ battingFirst: alice, bowlingFirst: bob }),
+      ball: { number: 1, commitments: {}, reveals: {}, deadline_at_ms: Date.now() },
+      disconnected,
+      reconnect_deadline_at_ms: Math.min(...Object.values(disconnected))
+    };
+  };
+
+  it('should leave matches inside the grace window alone', async () => {
+    addMatch('match-1', { [alice]: Date.now() + 60000 });
+
+    const expired = await expireDisconnectsHandler({});
+
+    expect(expired).to.equal(0);
+    expect(matchDocs['match-1'].status).to.equal('in_progress');
+  });
+
+  it('should award a walkover to the opponent of a player who did not come back', async () => {
+    addMatch('match-1', { [alice]: Date.now() - 1000 });
+
+    const expired = await expireDisconnectsHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(expired).to.equal(1);
+    expect(match.status).to.equal('completed');
+    expect(match.result).to.deep.include({ winner: bob, loser: alice, by: 'walkover' });
+    expect(match.game.status).to.equal('completed');
+    expect(match.ball).to.be.null;
+    expect(match.reconnect_deadline_at_ms).to.be.null;
+    expect(match.ended_at).to.equal('SERVER_TIMESTAMP');
+  });
+
+  it('should award a walkover during the toss', async () => {
+    matchDocs['match-1'] = {
+      players: [alice, bob],
+      status: 'toss',
+      toss: createToss(alice, Date.now()),
+      game: null,
+      ball: null,
+      disconnected: { [bob]: Date.now() - 1000 },
+      reconnect_deadline_at_ms: Date.now() - 1000
+    };
+
+    await expireDisconnectsHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.status).to.equal('completed');
+    expect(match.result).to.deep.include({ winner: alice, loser: bob, by: 'walkover' });
+  });
+
+  it('should only end the window of the player who is out of time', async () => {
+    addMatch('match-1', { [alice]: Date.now() - 1000, [bob]: Date.now() + 60000 });
+
+    await expireDisconnectsHandler({});
+
+    expect(matchDocs['match-1'].result.loser).to.equal(alice);
+  });
+
+  it('should abandon the match when neither player came back', async () => {
+    addMatch('match-1', { [alice]: Date.now() - 2000, [bob]: Date.now() - 1000 });
+
+    await expireDisconnectsHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.status).to.equal('abandoned');
+    expect(match.result).to.be.undefined;
+  });
+
+  it('should carry on when one match fails', async () => {
+    addMatch('match-1', { [alice]: Date.now() - 1000 });
+    addMatch('match-2', { [bob]: Date.now() - 1000 });
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+    const expired = await expireDisconnectsHandler({});
+
+    expect(expired).to.equal(1);
+    expect(matchDocs['match-2'].result.winner).to.equal(alice);
+  });
+});
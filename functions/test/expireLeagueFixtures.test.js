@@ -0,0 +1,191 @@
+/**
+ * Tests for expireLeagueFixtures scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+describe('expireLeagueFixtures', () => {
+  let sandbox;
+  let clock;
+  let firestoreStub;
+  let docs;
+  let expireLeagueFixturesHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const leaguePath = 'leagues/league-1';
+  const fixturePath = id => `${leaguePath}/fixtures/${id}`;
+
+  const fixture = (players, status, deadline, fields = {}) => ({
+    players,
+    status,
+    match_id: null,
+    result: null,
+    decided_at: null,
+    deadline_at_ms: deadline,
+    ...fields
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    // A three member league; round 2 is overdue, round 3 is not
+    docs = {
+      [leaguePath]: {
+        status: 'in_progress',
+        member_uids: [alice, bob, carol],
+        tie_breakers: ['nrr'],
+        fixtures_total: 3,
+        fixtures_done: 1
+      },
+      [fixturePath('r01_f001')]: fixture([bob, carol], 'completed', 500000),
+      [fixturePath('r02_f001')]: fixture([alice, carol], 'scheduled', 900000),
+      [fixturePath('r03_f001')]: fixture([alice, bob], 'scheduled', 1300000),
+      [`${leaguePath}/standings/${alice}`]: { uid: alice, points: 0, nrr: 0 },
+      [`${leaguePath}/standings/${bob}`]: { uid: bob, points: 2, nrr: 1 },
+      [`${leaguePath}/standings/${carol}`]: { uid: carol, points: 0, nrr: -1 }
+    };
+
+    const snapshotFor = path => ({
+      exists: !!docs[path],
+      data: () => JSON.parse(JSON.stringify(docs[path]))
+    });
+    const refFor = (path) => {
+      const segments = path.split('/');
+      return {
+        id: segments[segments.length - 1],
+        path,
+        parent: { parent: segments.length > 2 ? refFor(segments.slice(0, -2).join('/')) : null },
+        collection: name => collectionFor(`${path}/${name}`)
+      };
+    };
+    const docsUnder = path => Object.keys(docs)
+      .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+      .map(key => ({ id: key.split('/').pop(), ref: refFor(key), data: () => JSON.parse(JSON.stringify(docs[key])) }));
+    const collectionFor = path => ({
+      isQuery: true,
+      doc: id => refFor(`${path}/${id}`),
+      get: async () => ({ docs: docsUnder(path) })
+    });
+
+    // Query returns every unplayed fixture past its deadline, in any league
+    const queryStub = {
+      where: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      get: sandbox.stub().callsFake(async () => {
+        const found = Object.keys(docs)
+          .filter(path => /^leagues\/[^/]+\/fixtures\//.test(path))
+          .filter(path => ['scheduled', 'playing'].includes(docs[path].status) && docs[path].deadline_at_ms <= Date.now())
+          .map(path => ({ id: path.split('/').pop(), ref: refFor(path) }));
+        return { size: found.length, docs: found };
+      })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      collectionGroup: sandbox.stub().returns(queryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => (ref.isQuery ? ref.get() : snapshotFor(ref.path))),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/expireLeagueFixtures')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const expireLeagueFixtures = proxyquire('../handlers/expireLeagueFixtures', {
+      'firebase-admin': mockAdmin,
+      '../services/leagues': mockLeagues
+    });
+    expireLeagueFixturesHandler = expireLeagueFixtures.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should query unplayed fixtures across leagues', async () => {
+    await expireLeagueFixturesHandler({});
+
+    expect(firestoreStub.collectionGroup.calledWith('fixtures')).to.equal(true);
+  });
+
+  it('should void overdue fixtures and leave the rest to be played', async () => {
+    const voided = await expireLeagueFixturesHandler({});
+
+    expect(voided).to.equal(1);
+    expect(docs[fixturePath('r02_f001')]).to.include({ status: 'void', decided_at: 'SERVER_TIMESTAMP' });
+    expect(docs[fixturePath('r03_f001')].status).to.equal('scheduled');
+    expect(docs[leaguePath]).to.include({ status: 'in_progress', fixtures_done: 2 });
+  });
+
+  it('should complete a league held up by a member who never plays', async () => {
+    await expireLeagueFixturesHandler({});
+    clock.tick(300000);
+
+    await expireLeagueFixturesHandler({});
+
+    expect(docs[fixturePath('r03_f001')].status).to.equal('void');
+    expect(docs[leaguePath]).to.include({ status: 'completed', fixtures_done: 3, winner_uid: bob });
+  });
+
+  it('should void an overdue fixture whose game was abandoned', async () => {
+    docs[fixturePath('r02_f001')] = fixture([alice, carol], 'playing', 900000, { match_id: 'match-1' });
+    docs['matches/match-1'] = { status: 'abandoned' };
+
+    expect(await expireLeagueFixturesHandler({})).to.equal(1);
+    expect(docs[fixturePath('r02_f001')].status).to.equal('void');
+  });
+
+  it('should keep an overdue fixture whose game is still being played', async () => {
+    docs[fixturePath('r02_f001')] = fixture([alice, carol], 'playing', 900000, { match_id: 'match-1' });
+    docs['matches/match-1'] = { status: 'in_progress' };
+
+    expect(await expireLeagueFixturesHandler({})).to.equal(0);
+    expect(docs[fixturePath('r02_f001')].status).to.equal('playing');
+  });
+
+  it('should carry on when one league fails', async () => {
+    docs['leagues/league-2'] = { ...docs[leaguePath] };
+    docs['leagues/league-2/fixtures/r01_f001'] = fixture([alice, bob], 'scheduled', 900000);
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+    const voided = await expireLeagueFixturesHandler({});
+
+    expect(voided).to.equal(1);
+    expect(docs['leagues/league-2/fixtures/r01_f001'].status).to.equal('void');
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Tests for expireMoves scheduled Cloud Function
+ */
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const config = require('../config');
+const engine = require('../utils/gameEngine');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('expireMoves', () => {
+  let sandbox;
+  let firestoreStub;
+  let matchDocs;
+  let expireMovesHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const hash = 'a'.repeat(64);
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    matchDocs = {};
+
+    const refFor = id => ({ id, path: `matches/${id}` });
+
+    // Query returns the matches whose ball deadline has passed, by deadline, a page at a time
+    const queryFor = (page = {}) => ({
+      where: () => queryFor(page),
+      orderBy: () => queryFor(page),
+      limit: count => queryFor({ ...page, limit: count }),
+      startAfter: doc => queryFor({ ...page, after: doc.id }),
+      get: async () => {
+        const overdue = Object.entries(matchDocs)
+          .filter(([, match]) => match.status === 'in_progress' && match.ball.deadline_at_ms <= Date.now())
+          .sort(([a, first], [b, second]) => first.ball.deadline_at_ms - second.ball.deadline_at_ms || a.localeCompare(b));
+        const start = page.after ? overdue.findIndex(([id]) => id === page.after) + 1 : 0;
+        const docs = overdue.slice(start, start + page.limit)
+          .map(([id, match]) => ({ id, ref: refFor(id), data: () => JSON.parse(JSON.stringify(match)) }));
+        return { size: docs.length, docs };
+      }
+    });
+    const queryStub = queryFor();
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(queryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!matchDocs[ref.id],
+            data: () => JSON.parse(JSON.stringify(matchDocs[ref.id]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDocs[ref.id] = { ...matchDocs[ref.id], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/expireMoves')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const expireMoves = proxyquire('../handlers/expireMoves', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    expireMovesHandler = expireMoves.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  // Alice bats first; the current ball timed out a second ago
+  const addMatch = (id, ball = {}, extra = {}) => {
+    matchDocs[id] = {
+      players: [alice, bob],
+      status: 'in_progress',
+      game: engine.createGame({ battingFirst: alice, bowlingFirst: bob, format: extra.format }),
+      ball: { number: 1, commitments: {}, reveals: {}, deadline_at_ms: Date.now() - 1000, ...ball },
+      timeouts: extra.timeouts || {}
+    };
+  };
+
+  it('should leave balls that have not timed out alone', async () => {
+    addMatch('match-1', { deadline_at_ms: Date.now() + 60000 });
+
+    const expired = await expireMovesHandler({});
+
+    expect(expired).to.equal(0);
+    expect(matchDocs['match-1'].ball.number).to.equal(1);
+  });
+
+  it('should pick for both idle players and resolve the ball', async () => {
+    addMatch('match-1');
+
+    const expired = await expireMovesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(expired).to.equal(1);
+    expect(match.game.innings[0].balls).to.equal(1);
+    expect(match.timeouts).to.deep.equal({ [alice]: 1, [bob]: 1 });
+    if (match.status === 'in_progress') {
+      expect(match.ball.number).to.equal(2);
+      expect(match.ball.deadline_at_ms).to.be.greaterThan(Date.now());
+    }
+  });
+
+  it('should pick within the format range', async () => {
+    addMatch('match-1', {}, { format: resolveFormat({ numbers: 'zero_to_ten' }) });
+
+    await expireMovesHandler({});
+    const log = matchDocs['match-1'].game.innings[0].log[0];
+
+    expect(log.batter_pick).to.be.within(0, 10);
+    expect(log.bowler_pick).to.be.within(0, 10);
+  });
+
+  it('should give the committed player a fresh deadline to reveal', async () => {
+    addMatch('match-1', { commitments: { [alice]: hash } });
+
+    await expireMovesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.ball.number).to.equal(1);
+    expect(match.ball.commitments[bob]).to.equal('auto');
+    expect(match.ball.reveals[bob]).to.be.within(1, 6);
+    expect(match.ball.reveals[alice]).to.be.undefined;
+    expect(match.ball.deadline_at_ms).to.be.greaterThan(Date.now());
+    expect(match.timeouts).to.deep.equal({ [bob]: 1 });
+  });
+
+  it('should pick for the player who did not reveal', async () => {
+    addMatch('match-1', {
+      commitments: { [alice]: hash, [bob]: hash },
+      reveals: { [bob]: 4 }
+    });
+
+    await expireMovesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.game.innings[0].log[0].bowler_pick).to.equal(4);
+    expect(match.timeouts).to.deep.equal({ [alice]: 1 });
+  });
+
+  it('should give a batter who withholds their reveal out', async () => {
+    addMatch('match-1', {
+      commitments: { [alice]: hash, [bob]: hash },
+      reveals: { [bob]: 4 }
+    });
+
+    await expireMovesHandler({});
+    const innings = matchDocs['match-1'].game.innings[0];
+
+    expect(innings.log[0]).to.deep.equal({ batter_pick: 4, bowler_pick: 4, runs: 0, out: true });
+    expect(innings.wickets).to.equal(1);
+  });
+
+  it('should give the batter their runs when the bowler withholds their reveal', async () => {
+    for (const batterPick of [1, 6]) {
+      addMatch('match-1', {
+        commitments: { [alice]: hash, [bob]: hash },
+        reveals: { [alice]: batterPick }
+      });
+
+      await expireMovesHandler({});
+      const log = matchDocs['match-1'].game.innings[0].log[0];
+
+      expect(log).to.include({ batter_pick: batterPick, runs: batterPick, out: false });
+      expect(log.bowler_pick).to.be.within(1, 6);
+      expect(matchDocs['match-1'].timeouts).to.deep.equal({ [bob]: 1 });
+    }
+  });
+
+  it('should not give a player the ball when neither player revealed', async () => {
+    // Bob never committed and gets a 4; Alice committed but then did not reveal either
+    sandbox.stub(crypto, 'randomInt').returns(2).onFirstCall().returns(4);
+    addMatch('match-1', { commitments: { [alice]: hash } });
+    await expireMovesHandler({});
+    matchDocs['match-1'].ball.deadline_at_ms = Date.now() - 1000;
+
+    await expireMovesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.game.innings[0].log[0]).to.deep.equal({ batter_pick: 2, bowler_pick: 4, runs: 2, out: false });
+    expect(match.timeouts).to.deep.equal({ [alice]: 1, [bob]: 1 });
+  });
+
+  it('should forfeit the match after too many consecutive timeouts', async () => {
+    addMatch('match-1', { commitments: { [alice]: hash } }, {
+      timeouts: { [bob]: config.MAX_CONSECUTIVE_TIMEOUTS - 1 }
+    });
+
+    await expireMovesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.status).to.equal('completed');
+    expect(match.result).to.deep.include({ winner: alice, loser: bob, by: 'forfeit' });
+    expect(match.ball).to.be.null;
+    expect(match.ended_at).to.equal('SERVER_TIMESTAMP');
+  });
+
+  it('should abandon the match when both players keep timing out', async () => {
+    const streak = config.MAX_CONSECUTIVE_TIMEOUTS - 1;
+    addMatch('match-1', {}, { timeouts: { [alice]: streak, [bob]: streak } });
+
+    await expireMovesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(match.status).to.equal('abandoned');
+    expect(match.ball).to.be.null;
+    expect(match.result).to.be.undefined;
+  });
+
+  it('should leave matches alone while a player is disconnected', async () => {
+    addMatch('match-1');
+    matchDocs['match-1'].reconnect_deadline_at_ms = Date.now() + 60000;
+
+    const expired = await expireMovesHandler({});
+
+    expect(expired).to.equal(0);
+    expect(matchDocs['match-1'].ball.number).to.equal(1);
+  });
+
+  it('should page past paused matches to the ones that can be played', async () => {
+    for (let i = 0; i < 150; i++) {
+      addMatch(`paused-${String(i).padStart(3, '0')}`, { deadline_at_ms: Date.now() - 5000 });
+      matchDocs[`paused-${String(i).padStart(3, '0')}`].reconnect_deadline_at_ms = Date.now() + 60000;
+    }
+    addMatch('match-1');
+
+    const expired = await expireMovesHandler({});
+
+    expect(expired).to.equal(1);
+    expect(matchDocs['match-1'].game.innings[0].balls).to.equal(1);
+    expect(firestoreStub.runTransaction.callCount).to.equal(1);
+  });
+
+  it('should carry on when one match fails', async () => {
+    addMatch('match-1');
+    addMatch('match-2');
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+    const expired = await expireMovesHandler({});
+
+    expect(expired).to.equal(1);
+    expect(matchDocs['match-2'].game.innings[0].balls).to.equal(1);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for expireTosses scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createToss } = require('../utils/toss');
+
+describe('expireTosses', () => {
+  let sandbox;
+  let firestoreStub;
+  let matchDocs;
+  let expireTossesHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    matchDocs = {};
+
+    const refFor = id => ({ id, path: `matches/${id}` });
+
+    // Query returns every match whose toss deadline has passed
+    const queryStub = {
+      where: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      get: sandbox.stub().callsFake(async () => {
+        const docs = Object.entries(matchDocs)
+          .filter(([, match]) => match.status === 'toss' && match.toss.deadline_at_ms <= Date.now())
+          .map(([id]) => ({ id, ref: refFor(id) }));
+        return { size: docs.length, docs };
+      })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(queryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!matchDocs[ref.id],
+            data: () => JSON.parse(JSON.stringify(matchDocs[ref.id]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDocs[ref.id] = { ...matchDocs[ref.id], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/expireTosses')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const expireTosses = proxyquire('../handlers/expireTosses', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    expireTossesHandler = expireTosses.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const addTossMatch = (id, toss) => {
+    matchDocs[id] = {
+      players: [alice, bob],
+      status: 'toss',
+      toss: { ...createToss(alice, Date.now() - 1000), ...toss },
+      game: null,
+      ball: null
+    };
+  };
+
+  it('should leave tosses that have not timed out alone', async () => {
+    addTossMatch('match-1', { deadline_at_ms: Date.now() + 60000 });
+
+    const expired = await expireTossesHandler({});
+
+    expect(expired).to.equal(0);
+    expect(matchDocs['match-1'].toss.call).to.be.null;
+  });
+
+  it('should decide the toss when both players were idle', async () => {
+    addTossMatch('match-1', {});
+
+    const expired = await expireTossesHandler({});
+    const toss = matchDocs['match-1'].toss;
+
+    expect(expired).to.equal(1);
+    expect(['odd', 'even']).to.include(toss.call);
+    expect(toss.fingers[alice]).to.be.within(1, 6);
+    expect(toss.fingers[bob]).to.be.within(1, 6);
+    expect([alice, bob]).to.include(toss.winner);
+    expect(toss.deadline_at_ms).to.be.greaterThan(Date.now());
+    expect(matchDocs['match-1'].status).to.equal('toss');
+  });
+
+  it('should keep the input of the player who did act', async () => {
+    addTossMatch('match-1', { call: 'even', fingers: { [alice]: 5 } });
+
+    await expireTossesHandler({});
+    const toss = matchDocs['match-1'].toss;
+
+    expect(toss.call).to.equal('even');
+    expect(toss.fingers[alice]).to.equal(5);
+    expect(toss.fingers[bob]).to.be.within(1, 6);
+  });
+
+  it('should choose for an idle toss winner and start the match', async () => {
+    addTossMatch('match-1', {
+      call: 'odd',
+      fingers: { [alice]: 1, [bob]: 2 },
+      winner: alice
+    });
+
+    await expireTossesHandler({});
+    const match = matchDocs['match-1'];
+
+    expect(['bat', 'bowl']).to.include(match.toss.choice);
+    expect(match.status).to.equal('in_progress');
+    expect(match.game.innings[0].batter).to.equal(match.toss.choice === 'bat' ? alice : bob);
+    expect(match.ball.number).to.equal(1);
+  });
+
+  it('should leave tosses alone while a player is disconnected', async () => {
+    addTossMatch('match-1', {});
+    matchDocs['match-1'].reconnect_deadline_at_ms = Date.now() + 60000;
+
+    const expired = await expireTossesHandler({});
+
+    expect(expired).to.equal(0);
+    expect(matchDocs['match-1'].toss.call).to.be.null;
+  });
+
+  it('should carry on when one match fails', async () => {
+    addTossMatch('match-1', {});
+    addTossMatch('match-2', {});
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+    const expired = await expireTossesHandler({});
+
+    expect(expired).to.equal(1);
+    expect(matchDocs['match-2'].toss.winner).to.be.a('string');
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Tests for exportMyData Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('exportMyData', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let exportMyDataHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  // Stand-in for a Firestore Timestamp
+  const timestamp = iso => ({ toDate: () => new Date(iso) });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234', created_at: timestamp('2024-01-02T03:04:05.000Z') },
+      [`users/${alice}/rating_history/match-1`]: { match_id: 'match-1', score: 1 },
+      [`users/${alice}/username_history/h1`]: { old_username: 'alice_0000', new_username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      'usernames/alice_1234': { uid: alice },
+      'usernames/bobby_1234': { uid: bob },
+      [`quick_matchmaking_queue/${alice}`]: { uid: alice, status: 'waiting' },
+      [`rate_limits/${alice}`]: { check_username: { window_start_ms: 1000, count: 2 } },
+      [`weekly_leaderboard/2024-W06_${alice}`]: { uid: alice, week: '2024-W06', wins: 2 },
+      [`leaderboard_archives/2024-W05_${alice}`]: { uid: alice, week: '2024-W05', wins: 4 },
+      [`leaderboard_archives/2024-W05_${bob}`]: { uid: bob, week: '2024-W05', wins: 1 },
+      [`friends/${alice}_${bob}`]: { uid: alice, friend_uid: bob },
+      [`friends/${bob}_${alice}`]: { uid: bob, friend_uid: alice },
+      [`friend_requests/${alice}_uid-carol`]: { from_uid: alice, to_uid: 'uid-carol' },
+      [`friend_requests/uid-dave_${alice}`]: { from_uid: 'uid-dave', to_uid: alice },
+      [`blocks/${alice}_uid-eve`]: { blocker_uid: alice, blocked_uid: 'uid-eve' },
+      [`blocks/uid-mallory_${alice}`]: { blocker_uid: 'uid-mallory', blocked_uid: alice },
+      [`inbox/${alice}/items/challenge_${bob}`]: { type: 'challenge', from_uid: bob, to_uid: alice, status: 'pending' },
+      [`inbox/${bob}/items/challenge_${alice}`]: { type: 'challenge', from_uid: alice, to_uid: bob, status: 'pending' },
+      [`tournaments/cup-1/entrants/${alice}`]: { uid: alice, username: 'alice_1234', seed: 2, status: 'active' },
+      [`tournaments/cup-1/entrants/${bob}`]: { uid: bob, username: 'bobby_1234', seed: 1, status: 'active' },
+      [`leagues/league-1/standings/${alice}`]: { uid: alice, username: 'alice_1234', played: 1, won: 1, points: 2 },
+      [`leagues/league-1/standings/${bob}`]: { uid: bob, username: 'bobby_1234', played: 1, won: 0, points: 0 },
+      'private_rooms/K7QX2M': { host_uid: alice, status: 'open' },
+      'matches/match-1': { players: [alice, bob], status: 'completed', ended_at: timestamp('2024-01-03T00:00:00.000Z') },
+      'matches/match-2': { players: [bob, 'uid-carol'], status: 'completed' }
+    };
+
+    const matches = (data, [field, op, value]) => {
+      const actual = data[field];
+      if (op === '==') return actual === value;
+      if (op === 'array-contains') return Array.isArray(actual) && actual.includes(value);
+      throw new Error(`Unsupported operator ${op}`);
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ id: path.split('/').pop(), exists: !!docs[path], data: () => docs[path] }),
+      collection: name => queryFor(`${path}/${name}`, []),
+      // Parent collection, whose parent is the document holding it
+      get parent() {
+        return { parent: refFor(path.split('/').slice(0, -2).join('/')) };
+      }
+    });
+
+    // A collection group query matches every collection with that name
+    const queryFor = (collectionPath, filters, group = false) => ({
+      doc: id => refFor(`${collectionPath}/${id}`),
+      where: (...filter) => queryFor(collectionPath, [...filters, filter], group),
+      get: async () => {
+        const depth = collectionPath.split('/').length + 1;
+        const inCollection = path => (group
+          ? path.split('/').slice(-2)[0] === collectionPath
+          : path.startsWith(`${collectionPath}/`) && path.split('/').length === depth);
+        const found = Object.keys(docs)
+          .filter(inCollection)
+          .filter(path => filters.every(filter => matches(docs[path], filter)))
+          .map(path => ({ id: path.split('/').pop(), ref: refFor(path), data: () => docs[path] }));
+        return { size: found.length, docs: found };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, [])),
+      collectionGroup: sandbox.stub().callsFake(name => queryFor(name, [], true))
+    };
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/exportMyData')];
+    delete require.cache[require.resolve('../services/userData')];
+    delete require.cache[require.resolve('../utils/auth')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUserData = proxyquire('../services/userData', {
+      'firebase-admin': mockAdmin
+    });
+
+    const exportMyData = proxyquire('../handlers/exportMyData', {
+      '../utils/auth': mockAuth,
+      '../services/userData': mockUserData
+    });
+    exportMyDataHandler = exportMyData.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(exportMyDataHandler({}, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Export', () => {
+    it('should return everything stored about the caller', async () => {
+      const result = await exportMyDataHandler({}, contextFor(alice));
+
+      expect(result.success).to.be.true;
+      expect(result.exportedAt).to.be.a('string');
+      expect(result.data).to.deep.equal({
+        uid: alice,
+        user: { username: 'alice_1234', created_at: '2024-01-02T03:04:05.000Z' },
+        usernames: [{ id: 'alice_1234', uid: alice }],
+        quick_matchmaking_queue: { uid: alice, status: 'waiting' },
+        private_rooms: [{ id: 'K7QX2M', host_uid: alice, status: 'open' }],
+        matches: [{ id: 'match-1', players: [alice, bob], status: 'completed', ended_at: '2024-01-03T00:00:00.000Z' }],
+        rate_limits: { check_username: { window_start_ms: 1000, count: 2 } },
+        weekly_leaderboard: [{ id: `2024-W06_${alice}`, uid: alice, week: '2024-W06', wins: 2 }],
+        leaderboard_archives: [{ id: `2024-W05_${alice}`, uid: alice, week: '2024-W05', wins: 4 }],
+        friends: [{ id: `${alice}_${bob}`, uid: alice, friend_uid: bob }],
+        friend_requests: [
+          { id: `${alice}_uid-carol`, from_uid: alice, to_uid: 'uid-carol' },
+          { id: `uid-dave_${alice}`, from_uid: 'uid-dave', to_uid: alice }
+        ],
+        blocks: [{ id: `${alice}_uid-eve`, blocker_uid: alice, blocked_uid: 'uid-eve' }],
+        inbox: [{ id: `challenge_${bob}`, type: 'challenge', from_uid: bob, to_uid: alice, status: 'pending' }],
+        tournament_entries: [{ tournament_id: 'cup-1', uid: alice, username: 'alice_1234', seed: 2, status: 'active' }],
+        league_standings: [{ league_id: 'league-1', uid: alice, username: 'alice_1234', played: 1, won: 1, points: 2 }],
+        rating_history: [{ id: 'match-1', match_id: 'match-1', score: 1 }],
+        username_history: [{ id: 'h1', old_username: 'alice_0000', new_username: 'alice_1234' }]
+      });
+    });
+
+    it('should not show the opponent\'s fingers or picks of a match being played', async () => {
+      docs['matches/match-3'] = {
+        players: [alice, bob],
+        status: 'toss',
+        toss: { caller: alice, call: null, fingers: { [bob]: 3 }, winner: null, choice: null, deadline_at_ms: 5000 }
+      };
+      docs['matches/match-4'] = {
+        players: [alice, bob],
+        status: 'in_progress',
+        ball: {
+          number: 2,
+          commitments: { [alice]: 'hash-a', [bob]: 'hash-b' },
+          reveals: { [bob]: 4 },
+          deadline_at_ms: 6000
+        }
+      };
+
+      const result = await exportMyDataHandler({}, contextFor(alice));
+
+      const exported = Object.fromEntries(result.data.matches.map(match => [match.id, match]));
+      expect(exported['match-3'].toss).to.include({ caller: alice, fingers: null });
+      expect(exported['match-3'].toss.shown).to.deep.equal({ [alice]: false, [bob]: true });
+      expect(exported['match-4'].ball).to.deep.equal({
+        number: 2,
+        committed: { [alice]: true, [bob]: true },
+        revealed: { [alice]: false, [bob]: true },
+        deadline_at_ms: 6000
+      });
+      expect(JSON.stringify(exported)).to.not.include('hash-b');
+    });
+
+    it('should be JSON serialisable', async () => {
+      const result = await exportMyDataHandler({}, contextFor(alice));
+
+      expect(JSON.parse(JSON.stringify(result))).to.deep.equal(result);
+    });
+
+    it('should return an empty bundle for a user without a profile', async () => {
+      const result = await exportMyDataHandler({}, contextFor('uid-nobody'));
+
+      expect(result.data).to.deep.equal({
+        uid: 'uid-nobody',
+        user: null,
+        usernames: [],
+        quick_matchmaking_queue: null,
+        private_rooms: [],
+        matches: [],
+        rate_limits: null,
+        weekly_leaderboard: [],
+        leaderboard_archives: [],
+        friends: [],
+        friend_requests: [],
+        blocks: [],
+        inbox: [],
+        tournament_entries: [],
+        league_standings: [],
+        rating_history: [],
+        username_history: []
+      });
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(exportMyDataHandler({}, contextFor(alice)), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * Tests for the hand cricket game engine
+ */
+
+const {expect} = require('chai');
+const engine = require('../utils/gameEngine');
+const {resolveFormat} = require('../utils/matchFormat');
+
+describe('gameEngine', () => {
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+
+  /**
+   * Plays a sequence of [batterPick, bowlerPick] balls from the given state
+   *
+   * @param {Object} state - Game state
+   * @param {Array<number[]>} balls - Picks of each ball
+   * @return {Object} Game state after the last ball
+   */
+  const playBalls = (state, balls) => balls.reduce((current, [batterPick, bowlerPick]) => {
+    const innings = engine.getCurrentInnings(current);
+    return engine.playBall(current, {
+      [innings.batter]: batterPick,
+      [innings.bowler]: bowlerPick,
+    });
+  }, state);
+
+  const newGame = (format) => engine.createGame({battingFirst: alice, bowlingFirst: bob, format});
+
+  describe('createGame', () => {
+    it('should create a game with the first innings ready', () => {
+      const state = newGame();
+
+      expect(state.status).to.equal('in_progress');
+      expect(state.players).to.deep.equal([alice, bob]);
+      expect(state.format).to.deep.equal(resolveFormat('till_out'));
+      expect(state.target).to.be.null;
+      expect(state.result).to.be.null;
+      expect(state.innings).to.have.length(1);
+      expect(state.innings[0]).to.deep.equal({
+        batter: alice,
+        bowler: bob,
+        runs: 0,
+        wickets: 0,
+        balls: 0,
+        log: [],
+      });
+    });
+
+    it('should produce JSON-serialisable state', () => {
+      const state = playBalls(newGame(), [[4, 2], [3, 3], [1, 2]]);
+      expect(JSON.parse(JSON.stringify(state))).to.deep.equal(state);
+    });
+
+    it('should throw if a player is missing', () => {
+      expect(() => engine.createGame({battingFirst: alice}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-players');
+      expect(() => engine.createGame())
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-players');
+    });
+
+    it('should throw if a player is not a string', () => {
+      expect(() => engine.createGame({battingFirst: alice, bowlingFirst: 42}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-players');
+    });
+
+    it('should throw if both players are the same', () => {
+      expect(() => engine.createGame({battingFirst: alice, bowlingFirst: alice}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-players');
+    });
+  });
+
+  describe('isValidPick', () => {
+    it('should accept whole numbers from 1 to 6', () => {
+      [1, 2, 3, 4, 5, 6].forEach((pick) => {
+        expect(engine.isValidPick(pick)).to.be.true;
+      });
+    });
+
+    it('should reject out of range, fractional and non-numeric picks', () => {
+      [0, 7, -1, 2.5, '3', null, undefined, NaN].forEach((pick) => {
+        expect(engine.isValidPick(pick)).to.be.false;
+      });
+    });
+  });
+
+  describe('getRole', () => {
+    it('should report batter and bowler for the current innings', () => {
+      const state = newGame();
+      expect(engine.getRole(state, alice)).to.equal('batter');
+      expect(engine.getRole(state, bob)).to.equal('bowler');
+      expect(engine.getRole(state, 'uid-carol')).to.be.null;
+    });
+
+    it('should swap roles in the second innings', () => {
+      const state = playBalls(newGame(), [[2, 2]]);
+      expect(engine.getRole(state, alice)).to.equal('bowler');
+      expect(engine.getRole(state, bob)).to.equal('batter');
+    });
+  });
+
+  describe('getLastBall', () => {
+    it('should return null before any ball is played', () => {
+      expect(engine.getLastBall(newGame())).to.be.null;
+    });
+
+    it('should return the last ball of the current innings', () => {
+      const state = playBalls(newGame(), [[4, 1], [2, 5]]);
+      expect(engine.getLastBall(state)).to.deep.equal({batter_pick: 2, bowler_pick: 5, runs: 2, out: false});
+    });
+
+    it('should return the wicket ball right after innings switch', () => {
+      const state = playBalls(newGame(), [[4, 1], [3, 3]]);
+      expect(state.innings).to.have.length(2);
+      expect(engine.getLastBall(state)).to.deep.equal({batter_pick: 3, bowler_pick: 3, runs: 0, out: true});
+    });
+  });
+
+  describe('playBall', () => {
+    it('should add the batter pick to the score when picks differ', () => {
+      const state = playBalls(newGame(), [[5, 2]]);
+      const innings = state.innings[0];
+
+      expect(innings.runs).to.equal(5);
+      expect(innings.balls).to.equal(1);
+      expect(innings.wickets).to.equal(0);
+      expect(innings.log).to.deep.equal([
+        {batter_pick: 5, bowler_pick: 2, runs: 5, out: false},
+      ]);
+    });
+
+    it('should get the batter out when picks match', () => {
+      const state = playBalls(newGame(), [[6, 1], [3, 3]]);
+      const innings = state.innings[0];
+
+      expect(innings.runs).to.equal(6);
+      expect(innings.wickets).to.equal(1);
+      expect(innings.balls).to.equal(2);
+      expect(innings.log[1]).to.deep.equal({batter_pick: 3, bowler_pick: 3, runs: 0, out: true});
+    });
+
+    it('should switch innings and set the target after a wicket', () => {
+      const state = playBalls(newGame(), [[6, 1], [4, 2], [3, 3]]);
+
+      expect(state.status).to.equal('in_progress');
+      expect(state.target).to.equal(11);
+      expect(state.innings).to.have.length(2);
+      expect(state.innings[1]).to.deep.include({batter: bob, bowler: alice, runs: 0, balls: 0});
+    });
+
+    it('should set a target of 1 after a first-ball duck', () => {
+      const state = playBalls(newGame(), [[1, 1]]);
+      expect(state.target).to.equal(1);
+    });
+
+    it('should not mutate the state it is given', () => {
+      const state = newGame();
+      const snapshot = JSON.parse(JSON.stringify(state));
+
+      engine.playBall(state, {[alice]: 4, [bob]: 1});
+
+      expect(state).to.deep.equal(snapshot);
+    });
+
+    it('should reject a missing pick', () => {
+      expect(() => engine.playBall(newGame(), {[alice]: 4}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-pick');
+    });
+
+    it('should reject an out of range pick', () => {
+      expect(() => engine.playBall(newGame(), {[alice]: 7, [bob]: 1}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-pick');
+    });
+
+    it('should reject missing picks object', () => {
+      expect(() => engine.playBall(newGame(), undefined))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-pick');
+    });
+
+    it('should ignore picks from non-players', () => {
+      expect(() => engine.playBall(newGame(), {'uid-carol': 3, [bob]: 1}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-pick');
+    });
+
+    it('should reject balls after the game is over', () => {
+      const state = playBalls(newGame(), [[2, 2], [1, 1]]);
+      expect(state.status).to.equal('completed');
+
+      expect(() => engine.playBall(state, {[alice]: 1, [bob]: 2}))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'game-over');
+    });
+  });
+
+  describe('Results', () => {
+    it('should end the game as soon as the chase is reached', () => {
+      // Alice scores 5, Bob needs 6
+      const state = playBalls(newGame(), [[5, 1], [2, 2], [4, 1], [2, 1]]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.innings[1].runs).to.equal(6);
+      expect(state.innings[1].balls).to.equal(2);
+      expect(state.result).to.deep.equal({
+        winner: bob,
+        loser: alice,
+        tie: false,
+        by: 'wickets',
+        margin: 1,
+        super_overs: 0,
+      });
+    });
+
+    it('should give the win to the first batter when the chase falls short', () => {
+      // Alice scores 10, Bob scores 4 then is out
+      const state = playBalls(newGame(), [[6, 1], [4, 1], [3, 3], [4, 2], [5, 5]]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.result).to.deep.equal({
+        winner: alice,
+        loser: bob,
+        tie: false,
+        by: 'runs',
+        margin: 6,
+        super_overs: 0,
+      });
+    });
+
+    it('should declare a tie when scores are level', () => {
+      const state = playBalls(newGame(), [[3, 1], [2, 2], [3, 1], [6, 6]]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.target).to.equal(4);
+      expect(state.result).to.deep.equal({
+        winner: null,
+        loser: null,
+        tie: true,
+        by: null,
+        margin: null,
+        super_overs: 0,
+      });
+    });
+
+    it('should keep the full ball log of both innings', () => {
+      const state = playBalls(newGame(), [[3, 1], [2, 2], [3, 1], [6, 6]]);
+
+      expect(state.innings[0].log.map((ball) => ball.runs)).to.deep.equal([3, 0]);
+      expect(state.innings[1].log.map((ball) => ball.out)).to.deep.equal([false, true]);
+    });
+  });
+
+  describe('Forfeit', () => {
+    it('should complete the game with the other player as winner', () => {
+      const state = engine.forfeit(playBalls(newGame(), [[4, 1]]), alice);
+
+      expect(state.status).to.equal('completed');
+      expect(state.result).to.deep.equal({
+        winner: bob,
+        loser: alice,
+        tie: false,
+        by: 'forfeit',
+        margin: null,
+        super_overs: 0,
+      });
+    });
+
+    it('should reject a forfeit by a non-player or after the game', () => {
+      expect(() => engine.forfeit(newGame(), 'uid-carol'))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-players');
+
+      const finished = playBalls(newGame(), [[1, 1], [2, 1]]);
+      expect(() => engine.forfeit(finished, alice))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'game-over');
+    });
+  });
+
+  describe('Formats', () => {
+    it('should accept picks in the format range', () => {
+      const format = resolveFormat({numbers: 'zero_to_ten'});
+
+      expect(engine.isValidPick(0, format)).to.be.true;
+      expect(engine.isValidPick(10, format)).to.be.true;
+      expect(engine.isValidPick(11, format)).to.be.false;
+      expect(engine.isValidPick(0)).to.be.false;
+    });
+
+    it('should score zero to ten picks', () => {
+      const state = playBalls(newGame(resolveFormat({numbers: 'zero_to_ten'})), [[10, 3], [0, 4]]);
+      expect(state.innings[0].runs).to.equal(10);
+      expect(state.innings[0].balls).to.equal(2);
+    });
+
+    it('should reject picks outside the format range', () => {
+      expect(() => playBalls(newGame(resolveFormat('t1')), [[8, 1]]))
+          .to.throw(engine.GameEngineError)
+          .with.property('code', 'invalid-pick');
+    });
+
+    it('should end an innings when its balls are bowled', () => {
+      const state = playBalls(newGame(resolveFormat('t1')), [[1, 2], [1, 2], [1, 2], [1, 2], [1, 2], [1, 2]]);
+
+      expect(state.innings).to.have.length(2);
+      expect(state.innings[0]).to.deep.include({runs: 6, balls: 6, wickets: 0});
+      expect(state.target).to.equal(7);
+    });
+
+    it('should keep batting until all wickets are lost', () => {
+      const state = playBalls(newGame(resolveFormat('three_wickets')), [[2, 2], [4, 1], [3, 3]]);
+
+      expect(state.innings).to.have.length(1);
+      expect(state.innings[0]).to.deep.include({runs: 4, wickets: 2});
+
+      const next = playBalls(state, [[5, 5]]);
+      expect(next.innings).to.have.length(2);
+      expect(next.target).to.equal(5);
+    });
+
+    it('should report the wickets in hand when a chase is won', () => {
+      // Alice all out for 0 in T2 (2 wickets); Bob loses one wicket then scores
+      const state = playBalls(newGame(resolveFormat('t2')), [[1, 1], [2, 2], [3, 3], [4, 1]]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.result).to.deep.include({winner: bob, by: 'wickets', margin: 1});
+    });
+
+    it('should end the game when the chasing side runs out of balls', () => {
+      const t1 = resolveFormat('t1');
+      const state = playBalls(newGame(t1), [
+        [6, 1], [6, 1], [6, 1], [6, 1], [6, 1], [6, 1],
+        [1, 2], [1, 2], [1, 2], [1, 2], [1, 2], [1, 2],
+      ]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.result).to.deep.include({winner: alice, by: 'runs', margin: 30});
+    });
+
+    it('should declare a draw on a tie when the format says so', () => {
+      const state = playBalls(newGame(resolveFormat({ballsPerInnings: 1, tieBreaker: 'draw'})), [[3, 1], [3, 1]]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.result.tie).to.be.true;
+      expect(state.result.super_overs).to.equal(0);
+    });
+
+    it('should play a super over on a tie, with the chasing side batting first', () => {
+      const state = playBalls(newGame(resolveFormat({ballsPerInnings: 1, tieBreaker: 'super_over'})), [[3, 1], [3, 1]]);
+
+      expect(state.status).to.equal('in_progress');
+      expect(state.innings).to.have.length(3);
+      expect(state.innings[2]).to.deep.include({batter: bob, bowler: alice});
+      expect(state.target).to.be.null;
+      expect(engine.getInningsLimits(state, 2)).to.deep.equal({balls: 6, wickets: 1});
+    });
+
+    it('should decide the game on the super over', () => {
+      const tied = playBalls(newGame(resolveFormat({ballsPerInnings: 1, tieBreaker: 'super_over'})), [[3, 1], [3, 1]]);
+      // Super over: Bob scores 5 then out, Alice chases 6 and is out for 2
+      const state = playBalls(tied, [[5, 1], [2, 2], [2, 1], [4, 4]]);
+
+      expect(state.status).to.equal('completed');
+      expect(state.result).to.deep.equal({
+        winner: bob,
+        loser: alice,
+        tie: false,
+        by: 'runs',
+        margin: 3,
+        super_overs: 1,
+      });
+    });
+
+    it('should accept a tie after the maximum number of super overs', () => {
+      let state = playBalls(newGame(resolveFormat({ballsPerInnings: 1, tieBreaker: 'super_over'})), [[3, 1], [3, 1]]);
+      for (let i = 0; i < engine.MAX_SUPER_OVERS; i++) {
+        state = playBalls(state, [[1, 1], [1, 1]]);
+      }
+
+      expect(state.status).to.equal('completed');
+      expect(state.result.tie).to.be.true;
+      expect(state.result.super_overs).to.equal(engine.MAX_SUPER_OVERS);
+    });
+  });
+});
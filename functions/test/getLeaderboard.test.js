@@ -0,0 +1,245 @@
+/**
+ * Tests for getLeaderboard Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { isoWeek, fieldValue } = require('../utils/leaderboard');
+
+describe('getLeaderboard', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let getLeaderboardHandler;
+  let mockAdmin;
+  let originalSecret;
+
+  const context = { auth: { uid: 'uid-caller' }, app: {} };
+  const week = isoWeek(Date.now());
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    originalSecret = process.env.CURSOR_HMAC_SECRET;
+    process.env.CURSOR_HMAC_SECRET = 'test-secret';
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      'users/uid-a': { username: 'alice_1234', email_address: 'a@example.com', rating: 1700, stats: { matches: 9, wins: 6, runs: 80 } },
+      'users/uid-b': { username: 'bobby_1234', rating: 1650.4, stats: { matches: 4, wins: 4, runs: 120 } },
+      'users/uid-c': { username: 'carol_1234', rating: 1650.4, stats: { matches: 7, wins: 2, runs: 60 } },
+      'users/uid-d': { username: 'david_1234', rating: 1400, stats: { matches: 3, wins: 0, runs: 10 } },
+      [`weekly_leaderboard/${week}_uid-c`]: { uid: 'uid-c', username: 'carol_1234', week, rating: 1650, matches: 3, wins: 2, runs: 30 },
+      [`weekly_leaderboard/${week}_uid-d`]: { uid: 'uid-d', username: 'david_1234', week, rating: 1400, matches: 3, wins: 0, runs: 10 },
+      'weekly_leaderboard/2024-W05_uid-a': { uid: 'uid-a', username: 'alice_1234', week: '2024-W05', rating: 1700, matches: 9, wins: 9, runs: 99 },
+      'leaderboard_archives/2024-W05_uid-b': { uid: 'uid-b', username: 'bobby_1234', week: '2024-W05', rating: 1600, matches: 2, wins: 1, runs: 12 }
+    };
+
+    // Query fake: equality filters, descending field order with document ID tie-break
+    const queryFor = (name, state) => ({
+      where: (field, op, value) => queryFor(name, { ...state, filters: [...state.filters, [field, value]] }),
+      orderBy: field => queryFor(name, { ...state, orderBy: state.orderBy || field }),
+      limit: count => queryFor(name, { ...state, limit: count }),
+      startAfter: (value, id) => queryFor(name, { ...state, after: [value, id] }),
+      get: async () => {
+        const compare = (a, b) => (b.value - a.value) || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+        let found = Object.keys(docs)
+          .filter(path => path.split('/')[0] === name)
+          .map(path => ({ id: path.split('/')[1], data: docs[path] }))
+          .filter(doc => state.filters.every(([field, value]) => doc.data[field] === value))
+          .map(doc => ({ ...doc, value: fieldValue(doc.data, state.orderBy) }))
+          .filter(doc => doc.value !== undefined)
+          .sort(compare);
+        if (state.after) {
+          const [value, id] = state.after;
+          found = found.filter(doc => compare({ value, id }, doc) < 0);
+        }
+        return {
+          docs: found.slice(0, state.limit).map(doc => ({ id: doc.id, data: () => doc.data }))
+        };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, { filters: [] }))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/getLeaderboard')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/cursor')];
+    delete require.cache[require.resolve('../services/leaderboards')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeaderboards = proxyquire('../services/leaderboards', {
+      'firebase-admin': mockAdmin
+    });
+
+    const getLeaderboard = proxyquire('../handlers/getLeaderboard', {
+      '../utils/auth': mockAuth,
+      '../services/leaderboards': mockLeaderboards
+    });
+    getLeaderboardHandler = getLeaderboard.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (originalSecret === undefined) {
+      delete process.env.CURSOR_HMAC_SECRET;
+    } else {
+      process.env.CURSOR_HMAC_SECRET = originalSecret;
+    }
+  });
+
+  const uidsOf = result => result.items.map(item => item.uid);
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(getLeaderboardHandler({}, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should reject an unknown board', async () => {
+      await expectHttpsError(getLeaderboardHandler({ board: 'ducks' }, context), 'invalid-argument', 'board must be one of');
+    });
+
+    it('should reject an unknown period', async () => {
+      await expectHttpsError(getLeaderboardHandler({ period: 'daily' }, context), 'invalid-argument', 'period must be one of');
+    });
+
+    it('should reject a malformed week', async () => {
+      await expectHttpsError(
+        getLeaderboardHandler({ period: 'weekly', week: '2024-5' }, context),
+        'invalid-argument',
+        'week must look like'
+      );
+    });
+
+    it('should reject a non-positive limit', async () => {
+      await expectHttpsError(getLeaderboardHandler({ limit: 0 }, context), 'invalid-argument', 'limit');
+    });
+  });
+
+  describe('All-time Boards', () => {
+    it('should rank by rating by default, breaking ties by document ID', async () => {
+      const result = await getLeaderboardHandler({}, context);
+
+      expect(result).to.deep.include({ success: true, board: 'rating', period: 'all_time', week: null, hasMore: false });
+      expect(uidsOf(result)).to.deep.equal(['uid-a', 'uid-c', 'uid-b', 'uid-d']);
+      expect(result.items[1]).to.deep.equal({
+        rank: 2, uid: 'uid-c', username: 'carol_1234', rating: 1650, matches: 7, wins: 2, runs: 60
+      });
+    });
+
+    it('should rank by wins and runs', async () => {
+      expect(uidsOf(await getLeaderboardHandler({ board: 'wins' }, context))).to.deep.equal(['uid-a', 'uid-b', 'uid-c', 'uid-d']);
+      expect(uidsOf(await getLeaderboardHandler({ board: 'runs' }, context))).to.deep.equal(['uid-b', 'uid-a', 'uid-c', 'uid-d']);
+    });
+
+    it('should never return private fields', async () => {
+      const result = await getLeaderboardHandler({}, context);
+
+      expect(JSON.stringify(result)).to.not.include('example.com');
+    });
+  });
+
+  describe('Weekly Boards', () => {
+    it('should only rank entries of the current week', async () => {
+      const result = await getLeaderboardHandler({ board: 'wins', period: 'weekly' }, context);
+
+      expect(result.week).to.equal(week);
+      expect(uidsOf(result)).to.deep.equal(['uid-c', 'uid-d']);
+      expect(result.items[0]).to.deep.include({ rank: 1, wins: 2, matches: 3, runs: 30 });
+    });
+
+    it('should read past weeks from the archive', async () => {
+      const result = await getLeaderboardHandler({ board: 'runs', period: 'weekly', week: '2024-W05' }, context);
+
+      expect(uidsOf(result)).to.deep.equal(['uid-b']);
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should page with signed cursors and keep counting ranks', async () => {
+      const first = await getLeaderboardHandler({ limit: 2 }, context);
+
+      expect(uidsOf(first)).to.deep.equal(['uid-a', 'uid-c']);
+      expect(first.hasMore).to.be.true;
+      expect(first.nextCursor).to.be.a('string');
+
+      const second = await getLeaderboardHandler({ limit: 2, cursor: first.nextCursor }, context);
+
+      expect(uidsOf(second)).to.deep.equal(['uid-b', 'uid-d']);
+      expect(second.items.map(item => item.rank)).to.deep.equal([3, 4]);
+      expect(second.hasMore).to.be.false;
+      expect(second.nextCursor).to.be.null;
+    });
+
+    it('should cap the page size at MAX_PAGE_SIZE', async () => {
+      const result = await getLeaderboardHandler({ limit: 100000 }, context);
+
+      expect(result.items).to.have.length(4);
+    });
+
+    it('should reject a tampered cursor', async () => {
+      const first = await getLeaderboardHandler({ limit: 1 }, context);
+
+      await expectHttpsError(
+        getLeaderboardHandler({ cursor: `${first.nextCursor}x` }, context),
+        'invalid-argument',
+        'Invalid or expired cursor'
+      );
+    });
+
+    it('should reject a cursor from another board', async () => {
+      const first = await getLeaderboardHandler({ limit: 1 }, context);
+
+      await expectHttpsError(
+        getLeaderboardHandler({ board: 'wins', cursor: first.nextCursor }, context),
+        'invalid-argument',
+        'different leaderboard'
+      );
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(getLeaderboardHandler({}, context), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
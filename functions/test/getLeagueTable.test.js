@@ -0,0 +1,188 @@
+/**
+ * Tests for getLeagueTable Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { emptyStanding } = require('../utils/league');
+
+describe('getLeagueTable', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let getLeagueTableHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const leagueId = 'league-1';
+  const leaguePath = `leagues/${leagueId}`;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  const standing = (uid, username, fields) => ({ ...emptyStanding(uid, username), ...fields, updated_at: 'EARLIER' });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Alice and bob are level on points; alice has the better run rate
+    docs = {
+      [leaguePath]: {
+        name: 'Office League',
+        created_by: alice,
+        format_key: 'bx-w1-n1_6-draw',
+        tie_breakers: ['nrr', 'head_to_head'],
+        status: 'in_progress',
+        max_members: 4,
+        member_uids: [alice, bob, carol],
+        invite_code: null,
+        rounds: 3,
+        fixtures_total: 3,
+        fixtures_done: 2,
+        winner_uid: null,
+        created_at: 'EARLIER'
+      },
+      [`${leaguePath}/standings/${bob}`]: standing(bob, 'bobby_1234', { played: 1, won: 1, points: 2, nrr: 0.5 }),
+      [`${leaguePath}/standings/${carol}`]: standing(carol, 'carol_1234', { played: 2, lost: 2, points: 0, nrr: -2 }),
+      [`${leaguePath}/standings/${alice}`]: standing(alice, 'alice_1234', { played: 1, won: 1, points: 2, nrr: 1.5 })
+    };
+
+    const collectionFor = path => ({
+      doc: id => refFor(`${path}/${id}`),
+      get: async () => ({
+        docs: Object.keys(docs)
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(key => ({ id: key.split('/').pop(), data: () => docs[key] }))
+      })
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ exists: !!docs[path], data: () => docs[path] }),
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor)
+    };
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/getLeagueTable')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/auth')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin
+    });
+
+    const getLeagueTable = proxyquire('../handlers/getLeagueTable', {
+      '../utils/auth': mockAuth,
+      '../services/leagues': mockLeagues
+    });
+    getLeagueTableHandler = getLeagueTable.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(getLeagueTableHandler({ leagueId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should require a leagueId', async () => {
+      await expectHttpsError(getLeagueTableHandler({}, contextFor(alice)), 'invalid-argument', 'leagueId is required');
+    });
+
+    it('should reject an unknown league', async () => {
+      await expectHttpsError(getLeagueTableHandler({ leagueId: 'nope' }, contextFor(alice)), 'not-found', 'League not found');
+    });
+
+    it('should only show the league to its members', async () => {
+      await expectHttpsError(getLeagueTableHandler({ leagueId }, contextFor('uid-dave')), 'permission-denied', 'Not a member');
+    });
+  });
+
+  describe('Table', () => {
+    it('should return the summary without the invite code', async () => {
+      const result = await getLeagueTableHandler({ leagueId }, contextFor(carol));
+
+      expect(result.success).to.equal(true);
+      expect(result.league).to.deep.equal({
+        id: leagueId,
+        name: 'Office League',
+        created_by: alice,
+        format_key: 'bx-w1-n1_6-draw',
+        tie_breakers: ['nrr', 'head_to_head'],
+        status: 'in_progress',
+        max_members: 4,
+        member_count: 3,
+        rounds: 3,
+        fixtures_total: 3,
+        fixtures_done: 2,
+        winner_uid: null
+      });
+    });
+
+    it('should rank by points, then the league\'s tie-breakers', async () => {
+      const result = await getLeagueTableHandler({ leagueId }, contextFor(bob));
+
+      expect(result.table.map(row => row.uid)).to.deep.equal([alice, bob, carol]);
+      expect(result.table[0]).to.deep.equal({
+        position: 1,
+        uid: alice,
+        username: 'alice_1234',
+        played: 1,
+        won: 1,
+        lost: 0,
+        tied: 0,
+        points: 2,
+        nrr: 1.5
+      });
+    });
+
+    it('should follow the order of the tie-breakers', async () => {
+      docs[leaguePath].tie_breakers = ['head_to_head', 'nrr'];
+      docs[`${leaguePath}/standings/${bob}`].head_to_head = { [alice]: 2 };
+
+      const result = await getLeagueTableHandler({ leagueId }, contextFor(bob));
+
+      expect(result.table.map(row => row.uid)).to.deep.equal([bob, alice, carol]);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for getMatch Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const engine = require('../utils/gameEngine');
+
+describe('getMatch', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let getMatchHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  // Stand-in for a Firestore Timestamp
+  const timestamp = iso => ({ toDate: () => new Date(iso) });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Alice scored 4 off the first ball; on the second, Alice has revealed 6
+    let game = engine.createGame({ battingFirst: alice, bowlingFirst: bob });
+    game = engine.playBall(game, { [alice]: 4, [bob]: 2 });
+
+    // In-memory documents keyed by path
+    docs = {
+      'matches/live': {
+        players: [alice, bob],
+        source: 'quick_match',
+        format: game.format,
+        status: 'in_progress',
+        toss: { caller: bob, call: 'even', fingers: { [alice]: 2, [bob]: 4 }, winner: alice, choice: 'bat', deadline_at_ms: 500 },
+        game,
+        ball: {
+          number: 2,
+          commitments: { [alice]: 'a'.repeat(64), [bob]: 'b'.repeat(64) },
+          reveals: { [alice]: { pick: 6, nonce: 'nonce-secret-alice' } },
+          deadline_at_ms: 1000
+        },
+        created_at: timestamp('2024-03-01T10:00:00.000Z'),
+        started_at: timestamp('2024-03-01T10:00:30.000Z')
+      },
+      'matches/done': {
+        players: [alice, bob],
+        source: 'private',
+        format: game.format,
+        status: 'completed',
+        toss: { caller: alice, call: 'odd', fingers: {}, winner: bob, choice: 'bowl', deadline_at_ms: 500 },
+        game: engine.playBall(engine.playBall(engine.playBall(game, { [alice]: 3, [bob]: 3 }), { [alice]: 5, [bob]: 1 }), { [alice]: 6, [bob]: 6 }),
+        ball: null,
+        result: { winner: alice, loser: bob, tie: false, by: 'runs', margin: 3, super_overs: 0 },
+        rematch: { requested_by: bob, requested_at: 'EARLIER', expires_at_ms: 2000, match_id: null },
+        created_at: timestamp('2024-03-01T10:00:00.000Z'),
+        started_at: timestamp('2024-03-01T10:00:30.000Z'),
+        ended_at: timestamp('2024-03-01T10:05:00.000Z')
+      }
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({
+          get: async () => ({ id, exists: !!docs[`${name}/${id}`], data: () => docs[`${name}/${id}`] })
+        })
+      }))
+    };
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/getMatch')];
+    delete require.cache[require.resolve('../utils/auth')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const getMatch = proxyquire('../handlers/getMatch', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth
+    });
+    getMatchHandler = getMatch.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(getMatchHandler({ matchId: 'live' }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should require a matchId', async () => {
+      await expectHttpsError(getMatchHandler({}, contextFor(alice)), 'invalid-argument', 'matchId is required');
+    });
+
+    it('should reject a non-string matchId', async () => {
+      await expectHttpsError(getMatchHandler({ matchId: 7 }, contextFor(alice)), 'invalid-argument');
+    });
+
+    it('should throw not-found for an unknown match', async () => {
+      await expectHttpsError(getMatchHandler({ matchId: 'nope' }, contextFor(alice)), 'not-found', 'Match not found');
+    });
+  });
+
+  describe('Access', () => {
+    it('should only let players view a match in progress', async () => {
+      await expectHttpsError(
+        getMatchHandler({ matchId: 'live' }, contextFor(carol)),
+        'permission-denied',
+        'Only players can view a match in progress'
+      );
+    });
+
+    it('should let anyone view a finished match', async () => {
+      const result = await getMatchHandler({ matchId: 'done' }, contextFor(carol));
+
+      expect(result.success).to.equal(true);
+      expect(result.match).to.include({ id: 'done', status: 'completed', ball: null, ended_at: '2024-03-01T10:05:00.000Z' });
+      expect(result.match.result.winner).to.equal(alice);
+    });
+  });
+
+  describe('Rematch', () => {
+    it('should show an open rematch offer', async () => {
+      const { match } = await getMatchHandler({ matchId: 'done' }, contextFor(alice));
+
+      expect(match.rematch).to.deep.equal({ requested_by: bob, expires_at_ms: 2000, match_id: null });
+    });
+
+    it('should return null without an offer', async () => {
+      const { match } = await getMatchHandler({ matchId: 'live' }, contextFor(alice));
+
+      expect(match.rematch).to.be.null;
+    });
+  });
+
+  describe('Scorecard', () => {
+    it('should return the scorecard and replay of a finished match', async () => {
+      const { match } = await getMatchHandler({ matchId: 'done' }, contextFor(carol));
+
+      expect(match.scorecard.innings.map(innings => innings.runs)).to.deep.equal([4, 1]);
+      expect(match.scorecard.innings[1]).to.include({ batter: bob, target: 5, wickets: 1 });
+      expect(match.replay.data).to.equal('0:4233|1:1566');
+    });
+
+    it('should not leak a pick before both players have revealed', async () => {
+      const { match } = await getMatchHandler({ matchId: 'live' }, contextFor(bob));
+
+      expect(match.ball).to.deep.equal({
+        number: 2,
+        committed: { [alice]: true, [bob]: true },
+        revealed: { [alice]: true, [bob]: false },
+        deadline_at_ms: 1000
+      });
+      expect(match.scorecard.innings[0].deliveries).to.have.length(1);
+      expect(match.replay.data).to.equal('0:42');
+      expect(JSON.stringify(match)).to.not.include('nonce-secret-alice');
+      expect(JSON.stringify(match)).to.not.include('aaaa');
+    });
+
+    it('should show the toss fingers once both players have shown', async () => {
+      const { match } = await getMatchHandler({ matchId: 'live' }, contextFor(alice));
+
+      expect(match.toss).to.include({ caller: bob, winner: alice, choice: 'bat' });
+      expect(match.toss.fingers).to.deep.equal({ [alice]: 2, [bob]: 4 });
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(getMatchHandler({ matchId: 'live' }, contextFor(alice)), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for getMyRank Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { isoWeek, fieldValue } = require('../utils/leaderboard');
+
+describe('getMyRank', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let getMyRankHandler;
+  let mockAdmin;
+
+  const week = isoWeek(Date.now());
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // 30 players rated 2000 down to 1710 in steps of 10, plus a tie and a user without stats
+    docs = {};
+    for (let i = 0; i < 30; i++) {
+      const uid = `uid-${String(i).padStart(2, '0')}`;
+      docs[`users/${uid}`] = { username: `player_${uid}`, rating: 2000 - i * 10, stats: { matches: 1, wins: 30 - i, runs: i } };
+    }
+    docs['users/uid-15b'] = { username: 'player_15b', rating: 1850, stats: { matches: 1, wins: 0, runs: 0 } };
+    docs['users/uid-new'] = { username: 'player_new', rating: 1500 };
+    docs[`weekly_leaderboard/${week}_uid-00`] = { uid: 'uid-00', username: 'player_uid-00', week, rating: 2000, matches: 1, wins: 1, runs: 4 };
+    docs[`weekly_leaderboard/${week}_uid-01`] = { uid: 'uid-01', username: 'player_uid-01', week, rating: 1990, matches: 2, wins: 2, runs: 9 };
+
+    const operators = {
+      '==': (a, b) => a === b,
+      '>': (a, b) => a > b
+    };
+
+    // Query fake: filters, ordering with document ID tie-break, cursors and count
+    const queryFor = (name, state) => {
+      const valueOf = (doc, field) => (field === '__name__' ? doc.id : fieldValue(doc.data, field));
+      const run = () => {
+        const [field, direction] = state.orderBy[0] || [];
+        const sign = direction === 'asc' ? 1 : -1;
+        const compare = (a, b) => sign * ((a.value - b.value) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        let found = Object.keys(docs)
+          .filter(path => path.split('/')[0] === name)
+          .map(path => ({ id: path.split('/')[1], data: docs[path] }))
+          .filter(doc => state.filters.every(([f, op, value]) => {
+            const actual = valueOf(doc, f);
+            return actual !== undefined && operators[op](actual, value);
+          }));
+        if (field) {
+          found = found
+            .map(doc => ({ ...doc, value: fieldValue(doc.data, field) }))
+            .filter(doc => doc.value !== undefined)
+            .sort(compare);
+        }
+        if (state.after) {
+          const [value, id] = state.after;
+          found = found.filter(doc => compare({ value, id }, doc) < 0);
+        }
+        return found.slice(0, state.limit);
+      };
+      return {
+        doc: id => ({
+          get: async () => ({ id, exists: !!docs[`${name}/${id}`], data: () => docs[`${name}/${id}`] })
+        }),
+        where: (...filter) => queryFor(name, { ...state, filters: [...state.filters, filter] }),
+        orderBy: (field, direction) => queryFor(name, { ...state, orderBy: [...state.orderBy, [field, direction]] }),
+        limit: count => queryFor(name, { ...state, limit: count }),
+        startAfter: (value, id) => queryFor(name, { ...state, after: [value, id] }),
+        count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+        get: async () => ({ docs: run().map(doc => ({ id: doc.id, data: () => doc.data })) })
+      };
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, { filters: [], orderBy: [] }))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/getMyRank')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../services/leaderboards')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeaderboards = proxyquire('../services/leaderboards', {
+      'firebase-admin': mockAdmin
+    });
+
+    const getMyRank = proxyquire('../handlers/getMyRank', {
+      '../utils/auth': mockAuth,
+      '../services/leaderboards': mockLeaderboards
+    });
+    getMyRankHandler = getMyRank.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(getMyRankHandler({}, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should reject an unknown board', async () => {
+      await expectHttpsError(getMyRankHandler({ board: 'ducks' }, contextFor('uid-00')), 'invalid-argument', 'board must be one of');
+    });
+  });
+
+  describe('Rank', () => {
+    it('should return the exact rank with ten players on each side', async () => {
+      const result = await getMyRankHandler({}, contextFor('uid-20'));
+
+      expect(result).to.deep.include({ success: true, board: 'rating', period: 'all_time', week: null, rank: 22, total: 32 });
+      expect(result.items).to.have.length(21);
+      expect(result.items[10]).to.deep.equal({
+        rank: 22, uid: 'uid-20', username: 'player_uid-20', rating: 1800, matches: 1, wins: 10, runs: 20
+      });
+      expect(result.items.map(item => item.rank)).to.deep.equal(Array.from({ length: 21 }, (_, i) => 12 + i));
+      expect(result.items[0].uid).to.equal('uid-11');
+      expect(result.items[20].uid).to.equal('uid-new');
+    });
+
+    it('should break ties by document ID like the leaderboard', async () => {
+      const tied = await getMyRankHandler({}, contextFor('uid-15b'));
+      const other = await getMyRankHandler({}, contextFor('uid-15'));
+
+      expect(tied.rank).to.equal(16);
+      expect(other.rank).to.equal(17);
+      expect(other.items[9].uid).to.equal('uid-15b');
+    });
+
+    it('should return a shorter window at the top of the board', async () => {
+      const result = await getMyRankHandler({ board: 'wins' }, contextFor('uid-00'));
+
+      expect(result.rank).to.equal(1);
+      expect(result.items.map(item => item.uid).slice(0, 3)).to.deep.equal(['uid-00', 'uid-01', 'uid-02']);
+      expect(result.items).to.have.length(11);
+    });
+
+    it('should rank on the current weekly board', async () => {
+      const result = await getMyRankHandler({ board: 'runs', period: 'weekly' }, contextFor('uid-00'));
+
+      expect(result).to.deep.include({ period: 'weekly', week, rank: 2, total: 2 });
+      expect(result.items.map(item => item.uid)).to.deep.equal(['uid-01', 'uid-00']);
+    });
+
+    it('should return no rank for a player who is not on the board', async () => {
+      const result = await getMyRankHandler({ board: 'wins' }, contextFor('uid-new'));
+
+      expect(result).to.deep.equal({
+        success: true, board: 'wins', period: 'all_time', week: null, rank: null, total: null, items: []
+      });
+    });
+
+    it('should return no rank for a player who has not played this week', async () => {
+      const result = await getMyRankHandler({ period: 'weekly' }, contextFor('uid-20'));
+
+      expect(result.rank).to.be.null;
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(getMyRankHandler({}, contextFor('uid-00')), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for getProfile Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('getProfile', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let getProfileHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const context = { auth: { uid: alice }, app: {} };
+
+  // Stand-in for a Firestore Timestamp
+  const timestamp = iso => ({ toDate: () => new Date(iso) });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${bob}`]: {
+        username: 'bobby_1234',
+        email_address: 'bob@example.com',
+        created_at: timestamp('2024-01-02T03:04:05.000Z'),
+        rating: 1612.4,
+        rating_deviation: 80,
+        rating_volatility: 0.06,
+        rated_games: 12,
+        stats: {
+          matches: 12, wins: 7, losses: 5, ties: 0, innings: 12, runs: 90,
+          balls_faced: 60, dismissals: 10, highest_score: 24, ducks: 2
+        }
+      },
+      [`users/${alice}`]: { username: 'alice_1234' }
+    };
+
+    const snapshotFor = path => ({ id: path.split('/').pop(), exists: !!docs[path], data: () => docs[path] });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({ get: async () => snapshotFor(`${name}/${id}`) }),
+        where: (field, op, value) => ({
+          limit: count => ({
+            get: async () => {
+              const found = Object.keys(docs)
+                .filter(path => path.startsWith(`${name}/`) && docs[path][field] === value)
+                .slice(0, count)
+                .map(snapshotFor);
+              return { size: found.length, docs: found };
+            }
+          })
+        })
+      }))
+    };
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/getProfile')];
+    delete require.cache[require.resolve('../utils/auth')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const getProfile = proxyquire('../handlers/getProfile', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth
+    });
+    getProfileHandler = getProfile.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(getProfileHandler({ uid: bob }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should require a uid or a username', async () => {
+      await expectHttpsError(getProfileHandler({}, context), 'invalid-argument', 'provide either uid or username');
+    });
+
+    it('should reject both a uid and a username', async () => {
+      await expectHttpsError(
+        getProfileHandler({ uid: bob, username: 'bobby_1234' }, context),
+        'invalid-argument'
+      );
+    });
+
+    it('should reject a non-string uid', async () => {
+      await expectHttpsError(getProfileHandler({ uid: 42 }, context), 'invalid-argument');
+    });
+  });
+
+  describe('Lookup', () => {
+    it('should return the public profile by uid', async () => {
+      const result = await getProfileHandler({ uid: bob }, context);
+
+      expect(result).to.deep.equal({
+        success: true,
+        profile: {
+          uid: bob,
+          username: 'bobby_1234',
+          created_at: '2024-01-02T03:04:05.000Z',
+          rating: 1612,
+          rated_games: 12,
+          stats: {
+            matches: 12, wins: 7, losses: 5, ties: 0, innings: 12, runs: 90,
+            balls_faced: 60, dismissals: 10, highest_score: 24, ducks: 2,
+            average: 9,
+            strike_rate: 150
+          }
+        }
+      });
+    });
+
+    it('should find a profile by username', async () => {
+      const result = await getProfileHandler({ username: ' bobby_1234 ' }, context);
+
+      expect(result.profile.uid).to.equal(bob);
+    });
+
+    it('should never return the email address', async () => {
+      const result = await getProfileHandler({ uid: bob }, context);
+
+      expect(JSON.stringify(result)).to.not.include('example.com');
+    });
+
+    it('should fill in defaults for a player without games', async () => {
+      const result = await getProfileHandler({ uid: alice }, context);
+
+      expect(result.profile).to.deep.include({ rating: 1500, rated_games: 0, created_at: null });
+      expect(result.profile.stats).to.include({ matches: 0, highest_score: null, average: null, strike_rate: null });
+    });
+
+    it('should throw not-found for an unknown uid', async () => {
+      await expectHttpsError(getProfileHandler({ uid: 'uid-nobody' }, context), 'not-found', 'player not found');
+    });
+
+    it('should throw not-found for an unknown username', async () => {
+      await expectHttpsError(getProfileHandler({ username: 'nobody_1234' }, context), 'not-found');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(getProfileHandler({ uid: bob }, context), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for getTournamentBracket Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('getTournamentBracket', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let getTournamentBracketHandler;
+  let mockAdmin;
+  let originalSecret;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const tournamentId = 'cup-1';
+  const bracketPath = `tournaments/${tournamentId}/bracket`;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    originalSecret = process.env.CURSOR_HMAC_SECRET;
+    process.env.CURSOR_HMAC_SECRET = 'test-secret';
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // A three player cup in its final: alice had a bye, bob beat carol
+    docs = {
+      [`tournaments/${tournamentId}`]: {
+        name: 'Sunday Cup',
+        created_by: alice,
+        format_key: 'bx-w1-n1_6-draw',
+        status: 'in_progress',
+        max_players: 8,
+        player_count: 3,
+        starts_at_ms: 1000,
+        bracket_size: 4,
+        rounds: 2,
+        current_round: 2,
+        winner_uid: null,
+        created_at: 'EARLIER'
+      },
+      [`${bracketPath}/r02_s001`]: {
+        round: 2,
+        slot: 1,
+        players: [alice, bob],
+        seeds: [1, 2],
+        status: 'playing',
+        match_id: 'match-2',
+        winner_uid: null,
+        created_at: 'EARLIER',
+        decided_at: null
+      },
+      [`${bracketPath}/r01_s002`]: {
+        round: 1,
+        slot: 2,
+        players: [bob, carol],
+        seeds: [2, 3],
+        status: 'completed',
+        match_id: 'match-1',
+        winner_uid: bob,
+        created_at: 'EARLIER',
+        decided_at: 'EARLIER'
+      },
+      [`${bracketPath}/r01_s001`]: {
+        round: 1,
+        slot: 1,
+        players: [alice, null],
+        seeds: [1, null],
+        status: 'bye',
+        match_id: null,
+        winner_uid: alice,
+        created_at: 'EARLIER',
+        decided_at: 'EARLIER'
+      }
+    };
+
+    // Query fake: equality filters, document ID order, cursors
+    const queryFor = state => ({
+      where: (...filter) => queryFor({ ...state, filters: [...state.filters, filter] }),
+      orderBy: () => queryFor(state),
+      limit: count => queryFor({ ...state, limit: count }),
+      startAfter: id => queryFor({ ...state, after: id }),
+      get: async () => {
+        const depth = state.path.split('/').length + 1;
+        const found = Object.keys(docs)
+          .filter(path => path.startsWith(`${state.path}/`) && path.split('/').length === depth)
+          .filter(path => state.filters.every(([field, , value]) => docs[path][field] === value))
+          .map(path => ({ id: path.split('/').pop(), data: docs[path] }))
+          .filter(doc => !state.after || doc.id > state.after)
+          .sort((a, b) => (a.id < b.id ? -1 : 1));
+        return {
+          docs: found.slice(0, state.limit).map(doc => ({ id: doc.id, data: () => doc.data }))
+        };
+      }
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ exists: !!docs[path], data: () => docs[path] }),
+      collection: name => queryFor({ path: `${path}/${name}`, filters: [] })
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => refFor(`${name}/${id}`)
+      }))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/getTournamentBracket')];
+    delete require.cache[require.resolve('../services/tournaments')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/cursor')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockTournaments = proxyquire('../services/tournaments', {
+      'firebase-admin': mockAdmin
+    });
+
+    const getTournamentBracket = proxyquire('../handlers/getTournamentBracket', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../services/tournaments': mockTournaments
+    });
+    getTournamentBracketHandler = getTournamentBracket.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (originalSecret === undefined) {
+      delete process.env.CURSOR_HMAC_SECRET;
+    } else {
+      process.env.CURSOR_HMAC_SECRET = originalSecret;
+    }
+  });
+
+  const idsOf = result => result.items.map(item => item.id);
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(getTournamentBracketHandler({ tournamentId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should require a tournamentId', async () => {
+      await expectHttpsError(getTournamentBracketHandler({}, contextFor(alice)), 'invalid-argument', 'tournamentId is required');
+    });
+
+    it('should reject a round that is not a positive whole number', async () => {
+      await expectHttpsError(getTournamentBracketHandler({ tournamentId, round: 0 }, contextFor(alice)), 'invalid-argument', 'round must be');
+      await expectHttpsError(getTournamentBracketHandler({ tournamentId, round: '1' }, contextFor(alice)), 'invalid-argument', 'round must be');
+    });
+
+    it('should reject an unknown tournament', async () => {
+      await expectHttpsError(getTournamentBracketHandler({ tournamentId: 'nope' }, contextFor(alice)), 'not-found', 'Tournament not found');
+    });
+  });
+
+  describe('Bracket', () => {
+    it('should return the summary and every slot, round by round', async () => {
+      const result = await getTournamentBracketHandler({ tournamentId }, contextFor(carol));
+
+      expect(result).to.deep.include({ success: true, nextCursor: null, hasMore: false });
+      expect(result.tournament).to.deep.equal({
+        id: tournamentId,
+        name: 'Sunday Cup',
+        created_by: alice,
+        format_key: 'bx-w1-n1_6-draw',
+        status: 'in_progress',
+        max_players: 8,
+        player_count: 3,
+        starts_at_ms: 1000,
+        bracket_size: 4,
+        rounds: 2,
+        current_round: 2,
+        winner_uid: null
+      });
+      expect(idsOf(result)).to.deep.equal(['r01_s001', 'r01_s002', 'r02_s001']);
+      expect(result.items[1]).to.deep.equal({
+        id: 'r01_s002',
+        round: 1,
+        slot: 2,
+        players: [bob, carol],
+        seeds: [2, 3],
+        status: 'completed',
+        match_id: 'match-1',
+        winner_uid: bob
+      });
+    });
+
+    it('should filter by round', async () => {
+      const result = await getTournamentBracketHandler({ tournamentId, round: 2 }, contextFor(alice));
+
+      expect(idsOf(result)).to.deep.equal(['r02_s001']);
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should page through the bracket', async () => {
+      const first = await getTournamentBracketHandler({ tournamentId, limit: 2 }, contextFor(alice));
+      expect(idsOf(first)).to.deep.equal(['r01_s001', 'r01_s002']);
+      expect(first.hasMore).to.equal(true);
+
+      const second = await getTournamentBracketHandler({ tournamentId, limit: 2, cursor: first.nextCursor }, contextFor(alice));
+      expect(idsOf(second)).to.deep.equal(['r02_s001']);
+      expect(second.hasMore).to.equal(false);
+    });
+
+    it('should reject a cursor used with a different round filter', async () => {
+      const first = await getTournamentBracketHandler({ tournamentId, limit: 1 }, contextFor(alice));
+
+      await expectHttpsError(
+        getTournamentBracketHandler({ tournamentId, round: 1, cursor: first.nextCursor }, contextFor(alice)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const {expect} = require('chai');
+const {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_LENGTH,
+  generateInviteCode,
+  normalizeInviteCode,
+} = require('../utils/inviteCode');
+
+describe('inviteCode', () => {
+  it('should leave out look-alike characters', () => {
+    ['0', 'O', '1', 'I', 'L'].forEach((character) => {
+      expect(INVITE_CODE_ALPHABET).to.not.include(character);
+    });
+  });
+
+  it('should generate codes from the alphabet', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generateInviteCode();
+      expect(code).to.have.lengthOf(INVITE_CODE_LENGTH);
+      expect(normalizeInviteCode(code)).to.equal(code);
+    }
+  });
+
+  it('should use the given random source', () => {
+    expect(generateInviteCode(() => 0)).to.equal('AAAAAA');
+    expect(generateInviteCode((n) => n - 1)).to.equal('999999');
+  });
+
+  it('should ignore case, spaces and dashes', () => {
+    expect(normalizeInviteCode('k7q-x2m')).to.equal('K7QX2M');
+    expect(normalizeInviteCode(' K7Q X2M ')).to.equal('K7QX2M');
+  });
+
+  [undefined, null, 42, '', 'K7QX2', 'K7QX2MM', 'K7QX0M', 'K7QXIM'].forEach((input) => {
+    it(`should reject ${JSON.stringify(input)}`, () => {
+      expect(normalizeInviteCode(input)).to.equal(null);
+    });
+  });
+});
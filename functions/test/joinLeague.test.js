@@ -0,0 +1,224 @@
+/**
+ * Tests for joinLeague Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { emptyStanding } = require('../utils/league');
+
+describe('joinLeague', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let joinLeagueHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const leaguePath = 'leagues/league-1';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path, a three member league alice created
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`users/${carol}`]: { username: 'carol_1234' },
+      [leaguePath]: {
+        name: 'Office League',
+        created_by: alice,
+        status: 'open',
+        max_members: 3,
+        member_uids: [alice],
+        invite_code: 'K7QX2M'
+      }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    // Query fake: equality filters on a collection
+    const queryFor = (path, filters = []) => ({
+      where: (field, op, value) => queryFor(path, [...filters, [field, value]]),
+      limit: () => queryFor(path, filters),
+      get: async () => {
+        const found = Object.keys(docs)
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .filter(key => filters.every(([field, value]) => docs[key][field] === value))
+          .map(key => ({
+            id: key.split('/').pop(),
+            ref: refFor(key),
+            data: () => JSON.parse(JSON.stringify(docs[key]))
+          }));
+        return { empty: found.length === 0, docs: found };
+      }
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      ...queryFor(path),
+      doc: id => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async target => (target.where ? target.get() : {
+            exists: !!docs[target.path],
+            data: () => JSON.parse(JSON.stringify(docs[target.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/joinLeague')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const joinLeague = proxyquire('../handlers/joinLeague', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/leagues': mockLeagues
+    });
+    joinLeagueHandler = joinLeague.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(joinLeagueHandler({ code: 'K7QX2M' }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a well-formed code', async () => {
+      await expectHttpsError(joinLeagueHandler({ code: 'K7Q' }, contextFor(bob)), 'invalid-argument', 'code must be');
+      await expectHttpsError(joinLeagueHandler({}, contextFor(bob)), 'invalid-argument', 'code must be');
+    });
+
+    it('should reject an unknown code', async () => {
+      await expectHttpsError(joinLeagueHandler({ code: 'P3RT9A' }, contextFor(bob)), 'not-found', 'Invite code not found');
+    });
+
+    it('should reject the code of a league that has started', async () => {
+      docs[leaguePath] = { ...docs[leaguePath], status: 'in_progress', invite_code: null };
+
+      await expectHttpsError(joinLeagueHandler({ code: 'K7QX2M' }, contextFor(bob)), 'not-found', 'Invite code not found');
+    });
+
+    it('should reject a caller without a profile', async () => {
+      delete docs[`users/${bob}`];
+
+      await expectHttpsError(joinLeagueHandler({ code: 'K7QX2M' }, contextFor(bob)), 'not-found', 'user not found');
+    });
+  });
+
+  describe('Joining', () => {
+    it('should add the member and their empty standing', async () => {
+      const result = await joinLeagueHandler({ code: 'k7qx2m' }, contextFor(bob));
+
+      expect(result).to.deep.equal({ success: true, leagueId: 'league-1', memberCount: 2 });
+      expect(docs[leaguePath].member_uids).to.deep.equal([alice, bob]);
+      expect(docs[`${leaguePath}/standings/${bob}`]).to.deep.equal({
+        ...emptyStanding(bob, 'bobby_1234'),
+        updated_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should reject a member joining twice', async () => {
+      await expectHttpsError(joinLeagueHandler({ code: 'K7QX2M' }, contextFor(alice)), 'already-exists', 'Already a member');
+    });
+
+    it('should reject a full league', async () => {
+      docs[leaguePath].member_uids = [alice, 'uid-dave', 'uid-erin'];
+
+      await expectHttpsError(joinLeagueHandler({ code: 'K7QX2M' }, contextFor(bob)), 'resource-exhausted', 'League is full');
+      expect(docs).to.not.have.property(`${leaguePath}/standings/${bob}`);
+    });
+
+    it('should keep out a player who blocked a member', async () => {
+      docs[`users/${carol}`].blocked_uids = [alice];
+
+      await expectHttpsError(joinLeagueHandler({ code: 'K7QX2M' }, contextFor(carol)), 'permission-denied', 'You cannot join this league');
+      expect(docs[leaguePath].member_uids).to.deep.equal([alice]);
+    });
+
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = joinLeagueHandler({ code: 'K7QX2M' }, contextFor(bob));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+      await assertion;
+    });
+  });
+});
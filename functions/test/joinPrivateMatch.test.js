@@ -0,0 +1,229 @@
+/**
+ * Tests for joinPrivateMatch Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('joinPrivateMatch', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let joinPrivateMatchHandler;
+  let mockAdmin;
+
+  const code = 'K7QX2M';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, errorCode, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(errorCode);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path, alice hosts an open room
+    const format = resolveFormat('t1');
+    docs = {
+      [`private_rooms/${code}`]: {
+        code,
+        host_uid: alice,
+        status: 'open',
+        format,
+        format_key: format.key,
+        guest_uid: null,
+        match_id: null,
+        expires_at_ms: 1000000 + 60000
+      }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({ id: id || 'match-1', path: `${name}/${id || 'match-1'}` })
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/joinPrivateMatch')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+    delete require.cache[require.resolve('../services/matches')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const joinPrivateMatch = proxyquire('../handlers/joinPrivateMatch', {
+      'firebase-admin': mockAdmin,
+      '../services/friends': mockFriends,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    joinPrivateMatchHandler = joinPrivateMatch.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(joinPrivateMatchHandler({ code }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    [undefined, 42, 'K7QX', 'K7QX0M'].forEach((input) => {
+      it(`should reject code ${JSON.stringify(input)}`, async () => {
+        await expectHttpsError(joinPrivateMatchHandler({ code: input }, contextFor(bob)), 'invalid-argument');
+      });
+    });
+  });
+
+  describe('Joining a room', () => {
+    it('should create the match and close the room', async () => {
+      const result = await joinPrivateMatchHandler({ code }, contextFor(bob));
+
+      expect(result).to.deep.equal({ success: true, matchId: 'match-1' });
+      expect(docs['matches/match-1']).to.include({ source: 'private', status: 'toss' });
+      expect(docs['matches/match-1'].players).to.deep.equal([alice, bob]);
+      expect(docs['matches/match-1'].format.key).to.equal('b6-w1-n1_6-super_over');
+      expect(docs[`private_rooms/${code}`]).to.include({
+        status: 'joined',
+        guest_uid: bob,
+        match_id: 'match-1',
+        joined_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should accept the code as typed by a user', async () => {
+      const result = await joinPrivateMatchHandler({ code: 'k7q-x2m' }, contextFor(bob));
+      expect(result.matchId).to.equal('match-1');
+    });
+
+    it('should be single use', async () => {
+      await joinPrivateMatchHandler({ code }, contextFor(bob));
+
+      await expectHttpsError(joinPrivateMatchHandler({ code }, contextFor(carol)), 'resource-exhausted');
+      expect(docs[`private_rooms/${code}`].guest_uid).to.equal(bob);
+    });
+
+    it('should not let a blocked player join', async () => {
+      docs[`users/${bob}`] = { username: 'bobby_1234', blocked_uids: [alice] };
+
+      await expectHttpsError(joinPrivateMatchHandler({ code }, contextFor(bob)), 'permission-denied', 'You cannot play this player');
+      expect(docs[`private_rooms/${code}`].status).to.equal('open');
+    });
+
+    it('should not let the host join their own room', async () => {
+      await expectHttpsError(joinPrivateMatchHandler({ code }, contextFor(alice)), 'failed-precondition');
+      expect(docs['matches/match-1']).to.equal(undefined);
+    });
+
+    it('should reject an expired code', async () => {
+      clock.tick(60000);
+
+      await expectHttpsError(joinPrivateMatchHandler({ code }, contextFor(bob)), 'deadline-exceeded');
+      expect(docs['matches/match-1']).to.equal(undefined);
+      expect(docs[`private_rooms/${code}`].status).to.equal('open');
+    });
+
+    it('should report a full room before an expired one', async () => {
+      docs[`private_rooms/${code}`].status = 'joined';
+      clock.tick(60000);
+
+      await expectHttpsError(joinPrivateMatchHandler({ code }, contextFor(carol)), 'resource-exhausted');
+    });
+
+    it('should not find an unknown code', async () => {
+      await expectHttpsError(joinPrivateMatchHandler({ code: 'P3RT9A' }, contextFor(bob)), 'not-found');
+    });
+
+    it('should not find a cancelled room', async () => {
+      docs[`private_rooms/${code}`].status = 'cancelled';
+
+      await expectHttpsError(joinPrivateMatchHandler({ code }, contextFor(bob)), 'not-found');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = joinPrivateMatchHandler({ code }, contextFor(bob));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
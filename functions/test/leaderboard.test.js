@@ -0,0 +1,106 @@
+/**
+ * Tests for the leaderboard module
+ */
+
+const {expect} = require('chai');
+const leaderboard = require('../utils/leaderboard');
+const {emptyStats} = require('../utils/stats');
+
+describe('leaderboard', () => {
+  describe('isoWeek', () => {
+    [
+      ['2024-02-05T00:00:00Z', '2024-W06'],
+      ['2024-02-04T23:59:59Z', '2024-W05'],
+      ['2021-01-03T12:00:00Z', '2020-W53'],
+      ['2024-12-30T12:00:00Z', '2025-W01'],
+      ['2026-01-01T00:00:00Z', '2026-W01'],
+    ].forEach(([moment, week]) => {
+      it(`should put ${moment} in ${week}`, () => {
+        expect(leaderboard.isoWeek(Date.parse(moment))).to.equal(week);
+      });
+    });
+
+    it('should produce weeks that sort in time order', () => {
+      const weeks = ['2020-12-28', '2021-01-04', '2021-03-01', '2021-12-27']
+          .map((day) => leaderboard.isoWeek(Date.parse(day)));
+
+      expect([...weeks].sort()).to.deep.equal(weeks);
+      weeks.forEach((week) => expect(week).to.match(leaderboard.WEEK_PATTERN));
+    });
+  });
+
+  describe('resolveBoard', () => {
+    const now = Date.parse('2024-02-07T12:00:00Z');
+
+    it('should default to the all-time rating board', () => {
+      expect(leaderboard.resolveBoard(undefined, now)).to.deep.equal({
+        board: 'rating', period: 'all_time', week: null, field: 'rating', collection: 'users',
+      });
+    });
+
+    it('should read the current week live and past weeks from the archive', () => {
+      expect(leaderboard.resolveBoard({board: 'wins', period: 'weekly'}, now)).to.deep.equal({
+        board: 'wins', period: 'weekly', week: '2024-W06', field: 'wins', collection: 'weekly_leaderboard',
+      });
+      expect(leaderboard.resolveBoard({period: 'weekly', week: '2024-W05'}, now).collection)
+          .to.equal('leaderboard_archives');
+    });
+
+    it('should reject unknown boards, periods and malformed weeks', () => {
+      expect(() => leaderboard.resolveBoard({board: 'toString'}, now)).to.throw(leaderboard.LeaderboardError, 'board');
+      expect(() => leaderboard.resolveBoard({period: 'daily'}, now)).to.throw(leaderboard.LeaderboardError, 'period');
+      expect(() => leaderboard.resolveBoard({period: 'weekly', week: 5}, now))
+          .to.throw(leaderboard.LeaderboardError, 'week');
+    });
+  });
+
+  describe('addToWeeklyEntry', () => {
+    const player = {uid: 'uid-alice', username: 'alice_1234', rating: 1523.4, week: '2024-W06'};
+
+    it('should start a new entry from the match', () => {
+      const before = emptyStats();
+      const after = Object.assign({}, before, {matches: 1, wins: 1, runs: 14});
+
+      expect(leaderboard.addToWeeklyEntry(undefined, player, before, after)).to.deep.equal(Object.assign({}, player, {
+        matches: 1, wins: 1, runs: 14,
+      }));
+    });
+
+    it('should add to an existing entry and refresh rating and username', () => {
+      const entry = Object.assign({}, player, {username: 'old_name', rating: 1500, matches: 2, wins: 1, runs: 20});
+      const before = Object.assign(emptyStats(), {matches: 9, wins: 4, runs: 100});
+      const after = Object.assign({}, before, {matches: 10, losses: 1, runs: 105});
+
+      expect(leaderboard.addToWeeklyEntry(entry, player, before, after)).to.deep.equal(Object.assign({}, player, {
+        matches: 3, wins: 1, runs: 25,
+      }));
+    });
+  });
+
+  describe('leaderboardItem', () => {
+    it('should build all-time rows from user documents', () => {
+      const user = {
+        username: 'alice_1234', email_address: 'a@example.com', rating: 1612.6, stats: {matches: 5, wins: 3, runs: 40},
+      };
+
+      expect(leaderboard.leaderboardItem('all_time', 'uid-alice', user, 4)).to.deep.equal({
+        rank: 4, uid: 'uid-alice', username: 'alice_1234', rating: 1613, matches: 5, wins: 3, runs: 40,
+      });
+    });
+
+    it('should build weekly rows from entries', () => {
+      const entry = {
+        uid: 'uid-alice', username: 'alice_1234', week: '2024-W06', rating: 1500, matches: 2, wins: 2, runs: 9,
+      };
+
+      expect(leaderboard.leaderboardItem('weekly', 'uid-alice', entry, 1)).to.deep.equal({
+        rank: 1, uid: 'uid-alice', username: 'alice_1234', rating: 1500, matches: 2, wins: 2, runs: 9,
+      });
+    });
+  });
+
+  it('should read nested fields', () => {
+    expect(leaderboard.fieldValue({stats: {wins: 3}}, 'stats.wins')).to.equal(3);
+    expect(leaderboard.fieldValue({}, 'stats.wins')).to.be.undefined;
+  });
+});
@@ -0,0 +1,162 @@
+const {expect} = require('chai');
+const {
+  LeagueError,
+  validateLeague,
+  fixtureId,
+  roundRobin,
+  emptyStanding,
+  netRunRate,
+  addResult,
+  rankStandings,
+} = require('../utils/league');
+
+describe('league', () => {
+  const limits = {maxMembers: 8};
+
+  describe('validateLeague', () => {
+    it('should accept valid settings and trim the name', () => {
+      expect(validateLeague({name: '  Office League ', maxMembers: 4, tieBreakers: ['wins']}, limits))
+          .to.deep.equal({name: 'Office League', maxMembers: 4, tieBreakers: ['wins']});
+    });
+
+    it('should fill in the member limit and tie-breakers', () => {
+      expect(validateLeague({name: 'Office League'}, limits))
+          .to.deep.equal({name: 'Office League', maxMembers: 8, tieBreakers: ['nrr', 'head_to_head']});
+    });
+
+    it('should allow no tie-breakers beyond points', () => {
+      expect(validateLeague({name: 'Office League', tieBreakers: []}, limits).tieBreakers).to.deep.equal([]);
+    });
+
+    [
+      {name: 'ab'},
+      {name: 'x'.repeat(51)},
+      {name: 'Office League', maxMembers: 1},
+      {name: 'Office League', maxMembers: 9},
+      {name: 'Office League', maxMembers: 4.5},
+      {name: 'Office League', tieBreakers: 'nrr'},
+      {name: 'Office League', tieBreakers: ['runs']},
+      {name: 'Office League', tieBreakers: ['nrr', 'nrr']},
+    ].forEach((input) => {
+      it(`should reject ${JSON.stringify(input)}`, () => {
+        expect(() => validateLeague(input, limits)).to.throw(LeagueError);
+      });
+    });
+  });
+
+  it('should give fixture IDs that sort by round, then fixture', () => {
+    expect(fixtureId(1, 3)).to.equal('r01_f003');
+    expect([fixtureId(2, 1), fixtureId(1, 10), fixtureId(1, 2)].sort())
+        .to.deep.equal(['r01_f002', 'r01_f010', 'r02_f001']);
+  });
+
+  describe('roundRobin', () => {
+    const pairKey = (pair) => [...pair].sort().join('-');
+
+    [2, 3, 4, 5, 8].forEach((size) => {
+      it(`should pair every two of ${size} members exactly once`, () => {
+        const uids = Array.from({length: size}, (_, i) => `u${i}`);
+        const rounds = roundRobin(uids);
+        const pairs = rounds.flat().map(pairKey);
+
+        expect(rounds).to.have.length(size % 2 === 0 ? size - 1 : size);
+        expect(pairs).to.have.length((size * (size - 1)) / 2);
+        expect(new Set(pairs).size).to.equal(pairs.length);
+      });
+    });
+
+    it('should not give anybody two games in a round', () => {
+      roundRobin(['a', 'b', 'c', 'd', 'e']).forEach((pairs) => {
+        const players = pairs.flat();
+        expect(new Set(players).size).to.equal(players.length);
+      });
+    });
+  });
+
+  describe('addResult', () => {
+    const format = {balls_per_innings: 12, wickets: 2};
+    const match = (result, innings = []) => ({players: ['a', 'b'], result, format, game: {innings}});
+    const aWins = {winner: 'a', loser: 'b', tie: false, by: 'runs'};
+
+    it('should score a win, a loss and a tie', () => {
+      const start = emptyStanding('a', 'alice');
+
+      expect(addResult(start, match(aWins), 'a')).to.include({played: 1, won: 1, points: 2});
+      expect(addResult(emptyStanding('b', 'bob'), match(aWins), 'b')).to.include({played: 1, lost: 1, points: 0});
+      expect(addResult(start, match({tie: true, by: 'tie'}), 'a')).to.include({played: 1, tied: 1, points: 1});
+      expect(start.played).to.equal(0);
+    });
+
+    it('should track points taken from each opponent', () => {
+      const once = addResult(emptyStanding('a', 'alice'), match(aWins), 'a');
+
+      expect(addResult(once, match({tie: true, by: 'tie'}), 'a').head_to_head).to.deep.equal({b: 3});
+    });
+
+    it('should work out the run rate from the main innings only', () => {
+      const innings = [
+        {batter: 'a', bowler: 'b', runs: 18, wickets: 1, balls: 12},
+        {batter: 'b', bowler: 'a', runs: 18, wickets: 1, balls: 12},
+        // Super overs
+        {batter: 'a', bowler: 'b', runs: 12, wickets: 0, balls: 6},
+        {batter: 'b', bowler: 'a', runs: 6, wickets: 0, balls: 6},
+      ];
+      const standing = addResult(emptyStanding('a', 'alice'), match(aWins, innings), 'a');
+
+      expect(standing).to.include({runs_for: 18, balls_faced: 12, runs_against: 18, balls_bowled: 12, nrr: 0});
+    });
+
+    it('should charge a side bowled out the full allowance of balls', () => {
+      const innings = [
+        {batter: 'a', bowler: 'b', runs: 30, wickets: 0, balls: 12},
+        {batter: 'b', bowler: 'a', runs: 6, wickets: 2, balls: 3},
+      ];
+      const standing = addResult(emptyStanding('a', 'alice'), match(aWins, innings), 'a');
+
+      expect(standing).to.include({balls_bowled: 12, nrr: 12});
+    });
+
+    it('should leave the run rate alone for a forfeit', () => {
+      const innings = [{batter: 'a', bowler: 'b', runs: 30, wickets: 0, balls: 12}];
+      const forfeited = match(Object.assign({}, aWins, {by: 'forfeit'}), innings);
+      const standing = addResult(emptyStanding('a', 'alice'), forfeited, 'a');
+
+      expect(standing).to.include({points: 2, runs_for: 0, balls_faced: 0, nrr: 0});
+    });
+  });
+
+  it('should round the net run rate to 3 decimals', () => {
+    expect(netRunRate({runs_for: 10, balls_faced: 7, runs_against: 0, balls_bowled: 0})).to.equal(8.571);
+    expect(netRunRate(emptyStanding('a', 'alice'))).to.equal(0);
+  });
+
+  describe('rankStandings', () => {
+    const standing = (uid, fields) => Object.assign(emptyStanding(uid, uid), fields);
+
+    it('should rank by points, then the tie-breakers in order', () => {
+      const table = rankStandings([
+        standing('a', {points: 2, nrr: 1, won: 1}),
+        standing('b', {points: 4, nrr: -1, won: 2}),
+        standing('c', {points: 2, nrr: 3, won: 0}),
+      ], ['wins', 'nrr']);
+
+      expect(table.map((row) => [row.position, row.uid])).to.deep.equal([[1, 'b'], [2, 'a'], [3, 'c']]);
+    });
+
+    it('should count head-to-head points within the tied group only', () => {
+      const table = rankStandings([
+        standing('a', {points: 2, head_to_head: {b: 0, c: 2}}),
+        standing('b', {points: 2, head_to_head: {a: 2, c: 0}}),
+        standing('c', {points: 0, head_to_head: {a: 0, b: 2}}),
+      ], ['head_to_head']);
+
+      expect(table.map((row) => row.uid)).to.deep.equal(['b', 'a', 'c']);
+    });
+
+    it('should fall back to UID order when nothing separates members', () => {
+      const table = rankStandings([standing('b', {}), standing('a', {})], []);
+
+      expect(table.map((row) => row.uid)).to.deep.equal(['a', 'b']);
+    });
+  });
+});
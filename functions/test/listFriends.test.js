@@ -0,0 +1,221 @@
+/**
+ * Tests for listFriends Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('listFriends', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let listFriendsHandler;
+  let mockAdmin;
+  let originalSecret;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const dave = 'uid-dave';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  // Stand-in for a Firestore Timestamp
+  const timestamp = ms => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    originalSecret = process.env.CURSOR_HMAC_SECRET;
+    process.env.CURSOR_HMAC_SECRET = 'test-secret';
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path; alice's friendships with carol and dave started together
+    docs = {
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`users/${carol}`]: { username: 'carol_1234' },
+      [`friends/${alice}_${bob}`]: { uid: alice, friend_uid: bob, created_at: timestamp(1000) },
+      [`friends/${alice}_${carol}`]: { uid: alice, friend_uid: carol, created_at: timestamp(2000) },
+      [`friends/${alice}_${dave}`]: { uid: alice, friend_uid: dave, created_at: timestamp(2000) },
+      [`friends/${bob}_${alice}`]: { uid: bob, friend_uid: alice, created_at: timestamp(1000) },
+      [`friend_requests/${carol}_${bob}`]: { from_uid: carol, to_uid: bob, created_at: timestamp(3000) },
+      [`friend_requests/${bob}_${dave}`]: { from_uid: bob, to_uid: dave, created_at: timestamp(4000) }
+    };
+
+    const compare = (a, b) => (b.ms - a.ms) || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+
+    // Query fake: equality filters, created_at desc with document ID tie-break, cursors
+    const queryFor = (name, state) => ({
+      doc: id => ({ path: `${name}/${id}` }),
+      where: (field, op, value) => queryFor(name, { ...state, filters: [...state.filters, [field, value]] }),
+      orderBy: () => queryFor(name, state),
+      limit: count => queryFor(name, { ...state, limit: count }),
+      startAfter: (value, id) => queryFor(name, { ...state, after: { ms: value.toMillis(), id } }),
+      get: async () => {
+        let found = Object.entries(docs)
+          .filter(([path]) => path.startsWith(`${name}/`))
+          .filter(([, data]) => state.filters.every(([field, value]) => data[field] === value))
+          .map(([path, data]) => ({ id: path.split('/').pop(), ms: data.created_at.toMillis(), data }))
+          .sort(compare);
+        if (state.after) {
+          found = found.filter(doc => compare(state.after, doc) < 0);
+        }
+        return {
+          docs: found.slice(0, state.limit).map(doc => ({ id: doc.id, data: () => doc.data }))
+        };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, { filters: [] })),
+      getAll: sandbox.stub().callsFake(async (...refs) => refs.map(ref => ({
+        exists: !!docs[ref.path],
+        data: () => docs[ref.path]
+      })))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    firestore.Timestamp = { fromMillis: timestamp };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/listFriends')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/cursor')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const listFriends = proxyquire('../handlers/listFriends', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth
+    });
+    listFriendsHandler = listFriends.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (originalSecret === undefined) {
+      delete process.env.CURSOR_HMAC_SECRET;
+    } else {
+      process.env.CURSOR_HMAC_SECRET = originalSecret;
+    }
+  });
+
+  const uidsOf = result => result.items.map(item => item.uid);
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(listFriendsHandler({}, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should reject an unknown list', async () => {
+      await expectHttpsError(listFriendsHandler({ list: 'blocked' }, contextFor(alice)), 'invalid-argument', 'list must be one of');
+    });
+
+    it('should reject a bad limit', async () => {
+      await expectHttpsError(listFriendsHandler({ limit: 0 }, contextFor(alice)), 'invalid-argument', 'limit must be a positive number');
+    });
+  });
+
+  describe('Lists', () => {
+    it('should list friends newest first with current usernames', async () => {
+      const result = await listFriendsHandler({}, contextFor(alice));
+
+      expect(result.list).to.equal('friends');
+      expect(result.items).to.deep.equal([
+        { uid: dave, username: null, since: new Date(2000).toISOString() },
+        { uid: carol, username: 'carol_1234', since: new Date(2000).toISOString() },
+        { uid: bob, username: 'bobby_1234', since: new Date(1000).toISOString() }
+      ]);
+      expect(result.hasMore).to.equal(false);
+    });
+
+    it('should list incoming and outgoing requests', async () => {
+      expect(uidsOf(await listFriendsHandler({ list: 'incoming' }, contextFor(bob)))).to.deep.equal([carol]);
+      expect(uidsOf(await listFriendsHandler({ list: 'outgoing' }, contextFor(bob)))).to.deep.equal([dave]);
+    });
+
+    it('should return an empty page without reading profiles', async () => {
+      const result = await listFriendsHandler({}, contextFor(carol));
+
+      expect(result.items).to.deep.equal([]);
+      expect(firestoreStub.getAll.called).to.equal(false);
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should page through the list with signed cursors', async () => {
+      const first = await listFriendsHandler({ limit: 2 }, contextFor(alice));
+      const second = await listFriendsHandler({ limit: 2, cursor: first.nextCursor }, contextFor(alice));
+
+      expect(uidsOf(first)).to.deep.equal([dave, carol]);
+      expect(first.hasMore).to.equal(true);
+      expect(uidsOf(second)).to.deep.equal([bob]);
+      expect(second.nextCursor).to.equal(null);
+    });
+
+    it('should reject a cursor from a different list', async () => {
+      const first = await listFriendsHandler({ limit: 2 }, contextFor(alice));
+
+      await expectHttpsError(
+        listFriendsHandler({ list: 'incoming', cursor: first.nextCursor }, contextFor(alice)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+
+    it('should reject a cursor of another player', async () => {
+      const first = await listFriendsHandler({ limit: 2 }, contextFor(alice));
+
+      await expectHttpsError(
+        listFriendsHandler({ limit: 2, cursor: first.nextCursor }, contextFor(bob)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+
+    it('should reject a tampered cursor', async () => {
+      await expectHttpsError(
+        listFriendsHandler({ cursor: 'not-a-cursor' }, contextFor(alice)),
+        'invalid-argument',
+        'Invalid or expired cursor'
+      );
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(listFriendsHandler({}, contextFor(alice)), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
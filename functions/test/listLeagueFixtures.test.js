@@ -0,0 +1,243 @@
+/**
+ * Tests for listLeagueFixtures Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('listLeagueFixtures', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let listLeagueFixturesHandler;
+  let mockAdmin;
+  let originalSecret;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const leagueId = 'league-1';
+  const fixturesPath = `leagues/${leagueId}/fixtures`;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    originalSecret = process.env.CURSOR_HMAC_SECRET;
+    process.env.CURSOR_HMAC_SECRET = 'test-secret';
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // A three member league in its second round
+    docs = {
+      [`leagues/${leagueId}`]: {
+        name: 'Office League',
+        status: 'in_progress',
+        member_uids: [alice, bob, carol]
+      },
+      [`${fixturesPath}/r03_f001`]: {
+        round: 3,
+        number: 1,
+        players: [alice, bob],
+        status: 'scheduled',
+        match_id: null,
+        result: null,
+        created_at: 'EARLIER',
+        decided_at: null
+      },
+      [`${fixturesPath}/r02_f001`]: {
+        round: 2,
+        number: 1,
+        players: [carol, alice],
+        status: 'playing',
+        match_id: 'match-2',
+        result: null,
+        created_at: 'EARLIER',
+        decided_at: null
+      },
+      [`${fixturesPath}/r01_f001`]: {
+        round: 1,
+        number: 1,
+        players: [bob, carol],
+        status: 'completed',
+        match_id: 'match-1',
+        result: { winner_uid: bob, tie: false, by: 'runs' },
+        created_at: 'EARLIER',
+        decided_at: 'EARLIER',
+        deadline_at_ms: 5000000
+      }
+    };
+
+    // Query fake: equality filters, document ID order, cursors
+    const queryFor = state => ({
+      where: (...filter) => queryFor({ ...state, filters: [...state.filters, filter] }),
+      orderBy: () => queryFor(state),
+      limit: count => queryFor({ ...state, limit: count }),
+      startAfter: id => queryFor({ ...state, after: id }),
+      get: async () => {
+        const depth = state.path.split('/').length + 1;
+        const found = Object.keys(docs)
+          .filter(path => path.startsWith(`${state.path}/`) && path.split('/').length === depth)
+          .filter(path => state.filters.every(([field, , value]) => docs[path][field] === value))
+          .map(path => ({ id: path.split('/').pop(), data: docs[path] }))
+          .filter(doc => !state.after || doc.id > state.after)
+          .sort((a, b) => (a.id < b.id ? -1 : 1));
+        return {
+          docs: found.slice(0, state.limit).map(doc => ({ id: doc.id, data: () => doc.data }))
+        };
+      }
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ exists: !!docs[path], data: () => docs[path] }),
+      collection: name => queryFor({ path: `${path}/${name}`, filters: [] })
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => refFor(`${name}/${id}`)
+      }))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/listLeagueFixtures')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/cursor')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin
+    });
+
+    const listLeagueFixtures = proxyquire('../handlers/listLeagueFixtures', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../services/leagues': mockLeagues
+    });
+    listLeagueFixturesHandler = listLeagueFixtures.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (originalSecret === undefined) {
+      delete process.env.CURSOR_HMAC_SECRET;
+    } else {
+      process.env.CURSOR_HMAC_SECRET = originalSecret;
+    }
+  });
+
+  const idsOf = result => result.items.map(item => item.id);
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(listLeagueFixturesHandler({ leagueId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should require a leagueId', async () => {
+      await expectHttpsError(listLeagueFixturesHandler({}, contextFor(alice)), 'invalid-argument', 'leagueId is required');
+    });
+
+    it('should reject a round that is not a positive whole number', async () => {
+      await expectHttpsError(listLeagueFixturesHandler({ leagueId, round: 0 }, contextFor(alice)), 'invalid-argument', 'round must be');
+      await expectHttpsError(listLeagueFixturesHandler({ leagueId, round: '1' }, contextFor(alice)), 'invalid-argument', 'round must be');
+    });
+
+    it('should reject an unknown league', async () => {
+      await expectHttpsError(listLeagueFixturesHandler({ leagueId: 'nope' }, contextFor(alice)), 'not-found', 'League not found');
+    });
+
+    it('should only list fixtures for members', async () => {
+      await expectHttpsError(listLeagueFixturesHandler({ leagueId }, contextFor('uid-dave')), 'permission-denied', 'Not a member');
+    });
+  });
+
+  describe('Fixtures', () => {
+    it('should return every fixture, round by round', async () => {
+      const result = await listLeagueFixturesHandler({ leagueId }, contextFor(carol));
+
+      expect(result).to.deep.include({ success: true, nextCursor: null, hasMore: false });
+      expect(idsOf(result)).to.deep.equal(['r01_f001', 'r02_f001', 'r03_f001']);
+      expect(result.items[0]).to.deep.equal({
+        id: 'r01_f001',
+        round: 1,
+        number: 1,
+        players: [bob, carol],
+        status: 'completed',
+        match_id: 'match-1',
+        result: { winner_uid: bob, tie: false, by: 'runs' },
+        deadline_at_ms: 5000000
+      });
+      expect(result.items[1].deadline_at_ms).to.equal(null);
+    });
+
+    it('should filter by round', async () => {
+      const result = await listLeagueFixturesHandler({ leagueId, round: 2 }, contextFor(alice));
+
+      expect(idsOf(result)).to.deep.equal(['r02_f001']);
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should page through the fixtures', async () => {
+      const first = await listLeagueFixturesHandler({ leagueId, limit: 2 }, contextFor(alice));
+      expect(idsOf(first)).to.deep.equal(['r01_f001', 'r02_f001']);
+      expect(first.hasMore).to.equal(true);
+
+      const second = await listLeagueFixturesHandler({ leagueId, limit: 2, cursor: first.nextCursor }, contextFor(alice));
+      expect(idsOf(second)).to.deep.equal(['r03_f001']);
+      expect(second.hasMore).to.equal(false);
+    });
+
+    it('should reject a cursor used with a different round filter', async () => {
+      const first = await listLeagueFixturesHandler({ leagueId, limit: 1 }, contextFor(alice));
+
+      await expectHttpsError(
+        listLeagueFixturesHandler({ leagueId, round: 1, cursor: first.nextCursor }, contextFor(alice)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+
+    it('should reject a tampered cursor', async () => {
+      await expectHttpsError(
+        listLeagueFixturesHandler({ leagueId, cursor: 'not-a-cursor' }, contextFor(alice)),
+        'invalid-argument',
+        'Invalid or expired cursor'
+      );
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for listMyMatches Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('listMyMatches', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let listMyMatchesHandler;
+  let mockAdmin;
+  let originalSecret;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+  const tillOut = resolveFormat('till_out');
+  const t1 = resolveFormat('t1');
+
+  // Stand-in for a Firestore Timestamp
+  const timestamp = ms => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  const finished = (players, endedAt, format, result) => ({
+    players,
+    source: 'quick_match',
+    format,
+    status: result ? 'completed' : 'abandoned',
+    result: result || undefined,
+    game: { innings: [] },
+    ended_at: timestamp(endedAt)
+  });
+  const win = (winner, loser) => ({ winner, loser, tie: false, by: 'runs', margin: 3, super_overs: 0 });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    originalSecret = process.env.CURSOR_HMAC_SECRET;
+    process.env.CURSOR_HMAC_SECRET = 'test-secret';
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory matches; m3 and m4 ended at the same moment
+    docs = {
+      m1: finished([alice, bob], 1000, tillOut, win(alice, bob)),
+      m2: finished([bob, alice], 2000, t1, win(bob, alice)),
+      m3: finished([alice, carol], 3000, tillOut, null),
+      m4: finished([carol, alice], 3000, tillOut, { winner: null, loser: null, tie: true, by: null, margin: null, super_overs: 3 }),
+      m5: finished([alice, bob], 5000, t1, win(alice, bob)),
+      m6: finished([bob, carol], 6000, tillOut, win(bob, carol)),
+      live: { players: [alice, bob], status: 'in_progress', format: tillOut }
+    };
+
+    const fieldOf = (data, id, field) => (field === '__name__'
+      ? id
+      : field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data));
+    const operators = {
+      '==': (actual, value) => actual === value,
+      'array-contains': (actual, value) => Array.isArray(actual) && actual.includes(value),
+      'in': (actual, value) => value.includes(actual)
+    };
+    const compare = (a, b) => (b.ms - a.ms) || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+
+    // Query fake: filters, ended_at desc with document ID tie-break, cursors
+    const queryFor = state => ({
+      where: (...filter) => queryFor({ ...state, filters: [...state.filters, filter] }),
+      orderBy: () => queryFor(state),
+      limit: count => queryFor({ ...state, limit: count }),
+      startAfter: (value, id) => queryFor({ ...state, after: { ms: value.toMillis(), id } }),
+      get: async () => {
+        let found = Object.entries(docs)
+          .filter(([id, data]) => state.filters.every(([field, op, value]) => operators[op](fieldOf(data, id, field), value)))
+          .filter(([, data]) => data.ended_at)
+          .map(([id, data]) => ({ id, ms: data.ended_at.toMillis(), data }))
+          .sort(compare);
+        if (state.after) {
+          found = found.filter(doc => compare(state.after, doc) < 0);
+        }
+        return {
+          docs: found.slice(0, state.limit).map(doc => ({ id: doc.id, data: () => doc.data }))
+        };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(() => queryFor({ filters: [] }))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    firestore.Timestamp = { fromMillis: timestamp };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/listMyMatches')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/cursor')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const listMyMatches = proxyquire('../handlers/listMyMatches', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth
+    });
+    listMyMatchesHandler = listMyMatches.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (originalSecret === undefined) {
+      delete process.env.CURSOR_HMAC_SECRET;
+    } else {
+      process.env.CURSOR_HMAC_SECRET = originalSecret;
+    }
+  });
+
+  const idsOf = result => result.items.map(item => item.id);
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(listMyMatchesHandler({}, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should reject an unknown result filter', async () => {
+      await expectHttpsError(listMyMatchesHandler({ result: 'tied' }, contextFor(alice)), 'invalid-argument', 'result must be one of');
+    });
+
+    it('should reject an unknown format', async () => {
+      await expectHttpsError(listMyMatchesHandler({ format: 't99' }, contextFor(alice)), 'invalid-argument', 'unknown format');
+    });
+
+    it('should reject a non-positive limit', async () => {
+      await expectHttpsError(listMyMatchesHandler({ limit: -1 }, contextFor(alice)), 'invalid-argument', 'limit');
+    });
+  });
+
+  describe('Listing', () => {
+    it('should list finished matches, most recent first', async () => {
+      const result = await listMyMatchesHandler({}, contextFor(alice));
+
+      expect(result).to.deep.include({ success: true, nextCursor: null, hasMore: false });
+      expect(idsOf(result)).to.deep.equal(['m5', 'm4', 'm3', 'm2', 'm1']);
+    });
+
+    it('should describe each match from the caller\'s side', async () => {
+      const result = await listMyMatchesHandler({}, contextFor(alice));
+
+      expect(result.items[0]).to.deep.equal({
+        id: 'm5',
+        opponent_uid: bob,
+        source: 'quick_match',
+        format_key: t1.key,
+        status: 'completed',
+        outcome: 'won',
+        result: win(alice, bob),
+        ended_at: new Date(5000).toISOString()
+      });
+      expect(result.items.map(item => item.outcome)).to.deep.equal(['won', 'tied', 'abandoned', 'lost', 'won']);
+      expect(result.items[0]).to.not.have.property('game');
+    });
+
+    it('should filter by result', async () => {
+      expect(idsOf(await listMyMatchesHandler({ result: 'won' }, contextFor(alice)))).to.deep.equal(['m5', 'm1']);
+      expect(idsOf(await listMyMatchesHandler({ result: 'lost' }, contextFor(alice)))).to.deep.equal(['m2']);
+      expect(idsOf(await listMyMatchesHandler({ result: 'abandoned' }, contextFor(alice)))).to.deep.equal(['m3']);
+    });
+
+    it('should filter by format', async () => {
+      expect(idsOf(await listMyMatchesHandler({ format: 't1' }, contextFor(alice)))).to.deep.equal(['m5', 'm2']);
+      expect(idsOf(await listMyMatchesHandler({ result: 'won', format: 'till_out' }, contextFor(alice)))).to.deep.equal(['m1']);
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should page through matches ending at the same moment', async () => {
+      const first = await listMyMatchesHandler({ limit: 2 }, contextFor(alice));
+      expect(idsOf(first)).to.deep.equal(['m5', 'm4']);
+      expect(first.hasMore).to.be.true;
+
+      const second = await listMyMatchesHandler({ limit: 2, cursor: first.nextCursor }, contextFor(alice));
+      expect(idsOf(second)).to.deep.equal(['m3', 'm2']);
+
+      const third = await listMyMatchesHandler({ limit: 2, cursor: second.nextCursor }, contextFor(alice));
+      expect(idsOf(third)).to.deep.equal(['m1']);
+      expect(third.hasMore).to.be.false;
+    });
+
+    it('should reject a tampered cursor', async () => {
+      const first = await listMyMatchesHandler({ limit: 1 }, contextFor(alice));
+      const [b64, sig] = first.nextCursor.split('.');
+      const payload = JSON.parse(Buffer.from(b64, 'base64').toString());
+      const forged = Buffer.from(JSON.stringify({ ...payload, result: 'won' })).toString('base64url');
+
+      await expectHttpsError(
+        listMyMatchesHandler({ limit: 1, result: 'won', cursor: `${forged}.${sig}` }, contextFor(alice)),
+        'invalid-argument',
+        'Invalid or expired cursor'
+      );
+    });
+
+    it('should reject a cursor issued for other filters', async () => {
+      const first = await listMyMatchesHandler({ limit: 1 }, contextFor(alice));
+
+      await expectHttpsError(
+        listMyMatchesHandler({ result: 'won', cursor: first.nextCursor }, contextFor(alice)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+
+    it('should reject a cursor issued to another player', async () => {
+      const first = await listMyMatchesHandler({ limit: 1 }, contextFor(alice));
+
+      await expectHttpsError(
+        listMyMatchesHandler({ cursor: first.nextCursor }, contextFor(bob)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(listMyMatchesHandler({}, contextFor(alice)), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for listOnlineFriends Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('listOnlineFriends', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let rtdbStub;
+  let online;
+  let docs;
+  let matchQueries;
+  let listOnlineFriendsHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const dave = 'uid-dave';
+  const erin = 'uid-erin';
+  const frank = 'uid-frank';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  /**
+   * Makes alice friends with a player
+   */
+  const befriend = (uid, username) => {
+    docs[`users/${uid}`] = { username };
+    docs[`friends/${alice}_${uid}`] = { uid: alice, friend_uid: uid };
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`quick_matchmaking_queue/${carol}`]: { uid: carol, status: 'waiting' },
+      [`quick_matchmaking_queue/${bob}`]: { uid: bob, status: 'matched', match_id: 'match-old' },
+      'matches/match-live': { players: [dave, 'uid-stranger'], status: 'in_progress' },
+      'matches/match-old': { players: [bob, 'uid-stranger'], status: 'completed' }
+    };
+    befriend(bob, 'bobby_1234');
+    befriend(carol, 'carol_1234');
+    befriend(dave, 'dave_12345');
+    befriend(erin, 'erin_12345');
+    befriend(frank, 'frank_1234');
+    docs[`users/${frank}`].privacy = { show_online: false };
+
+    // Everyone but erin is online
+    online = new Set([alice, bob, carol, dave, frank]);
+    rtdbStub = {
+      ref: sandbox.stub().callsFake(path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      }))
+    };
+
+    const snapshotFor = path => ({ exists: !!docs[path], data: () => docs[path] });
+    const operators = {
+      '==': (actual, value) => actual === value,
+      'in': (actual, value) => value.includes(actual),
+      'array-contains-any': (actual, value) => Array.isArray(actual) && actual.some(item => value.includes(item))
+    };
+    matchQueries = 0;
+
+    const queryFor = (name, filters) => ({
+      doc: id => ({ path: `${name}/${id}` }),
+      where: (...filter) => queryFor(name, [...filters, filter]),
+      limit: () => queryFor(name, filters),
+      get: async () => {
+        if (name === 'matches') {
+          matchQueries += 1;
+        }
+        const found = Object.keys(docs)
+          .filter(path => path.startsWith(`${name}/`))
+          .filter(path => filters.every(([field, op, value]) => operators[op](docs[path][field], value)))
+          .map(path => ({ id: path.split('/').pop(), data: () => docs[path] }));
+        return { size: found.length, docs: found };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, [])),
+      getAll: sandbox.stub().callsFake(async (...refs) => refs.map(ref => snapshotFor(ref.path)))
+    };
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/listOnlineFriends')];
+    delete require.cache[require.resolve('../services/presence')];
+    delete require.cache[require.resolve('../utils/auth')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockPresence = proxyquire('../services/presence', {
+      'firebase-admin': mockAdmin
+    });
+
+    const listOnlineFriends = proxyquire('../handlers/listOnlineFriends', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../services/presence': mockPresence
+    });
+    listOnlineFriendsHandler = listOnlineFriends.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(listOnlineFriendsHandler({}, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Online Friends', () => {
+    it('should list online friends with what they are doing, by username', async () => {
+      const result = await listOnlineFriendsHandler({}, contextFor(alice));
+
+      expect(result).to.deep.equal({
+        success: true,
+        items: [
+          { uid: bob, username: 'bobby_1234', status: 'idle' },
+          { uid: carol, username: 'carol_1234', status: 'in_queue' },
+          { uid: dave, username: 'dave_12345', status: 'in_match' }
+        ]
+      });
+    });
+
+    it('should leave out friends who hide their online state', async () => {
+      const result = await listOnlineFriendsHandler({}, contextFor(alice));
+
+      expect(result.items.map(item => item.uid)).to.not.include(frank);
+    });
+
+    it('should count the toss as being in a match', async () => {
+      docs['matches/match-toss'] = { players: [bob, 'uid-stranger'], status: 'toss' };
+
+      const result = await listOnlineFriendsHandler({}, contextFor(alice));
+
+      expect(result.items[0]).to.include({ uid: bob, status: 'in_match' });
+    });
+
+    it('should not read anything else when no friend is online', async () => {
+      online = new Set([alice]);
+
+      const result = await listOnlineFriendsHandler({}, contextFor(alice));
+
+      expect(result.items).to.deep.equal([]);
+      expect(firestoreStub.getAll.called).to.equal(false);
+      expect(matchQueries).to.equal(0);
+    });
+
+    it('should look up a few hundred friends with a handful of queries', async () => {
+      for (let i = 0; i < 300; i += 1) {
+        const uid = `uid-friend-${String(i).padStart(3, '0')}`;
+        befriend(uid, `friend_${String(i).padStart(3, '0')}`);
+        online.add(uid);
+      }
+      docs['matches/match-many'] = { players: ['uid-friend-299', 'uid-stranger'], status: 'in_progress' };
+
+      const result = await listOnlineFriendsHandler({}, contextFor(alice));
+
+      expect(result.items).to.have.length(303);
+      expect(result.items.find(item => item.uid === 'uid-friend-299').status).to.equal('in_match');
+      expect(firestoreStub.getAll.callCount).to.equal(2);
+      expect(matchQueries).to.equal(21);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(listOnlineFriendsHandler({}, contextFor(alice)), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
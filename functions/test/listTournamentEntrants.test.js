@@ -0,0 +1,227 @@
+/**
+ * Tests for listTournamentEntrants Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('listTournamentEntrants', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let listTournamentEntrantsHandler;
+  let mockAdmin;
+  let originalSecret;
+
+  const alice = 'uid-alice';
+  const tournamentId = 'cup-1';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  // Stand-in for a Firestore Timestamp
+  const timestamp = ms => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  const entrant = (uid, registeredAt, fields = {}) => ({
+    uid,
+    username: uid.replace('uid-', ''),
+    rating: 1500,
+    seed: null,
+    status: 'registered',
+    slot_id: null,
+    eliminated_in_round: null,
+    registered_at: timestamp(registeredAt),
+    registered_at_ms: registeredAt,
+    ...fields
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    originalSecret = process.env.CURSOR_HMAC_SECRET;
+    process.env.CURSOR_HMAC_SECRET = 'test-secret';
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path; bob and carol registered at the same moment
+    docs = {
+      [`tournaments/${tournamentId}`]: { name: 'Sunday Cup', status: 'registration' },
+      [`tournaments/${tournamentId}/entrants/uid-alice`]: entrant('uid-alice', 1000),
+      [`tournaments/${tournamentId}/entrants/uid-carol`]: entrant('uid-carol', 2000),
+      [`tournaments/${tournamentId}/entrants/uid-bob`]: entrant('uid-bob', 2000),
+      [`tournaments/${tournamentId}/entrants/uid-dave`]: entrant('uid-dave', 3000),
+      'tournaments/cup-2/entrants/uid-erin': entrant('uid-erin', 500)
+    };
+
+    const compare = (a, b) => (a.ms - b.ms) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+    // Query fake: registered_at asc with document ID tie-break, cursors
+    const queryFor = state => ({
+      orderBy: () => queryFor(state),
+      limit: count => queryFor({ ...state, limit: count }),
+      startAfter: (value, id) => queryFor({ ...state, after: { ms: value.toMillis(), id } }),
+      get: async () => {
+        const depth = state.path.split('/').length + 1;
+        let found = Object.keys(docs)
+          .filter(path => path.startsWith(`${state.path}/`) && path.split('/').length === depth)
+          .map(path => ({ id: path.split('/').pop(), ms: docs[path].registered_at.toMillis(), data: docs[path] }))
+          .sort(compare);
+        if (state.after) {
+          found = found.filter(doc => compare(state.after, doc) < 0);
+        }
+        return {
+          docs: found.slice(0, state.limit).map(doc => ({ id: doc.id, data: () => doc.data }))
+        };
+      }
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ exists: !!docs[path], data: () => docs[path] }),
+      collection: name => queryFor({ path: `${path}/${name}` })
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => refFor(`${name}/${id}`)
+      }))
+    };
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    firestore.Timestamp = { fromMillis: timestamp };
+    mockAdmin = {
+      auth: () => authStub,
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/listTournamentEntrants')];
+    delete require.cache[require.resolve('../services/tournaments')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/cursor')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockTournaments = proxyquire('../services/tournaments', {
+      'firebase-admin': mockAdmin
+    });
+
+    const listTournamentEntrants = proxyquire('../handlers/listTournamentEntrants', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../services/tournaments': mockTournaments
+    });
+    listTournamentEntrantsHandler = listTournamentEntrants.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (originalSecret === undefined) {
+      delete process.env.CURSOR_HMAC_SECRET;
+    } else {
+      process.env.CURSOR_HMAC_SECRET = originalSecret;
+    }
+  });
+
+  const uidsOf = result => result.items.map(item => item.uid);
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(listTournamentEntrantsHandler({ tournamentId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should require a tournamentId', async () => {
+      await expectHttpsError(listTournamentEntrantsHandler({}, contextFor(alice)), 'invalid-argument', 'tournamentId is required');
+    });
+
+    it('should reject a non-positive limit', async () => {
+      await expectHttpsError(listTournamentEntrantsHandler({ tournamentId, limit: 0 }, contextFor(alice)), 'invalid-argument', 'limit');
+    });
+
+    it('should reject an unknown tournament', async () => {
+      await expectHttpsError(listTournamentEntrantsHandler({ tournamentId: 'nope' }, contextFor(alice)), 'not-found', 'Tournament not found');
+    });
+  });
+
+  describe('Listing', () => {
+    it('should list entrants in registration order', async () => {
+      const result = await listTournamentEntrantsHandler({ tournamentId }, contextFor(alice));
+
+      expect(result).to.deep.include({ success: true, nextCursor: null, hasMore: false });
+      expect(uidsOf(result)).to.deep.equal(['uid-alice', 'uid-bob', 'uid-carol', 'uid-dave']);
+    });
+
+    it('should show only the public fields', async () => {
+      docs[`tournaments/${tournamentId}/entrants/uid-alice`] = entrant('uid-alice', 1000, {
+        seed: 2,
+        status: 'eliminated',
+        eliminated_in_round: 1
+      });
+
+      const result = await listTournamentEntrantsHandler({ tournamentId }, contextFor(alice));
+
+      expect(result.items[0]).to.deep.equal({
+        uid: 'uid-alice',
+        username: 'alice',
+        seed: 2,
+        status: 'eliminated',
+        eliminated_in_round: 1,
+        registered_at: new Date(1000).toISOString()
+      });
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should page through entrants registered at the same moment', async () => {
+      const first = await listTournamentEntrantsHandler({ tournamentId, limit: 2 }, contextFor(alice));
+      expect(uidsOf(first)).to.deep.equal(['uid-alice', 'uid-bob']);
+      expect(first.hasMore).to.equal(true);
+
+      const second = await listTournamentEntrantsHandler({ tournamentId, limit: 2, cursor: first.nextCursor }, contextFor(alice));
+      expect(uidsOf(second)).to.deep.equal(['uid-carol', 'uid-dave']);
+      expect(second.hasMore).to.equal(false);
+    });
+
+    it('should reject a cursor from another tournament', async () => {
+      docs['tournaments/cup-2'] = { name: 'Monday Cup', status: 'registration' };
+      const first = await listTournamentEntrantsHandler({ tournamentId, limit: 1 }, contextFor(alice));
+
+      await expectHttpsError(
+        listTournamentEntrantsHandler({ tournamentId: 'cup-2', cursor: first.nextCursor }, contextFor(alice)),
+        'invalid-argument',
+        'cursor belongs to a different listing'
+      );
+    });
+
+    it('should reject a tampered cursor', async () => {
+      await expectHttpsError(
+        listTournamentEntrantsHandler({ tournamentId, cursor: 'not-a-cursor' }, contextFor(alice)),
+        'invalid-argument',
+        'Invalid or expired cursor'
+      );
+    });
+  });
+});
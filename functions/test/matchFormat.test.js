@@ -0,0 +1,47 @@
+const {expect} = require('chai');
+const {resolveFormat, getDefaultFormat, MatchFormatError, PRESETS} = require('../utils/matchFormat');
+
+describe('matchFormat', () => {
+  it('should default to a till out, single wicket game', () => {
+    expect(getDefaultFormat()).to.deep.equal({
+      key: 'bx-w1-n1_6-draw',
+      balls_per_innings: null,
+      wickets: 1,
+      min_pick: 1,
+      max_pick: 6,
+      tie_breaker: 'draw',
+    });
+  });
+
+  it('should resolve every preset', () => {
+    Object.keys(PRESETS).forEach((name) => {
+      expect(resolveFormat(name).key).to.be.a('string');
+    });
+    expect(resolveFormat('t2')).to.include({balls_per_innings: 12, wickets: 2, tie_breaker: 'super_over'});
+  });
+
+  it('should give equal specs the same key', () => {
+    const custom = resolveFormat({ballsPerInnings: 6, wickets: 1, tieBreaker: 'super_over'});
+    expect(custom).to.deep.equal(resolveFormat('t1'));
+  });
+
+  it('should resolve a custom zero to ten format', () => {
+    const format = resolveFormat({ballsPerInnings: 12, wickets: 3, numbers: 'zero_to_ten'});
+    expect(format).to.include({min_pick: 0, max_pick: 10, key: 'b12-w3-n0_10-draw'});
+  });
+
+  [
+    'test-cup',
+    42,
+    ['t1'],
+    {ballsPerInnings: 0},
+    {ballsPerInnings: 1.5},
+    {wickets: 11},
+    {numbers: 'one_to_nine'},
+    {tieBreaker: 'bowl_out'},
+  ].forEach((input) => {
+    it(`should reject ${JSON.stringify(input)}`, () => {
+      expect(() => resolveFormat(input)).to.throw(MatchFormatError);
+    });
+  });
+});
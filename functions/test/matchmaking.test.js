@@ -0,0 +1,177 @@
+/**
+ * Tests for rating-band matchmaking utilities
+ */
+
+const {expect} = require('chai');
+const matchmaking = require('../utils/matchmaking');
+
+describe('matchmaking', () => {
+  const band = {initial: 50, growth_per_second: 10, open_after_ms: 30000};
+  const now = 1000000;
+
+  const entry = (id, rating, waitedMs = 0) => ({
+    id,
+    rating,
+    rating_band: band,
+    queued_at_ms: now - waitedMs,
+  });
+
+  describe('bandWidth', () => {
+    it('should start at the initial width and grow while waiting', () => {
+      expect(matchmaking.bandWidth(band, 0)).to.equal(50);
+      expect(matchmaking.bandWidth(band, 10000)).to.equal(150);
+    });
+
+    it('should accept any opponent once open', () => {
+      expect(matchmaking.bandWidth(band, 30000)).to.equal(Infinity);
+    });
+
+    it('should build the band from config', () => {
+      expect(matchmaking.createBand({
+        RATING_BAND_INITIAL: 50,
+        RATING_BAND_GROWTH_PER_SECOND: 10,
+        RATING_BAND_OPEN_AFTER_MS: 30000,
+      })).to.deep.equal(band);
+    });
+  });
+
+  describe('pickPairs', () => {
+    it('should pair players inside the band', () => {
+      const pairs = matchmaking.pickPairs([entry('a', 1500), entry('b', 1540)], now);
+
+      expect(pairs.map((pair) => pair.map((e) => e.id))).to.deep.equal([['a', 'b']]);
+    });
+
+    it('should leave players outside the band waiting', () => {
+      expect(matchmaking.pickPairs([entry('a', 1500), entry('b', 1600)], now)).to.deep.equal([]);
+    });
+
+    it('should let the longer-waiting player\'s band decide', () => {
+      const pairs = matchmaking.pickPairs([entry('a', 1500, 10000), entry('b', 1640)], now);
+
+      expect(pairs).to.have.length(1);
+    });
+
+    it('should serve the oldest player first with the closest rating', () => {
+      const pairs = matchmaking.pickPairs([
+        entry('c', 1530, 1000),
+        entry('a', 1500, 3000),
+        entry('b', 1510, 2000),
+        entry('d', 1545, 0),
+      ], now);
+
+      expect(pairs.map((pair) => pair.map((e) => e.id))).to.deep.equal([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should prefer the older opponent on equal distance', () => {
+      const pairs = matchmaking.pickPairs([
+        entry('a', 1500, 3000),
+        entry('b', 1520, 1000),
+        entry('c', 1480, 2000),
+      ], now);
+
+      expect(pairs[0].map((e) => e.id)).to.deep.equal(['a', 'c']);
+    });
+
+    it('should never pair players who blocked each other', () => {
+      const pairs = matchmaking.pickPairs([
+        Object.assign(entry('a', 1500, 60000), {blocked_uids: ['b']}),
+        entry('b', 1500, 60000),
+        entry('c', 1900, 0),
+      ], now);
+
+      expect(pairs.map((pair) => pair.map((e) => e.id))).to.deep.equal([['a', 'c']]);
+    });
+
+    it('should honour a block recorded on either entry', () => {
+      const blocker = Object.assign(entry('b', 1500), {blocked_uids: ['a']});
+      const pairs = matchmaking.pickPairs([entry('a', 1500), blocker], now);
+
+      expect(pairs).to.deep.equal([]);
+    });
+  });
+
+  describe('Simulation', () => {
+    // Deterministic pseudo-random numbers (LCG) so the simulation always plays out the same
+    const createRandom = (seed) => {
+      let state = seed;
+      return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+      };
+    };
+
+    /**
+     * Players join at random times with ratings spread around 1500 (sd ~300).
+     * The matcher runs every second, like the queue trigger and sweep would.
+     *
+     * @param {number} seed - Seed of the random numbers
+     * @param {number} playerCount - Number of players who join
+     * @return {Object} { arrivals, pairs, leftover }
+     */
+    const simulate = (seed, playerCount) => {
+      const random = createRandom(seed);
+      const tickMs = 1000;
+      let clock = 0;
+
+      const arrivals = [];
+      for (let i = 0; i < playerCount; i++) {
+        clock += Math.floor(random() * 4000);
+        const rating = 1500 + (random() + random() + random() + random() - 2) * 520;
+        arrivals.push({id: `p${i}`, rating, rating_band: band, queued_at_ms: clock});
+      }
+
+      const waiting = [];
+      const pairs = [];
+      let next = 0;
+      for (let now = 0; next < arrivals.length || waiting.length > 1; now += tickMs) {
+        while (next < arrivals.length && arrivals[next].queued_at_ms <= now) {
+          waiting.push(arrivals[next++]);
+        }
+        matchmaking.pickPairs(waiting, now).forEach((pair) => {
+          pair.forEach((e) => waiting.splice(waiting.indexOf(e), 1));
+          pairs.push({pair, now, acceptable: matchmaking.canPair(pair[0], pair[1], now)});
+        });
+      }
+
+      return {arrivals, pairs, leftover: waiting};
+    };
+
+    const meanDifference = (pairs) => pairs
+        .reduce((sum, [a, b]) => sum + Math.abs(a.rating - b.rating), 0) / pairs.length;
+
+    const result = simulate(42, 400);
+
+    it('should pair every player', () => {
+      expect(result.leftover).to.have.length(0);
+      expect(result.pairs).to.have.length(200);
+    });
+
+    it('should never make a pair outside the band at the time of pairing', () => {
+      expect(result.pairs.every(({acceptable}) => acceptable)).to.be.true;
+    });
+
+    it('should not starve anyone: nobody waits much past the open band', () => {
+      const longestWait = Math.max(...result.pairs.flatMap(({pair, now}) => pair.map((e) => now - e.queued_at_ms)));
+
+      expect(longestWait).to.be.at.most(band.open_after_ms + 1000);
+    });
+
+    it('should pair much closer ratings than arrival order would', () => {
+      const matched = result.pairs.map(({pair}) => pair);
+      const byArrival = [];
+      for (let i = 0; i < result.arrivals.length; i += 2) {
+        byArrival.push([result.arrivals[i], result.arrivals[i + 1]]);
+      }
+
+      expect(meanDifference(matched)).to.be.below(meanDifference(byArrival) / 2);
+    });
+
+    it('should be deterministic', () => {
+      const again = simulate(42, 400);
+
+      expect(again.pairs.map(({pair}) => pair.map((e) => e.id)))
+          .to.deep.equal(result.pairs.map(({pair}) => pair.map((e) => e.id)));
+    });
+  });
+});
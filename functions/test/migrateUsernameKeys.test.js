@@ -0,0 +1,197 @@
+/**
+ * Tests for migrateUsernameKeys scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { USERNAME_KEY_VERSION, usernameKey } = require('../utils/username');
+
+describe('migrateUsernameKeys', () => {
+  let sandbox;
+  let firestoreStub;
+  let docs;
+  let migrateUsernameKeysHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const state = () => docs['migrations/username_keys'];
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    // In-memory documents keyed by path
+    docs = {};
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ exists: !!docs[path], data: () => JSON.parse(JSON.stringify(docs[path])) }),
+      set: async (data) => {
+        docs[path] = data;
+      }
+    });
+
+    // Query fake: document ID order, page size and cursor
+    const queryFor = (path, query = {}) => ({
+      orderBy: () => queryFor(path, query),
+      limit: count => queryFor(path, { ...query, limit: count }),
+      startAfter: id => queryFor(path, { ...query, after: id }),
+      get: async () => {
+        const found = Object.keys(docs)
+          .filter(key => key.startsWith(`${path}/`))
+          .map(key => key.split('/').pop())
+          .filter(id => !query.after || id > query.after)
+          .sort()
+          .slice(0, query.limit)
+          .map(id => ({ id, ref: refFor(`${path}/${id}`) }));
+        return { size: found.length, docs: found };
+      }
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        ...queryFor(name),
+        doc: id => refFor(`${name}/${id}`)
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ref.get()),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/migrateUsernameKeys')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const migrateUsernameKeys = proxyquire('../handlers/migrateUsernameKeys', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+    migrateUsernameKeysHandler = migrateUsernameKeys.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should move legacy reservations to their canonical key', async () => {
+    docs['usernames/virat_kohli1'] = { uid: alice, created_at: 'LEGACY' };
+
+    const moved = await migrateUsernameKeysHandler({});
+
+    expect(moved).to.equal(1);
+    expect(docs).to.not.have.property('usernames/virat_kohli1');
+    expect(docs[`usernames/${usernameKey('virat_kohli1')}`]).to.deep.equal({
+      uid: alice,
+      username: 'virat_kohli1',
+      created_at: 'LEGACY'
+    });
+  });
+
+  it('should move reservations keyed by an older version of the key', async () => {
+    docs['usernames/viratkohli'] = { uid: alice, username: 'virat_kohli', created_at: 'EARLIER' };
+
+    await migrateUsernameKeysHandler({});
+
+    expect(docs[`usernames/${usernameKey('virat_kohli')}`]).to.include({ uid: alice, username: 'virat_kohli' });
+    expect(docs).to.not.have.property('usernames/viratkohli');
+  });
+
+  it('should leave reservations already under their key alone', async () => {
+    const key = usernameKey('bobby_1234');
+    docs[`usernames/${key}`] = { uid: bob, username: 'bobby_1234' };
+
+    expect(await migrateUsernameKeysHandler({})).to.equal(0);
+    expect(docs[`usernames/${key}`]).to.deep.equal({ uid: bob, username: 'bobby_1234' });
+  });
+
+  it('should keep both look-alikes when different users already hold them', async () => {
+    docs['usernames/virat_kohl1'] = { uid: alice };
+    docs['usernames/virat_koh1i'] = { uid: bob };
+
+    await migrateUsernameKeysHandler({});
+
+    const canonical = docs[`usernames/${usernameKey('virat_kohli')}`];
+    const left = ['usernames/virat_kohl1', 'usernames/virat_koh1i'].filter(path => docs[path]);
+    expect(left).to.have.lengthOf(1);
+    expect(canonical.uid).to.not.equal(docs[left[0]].uid);
+  });
+
+  it('should keep the owner\'s name in use over a held one with the same key', async () => {
+    const key = usernameKey('virat_kohli');
+    docs[`usernames/${key}`] = { uid: alice, username: 'virat_kohli', released_at: 'EARLIER', held_until_ms: 5000 };
+    docs['usernames/virat_koh1i'] = { uid: alice };
+
+    await migrateUsernameKeysHandler({});
+
+    expect(docs[`usernames/${key}`]).to.deep.equal({ uid: alice, username: 'virat_koh1i' });
+    expect(docs).to.not.have.property('usernames/virat_koh1i');
+  });
+
+  it('should remember where it stopped and finish at the end', async () => {
+    for (let i = 0; i < 250; i++) {
+      docs[`usernames/player${String(i).padStart(3, '0')}_x`] = { uid: `uid-${i}` };
+    }
+
+    expect(await migrateUsernameKeysHandler({})).to.equal(200);
+    expect(state()).to.include({ version: USERNAME_KEY_VERSION, last_id: 'player199_x', done: false });
+
+    // Moved reservations may come round again later in the walk; they are skipped
+    let runs = 1;
+    while (!state().done && runs < 10) {
+      await migrateUsernameKeysHandler({});
+      runs++;
+    }
+    expect(state().done).to.equal(true);
+    expect(Object.keys(docs).filter(path => path.endsWith('_x'))).to.deep.equal([]);
+    expect(Object.keys(docs).filter(path => path.startsWith('usernames/'))).to.have.lengthOf(250);
+
+    docs['usernames/late_comer1'] = { uid: alice };
+    expect(await migrateUsernameKeysHandler({})).to.equal(0);
+  });
+
+  it('should start again when the key version changes', async () => {
+    docs['migrations/username_keys'] = { version: USERNAME_KEY_VERSION - 1, last_id: 'zzz', done: true };
+    docs['usernames/virat_kohli1'] = { uid: alice };
+
+    expect(await migrateUsernameKeysHandler({})).to.equal(1);
+    expect(state()).to.include({ version: USERNAME_KEY_VERSION, done: true });
+  });
+
+  it('should keep going when one reservation fails', async () => {
+    docs['usernames/alice_1111'] = { uid: alice };
+    docs['usernames/bobby_1111'] = { uid: bob };
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Transaction failed'));
+
+    expect(await migrateUsernameKeysHandler({})).to.equal(1);
+    expect(docs[`usernames/${usernameKey('bobby_1111')}`]).to.include({ uid: bob });
+  });
+});
@@ -0,0 +1,414 @@
+/**
+ * Tests for onMatchCompleted Firestore trigger
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { isoWeek } = require('../utils/leaderboard');
+const { emptyStanding } = require('../utils/league');
+
+describe('onMatchCompleted', () => {
+  let sandbox;
+  let firestoreStub;
+  let docs;
+  let onMatchCompletedHandler;
+  let mockAdmin;
+
+  const matchId = 'match-1';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const context = { params: { matchId } };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice', rating: 1500, rating_deviation: 350, rating_volatility: 0.06, rated_games: 0 },
+      [`users/${bob}`]: { username: 'bob', rating: 1500, rating_deviation: 350, rating_volatility: 0.06, rated_games: 0 },
+      [`matches/${matchId}`]: { players: [alice, bob], status: 'completed' }
+    };
+
+    const collectionFor = path => ({
+      path,
+      doc: id => refFor(`${path}/${id}`),
+      get: async () => ({
+        docs: Object.keys(docs)
+          .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(key => ({ id: key.split('/').pop(), data: () => JSON.parse(JSON.stringify(docs[key])) }))
+      })
+    });
+    const refFor = path => ({
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => collectionFor(name)),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async target => (target.doc ? target.get() : {
+            exists: !!docs[target.path],
+            data: () => JSON.parse(JSON.stringify(docs[target.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/onMatchCompleted')];
+    delete require.cache[require.resolve('../services/ratings')];
+    delete require.cache[require.resolve('../services/stats')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockRatings = proxyquire('../services/ratings', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockStats = proxyquire('../services/stats', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const onMatchCompleted = proxyquire('../handlers/onMatchCompleted', {
+      'firebase-admin': mockAdmin,
+      '../services/ratings': mockRatings,
+      '../services/stats': mockStats,
+      '../services/leagues': mockLeagues
+    });
+    onMatchCompletedHandler = onMatchCompleted.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const snapshot = data => ({ exists: !!data, data: () => data });
+
+  const completedChange = (result, beforeStatus = 'in_progress', game = undefined) => {
+    const match = { players: [alice, bob], status: 'completed', result, game };
+    return {
+      before: snapshot({ ...match, status: beforeStatus, result: null }),
+      after: snapshot(match)
+    };
+  };
+
+  const aliceWins = { winner: alice, loser: bob, tie: false, by: 'runs', margin: 4, super_overs: 0 };
+
+  describe('Trigger Filtering', () => {
+    it('should ignore updates that do not complete the match', async () => {
+      const change = {
+        before: snapshot({ players: [alice, bob], status: 'toss' }),
+        after: snapshot({ players: [alice, bob], status: 'in_progress' })
+      };
+
+      await onMatchCompletedHandler(change, context);
+
+      expect(firestoreStub.runTransaction.called).to.be.false;
+    });
+
+    it('should ignore updates to an already completed match', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins, 'completed'), context);
+
+      expect(firestoreStub.runTransaction.called).to.be.false;
+    });
+
+    it('should ignore abandoned matches', async () => {
+      const change = {
+        before: snapshot({ players: [alice, bob], status: 'in_progress' }),
+        after: snapshot({ players: [alice, bob], status: 'abandoned' })
+      };
+
+      await onMatchCompletedHandler(change, context);
+
+      expect(firestoreStub.runTransaction.called).to.be.false;
+    });
+  });
+
+  describe('Ratings', () => {
+    it('should update both ratings from the result', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+
+      expect(docs[`users/${alice}`].rating).to.be.greaterThan(1500);
+      expect(docs[`users/${bob}`].rating).to.be.lessThan(1500);
+      expect(docs[`users/${alice}`].rating_deviation).to.be.lessThan(350);
+      expect(docs[`users/${alice}`].rated_games).to.equal(1);
+      expect(docs[`users/${bob}`].username).to.equal('bob');
+    });
+
+    it('should record the rating history of both players', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+
+      const history = docs[`users/${bob}/rating_history/${matchId}`];
+      expect(history).to.deep.include({
+        match_id: matchId,
+        opponent_uid: alice,
+        score: 0,
+        rating_before: 1500,
+        deviation_before: 350,
+        opponent_rating: 1500,
+        created_at: 'SERVER_TIMESTAMP'
+      });
+      expect(history.rating_after).to.equal(docs[`users/${bob}`].rating);
+      expect(docs[`users/${alice}/rating_history/${matchId}`].score).to.equal(1);
+    });
+
+    it('should score a tie as half a win for both players', async () => {
+      const tie = { winner: null, loser: null, tie: true, by: null, margin: null, super_overs: 3 };
+      await onMatchCompletedHandler(completedChange(tie), context);
+
+      expect(docs[`users/${alice}/rating_history/${matchId}`].score).to.equal(0.5);
+      expect(docs[`users/${alice}`].rating).to.be.closeTo(1500, 1e-9);
+    });
+
+    it('should give users without a rating the initial rating first', async () => {
+      docs[`users/${alice}`] = { username: 'alice' };
+
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+
+      expect(docs[`users/${alice}/rating_history/${matchId}`].rating_before).to.equal(1500);
+      expect(docs[`users/${alice}`].rated_games).to.equal(1);
+    });
+
+    it('should not rate the same match twice', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+      const ratingAfterFirst = docs[`users/${alice}`].rating;
+
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+
+      expect(docs[`users/${alice}`].rating).to.equal(ratingAfterFirst);
+      expect(docs[`users/${alice}`].rated_games).to.equal(1);
+    });
+
+    it('should skip rating when a user document is missing', async () => {
+      delete docs[`users/${bob}`];
+
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+
+      expect(docs[`users/${alice}`].rating).to.equal(1500);
+      expect(docs[`users/${alice}/rating_history/${matchId}`]).to.be.undefined;
+    });
+  });
+
+  describe('Career Stats', () => {
+    // Alice bats first for 12 off 5, Bob is out for 0 off 2
+    const game = {
+      innings: [
+        { batter: alice, bowler: bob, runs: 12, wickets: 1, balls: 5 },
+        { batter: bob, bowler: alice, runs: 0, wickets: 1, balls: 2 }
+      ]
+    };
+
+    it('should add the match to both players\' stats', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins, 'in_progress', game), context);
+
+      expect(docs[`users/${alice}`].stats).to.deep.equal({
+        matches: 1, wins: 1, losses: 0, ties: 0, innings: 1, runs: 12,
+        balls_faced: 5, dismissals: 1, highest_score: 12, ducks: 0
+      });
+      expect(docs[`users/${bob}`].stats).to.include({ matches: 1, losses: 1, ducks: 1, highest_score: 0 });
+      expect(docs[`matches/${matchId}`].stats_recorded).to.be.true;
+    });
+
+    it('should add the match to this week\'s leaderboard entries', async () => {
+      const week = isoWeek(Date.now());
+      docs[`weekly_leaderboard/${week}_${alice}`] = { uid: alice, week, rating: 1500, matches: 2, wins: 1, runs: 30 };
+
+      await onMatchCompletedHandler(completedChange(aliceWins, 'in_progress', game), context);
+
+      const entry = docs[`weekly_leaderboard/${week}_${alice}`];
+      expect(entry).to.deep.include({ uid: alice, username: 'alice', week, matches: 3, wins: 2, runs: 42 });
+      expect(entry.rating).to.equal(docs[`users/${alice}`].rating);
+      expect(docs[`weekly_leaderboard/${week}_${bob}`]).to.deep.include({ matches: 1, wins: 0, runs: 0 });
+    });
+
+    it('should add the match to the leaderboard of the week it ended', async () => {
+      // Ended on Sunday 2024-02-11, processed in the following week
+      const endedAt = Date.UTC(2024, 1, 11, 23, 59);
+      const change = completedChange(aliceWins, 'in_progress', game);
+      change.after.data().ended_at = { toMillis: () => endedAt };
+
+      await onMatchCompletedHandler(change, context);
+
+      expect(docs[`weekly_leaderboard/2024-W06_${alice}`]).to.deep.include({ week: '2024-W06', matches: 1, wins: 1 });
+      expect(docs[`weekly_leaderboard/${isoWeek(Date.now())}_${alice}`]).to.be.undefined;
+    });
+
+    it('should add the match to an entry that was already archived', async () => {
+      const endedAt = Date.UTC(2024, 1, 11, 23, 59);
+      docs[`leaderboard_archives/2024-W06_${alice}`] = {
+        uid: alice, week: '2024-W06', rating: 1500, matches: 2, wins: 1, runs: 30, archived_at: 'ARCHIVED'
+      };
+      const change = completedChange(aliceWins, 'in_progress', game);
+      change.after.data().ended_at = { toMillis: () => endedAt };
+
+      await onMatchCompletedHandler(change, context);
+
+      expect(docs[`leaderboard_archives/2024-W06_${alice}`]).to.deep.include({
+        matches: 3, wins: 2, runs: 42, archived_at: 'ARCHIVED'
+      });
+      expect(docs[`weekly_leaderboard/2024-W06_${alice}`]).to.be.undefined;
+      expect(docs[`weekly_leaderboard/2024-W06_${bob}`]).to.deep.include({ matches: 1, wins: 0 });
+    });
+
+    it('should add to existing totals', async () => {
+      docs[`users/${alice}`].stats = {
+        matches: 3, wins: 1, losses: 2, ties: 0, innings: 3, runs: 20,
+        balls_faced: 10, dismissals: 3, highest_score: 15, ducks: 1
+      };
+
+      await onMatchCompletedHandler(completedChange(aliceWins, 'in_progress', game), context);
+
+      expect(docs[`users/${alice}`].stats).to.include({ matches: 4, wins: 2, runs: 32, highest_score: 15 });
+    });
+
+    it('should not count the same match twice', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins, 'in_progress', game), context);
+      await onMatchCompletedHandler(completedChange(aliceWins, 'in_progress', game), context);
+
+      expect(docs[`users/${alice}`].stats.matches).to.equal(1);
+      expect(docs[`users/${alice}`].stats.runs).to.equal(12);
+      expect(docs[`weekly_leaderboard/${isoWeek(Date.now())}_${alice}`].matches).to.equal(1);
+    });
+
+    it('should still count stats when a user document is missing', async () => {
+      delete docs[`users/${bob}`];
+
+      await onMatchCompletedHandler(completedChange(aliceWins, 'in_progress', game), context);
+
+      expect(docs[`users/${alice}`].stats.matches).to.equal(1);
+      expect(docs[`users/${bob}`]).to.be.undefined;
+    });
+  });
+
+  describe('League Table', () => {
+    const format = { balls_per_innings: 12, wickets: 1 };
+    // Both sides are bowled out, so each is charged 2 overs
+    const game = {
+      innings: [
+        { batter: alice, bowler: bob, runs: 12, wickets: 1, balls: 5 },
+        { batter: bob, bowler: alice, runs: 0, wickets: 1, balls: 2 }
+      ]
+    };
+
+    const leagueChange = (result) => {
+      const match = {
+        players: [alice, bob],
+        status: 'completed',
+        result,
+        game,
+        format,
+        source: 'league',
+        league: { league_id: 'league-1', fixture_id: 'r01_f001' }
+      };
+      return {
+        before: snapshot({ ...match, status: 'in_progress', result: null }),
+        after: snapshot(match)
+      };
+    };
+
+    beforeEach(() => {
+      docs['leagues/league-1'] = {
+        status: 'in_progress',
+        member_uids: [alice, bob],
+        tie_breakers: ['nrr'],
+        fixtures_total: 2,
+        fixtures_done: 0,
+        winner_uid: null
+      };
+      docs['leagues/league-1/fixtures/r01_f001'] = { players: [alice, bob], status: 'playing', match_id: matchId };
+      docs['leagues/league-1/fixtures/r02_f001'] = { players: [bob, alice], status: 'scheduled', match_id: null };
+      docs[`leagues/league-1/standings/${alice}`] = emptyStanding(alice, 'alice');
+      docs[`leagues/league-1/standings/${bob}`] = emptyStanding(bob, 'bob');
+    });
+
+    it('should record the result in the fixture and the points table', async () => {
+      await onMatchCompletedHandler(leagueChange(aliceWins), context);
+
+      expect(docs['leagues/league-1/fixtures/r01_f001']).to.deep.include({
+        status: 'completed',
+        result: { winner_uid: alice, tie: false, by: 'runs' },
+        decided_at: 'SERVER_TIMESTAMP'
+      });
+      expect(docs[`leagues/league-1/standings/${alice}`]).to.include({ played: 1, won: 1, points: 2, nrr: 6 });
+      expect(docs[`leagues/league-1/standings/${bob}`]).to.include({ played: 1, lost: 1, points: 0, nrr: -6 });
+      expect(docs['leagues/league-1']).to.include({ status: 'in_progress', fixtures_done: 1 });
+    });
+
+    it('should give both members a point for a tie', async () => {
+      await onMatchCompletedHandler(leagueChange({ tie: true, by: 'tie', super_overs: 0 }), context);
+
+      expect(docs['leagues/league-1/fixtures/r01_f001'].result).to.deep.equal({ winner_uid: null, tie: true, by: 'tie' });
+      expect(docs[`leagues/league-1/standings/${alice}`]).to.include({ tied: 1, points: 1 });
+      expect(docs[`leagues/league-1/standings/${bob}`]).to.include({ tied: 1, points: 1 });
+    });
+
+    it('should complete the league with its last fixture', async () => {
+      docs['leagues/league-1/fixtures/r02_f001'].status = 'completed';
+      docs['leagues/league-1'].fixtures_done = 1;
+
+      await onMatchCompletedHandler(leagueChange(aliceWins), context);
+
+      expect(docs['leagues/league-1']).to.include({ status: 'completed', fixtures_done: 2, winner_uid: alice });
+    });
+
+    it('should not count the same match twice', async () => {
+      await onMatchCompletedHandler(leagueChange(aliceWins), context);
+      await onMatchCompletedHandler(leagueChange(aliceWins), context);
+
+      expect(docs[`leagues/league-1/standings/${alice}`]).to.include({ played: 1, points: 2 });
+      expect(docs['leagues/league-1'].fixtures_done).to.equal(1);
+    });
+
+    it('should leave leagues alone for other matches', async () => {
+      await onMatchCompletedHandler(completedChange(aliceWins), context);
+
+      expect(docs['leagues/league-1/fixtures/r01_f001'].status).to.equal('playing');
+      expect(docs[`leagues/league-1/standings/${alice}`].played).to.equal(0);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should rethrow errors so the trigger is retried', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Transaction failed'));
+
+      try {
+        await onMatchCompletedHandler(completedChange(aliceWins), context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Transaction failed');
+      }
+    });
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Tests for onUserDeleted Auth trigger
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const engine = require('../utils/gameEngine');
+const { createToss } = require('../utils/toss');
+
+describe('onUserDeleted', () => {
+  let sandbox;
+  let firestoreStub;
+  let docs;
+  let onUserDeletedHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234', rating: 1500 },
+      [`users/${alice}/rating_history/match-old`]: { match_id: 'match-old', score: 1 },
+      [`users/${alice}/username_history/h1`]: { old_username: 'alice_0000', new_username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234', rating: 1500 },
+      'usernames/alice_1234': { uid: alice },
+      'usernames/alice_0000': { uid: alice, held_until_ms: Date.now() + 60000 },
+      'usernames/bobby_1234': { uid: bob },
+      [`quick_matchmaking_queue/${alice}`]: { uid: alice, status: 'waiting' },
+      [`rate_limits/${alice}`]: { check_username: { window_start_ms: 1000, count: 2 } },
+      [`weekly_leaderboard/2024-W06_${alice}`]: { uid: alice, week: '2024-W06', wins: 2 },
+      [`weekly_leaderboard/2024-W06_${bob}`]: { uid: bob, week: '2024-W06', wins: 1 },
+      [`leaderboard_archives/2024-W05_${alice}`]: { uid: alice, week: '2024-W05', wins: 4 },
+      [`friends/${alice}_${bob}`]: { uid: alice, friend_uid: bob },
+      [`friends/${bob}_${alice}`]: { uid: bob, friend_uid: alice },
+      [`friend_requests/uid-carol_${alice}`]: { from_uid: 'uid-carol', to_uid: alice },
+      [`friend_requests/uid-carol_${bob}`]: { from_uid: 'uid-carol', to_uid: bob },
+      [`blocks/${bob}_${alice}`]: { blocker_uid: bob, blocked_uid: alice },
+      [`inbox/${alice}/items/challenge_${bob}`]: { type: 'challenge', from_uid: bob, to_uid: alice, status: 'pending' },
+      [`inbox/${bob}/items/challenge_${alice}`]: { type: 'challenge', from_uid: alice, to_uid: bob, status: 'pending' },
+      [`inbox/${bob}/items/note-1`]: { type: 'challenge_declined', challenge_id: `challenge_${bob}`, from_uid: alice },
+      [`inbox/${bob}/items/challenge_uid-carol`]: { type: 'challenge', from_uid: 'uid-carol', to_uid: bob, status: 'pending' },
+      'tournaments/cup-open': { status: 'registration', player_count: 2 },
+      [`tournaments/cup-open/entrants/${alice}`]: { uid: alice, status: 'registered' },
+      [`tournaments/cup-open/entrants/${bob}`]: { uid: bob, status: 'registered' },
+      'tournaments/cup-live': { status: 'in_progress', player_count: 2 },
+      [`tournaments/cup-live/entrants/${alice}`]: { uid: alice, status: 'active' },
+      'leagues/league-own': { status: 'open', created_by: alice, member_uids: [alice, bob] },
+      [`leagues/league-own/standings/${alice}`]: { uid: alice, points: 0 },
+      [`leagues/league-own/standings/${bob}`]: { uid: bob, points: 0 },
+      'leagues/league-live': {
+        status: 'in_progress',
+        created_by: bob,
+        member_uids: [bob, 'uid-carol', alice],
+        tie_breakers: ['nrr'],
+        fixtures_total: 3,
+        fixtures_done: 1,
+        winner_uid: null
+      },
+      'leagues/league-live/fixtures/r01_f001': { players: [bob, 'uid-carol'], status: 'scheduled' },
+      'leagues/league-live/fixtures/r02_f001': { players: ['uid-carol', alice], status: 'scheduled' },
+      'leagues/league-live/fixtures/r03_f001': { players: [alice, bob], status: 'completed' },
+      [`leagues/league-live/standings/${alice}`]: { uid: alice, points: 0, nrr: 0 },
+      [`leagues/league-live/standings/${bob}`]: { uid: bob, points: 2, nrr: 1.5 },
+      'leagues/league-live/standings/uid-carol': { uid: 'uid-carol', points: 0, nrr: 0 },
+      'private_rooms/K7QX2M': { host_uid: alice, status: 'open' },
+      'private_rooms/P3RT9A': { host_uid: bob, status: 'open' },
+      'matches/match-old': { players: [alice, bob], status: 'completed', result: { winner: alice } },
+      'matches/match-live': {
+        players: [alice, bob],
+        status: 'in_progress',
+        game: engine.createGame({ battingFirst: alice, bowlingFirst: bob }),
+        ball: { number: 1, commitments: {}, reveals: {}, deadline_at_ms: Date.now() + 20000 }
+      },
+      'matches/match-toss': {
+        players: [bob, alice],
+        status: 'toss',
+        toss: createToss(bob, Date.now() + 30000),
+        game: null,
+        ball: null
+      }
+    };
+
+    const matches = (data, [field, op, value]) => {
+      const actual = data[field];
+      if (op === '==') return actual === value;
+      if (op === 'array-contains') return Array.isArray(actual) && actual.includes(value);
+      if (op === 'in') return value.includes(actual);
+      throw new Error(`Unsupported operator ${op}`);
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => ({ id: path.split('/').pop(), exists: !!docs[path], data: () => docs[path] }),
+      delete: async () => {
+        delete docs[path];
+      },
+      collection: name => queryFor(`${path}/${name}`, []),
+      // Parent collection, whose parent is the document holding it
+      get parent() {
+        return { parent: refFor(path.split('/').slice(0, -2).join('/')) };
+      }
+    });
+
+    // A collection group query matches every collection with that name
+    const queryFor = (collectionPath, filters, group = false) => ({
+      doc: id => refFor(`${collectionPath}/${id}`),
+      where: (...filter) => queryFor(collectionPath, [...filters, filter], group),
+      get: async () => {
+        const depth = collectionPath.split('/').length + 1;
+        const inCollection = path => (group
+          ? path.split('/').slice(-2)[0] === collectionPath
+          : path.startsWith(`${collectionPath}/`) && path.split('/').length === depth);
+        const found = Object.keys(docs)
+          .filter(inCollection)
+          .filter(path => filters.every(filter => matches(docs[path], filter)))
+          .map(path => ({ id: path.split('/').pop(), ref: refFor(path), data: () => docs[path] }));
+        return { size: found.length, docs: found };
+      }
+    });
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => queryFor(name, [])),
+      collectionGroup: sandbox.stub().callsFake(name => queryFor(name, [], true)),
+      recursiveDelete: sandbox.stub().callsFake(async (ref) => {
+        Object.keys(docs)
+          .filter(path => path === ref.path || path.startsWith(`${ref.path}/`))
+          .forEach((path) => {
+            delete docs[path];
+          });
+      }),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async target => (target.where ? target.get() : {
+            exists: !!docs[target.path],
+            data: () => JSON.parse(JSON.stringify(docs[target.path]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/onUserDeleted')];
+    delete require.cache[require.resolve('../services/userData')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockUserData = proxyquire('../services/userData', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      './matches': mockMatches,
+      './leagues': mockLeagues
+    });
+
+    const onUserDeleted = proxyquire('../handlers/onUserDeleted', {
+      '../services/userData': mockUserData
+    });
+    onUserDeletedHandler = onUserDeleted.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should delete the profile with its subcollections', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(Object.keys(docs).filter(path => path.startsWith(`users/${alice}`))).to.be.empty;
+    expect(docs[`users/${bob}`]).to.exist;
+  });
+
+  it('should free the username and names held after renames', async () => {
+    const summary = await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(summary.usernames).to.have.members(['alice_1234', 'alice_0000']);
+    expect(docs).to.not.have.property('usernames/alice_1234');
+    expect(docs).to.not.have.property('usernames/alice_0000');
+    expect(docs['usernames/bobby_1234']).to.exist;
+  });
+
+  it('should remove rate limit counters', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs).to.not.have.property(`rate_limits/${alice}`);
+  });
+
+  it('should remove weekly leaderboard entries and archived ones', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs).to.not.have.property(`weekly_leaderboard/2024-W06_${alice}`);
+    expect(docs).to.not.have.property(`leaderboard_archives/2024-W05_${alice}`);
+    expect(docs[`weekly_leaderboard/2024-W06_${bob}`]).to.exist;
+  });
+
+  it('should remove friendships, friend requests and blocks on both sides', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs).to.not.have.property(`friends/${alice}_${bob}`);
+    expect(docs).to.not.have.property(`friends/${bob}_${alice}`);
+    expect(docs).to.not.have.property(`friend_requests/uid-carol_${alice}`);
+    expect(docs).to.not.have.property(`blocks/${bob}_${alice}`);
+    expect(docs[`friend_requests/uid-carol_${bob}`]).to.exist;
+  });
+
+  it('should clear the inbox and items sent to other inboxes', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(Object.keys(docs).filter(path => path.startsWith(`inbox/${alice}/`))).to.be.empty;
+    expect(docs).to.not.have.property(`inbox/${bob}/items/challenge_${alice}`);
+    expect(docs).to.not.have.property(`inbox/${bob}/items/note-1`);
+    expect(docs[`inbox/${bob}/items/challenge_uid-carol`]).to.exist;
+  });
+
+  it('should leave tournaments, giving back places still open', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs).to.not.have.property(`tournaments/cup-open/entrants/${alice}`);
+    expect(docs).to.not.have.property(`tournaments/cup-live/entrants/${alice}`);
+    expect(docs['tournaments/cup-open'].player_count).to.equal(1);
+    expect(docs['tournaments/cup-live'].player_count).to.equal(2);
+    expect(docs[`tournaments/cup-open/entrants/${bob}`]).to.exist;
+  });
+
+  it('should remove an open league the user created', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(Object.keys(docs).filter(path => path.startsWith('leagues/league-own'))).to.deep.equal([]);
+  });
+
+  it('should void the user\'s unplayed league fixtures and drop their standing', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs['leagues/league-live/fixtures/r02_f001']).to.include({ status: 'void', decided_at: 'SERVER_TIMESTAMP' });
+    expect(docs['leagues/league-live/fixtures/r01_f001'].status).to.equal('scheduled');
+    expect(docs['leagues/league-live/fixtures/r03_f001'].status).to.equal('completed');
+    expect(docs).to.not.have.property(`leagues/league-live/standings/${alice}`);
+    expect(docs['leagues/league-live']).to.include({ status: 'in_progress', fixtures_done: 2 });
+    expect(docs['leagues/league-live'].member_uids).to.deep.equal([bob, 'uid-carol']);
+  });
+
+  it('should complete a league once voiding settles its last fixture', async () => {
+    docs['leagues/league-live/fixtures/r01_f001'].status = 'completed';
+    docs['leagues/league-live'].fixtures_done = 2;
+
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs['leagues/league-live']).to.include({ status: 'completed', fixtures_done: 3, winner_uid: bob });
+  });
+
+  it('should remove the queue entry and hosted private rooms', async () => {
+    const summary = await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(summary.queueEntryDeleted).to.be.true;
+    expect(summary.privateRooms).to.deep.equal(['K7QX2M']);
+    expect(docs).to.not.have.property(`quick_matchmaking_queue/${alice}`);
+    expect(docs).to.not.have.property('private_rooms/K7QX2M');
+    expect(docs['private_rooms/P3RT9A']).to.exist;
+  });
+
+  it('should award the opponent a walkover in active matches', async () => {
+    const summary = await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(summary.matchesEnded).to.have.members(['match-live', 'match-toss']);
+    ['match-live', 'match-toss'].forEach((matchId) => {
+      expect(docs[`matches/${matchId}`].status).to.equal('completed');
+      expect(docs[`matches/${matchId}`].result).to.deep.include({ winner: bob, loser: alice, by: 'walkover' });
+      expect(docs[`matches/${matchId}`].reconnect_deadline_at_ms).to.be.null;
+    });
+  });
+
+  it('should keep finished matches for the opponent', async () => {
+    await onUserDeletedHandler({ uid: alice }, {});
+
+    expect(docs['matches/match-old']).to.deep.equal({
+      players: [alice, bob],
+      status: 'completed',
+      result: { winner: alice }
+    });
+  });
+
+  it('should succeed for a user who never created a profile', async () => {
+    const summary = await onUserDeletedHandler({ uid: 'uid-nobody' }, {});
+
+    expect(summary).to.deep.equal({
+      matchesEnded: [],
+      usernames: [],
+      privateRooms: [],
+      queueEntryDeleted: true
+    });
+  });
+
+  it('should rethrow unexpected errors so the trigger can be retried', async () => {
+    firestoreStub.recursiveDelete.rejects(new Error('Database error'));
+
+    try {
+      await onUserDeletedHandler({ uid: alice }, {});
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.equal('Database error');
+    }
+  });
+});
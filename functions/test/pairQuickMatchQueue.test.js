@@ -0,0 +1,374 @@
+/**
+ * Tests for pairQuickMatchQueue Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('pairQuickMatchQueue', () => {
+  let sandbox;
+  let firestoreStub;
+  let queueEntries;
+  let matchDocs;
+  let pairQuickMatchQueueHandler;
+  let mockAdmin;
+
+  /**
+   * Builds a Change object like the one the Firestore trigger receives
+   */
+  const makeChange = (before, after) => ({
+    before: { exists: !!before, data: () => before },
+    after: { exists: !!after, data: () => after }
+  });
+
+  const context = { params: { uid: 'uid-c' } };
+  const defaultFormat = resolveFormat();
+  const t1Format = resolveFormat('t1');
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    // In-memory queue: { [uid]: { uid, status, created_at } }
+    queueEntries = {};
+    matchDocs = {};
+    let matchCounter = 0;
+
+    // Queries record their equality filters and limit so the fake transaction can apply them
+    const makeQuery = (filters, max = Infinity) => ({
+      filters,
+      max,
+      where: (field, op, value) => makeQuery({ ...filters, [field]: value }, max),
+      orderBy: () => makeQuery(filters, max),
+      limit: value => makeQuery(filters, value)
+    });
+    const queueCollectionStub = {
+      ...makeQuery({}),
+      doc: (id) => ({ id, path: `quick_matchmaking_queue/${id}` })
+    };
+
+    const matchesCollectionStub = {
+      doc: () => {
+        matchCounter++;
+        const id = `match-${matchCounter}`;
+        return { id, path: `matches/${id}` };
+      }
+    };
+
+    const collectionStub = sandbox.stub();
+    collectionStub.withArgs('quick_matchmaking_queue').returns(queueCollectionStub);
+    collectionStub.withArgs('matches').returns(matchesCollectionStub);
+
+    // Transactions run serially against the in-memory state and only apply
+    // their writes once the callback completes. The Admin SDK locks documents
+    // read in a transaction, so overlapping runs on the same entries serialise.
+    let lock = Promise.resolve();
+    const executeTransaction = async (callback) => {
+      const writes = [];
+      const transaction = {
+        get: sandbox.stub().callsFake(async (query) => {
+          const docs = Object.values(queueEntries)
+            .filter(entry => Object.entries(query.filters).every(([field, value]) => entry[field] === value))
+            .sort((a, b) => a.created_at - b.created_at)
+            .slice(0, query.max)
+            .map(entry => ({
+              id: entry.uid,
+              ref: { id: entry.uid, path: `quick_matchmaking_queue/${entry.uid}` },
+              data: () => ({ ...entry })
+            }));
+          return { size: docs.length, docs };
+        }),
+        set: sandbox.stub().callsFake((ref, data) => writes.push(['set', ref, data])),
+        update: sandbox.stub().callsFake((ref, data) => writes.push(['update', ref, data]))
+      };
+      const result = await callback(transaction);
+      writes.forEach(([type, ref, data]) => {
+        if (ref.path.startsWith('matches/')) {
+          matchDocs[ref.id] = data;
+        } else if (type === 'update') {
+          queueEntries[ref.id] = { ...queueEntries[ref.id], ...data };
+        }
+      });
+      return result;
+    };
+    const runTransaction = sandbox.stub().callsFake((callback) => {
+      const run = lock.then(() => executeTransaction(callback));
+      lock = run.catch(() => {});
+      return run;
+    });
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: collectionStub,
+      runTransaction
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/pairQuickMatchQueue')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../services/matchmaking')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockMatchmaking = proxyquire('../services/matchmaking', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      './matches': mockMatches
+    });
+
+    const pairQuickMatchQueue = proxyquire('../handlers/pairQuickMatchQueue', {
+      'firebase-admin': mockAdmin,
+      '../services/matchmaking': mockMatchmaking
+    });
+    pairQuickMatchQueueHandler = pairQuickMatchQueue.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const addWaiting = (uid, createdAt, format = defaultFormat, extra = {}) => {
+    queueEntries[uid] = { uid, status: 'waiting', created_at: createdAt, format, format_key: format.key, ...extra };
+  };
+
+  const band = { initial: 50, growth_per_second: 10, open_after_ms: 30000 };
+
+  // Waiting entry with a rating that joined the queue `waitedMs` ago
+  const addRated = (uid, createdAt, rating, waitedMs = 0) => addWaiting(uid, createdAt, defaultFormat, {
+    rating,
+    rating_band: band,
+    queued_at_ms: Date.now() - waitedMs
+  });
+
+  const waitingChange = (format = defaultFormat) => makeChange(null, { status: 'waiting', format });
+
+  describe('Trigger Filtering', () => {
+    it('should ignore deletions', async () => {
+      const paired = await pairQuickMatchQueueHandler(
+        makeChange({ uid: 'uid-c', status: 'waiting' }, null),
+        context
+      );
+      expect(paired).to.equal(0);
+      expect(firestoreStub.runTransaction.called).to.be.false;
+    });
+
+    it('should ignore updates to matched entries', async () => {
+      const paired = await pairQuickMatchQueueHandler(
+        makeChange({ status: 'waiting' }, { status: 'matched', match_id: 'match-9' }),
+        context
+      );
+      expect(paired).to.equal(0);
+      expect(firestoreStub.runTransaction.called).to.be.false;
+    });
+
+    it('should run when a matched entry is re-queued', async () => {
+      addWaiting('uid-a', 1);
+      addWaiting('uid-c', 2);
+
+      const paired = await pairQuickMatchQueueHandler(
+        makeChange({ status: 'matched' }, { status: 'waiting' }),
+        context
+      );
+      expect(paired).to.equal(1);
+    });
+  });
+
+  describe('Pairing', () => {
+    it('should not pair a lone waiting player', async () => {
+      addWaiting('uid-c', 1);
+
+      const paired = await pairQuickMatchQueueHandler(
+        waitingChange(),
+        context
+      );
+
+      expect(paired).to.equal(0);
+      expect(queueEntries['uid-c'].status).to.equal('waiting');
+      expect(Object.keys(matchDocs)).to.have.length(0);
+    });
+
+    it('should pair the two oldest waiting players', async () => {
+      addWaiting('uid-b', 20);
+      addWaiting('uid-a', 10);
+      addWaiting('uid-c', 30);
+
+      const paired = await pairQuickMatchQueueHandler(
+        waitingChange(),
+        context
+      );
+
+      expect(paired).to.equal(1);
+      expect(queueEntries['uid-a'].status).to.equal('matched');
+      expect(queueEntries['uid-b'].status).to.equal('matched');
+      expect(queueEntries['uid-c'].status).to.equal('waiting');
+    });
+
+    it('should create a match document with both players', async () => {
+      addWaiting('uid-a', 10);
+      addWaiting('uid-c', 20);
+
+      await pairQuickMatchQueueHandler(waitingChange(), context);
+
+      expect(matchDocs['match-1']).to.deep.include({
+        players: ['uid-a', 'uid-c'],
+        source: 'quick_match',
+        status: 'toss'
+      });
+      expect(['uid-a', 'uid-c']).to.include(matchDocs['match-1'].toss.caller);
+      expect(matchDocs['match-1'].game).to.be.null;
+    });
+
+    it('should write the match ID to both queue documents', async () => {
+      addWaiting('uid-a', 10);
+      addWaiting('uid-c', 20);
+
+      await pairQuickMatchQueueHandler(waitingChange(), context);
+
+      expect(queueEntries['uid-a'].match_id).to.equal('match-1');
+      expect(queueEntries['uid-c'].match_id).to.equal('match-1');
+      expect(queueEntries['uid-a'].matched_at).to.equal('SERVER_TIMESTAMP');
+    });
+
+    it('should drain a backlog of waiting players', async () => {
+      addWaiting('uid-a', 10);
+      addWaiting('uid-b', 20);
+      addWaiting('uid-c', 30);
+      addWaiting('uid-d', 40);
+
+      const paired = await pairQuickMatchQueueHandler(
+        waitingChange(),
+        context
+      );
+
+      expect(paired).to.equal(2);
+      expect(matchDocs['match-1'].players).to.deep.equal(['uid-a', 'uid-b']);
+      expect(matchDocs['match-2'].players).to.deep.equal(['uid-c', 'uid-d']);
+    });
+  });
+
+  describe('Formats', () => {
+    it('should only pair players who asked for the same format', async () => {
+      addWaiting('uid-a', 10, t1Format);
+      addWaiting('uid-b', 20);
+      addWaiting('uid-c', 30, t1Format);
+
+      const paired = await pairQuickMatchQueueHandler(waitingChange(t1Format), context);
+
+      expect(paired).to.equal(1);
+      expect(matchDocs['match-1'].players).to.deep.equal(['uid-a', 'uid-c']);
+      expect(queueEntries['uid-b'].status).to.equal('waiting');
+    });
+
+    it('should not pair players with different formats', async () => {
+      addWaiting('uid-a', 10);
+      addWaiting('uid-c', 20, t1Format);
+
+      const paired = await pairQuickMatchQueueHandler(waitingChange(t1Format), context);
+
+      expect(paired).to.equal(0);
+    });
+
+    it('should carry the format onto the match document', async () => {
+      addWaiting('uid-a', 10, t1Format);
+      addWaiting('uid-c', 20, t1Format);
+
+      await pairQuickMatchQueueHandler(waitingChange(t1Format), context);
+
+      expect(matchDocs['match-1'].format).to.deep.equal(t1Format);
+    });
+  });
+
+  describe('Rating Bands', () => {
+    it('should not pair players outside each other\'s rating band', async () => {
+      addRated('uid-a', 10, 1500);
+      addRated('uid-c', 20, 1700);
+
+      const paired = await pairQuickMatchQueueHandler(waitingChange(), context);
+
+      expect(paired).to.equal(0);
+      expect(queueEntries['uid-a'].status).to.equal('waiting');
+    });
+
+    it('should pair the oldest player with the closest rating in band', async () => {
+      addRated('uid-a', 10, 1500);
+      addRated('uid-b', 20, 1540);
+      addRated('uid-c', 30, 1510);
+
+      const paired = await pairQuickMatchQueueHandler(waitingChange(), context);
+
+      expect(paired).to.equal(1);
+      expect(matchDocs['match-1'].players).to.deep.equal(['uid-a', 'uid-c']);
+      expect(queueEntries['uid-b'].status).to.equal('waiting');
+    });
+
+    it('should pair a distant opponent once the band has widened', async () => {
+      addRated('uid-a', 10, 1500, 20000);
+      addRated('uid-c', 20, 1700);
+
+      const paired = await pairQuickMatchQueueHandler(waitingChange(), context);
+
+      expect(paired).to.equal(1);
+    });
+
+    it('should pair anyone once the band is open', async () => {
+      addRated('uid-a', 10, 1200, 30000);
+      addRated('uid-c', 20, 2100);
+
+      const paired = await pairQuickMatchQueueHandler(waitingChange(), context);
+
+      expect(paired).to.equal(1);
+    });
+  });
+
+  describe('Concurrency', () => {
+    it('should never place a player in two matches when runs overlap', async () => {
+      addWaiting('uid-a', 10);
+      addWaiting('uid-b', 20);
+      addWaiting('uid-c', 30);
+
+      // Two trigger runs (e.g. for uid-b and uid-c) fire together
+      const results = await Promise.all([
+        pairQuickMatchQueueHandler(waitingChange(), { params: { uid: 'uid-b' } }),
+        pairQuickMatchQueueHandler(waitingChange(), { params: { uid: 'uid-c' } })
+      ]);
+
+      expect(results[0] + results[1]).to.equal(1);
+      const matchedPlayers = Object.values(matchDocs).flatMap(match => match.players);
+      expect(new Set(matchedPlayers).size).to.equal(matchedPlayers.length);
+      expect(queueEntries['uid-c'].status).to.equal('waiting');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should rethrow transaction failures so the trigger can retry', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Transaction failed'));
+
+      try {
+        await pairQuickMatchQueueHandler(waitingChange(), context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Transaction failed');
+      }
+    });
+  });
+});
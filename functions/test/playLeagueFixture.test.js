@@ -0,0 +1,304 @@
+/**
+ * Tests for playLeagueFixture Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('playLeagueFixture', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let online;
+  let autoId;
+  let playLeagueFixtureHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const leagueId = 'league-1';
+  const fixtureId = 'r01_f001';
+  const leaguePath = `leagues/${leagueId}`;
+  const fixturePath = `${leaguePath}/fixtures/${fixtureId}`;
+  const request = { leagueId, fixtureId };
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  const createdIn = collectionPath => Object.keys(docs)
+    .filter(path => path.startsWith(`${collectionPath}/auto-`))
+    .map(path => docs[path]);
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Players with a presence entry
+    online = new Set([alice, bob]);
+    const rtdbStub = {
+      ref: path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      })
+    };
+
+    // In-memory documents keyed by path, a t1 league with alice v bob to play
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [leaguePath]: {
+        name: 'Office League',
+        format: resolveFormat('t1'),
+        format_key: resolveFormat('t1').key,
+        status: 'in_progress',
+        member_uids: [alice, bob, carol]
+      },
+      [fixturePath]: { round: 1, number: 1, players: [alice, bob], status: 'scheduled', match_id: null, result: null }
+    };
+    autoId = 0;
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const snapshotFor = path => ({
+      exists: !!docs[path],
+      data: () => JSON.parse(JSON.stringify(docs[path]))
+    });
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      get: async () => snapshotFor(path),
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: (id = `auto-${++autoId}`) => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => snapshotFor(ref.path)),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/playLeagueFixture')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../services/presence')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockPresence = proxyquire('../services/presence', {
+      'firebase-admin': mockAdmin
+    });
+
+    const playLeagueFixture = proxyquire('../handlers/playLeagueFixture', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches,
+      '../services/friends': mockFriends,
+      '../services/leagues': mockLeagues,
+      '../services/presence': mockPresence
+    });
+    playLeagueFixtureHandler = playLeagueFixture.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(playLeagueFixtureHandler(request, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a leagueId and a fixtureId', async () => {
+      await expectHttpsError(playLeagueFixtureHandler({ fixtureId }, contextFor(alice)), 'invalid-argument', 'leagueId is required');
+      await expectHttpsError(playLeagueFixtureHandler({ leagueId }, contextFor(alice)), 'invalid-argument', 'fixtureId is required');
+    });
+
+    it('should require the caller to be online', async () => {
+      online.delete(alice);
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'failed-precondition', 'User Not Online');
+    });
+
+    it('should require the opponent to be online', async () => {
+      online.delete(bob);
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'failed-precondition', 'Opponent Not Online');
+    });
+
+    it('should still check an opponent who hides being online', async () => {
+      docs[`users/${bob}`].privacy = { show_online: false };
+      online.delete(bob);
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'failed-precondition', 'Opponent Not Available');
+      expect(createdIn('matches')).to.have.length(0);
+
+      online.add(bob);
+      const result = await playLeagueFixtureHandler(request, contextFor(alice));
+      expect(result.success).to.equal(true);
+    });
+
+    it('should only find the caller\'s own fixtures', async () => {
+      online.add(carol);
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(carol)), 'not-found', 'Fixture not found');
+      await expectHttpsError(
+        playLeagueFixtureHandler({ leagueId, fixtureId: 'r09_f001' }, contextFor(alice)),
+        'not-found',
+        'Fixture not found'
+      );
+    });
+
+    it('should not play a fixture of a completed league', async () => {
+      docs[leaguePath].status = 'completed';
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'failed-precondition', 'League is not under way');
+    });
+
+    it('should not replay a settled fixture', async () => {
+      docs[fixturePath].status = 'completed';
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'failed-precondition', 'fixture already completed');
+    });
+
+    it('should not start a second game while one is being played', async () => {
+      docs[fixturePath] = { ...docs[fixturePath], status: 'playing', match_id: 'match-1' };
+      docs['matches/match-1'] = { status: 'in_progress' };
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(bob)), 'already-exists', 'already being played');
+    });
+
+    it('should not start a match once a block stands between the players', async () => {
+      // Blocks are mutual, so both sides hold the other
+      docs[`users/${alice}`].blocked_uids = [bob];
+      docs[`users/${bob}`].blocked_uids = [alice];
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'permission-denied', 'You cannot play this player');
+      expect(createdIn('matches')).to.have.length(0);
+    });
+
+    it('should not start a match while the opponent waits for a quick match', async () => {
+      docs[`quick_matchmaking_queue/${bob}`] = { uid: bob, status: 'waiting' };
+
+      await expectHttpsError(playLeagueFixtureHandler(request, contextFor(alice)), 'failed-precondition', 'looking for a quick match');
+    });
+  });
+
+  describe('Playing', () => {
+    it('should create a match in the league\'s format', async () => {
+      const result = await playLeagueFixtureHandler(request, contextFor(bob));
+
+      expect(result.success).to.equal(true);
+      const match = docs[`matches/${result.matchId}`];
+      expect(match).to.deep.include({
+        source: 'league',
+        status: 'toss',
+        league: { league_id: leagueId, fixture_id: fixtureId }
+      });
+      expect(match.players).to.deep.equal([alice, bob]);
+      expect(match.format).to.deep.equal(resolveFormat('t1'));
+    });
+
+    it('should mark the fixture as being played', async () => {
+      const { matchId } = await playLeagueFixtureHandler(request, contextFor(alice));
+
+      expect(docs[fixturePath]).to.include({ status: 'playing', match_id: matchId });
+    });
+
+    it('should replay a fixture whose game was abandoned', async () => {
+      docs[fixturePath] = { ...docs[fixturePath], status: 'playing', match_id: 'match-1' };
+      docs['matches/match-1'] = { status: 'abandoned' };
+
+      const { matchId } = await playLeagueFixtureHandler(request, contextFor(alice));
+
+      expect(matchId).to.not.equal('match-1');
+      expect(docs[fixturePath].match_id).to.equal(matchId);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = playLeagueFixtureHandler(request, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for presenceDisconnect Realtime Database trigger
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const config = require('../config');
+
+describe('presenceDisconnect', () => {
+  let sandbox;
+  let firestoreStub;
+  let queueDocRefStub;
+  let matchDocs;
+  let presenceDisconnectHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ params: { uid } });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    matchDocs = {};
+
+    const refFor = id => ({ id, path: `matches/${id}` });
+
+    queueDocRefStub = {
+      get: sandbox.stub().resolves({ exists: true }),
+      delete: sandbox.stub().resolves()
+    };
+
+    // Query returns the active matches the user plays in
+    let queryUid;
+    const matchesQueryStub = {
+      where: sandbox.stub().callsFake((field, op, value) => {
+        if (field === 'players') {
+          queryUid = value;
+        }
+        return matchesQueryStub;
+      }),
+      get: sandbox.stub().callsFake(async () => {
+        const docs = Object.entries(matchDocs)
+          .filter(([, match]) => match.players.includes(queryUid) &&
+            ['toss', 'in_progress'].includes(match.status))
+          .map(([id]) => ({ id, ref: refFor(id) }));
+        return { size: docs.length, docs };
+      })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => (name === 'matches'
+        ? matchesQueryStub
+        : { doc: sandbox.stub().returns(queueDocRefStub) })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!matchDocs[ref.id],
+            data: () => JSON.parse(JSON.stringify(matchDocs[ref.id]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDocs[ref.id] = { ...matchDocs[ref.id], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/presenceDisconnect')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const presenceDisconnect = proxyquire('../handlers/presenceDisconnect', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    presenceDisconnectHandler = presenceDisconnect.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const addMatch = (id, status = 'in_progress', extra = {}) => {
+    matchDocs[id] = { players: [alice, bob], status, ...extra };
+  };
+
+  it('should remove the user from the quick matchmaking queue', async () => {
+    await presenceDisconnectHandler({}, contextFor(alice));
+
+    expect(queueDocRefStub.delete.calledOnce).to.be.true;
+  });
+
+  it('should start the reconnect grace window in active matches', async () => {
+    addMatch('match-1');
+    addMatch('match-2', 'toss');
+    const before = Date.now();
+
+    const marked = await presenceDisconnectHandler({}, contextFor(alice));
+    const match = matchDocs['match-1'];
+
+    expect(marked).to.equal(2);
+    expect(match.disconnected[alice]).to.be.at.least(before + config.RECONNECT_GRACE_MS);
+    expect(match.reconnect_deadline_at_ms).to.equal(match.disconnected[alice]);
+    expect(matchDocs['match-2'].disconnected[alice]).to.be.a('number');
+  });
+
+  it('should leave finished matches alone', async () => {
+    addMatch('match-1', 'completed');
+
+    const marked = await presenceDisconnectHandler({}, contextFor(alice));
+
+    expect(marked).to.equal(0);
+    expect(matchDocs['match-1'].disconnected).to.be.undefined;
+  });
+
+  it('should keep the earliest deadline when both players disconnect', async () => {
+    addMatch('match-1', 'in_progress', {
+      disconnected: { [bob]: 1000 },
+      reconnect_deadline_at_ms: 1000
+    });
+
+    await presenceDisconnectHandler({}, contextFor(alice));
+    const match = matchDocs['match-1'];
+
+    expect(Object.keys(match.disconnected)).to.have.members([alice, bob]);
+    expect(match.reconnect_deadline_at_ms).to.equal(1000);
+  });
+
+  it('should not restart the window of a player already disconnected', async () => {
+    addMatch('match-1', 'in_progress', {
+      disconnected: { [alice]: 1000 },
+      reconnect_deadline_at_ms: 1000
+    });
+
+    const marked = await presenceDisconnectHandler({}, contextFor(alice));
+
+    expect(marked).to.equal(0);
+    expect(matchDocs['match-1'].disconnected[alice]).to.equal(1000);
+  });
+
+  it('should rethrow errors so the trigger is retried', async () => {
+    addMatch('match-1');
+    firestoreStub.runTransaction.rejects(new Error('Transaction failed'));
+
+    try {
+      await presenceDisconnectHandler({}, contextFor(alice));
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.equal('Transaction failed');
+    }
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for presenceReconnect Realtime Database trigger
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const config = require('../config');
+
+describe('presenceReconnect', () => {
+  let sandbox;
+  let firestoreStub;
+  let matchDocs;
+  let presenceReconnectHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ params: { uid } });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    matchDocs = {};
+
+    const refFor = id => ({ id, path: `matches/${id}` });
+
+    // Query returns the active matches the user plays in
+    let queryUid;
+    const matchesQueryStub = {
+      where: sandbox.stub().callsFake((field, op, value) => {
+        if (field === 'players') {
+          queryUid = value;
+        }
+        return matchesQueryStub;
+      }),
+      get: sandbox.stub().callsFake(async () => {
+        const docs = Object.entries(matchDocs)
+          .filter(([, match]) => match.players.includes(queryUid) &&
+            ['toss', 'in_progress'].includes(match.status))
+          .map(([id]) => ({ id, ref: refFor(id) }));
+        return { size: docs.length, docs };
+      })
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(matchesQueryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!matchDocs[ref.id],
+            data: () => JSON.parse(JSON.stringify(matchDocs[ref.id]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDocs[ref.id] = { ...matchDocs[ref.id], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/presenceReconnect')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const presenceReconnect = proxyquire('../handlers/presenceReconnect', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    presenceReconnectHandler = presenceReconnect.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const addMatch = (id, status = 'in_progress', extra = {}) => {
+    matchDocs[id] = { players: [alice, bob], status, ...extra };
+  };
+
+  const disconnectedMatch = (id, status, disconnected, extra = {}) => addMatch(id, status, {
+    disconnected,
+    reconnect_deadline_at_ms: Math.min(...Object.values(disconnected)),
+    ...extra
+  });
+
+  it('should resume the match with a fresh move deadline', async () => {
+    disconnectedMatch('match-1', 'in_progress', { [alice]: Date.now() + 30000 }, {
+      ball: { number: 3, commitments: {}, reveals: {}, deadline_at_ms: 0 }
+    });
+
+    const rejoined = await presenceReconnectHandler({}, contextFor(alice));
+    const match = matchDocs['match-1'];
+
+    expect(rejoined).to.equal(1);
+    expect(match.disconnected).to.deep.equal({});
+    expect(match.reconnect_deadline_at_ms).to.be.null;
+    expect(match.ball.number).to.equal(3);
+    expect(match.ball.deadline_at_ms).to.be.greaterThan(Date.now() + config.MOVE_TIMEOUT_MS - 1000);
+  });
+
+  it('should resume a match in the toss phase with a fresh toss deadline', async () => {
+    disconnectedMatch('match-1', 'toss', { [alice]: Date.now() + 30000 }, {
+      toss: { caller: alice, deadline_at_ms: 0 }
+    });
+
+    await presenceReconnectHandler({}, contextFor(alice));
+    const match = matchDocs['match-1'];
+
+    expect(match.toss.caller).to.equal(alice);
+    expect(match.toss.deadline_at_ms).to.be.greaterThan(Date.now() + config.TOSS_TIMEOUT_MS - 1000);
+  });
+
+  it('should stay paused while the opponent is still disconnected', async () => {
+    const bobDeadline = Date.now() + 20000;
+    disconnectedMatch('match-1', 'in_progress', { [alice]: Date.now() + 30000, [bob]: bobDeadline }, {
+      ball: { number: 1, commitments: {}, reveals: {}, deadline_at_ms: 0 }
+    });
+
+    await presenceReconnectHandler({}, contextFor(alice));
+    const match = matchDocs['match-1'];
+
+    expect(match.disconnected).to.deep.equal({ [bob]: bobDeadline });
+    expect(match.reconnect_deadline_at_ms).to.equal(bobDeadline);
+    expect(match.ball.deadline_at_ms).to.equal(0);
+  });
+
+  it('should not resume after the grace window has passed', async () => {
+    disconnectedMatch('match-1', 'in_progress', { [alice]: Date.now() - 1000 });
+
+    const rejoined = await presenceReconnectHandler({}, contextFor(alice));
+
+    expect(rejoined).to.equal(0);
+    expect(matchDocs['match-1'].disconnected[alice]).to.be.a('number');
+  });
+
+  it('should ignore matches the user was not disconnected from', async () => {
+    addMatch('match-1');
+
+    const rejoined = await presenceReconnectHandler({}, contextFor(alice));
+
+    expect(rejoined).to.equal(0);
+    expect(firestoreStub.runTransaction.calledOnce).to.be.true;
+  });
+});
@@ -6,6 +6,7 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire');
 const functions = require('firebase-functions');
+const config = require('../config');
 
 describe('quickMatch', () => {
   let sandbox;
@@ -15,6 +16,8 @@ describe('quickMatch', () => {
   let firestoreStub;
   let queueCollectionStub;
   let queueDocRefStub;
+  let userDocRefStub;
+  let matchDocRefStub;
   let quickMatchHandler;
   let mockAdmin;
 
@@ -46,6 +49,28 @@ describe('quickMatch', () => {
       doc: sandbox.stub().returns(queueDocRefStub)
     };
 
+    // User profile with a skill rating
+    userDocRefStub = {
+      get: sandbox.stub().resolves({
+        exists: true,
+        data: () => ({ username: 'testuser123', rating: 1620, rating_deviation: 80, rating_volatility: 0.06 })
+      })
+    };
+
+    const usersCollectionStub = {
+      doc: sandbox.stub().returns(userDocRefStub)
+    };
+
+    // The game a previous queue entry was matched into
+    matchDocRefStub = {
+      get: sandbox.stub().resolves({ exists: false })
+    };
+
+    const matchesCollectionStub = {
+      doc: sandbox.stub().returns(matchDocRefStub)
+    };
+    const collections = { users: usersCollectionStub, matches: matchesCollectionStub };
+
     const fieldValueStub = {
       serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
     };
@@ -57,7 +82,7 @@ describe('quickMatch', () => {
     FirestoreConstructor.FieldValue = fieldValueStub;
 
     firestoreStub = {
-      collection: sandbox.stub().returns(queueCollectionStub),
+      collection: sandbox.stub().callsFake(name => collections[name] || queueCollectionStub),
       constructor: FirestoreConstructor
     };
 
@@ -210,7 +235,8 @@ describe('quickMatch', () => {
 
     it('should throw error if user is already waiting in queue', async () => {
       queueDocRefStub.get.resolves({
-        exists: true
+        exists: true,
+        data: () => ({ uid, status: 'waiting' })
       });
 
       try {
@@ -223,6 +249,46 @@ describe('quickMatch', () => {
       }
     });
 
+    it('should re-queue user whose previous entry was already matched', async () => {
+      queueDocRefStub.get.resolves({
+        exists: true,
+        data: () => ({ uid, status: 'matched', match_id: 'match-1' })
+      });
+      matchDocRefStub.get.resolves({
+        exists: true,
+        data: () => ({ status: 'completed' })
+      });
+      queueDocRefStub.set.resolves();
+
+      const result = await quickMatchHandler(data, context);
+      expect(result.success).to.be.true;
+      expect(queueDocRefStub.set.getCall(0).args[0].status).to.equal('waiting');
+    });
+
+    it('should throw error if the matched game is still being played', async () => {
+      queueDocRefStub.get.resolves({
+        exists: true,
+        data: () => ({ uid, status: 'matched', match_id: 'match-1' })
+      });
+
+      for (const status of ['toss', 'in_progress']) {
+        matchDocRefStub.get.resolves({
+          exists: true,
+          data: () => ({ status })
+        });
+
+        try {
+          await quickMatchHandler(data, context);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error).to.be.instanceOf(functions.https.HttpsError);
+          expect(error.code).to.equal('already-exists');
+          expect(error.message).to.equal('User Already In a Match');
+        }
+      }
+      expect(queueDocRefStub.set.called).to.be.false;
+    });
+
     it('should proceed if user is not in queue', async () => {
       queueDocRefStub.get.resolves({
         exists: false
@@ -272,6 +338,56 @@ describe('quickMatch', () => {
       expect(documentData.uid).to.equal(uid);
       expect(documentData.status).to.equal('waiting');
       expect(documentData.created_at).to.equal('SERVER_TIMESTAMP');
+      expect(documentData.format_key).to.equal('bx-w1-n1_6-draw');
+      expect(documentData.queued_at_ms).to.be.a('number');
+    });
+
+    it('should store the rating and rating band on the entry', async () => {
+      await quickMatchHandler(data, context);
+
+      const documentData = queueDocRefStub.set.getCall(0).args[0];
+      expect(documentData.rating).to.equal(1620);
+      expect(documentData.rating_band).to.deep.equal({
+        initial: config.RATING_BAND_INITIAL,
+        growth_per_second: config.RATING_BAND_GROWTH_PER_SECOND,
+        open_after_ms: config.RATING_BAND_OPEN_AFTER_MS
+      });
+    });
+
+    it('should use the initial rating for users without one', async () => {
+      userDocRefStub.get.resolves({ exists: true, data: () => ({ username: 'testuser123' }) });
+
+      await quickMatchHandler(data, context);
+
+      expect(queueDocRefStub.set.getCall(0).args[0].rating).to.equal(1500);
+    });
+
+    it('should store the players the user blocked on the entry', async () => {
+      userDocRefStub.get.resolves({ exists: true, data: () => ({ username: 'testuser123', blocked_uids: ['uid-blocked'] }) });
+
+      await quickMatchHandler(data, context);
+
+      expect(queueDocRefStub.set.getCall(0).args[0].blocked_uids).to.deep.equal(['uid-blocked']);
+    });
+
+    it('should store the requested format on the entry', async () => {
+      await quickMatchHandler({ format: 't1' }, context);
+
+      const documentData = queueDocRefStub.set.getCall(0).args[0];
+      expect(documentData.format).to.include({ balls_per_innings: 6, wickets: 1, tie_breaker: 'super_over' });
+      expect(documentData.format_key).to.equal(documentData.format.key);
+    });
+
+    it('should reject an invalid format', async () => {
+      try {
+        await quickMatchHandler({ format: { wickets: 0 } }, context);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(functions.https.HttpsError);
+        expect(error.code).to.equal('invalid-argument');
+      }
+
+      expect(queueDocRefStub.set.called).to.be.false;
     });
   });
 
@@ -0,0 +1,71 @@
+/**
+ * Tests for the Glicko-2 rating module
+ */
+
+const {expect} = require('chai');
+const rating = require('../utils/rating');
+
+describe('rating', () => {
+  it('should start new players at the default rating', () => {
+    expect(rating.initialRating()).to.deep.equal({
+      rating: 1500,
+      deviation: 350,
+      volatility: 0.06,
+    });
+  });
+
+  it('should match the worked example from the Glicko-2 paper', () => {
+    const player = {rating: 1500, deviation: 200, volatility: 0.06};
+    const updated = rating.updateRating(player, [
+      {opponent: {rating: 1400, deviation: 30}, score: 1},
+      {opponent: {rating: 1550, deviation: 100}, score: 0},
+      {opponent: {rating: 1700, deviation: 300}, score: 0},
+    ]);
+
+    expect(updated.rating).to.be.closeTo(1464.06, 0.01);
+    expect(updated.deviation).to.be.closeTo(151.52, 0.01);
+    expect(updated.volatility).to.be.closeTo(0.05999, 0.00001);
+  });
+
+  it('should only grow the deviation when no games were played', () => {
+    const player = {rating: 1600, deviation: 50, volatility: 0.06};
+    const updated = rating.updateRating(player, []);
+
+    expect(updated.rating).to.equal(1600);
+    expect(updated.deviation).to.be.closeTo(Math.sqrt(50 * 50 + Math.pow(0.06 * 173.7178, 2)), 1e-9);
+  });
+
+  it('should move both players by the same amount between equals', () => {
+    const [winner, loser] = rating.rateGame(rating.initialRating(), rating.initialRating(), rating.SCORES.win);
+
+    expect(winner.rating).to.be.greaterThan(1500);
+    expect(loser.rating).to.be.lessThan(1500);
+    expect(winner.rating - 1500).to.be.closeTo(1500 - loser.rating, 1e-9);
+    expect(winner.deviation).to.be.lessThan(350);
+    expect(winner.deviation).to.be.closeTo(loser.deviation, 1e-9);
+  });
+
+  it('should leave equal players unchanged on a tie', () => {
+    const [first, second] = rating.rateGame(rating.initialRating(), rating.initialRating(), rating.SCORES.tie);
+
+    expect(first.rating).to.be.closeTo(1500, 1e-9);
+    expect(second.rating).to.be.closeTo(1500, 1e-9);
+  });
+
+  it('should reward an upset more than an expected win', () => {
+    const strong = {rating: 1800, deviation: 80, volatility: 0.06};
+    const weak = {rating: 1400, deviation: 80, volatility: 0.06};
+
+    const [expectedWin] = rating.rateGame(strong, weak, rating.SCORES.win);
+    const [upset] = rating.rateGame(weak, strong, rating.SCORES.win);
+
+    expect(upset.rating - weak.rating).to.be.greaterThan(expectedWin.rating - strong.rating);
+  });
+
+  it('should be deterministic', () => {
+    const a = {rating: 1523.4, deviation: 120.5, volatility: 0.0601};
+    const b = {rating: 1611.9, deviation: 75.2, volatility: 0.0598};
+
+    expect(rating.rateGame(a, b, 0)).to.deep.equal(rating.rateGame(a, b, 0));
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Tests for registerForTournament Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('registerForTournament', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let registerForTournamentHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const tournamentId = 'cup-1';
+  const now = 1000000;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path, a two player cup with one entrant
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234', rating: 1620 },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`tournaments/${tournamentId}`]: {
+        name: 'Sunday Cup',
+        status: 'registration',
+        max_players: 2,
+        player_count: 0,
+        starts_at_ms: now + 60000
+      }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: id => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/registerForTournament')];
+    delete require.cache[require.resolve('../services/ratings')];
+    delete require.cache[require.resolve('../services/tournaments')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockRatings = proxyquire('../services/ratings', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockTournaments = proxyquire('../services/tournaments', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      './matches': mockMatches
+    });
+
+    const registerForTournament = proxyquire('../handlers/registerForTournament', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/ratings': mockRatings,
+      '../services/tournaments': mockTournaments
+    });
+    registerForTournamentHandler = registerForTournament.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(registerForTournamentHandler({ tournamentId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a tournamentId', async () => {
+      await expectHttpsError(registerForTournamentHandler({}, contextFor(alice)), 'invalid-argument', 'tournamentId is required');
+    });
+
+    it('should reject an unknown tournament', async () => {
+      await expectHttpsError(registerForTournamentHandler({ tournamentId: 'nope' }, contextFor(alice)), 'not-found', 'Tournament not found');
+    });
+  });
+
+  describe('Registering', () => {
+    it('should add the entrant with their rating', async () => {
+      const result = await registerForTournamentHandler({ tournamentId }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, playerCount: 1 });
+      expect(docs[`tournaments/${tournamentId}/entrants/${alice}`]).to.deep.equal({
+        uid: alice,
+        username: 'alice_1234',
+        rating: 1620,
+        seed: null,
+        status: 'registered',
+        slot_id: null,
+        eliminated_in_round: null,
+        registered_at: 'SERVER_TIMESTAMP',
+        registered_at_ms: now
+      });
+      expect(docs[`tournaments/${tournamentId}`].player_count).to.equal(1);
+    });
+
+    it('should give unrated players the initial rating', async () => {
+      await registerForTournamentHandler({ tournamentId }, contextFor(bob));
+
+      expect(docs[`tournaments/${tournamentId}/entrants/${bob}`].rating).to.equal(1500);
+    });
+
+    it('should not register a player twice', async () => {
+      await registerForTournamentHandler({ tournamentId }, contextFor(alice));
+
+      await expectHttpsError(registerForTournamentHandler({ tournamentId }, contextFor(alice)), 'already-exists', 'Already registered');
+      expect(docs[`tournaments/${tournamentId}`].player_count).to.equal(1);
+    });
+
+    it('should turn players away once the tournament is full', async () => {
+      docs[`tournaments/${tournamentId}`].player_count = 2;
+
+      await expectHttpsError(registerForTournamentHandler({ tournamentId }, contextFor(alice)), 'resource-exhausted', 'Tournament is full');
+    });
+
+    it('should close registration at the start time', async () => {
+      clock.tick(60000);
+
+      await expectHttpsError(registerForTournamentHandler({ tournamentId }, contextFor(alice)), 'failed-precondition', 'Registration is closed');
+    });
+
+    it('should close registration once the tournament is under way', async () => {
+      docs[`tournaments/${tournamentId}`].status = 'in_progress';
+
+      await expectHttpsError(registerForTournamentHandler({ tournamentId }, contextFor(alice)), 'failed-precondition', 'Registration is closed');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should wrap unexpected errors', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = registerForTournamentHandler({ tournamentId }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for releaseUsernames scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+
+describe('releaseUsernames', () => {
+  let sandbox;
+  let firestoreStub;
+  let usernameDocs;
+  let releaseUsernamesHandler;
+  let mockAdmin;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    usernameDocs = {};
+
+    const refFor = id => ({ id, path: `usernames/${id}` });
+
+    // Query returns every reservation whose hold has passed
+    const queryStub = {
+      where: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      get: sandbox.stub().callsFake(async () => {
+        const docs = Object.entries(usernameDocs)
+          .filter(([, reservation]) => typeof reservation.held_until_ms === 'number' &&
+            reservation.held_until_ms <= Date.now())
+          .map(([id]) => ({ id, ref: refFor(id) }));
+        return { size: docs.length, docs };
+      })
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(queryStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!usernameDocs[ref.id],
+            data: () => JSON.parse(JSON.stringify(usernameDocs[ref.id]))
+          })),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete usernameDocs[ref.id];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+
+    mockAdmin = {
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/releaseUsernames')];
+
+    const releaseUsernames = proxyquire('../handlers/releaseUsernames', {
+      'firebase-admin': mockAdmin
+    });
+    releaseUsernamesHandler = releaseUsernames.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should release names whose hold has passed', async () => {
+    usernameDocs.alice_1234 = { uid: 'uid-alice', held_until_ms: Date.now() - 1000 };
+
+    const released = await releaseUsernamesHandler({});
+
+    expect(released).to.equal(1);
+    expect(usernameDocs).to.not.have.property('alice_1234');
+  });
+
+  it('should keep names that are still held or in use', async () => {
+    usernameDocs.alice_1234 = { uid: 'uid-alice', held_until_ms: Date.now() + 60000 };
+    usernameDocs.bobby_1234 = { uid: 'uid-bob' };
+
+    const released = await releaseUsernamesHandler({});
+
+    expect(released).to.equal(0);
+    expect(Object.keys(usernameDocs)).to.have.members(['alice_1234', 'bobby_1234']);
+  });
+
+  it('should not release a name reclaimed since the query', async () => {
+    usernameDocs.alice_1234 = { uid: 'uid-alice', held_until_ms: Date.now() - 1000 };
+    const originalGet = firestoreStub.collection().get;
+    firestoreStub.collection().get = async () => {
+      const snapshot = await originalGet();
+      // Alice claims the name back before the transaction runs
+      usernameDocs.alice_1234 = { uid: 'uid-alice' };
+      return snapshot;
+    };
+
+    const released = await releaseUsernamesHandler({});
+
+    expect(released).to.equal(0);
+    expect(usernameDocs.alice_1234).to.deep.equal({ uid: 'uid-alice' });
+  });
+
+  it('should keep going when one name fails', async () => {
+    usernameDocs.alice_1234 = { uid: 'uid-alice', held_until_ms: Date.now() - 1000 };
+    usernameDocs.bobby_1234 = { uid: 'uid-bob', held_until_ms: Date.now() - 1000 };
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Database error'));
+
+    const released = await releaseUsernamesHandler({});
+
+    expect(released).to.equal(1);
+    expect(Object.keys(usernameDocs)).to.have.lengthOf(1);
+  });
+});
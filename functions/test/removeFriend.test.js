@@ -0,0 +1,178 @@
+/**
+ * Tests for removeFriend Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { usernameKey } = require('../utils/username');
+
+describe('removeFriend', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let removeFriendHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`usernames/${usernameKey('alice_1234')}`]: { uid: alice, username: 'alice_1234' },
+      [`usernames/${usernameKey('bobby_1234')}`]: { uid: bob, username: 'bobby_1234' },
+      [`friends/${alice}_${bob}`]: { uid: alice, friend_uid: bob, created_at: 'EARLIER' },
+      [`friends/${bob}_${alice}`]: { uid: bob, friend_uid: alice, created_at: 'EARLIER' }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({ id, path: `${name}/${id}` })
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/removeFriend')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/usernames')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const removeFriend = proxyquire('../handlers/removeFriend', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/friends': mockFriends,
+      '../services/usernames': mockUsernames
+    });
+    removeFriendHandler = removeFriend.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(removeFriendHandler({ username: 'bobby_1234' }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a valid username', async () => {
+      await expectHttpsError(removeFriendHandler({}, contextFor(alice)), 'invalid-argument', 'username');
+    });
+
+    it('should throw not-found for an unknown username', async () => {
+      await expectHttpsError(removeFriendHandler({ username: 'nobody_1234' }, contextFor(alice)), 'not-found', 'player not found');
+    });
+  });
+
+  describe('Removal', () => {
+    it('should remove both sides of the friendship', async () => {
+      const result = await removeFriendHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, removed: true });
+      expect(docs[`friends/${alice}_${bob}`]).to.equal(undefined);
+      expect(docs[`friends/${bob}_${alice}`]).to.equal(undefined);
+    });
+
+    it('should withdraw pending requests in either direction', async () => {
+      delete docs[`friends/${alice}_${bob}`];
+      delete docs[`friends/${bob}_${alice}`];
+      docs[`friend_requests/${alice}_${bob}`] = { from_uid: alice, to_uid: bob };
+
+      const result = await removeFriendHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(result.removed).to.equal(false);
+      expect(docs[`friend_requests/${alice}_${bob}`]).to.equal(undefined);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = removeFriendHandler({ username: 'bobby_1234' }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
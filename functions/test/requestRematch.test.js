@@ -0,0 +1,230 @@
+/**
+ * Tests for requestRematch Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const config = require('../config');
+
+describe('requestRematch', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let online;
+  let docs;
+  let requestRematchHandler;
+  let mockAdmin;
+
+  const matchId = 'match-1';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const now = 1000000;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(now);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // Players with a presence entry
+    online = new Set([alice, bob, carol]);
+    const rtdbStub = {
+      ref: path => ({
+        once: async () => ({ exists: () => online.has(path.split('/').pop()) })
+      })
+    };
+
+    // In-memory documents keyed by path, alice won a completed match against bob
+    docs = {
+      [`matches/${matchId}`]: {
+        players: [alice, bob],
+        source: 'quick_match',
+        status: 'completed',
+        toss: { caller: alice },
+        result: { winner: alice, loser: bob, tie: false }
+      }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({ id, path: `${name}/${id}` })
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub,
+      database: () => rtdbStub
+    };
+
+    delete require.cache[require.resolve('../handlers/requestRematch')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const requestRematch = proxyquire('../handlers/requestRematch', {
+      'firebase-admin': mockAdmin,
+      '../services/friends': mockFriends,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore
+    });
+    requestRematchHandler = requestRematch.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(requestRematchHandler({ matchId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a matchId', async () => {
+      await expectHttpsError(requestRematchHandler({}, contextFor(alice)), 'invalid-argument', 'matchId is required');
+    });
+
+    it('should require the caller to be online', async () => {
+      online.delete(alice);
+
+      await expectHttpsError(requestRematchHandler({ matchId }, contextFor(alice)), 'failed-precondition', 'User Not Online');
+    });
+
+    it('should throw not-found for an unknown match', async () => {
+      await expectHttpsError(requestRematchHandler({ matchId: 'nope' }, contextFor(alice)), 'not-found', 'Match not found');
+    });
+
+    it('should only let players ask for a rematch', async () => {
+      await expectHttpsError(requestRematchHandler({ matchId }, contextFor(carol)), 'permission-denied');
+    });
+
+    it('should reject a match that is not completed', async () => {
+      docs[`matches/${matchId}`].status = 'abandoned';
+
+      await expectHttpsError(
+        requestRematchHandler({ matchId }, contextFor(alice)),
+        'failed-precondition',
+        'Only a completed match can be replayed'
+      );
+    });
+  });
+
+  describe('Offer', () => {
+    it('should record the offer with its expiry', async () => {
+      const result = await requestRematchHandler({ matchId }, contextFor(bob));
+
+      const expiresAtMs = now + config.REMATCH_OFFER_TTL_MS;
+      expect(result).to.deep.equal({ success: true, expiresAtMs });
+      expect(docs[`matches/${matchId}`].rematch).to.deep.equal({
+        requested_by: bob,
+        requested_at: 'SERVER_TIMESTAMP',
+        expires_at_ms: expiresAtMs,
+        match_id: null
+      });
+    });
+
+    it('should reject a second offer while the first is open', async () => {
+      await requestRematchHandler({ matchId }, contextFor(bob));
+
+      await expectHttpsError(requestRematchHandler({ matchId }, contextFor(bob)), 'already-exists', 'Rematch already requested');
+      await expectHttpsError(
+        requestRematchHandler({ matchId }, contextFor(alice)),
+        'already-exists',
+        'Your opponent already asked for a rematch'
+      );
+    });
+
+    it('should allow a new offer once the last one has lapsed', async () => {
+      await requestRematchHandler({ matchId }, contextFor(bob));
+      clock.tick(config.REMATCH_OFFER_TTL_MS);
+
+      await requestRematchHandler({ matchId }, contextFor(alice));
+
+      expect(docs[`matches/${matchId}`].rematch.requested_by).to.equal(alice);
+    });
+
+    it('should not offer a rematch to a blocked player', async () => {
+      docs[`users/${bob}`] = { username: 'bobby_1234', blocked_uids: [alice] };
+
+      await expectHttpsError(requestRematchHandler({ matchId }, contextFor(bob)), 'permission-denied', 'You cannot play this player');
+      expect(docs[`matches/${matchId}`].rematch).to.equal(undefined);
+    });
+
+    it('should reject an offer once the rematch has been played', async () => {
+      docs[`matches/${matchId}`].rematch = { requested_by: bob, expires_at_ms: 0, match_id: 'match-2' };
+
+      await expectHttpsError(requestRematchHandler({ matchId }, contextFor(alice)), 'already-exists', 'Rematch already played');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = requestRematchHandler({ matchId }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
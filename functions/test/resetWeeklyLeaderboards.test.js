@@ -0,0 +1,210 @@
+/**
+ * Tests for resetWeeklyLeaderboards scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { isoWeek } = require('../utils/leaderboard');
+
+describe('resetWeeklyLeaderboards', () => {
+  let sandbox;
+  let firestoreStub;
+  let docs;
+  let resetWeeklyLeaderboardsHandler;
+  let mockAdmin;
+
+  const week = isoWeek(Date.now());
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    // In-memory documents keyed by path
+    docs = {
+      'weekly_leaderboard/2024-W05_uid-a': { uid: 'uid-a', week: '2024-W05', wins: 3 },
+      'weekly_leaderboard/2024-W06_uid-b': { uid: 'uid-b', week: '2024-W06', wins: 1 },
+      [`weekly_leaderboard/${week}_uid-a`]: { uid: 'uid-a', week, wins: 2 }
+    };
+
+    const refFor = (name, id) => ({ id, path: `${name}/${id}` });
+
+    // Query returns the entries of weeks before the filter value, by week and ID, a page at a time
+    const queryFor = (name, page = {}) => ({
+      doc: id => refFor(name, id),
+      where: (field, op, value) => queryFor(name, { ...page, field, value }),
+      orderBy: () => queryFor(name, page),
+      limit: count => queryFor(name, { ...page, limit: count }),
+      startAfter: doc => queryFor(name, { ...page, after: [doc.data().week, doc.id] }),
+      get: async () => {
+        const found = Object.keys(docs)
+          .filter(path => path.startsWith(`${name}/`) && docs[path][page.field] < page.value)
+          .map(path => ({ id: path.split('/')[1], week: docs[path].week, data: JSON.parse(JSON.stringify(docs[path])) }))
+          .sort((a, b) => a.week.localeCompare(b.week) || a.id.localeCompare(b.id))
+          .filter(entry => !page.after || entry.week > page.after[0] ||
+            (entry.week === page.after[0] && entry.id > page.after[1]))
+          .slice(0, page.limit)
+          .map(entry => ({ id: entry.id, ref: refFor(name, entry.id), data: () => entry.data }));
+        return { size: found.length, docs: found };
+      }
+    });
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(queryFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    const firestore = () => firestoreStub;
+    firestore.FieldPath = { documentId: () => '__name__' };
+    mockAdmin = {
+      firestore
+    };
+
+    delete require.cache[require.resolve('../handlers/resetWeeklyLeaderboards')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const resetWeeklyLeaderboards = proxyquire('../handlers/resetWeeklyLeaderboards', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+    resetWeeklyLeaderboardsHandler = resetWeeklyLeaderboards.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should move entries of past weeks to the archive', async () => {
+    const archived = await resetWeeklyLeaderboardsHandler({});
+
+    expect(archived).to.equal(2);
+    expect(docs['leaderboard_archives/2024-W05_uid-a']).to.deep.equal({
+      uid: 'uid-a', week: '2024-W05', wins: 3, archived_at: 'SERVER_TIMESTAMP'
+    });
+    expect(docs['leaderboard_archives/2024-W06_uid-b']).to.include({ week: '2024-W06', wins: 1 });
+    expect(docs).to.not.have.property('weekly_leaderboard/2024-W05_uid-a');
+    expect(docs).to.not.have.property('weekly_leaderboard/2024-W06_uid-b');
+  });
+
+  it('should keep entries of the current week', async () => {
+    await resetWeeklyLeaderboardsHandler({});
+
+    expect(docs[`weekly_leaderboard/${week}_uid-a`]).to.deep.equal({ uid: 'uid-a', week, wins: 2 });
+    expect(docs).to.not.have.property(`leaderboard_archives/${week}_uid-a`);
+  });
+
+  it('should skip entries archived since the query', async () => {
+    const originalCollection = firestoreStub.collection;
+    firestoreStub.collection = sandbox.stub().callsFake((name) => {
+      const query = originalCollection(name);
+      const racing = q => ({
+        ...q,
+        where: (...args) => racing(q.where(...args)),
+        orderBy: (...args) => racing(q.orderBy(...args)),
+        limit: count => racing(q.limit(count)),
+        get: async () => {
+          const snapshot = await q.get();
+          // Another run archives the entry first
+          delete docs['weekly_leaderboard/2024-W05_uid-a'];
+          return snapshot;
+        }
+      });
+      return racing(query);
+    });
+
+    const archived = await resetWeeklyLeaderboardsHandler({});
+
+    expect(archived).to.equal(1);
+    expect(docs).to.not.have.property('leaderboard_archives/2024-W05_uid-a');
+  });
+
+  it('should move a whole past week in one run, batch after batch', async () => {
+    for (let i = 0; i < 250; i++) {
+      docs[`weekly_leaderboard/2024-W07_uid-${i}`] = { uid: `uid-${i}`, week: '2024-W07', wins: i };
+    }
+
+    const archived = await resetWeeklyLeaderboardsHandler({});
+
+    expect(archived).to.equal(252);
+    expect(Object.keys(docs).filter(path => path.startsWith('weekly_leaderboard/'))).to.deep.equal([
+      `weekly_leaderboard/${week}_uid-a`
+    ]);
+  });
+
+  it('should stop when a full batch cannot be moved', async () => {
+    for (let i = 0; i < 100; i++) {
+      docs[`weekly_leaderboard/2024-W07_uid-${i}`] = { uid: `uid-${i}`, week: '2024-W07', wins: i };
+    }
+    firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+    const archived = await resetWeeklyLeaderboardsHandler({});
+
+    expect(archived).to.equal(0);
+    expect(firestoreStub.runTransaction.callCount).to.equal(100);
+  });
+
+  it('should not retry failed entries within the same run', async () => {
+    for (let i = 0; i < 250; i++) {
+      docs[`weekly_leaderboard/2024-W07_uid-${String(i).padStart(3, '0')}`] = { uid: `uid-${i}`, week: '2024-W07', wins: i };
+    }
+    // The first ten entries cannot be moved this run
+    firestoreStub.runTransaction.callsFake(async (callback) => {
+      const transaction = {
+        get: async (ref) => {
+          if (/_uid-00\d$/.test(ref.path)) {
+            throw new Error('Database error');
+          }
+          return { exists: !!docs[ref.path], data: () => JSON.parse(JSON.stringify(docs[ref.path])) };
+        },
+        set: (ref, data) => {
+          docs[ref.path] = data;
+        },
+        delete: (ref) => {
+          delete docs[ref.path];
+        }
+      };
+      return callback(transaction);
+    });
+
+    const archived = await resetWeeklyLeaderboardsHandler({});
+
+    expect(archived).to.equal(242);
+    expect(firestoreStub.runTransaction.callCount).to.equal(252);
+    expect(Object.keys(docs).filter(path => path.startsWith('weekly_leaderboard/2024-W07'))).to.have.lengthOf(10);
+  });
+
+  it('should keep going when one entry fails', async () => {
+    firestoreStub.runTransaction.onFirstCall().rejects(new Error('Database error'));
+
+    const archived = await resetWeeklyLeaderboardsHandler({});
+
+    expect(archived).to.equal(1);
+    expect(Object.keys(docs).filter(path => path.startsWith('leaderboard_archives/'))).to.have.lengthOf(1);
+  });
+});
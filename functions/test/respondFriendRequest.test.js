@@ -0,0 +1,197 @@
+/**
+ * Tests for respondFriendRequest Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { usernameKey } = require('../utils/username');
+
+describe('respondFriendRequest', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let respondFriendRequestHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`usernames/${usernameKey('alice_1234')}`]: { uid: alice, username: 'alice_1234' },
+      [`usernames/${usernameKey('bobby_1234')}`]: { uid: bob, username: 'bobby_1234' },
+      [`friend_requests/${bob}_${alice}`]: { from_uid: bob, to_uid: alice, created_at: 'EARLIER' }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({ id, path: `${name}/${id}` })
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/respondFriendRequest')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/usernames')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const respondFriendRequest = proxyquire('../handlers/respondFriendRequest', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/friends': mockFriends,
+      '../services/usernames': mockUsernames
+    });
+    respondFriendRequestHandler = respondFriendRequest.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(
+        respondFriendRequestHandler({ username: 'bobby_1234', accept: true }, { auth: null, app: {} }),
+        'unauthenticated'
+      );
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a valid username', async () => {
+      await expectHttpsError(respondFriendRequestHandler({ accept: true }, contextFor(alice)), 'invalid-argument', 'username');
+    });
+
+    it('should require accept to be a boolean', async () => {
+      await expectHttpsError(
+        respondFriendRequestHandler({ username: 'bobby_1234', accept: 'yes' }, contextFor(alice)),
+        'invalid-argument',
+        'accept must be true or false'
+      );
+    });
+
+    it('should throw not-found without a request from that player', async () => {
+      await expectHttpsError(
+        respondFriendRequestHandler({ username: 'alice_1234', accept: true }, contextFor(bob)),
+        'not-found',
+        'friend request not found'
+      );
+    });
+
+    it('should throw not-found for an unknown username', async () => {
+      await expectHttpsError(
+        respondFriendRequestHandler({ username: 'nobody_1234', accept: true }, contextFor(alice)),
+        'not-found'
+      );
+    });
+  });
+
+  describe('Responses', () => {
+    it('should make both players friends on accept', async () => {
+      const result = await respondFriendRequestHandler({ username: 'bobby_1234', accept: true }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, accepted: true });
+      expect(docs[`friend_requests/${bob}_${alice}`]).to.equal(undefined);
+      expect(docs[`friends/${alice}_${bob}`]).to.deep.equal({ uid: alice, friend_uid: bob, created_at: 'SERVER_TIMESTAMP' });
+      expect(docs[`friends/${bob}_${alice}`]).to.deep.equal({ uid: bob, friend_uid: alice, created_at: 'SERVER_TIMESTAMP' });
+    });
+
+    it('should only remove the request on decline', async () => {
+      const result = await respondFriendRequestHandler({ username: 'bobby_1234', accept: false }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, accepted: false });
+      expect(docs[`friend_requests/${bob}_${alice}`]).to.equal(undefined);
+      expect(docs[`friends/${alice}_${bob}`]).to.equal(undefined);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = respondFriendRequestHandler({ username: 'bobby_1234', accept: true }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
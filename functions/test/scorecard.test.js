@@ -0,0 +1,133 @@
+/**
+ * Tests for scorecard utilities
+ */
+
+const {expect} = require('chai');
+const engine = require('../utils/gameEngine');
+const {resolveFormat} = require('../utils/matchFormat');
+const {
+  REPLAY_VERSION,
+  buildScorecard,
+  encodeReplay,
+  decodeReplay,
+  ballStatus,
+  tossStatus,
+} = require('../utils/scorecard');
+
+describe('scorecard', () => {
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const players = [alice, bob];
+
+  /**
+   * Plays balls given as [batterPick, bowlerPick] pairs
+   *
+   * @param {Object} game - Game state
+   * @param {Array<number[]>} balls - Picks of each ball
+   * @return {Object} Game state after the last ball
+   */
+  const play = (game, balls) => balls.reduce((state, [batterPick, bowlerPick]) => {
+    const innings = state.innings[state.innings.length - 1];
+    return engine.playBall(state, {[innings.batter]: batterPick, [innings.bowler]: bowlerPick});
+  }, game);
+
+  // Alice scores 9 and is out, Bob is out for 1 chasing 10
+  const finishedGame = () => play(
+      engine.createGame({battingFirst: alice, bowlingFirst: bob}),
+      [[4, 3], [5, 2], [6, 6], [1, 3], [2, 2]]
+  );
+
+  describe('buildScorecard', () => {
+    it('should return null before the game starts', () => {
+      expect(buildScorecard(null)).to.be.null;
+    });
+
+    it('should total each innings and number every ball', () => {
+      const scorecard = buildScorecard(finishedGame());
+
+      expect(scorecard.innings).to.have.length(2);
+      expect(scorecard.innings[0]).to.include({
+        number: 1, super_over: false, batter: alice, bowler: bob, runs: 9, wickets: 1, balls: 3, target: null,
+      });
+      expect(scorecard.innings[0].deliveries[2]).to.deep.equal({
+        ball: 3, batter_pick: 6, bowler_pick: 6, runs: 0, out: true,
+      });
+      expect(scorecard.innings[1]).to.include({batter: bob, runs: 1, wickets: 1, target: 10});
+    });
+
+    it('should flag super over innings', () => {
+      // Both sides are out for 0, so the tie goes to a super over
+      const game = play(
+          engine.createGame({battingFirst: alice, bowlingFirst: bob, format: resolveFormat('t1')}),
+          [[3, 3], [2, 2], [4, 1]]
+      );
+      const scorecard = buildScorecard(game);
+
+      expect(scorecard.innings.map((innings) => innings.super_over)).to.deep.equal([false, false, true]);
+      expect(scorecard.innings[2]).to.include({batter: bob, runs: 4, target: null});
+    });
+  });
+
+  describe('replay', () => {
+    it('should encode two characters per ball with innings split by "|"', () => {
+      const replay = encodeReplay(finishedGame());
+
+      expect(replay).to.deep.equal({version: REPLAY_VERSION, players, data: '0:435266|1:1322'});
+    });
+
+    it('should return null before the game starts', () => {
+      expect(encodeReplay(null)).to.be.null;
+    });
+
+    it('should round-trip through decodeReplay', () => {
+      const game = finishedGame();
+      const innings = decodeReplay(encodeReplay(game));
+
+      expect(innings).to.deep.equal(game.innings.map(({batter, bowler, log}) => ({batter, bowler, log})));
+    });
+
+    it('should encode a pick of 10 as a single character', () => {
+      const game = play(
+          engine.createGame({battingFirst: alice, bowlingFirst: bob, format: resolveFormat({numbers: 'zero_to_ten'})}),
+          [[10, 1]]
+      );
+      const replay = encodeReplay(game);
+
+      expect(replay.data).to.equal('0:a1');
+      expect(decodeReplay(replay)[0].log[0]).to.deep.equal({batter_pick: 10, bowler_pick: 1, runs: 10, out: false});
+    });
+  });
+
+  describe('ballStatus', () => {
+    it('should show who has acted but not their picks', () => {
+      const status = ballStatus({
+        number: 4,
+        commitments: {[alice]: 'c'.repeat(64), [bob]: 'd'.repeat(64)},
+        reveals: {[alice]: {pick: 5, nonce: 'nonce-0123456789abcdef'}},
+        deadline_at_ms: 1000,
+      }, players);
+
+      expect(status).to.deep.equal({
+        number: 4,
+        committed: {[alice]: true, [bob]: true},
+        revealed: {[alice]: true, [bob]: false},
+        deadline_at_ms: 1000,
+      });
+    });
+  });
+
+  describe('tossStatus', () => {
+    const toss = (fingers) => ({caller: alice, call: 'odd', fingers, winner: null, choice: null, deadline_at_ms: 1000});
+
+    it('should hide fingers until both players have shown', () => {
+      const status = tossStatus(toss({[alice]: 3}), players);
+
+      expect(status.shown).to.deep.equal({[alice]: true, [bob]: false});
+      expect(status.fingers).to.be.null;
+    });
+
+    it('should show fingers once both players have shown', () => {
+      expect(tossStatus(toss({[alice]: 3, [bob]: 2}), players).fingers).to.deep.equal({[alice]: 3, [bob]: 2});
+    });
+  });
+});
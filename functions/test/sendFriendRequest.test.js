@@ -0,0 +1,217 @@
+/**
+ * Tests for sendFriendRequest Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const { usernameKey } = require('../utils/username');
+
+describe('sendFriendRequest', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let sendFriendRequestHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' },
+      [`users/${bob}`]: { username: 'bobby_1234' },
+      [`usernames/${usernameKey('alice_1234')}`]: { uid: alice, username: 'alice_1234' },
+      [`usernames/${usernameKey('bobby_1234')}`]: { uid: bob, username: 'bobby_1234' },
+      [`usernames/${usernameKey('bobby_0000')}`]: { uid: bob, username: 'bobby_0000', released_at: 'EARLIER', held_until_ms: 2000000 }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: id => ({ id, path: `${name}/${id}` })
+      })),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/sendFriendRequest')];
+    delete require.cache[require.resolve('../services/friends')];
+    delete require.cache[require.resolve('../services/usernames')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFriends = proxyquire('../services/friends', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockUsernames = proxyquire('../services/usernames', {
+      'firebase-admin': mockAdmin
+    });
+
+    const sendFriendRequest = proxyquire('../handlers/sendFriendRequest', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/friends': mockFriends,
+      '../services/usernames': mockUsernames
+    });
+    sendFriendRequestHandler = sendFriendRequest.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(sendFriendRequestHandler({ username: 'bobby_1234' }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    [undefined, 42, '', 'Not A Name'].forEach((input) => {
+      it(`should reject username ${JSON.stringify(input)}`, async () => {
+        await expectHttpsError(
+          sendFriendRequestHandler({ username: input }, contextFor(alice)),
+          'invalid-argument',
+          'username must be a valid username'
+        );
+      });
+    });
+
+    it('should throw not-found for an unknown username', async () => {
+      await expectHttpsError(sendFriendRequestHandler({ username: 'nobody_1234' }, contextFor(alice)), 'not-found', 'player not found');
+    });
+
+    it('should not resolve a name given up in a rename', async () => {
+      await expectHttpsError(sendFriendRequestHandler({ username: 'bobby_0000' }, contextFor(alice)), 'not-found');
+    });
+
+    it('should reject a request to yourself', async () => {
+      await expectHttpsError(sendFriendRequestHandler({ username: 'alice_1234' }, contextFor(alice)), 'invalid-argument', 'yourself');
+    });
+  });
+
+  describe('Requests', () => {
+    it('should record a pending request', async () => {
+      const result = await sendFriendRequestHandler({ username: ' bobby_1234 ' }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, status: 'pending' });
+      expect(docs[`friend_requests/${alice}_${bob}`]).to.deep.equal({
+        from_uid: alice,
+        to_uid: bob,
+        created_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should reject a second request', async () => {
+      await sendFriendRequestHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      await expectHttpsError(
+        sendFriendRequestHandler({ username: 'bobby_1234' }, contextFor(alice)),
+        'already-exists',
+        'friend request already sent'
+      );
+    });
+
+    it('should make both players friends if the other already asked', async () => {
+      await sendFriendRequestHandler({ username: 'alice_1234' }, contextFor(bob));
+
+      const result = await sendFriendRequestHandler({ username: 'bobby_1234' }, contextFor(alice));
+
+      expect(result.status).to.equal('accepted');
+      expect(docs[`friend_requests/${bob}_${alice}`]).to.equal(undefined);
+      expect(docs[`friends/${alice}_${bob}`]).to.deep.equal({ uid: alice, friend_uid: bob, created_at: 'SERVER_TIMESTAMP' });
+      expect(docs[`friends/${bob}_${alice}`]).to.deep.equal({ uid: bob, friend_uid: alice, created_at: 'SERVER_TIMESTAMP' });
+    });
+
+    it('should reject a request to a friend', async () => {
+      docs[`friends/${alice}_${bob}`] = { uid: alice, friend_uid: bob };
+
+      await expectHttpsError(sendFriendRequestHandler({ username: 'bobby_1234' }, contextFor(alice)), 'already-exists', 'already friends');
+    });
+
+    it('should reject a request across a block', async () => {
+      docs[`users/${alice}`].blocked_uids = [bob];
+
+      await expectHttpsError(sendFriendRequestHandler({ username: 'bobby_1234' }, contextFor(alice)), 'permission-denied');
+      expect(docs[`friend_requests/${alice}_${bob}`]).to.equal(undefined);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = sendFriendRequestHandler({ username: 'bobby_1234' }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+
+      await assertion;
+    });
+  });
+});
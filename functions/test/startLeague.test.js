@@ -0,0 +1,230 @@
+/**
+ * Tests for startLeague Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const config = require('../config');
+
+describe('startLeague', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let startLeagueHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const carol = 'uid-carol';
+  const leagueId = 'league-1';
+  const leaguePath = `leagues/${leagueId}`;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  const fixturePaths = () => Object.keys(docs).filter(path => path.startsWith(`${leaguePath}/fixtures/`)).sort();
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path, a three member league alice created
+    docs = {
+      [leaguePath]: {
+        name: 'Office League',
+        created_by: alice,
+        status: 'open',
+        max_members: 4,
+        member_uids: [alice, bob, carol],
+        invite_code: 'K7QX2M',
+        rounds: null,
+        fixtures_total: 0,
+        fixtures_done: 0
+      }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: id => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          set: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = data;
+          }),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/startLeague')];
+    delete require.cache[require.resolve('../services/leagues')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockLeagues = proxyquire('../services/leagues', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const startLeague = proxyquire('../handlers/startLeague', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/leagues': mockLeagues
+    });
+    startLeagueHandler = startLeague.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(startLeagueHandler({ leagueId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a leagueId', async () => {
+      await expectHttpsError(startLeagueHandler({}, contextFor(alice)), 'invalid-argument', 'leagueId is required');
+    });
+
+    it('should reject an unknown league', async () => {
+      await expectHttpsError(startLeagueHandler({ leagueId: 'nope' }, contextFor(alice)), 'not-found', 'League not found');
+    });
+
+    it('should only let the creator start the league', async () => {
+      await expectHttpsError(startLeagueHandler({ leagueId }, contextFor(bob)), 'permission-denied', 'Only the league creator');
+      expect(fixturePaths()).to.deep.equal([]);
+    });
+
+    it('should not start a league twice', async () => {
+      docs[leaguePath].status = 'in_progress';
+
+      await expectHttpsError(startLeagueHandler({ leagueId }, contextFor(alice)), 'failed-precondition', 'already started');
+    });
+
+    it('should need at least 2 members', async () => {
+      docs[leaguePath].member_uids = [alice];
+
+      await expectHttpsError(startLeagueHandler({ leagueId }, contextFor(alice)), 'failed-precondition', 'at least 2 members');
+    });
+  });
+
+  describe('Drawing fixtures', () => {
+    it('should draw every pairing once and close membership', async () => {
+      const result = await startLeagueHandler({ leagueId }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, rounds: 3, fixtures: 3 });
+      expect(fixturePaths().map(path => path.split('/').pop())).to.deep.equal(['r01_f001', 'r02_f001', 'r03_f001']);
+      const pairings = fixturePaths().map(path => [...docs[path].players].sort().join('-'));
+      expect(new Set(pairings).size).to.equal(3);
+      expect(docs[`${leaguePath}/fixtures/r02_f001`]).to.deep.include({
+        round: 2,
+        number: 1,
+        status: 'scheduled',
+        match_id: null,
+        result: null,
+        created_at: 'SERVER_TIMESTAMP',
+        decided_at: null
+      });
+      expect(docs[leaguePath]).to.include({
+        status: 'in_progress',
+        invite_code: null,
+        rounds: 3,
+        fixtures_total: 3,
+        fixtures_done: 0,
+        started_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should give each round its own deadline', async () => {
+      await startLeagueHandler({ leagueId }, contextFor(alice));
+
+      expect(fixturePaths().map(path => docs[path].deadline_at_ms)).to.deep.equal([
+        1000000 + config.LEAGUE_ROUND_MS,
+        1000000 + 2 * config.LEAGUE_ROUND_MS,
+        1000000 + 3 * config.LEAGUE_ROUND_MS
+      ]);
+    });
+
+    it('should play two fixtures a round with four members', async () => {
+      docs[leaguePath].member_uids = [alice, bob, carol, 'uid-dave'];
+
+      const result = await startLeagueHandler({ leagueId }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, rounds: 3, fixtures: 6 });
+      expect(docs[`${leaguePath}/fixtures/r01_f002`]).to.exist;
+    });
+
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = startLeagueHandler({ leagueId }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for the career statistics module
+ */
+
+const {expect} = require('chai');
+const stats = require('../utils/stats');
+
+describe('stats', () => {
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+
+  const matchWith = (result, innings) => ({players: [alice, bob], result, game: {innings}});
+  const aliceWins = {winner: alice, loser: bob, tie: false};
+
+  describe('addMatch', () => {
+    it('should start from empty totals', () => {
+      const totals = stats.addMatch(undefined, matchWith(aliceWins, []), alice);
+
+      expect(totals).to.deep.equal(Object.assign(stats.emptyStats(), {matches: 1, wins: 1}));
+    });
+
+    it('should count wins, losses and ties', () => {
+      const tie = {winner: null, loser: null, tie: true};
+
+      expect(stats.addMatch(undefined, matchWith(aliceWins, []), bob).losses).to.equal(1);
+      expect(stats.addMatch(undefined, matchWith(tie, []), alice).ties).to.equal(1);
+    });
+
+    it('should add the player\'s batting innings', () => {
+      const match = matchWith(aliceWins, [
+        {batter: alice, runs: 14, wickets: 1, balls: 6},
+        {batter: bob, runs: 9, wickets: 1, balls: 4},
+      ]);
+      const totals = stats.addMatch(Object.assign(stats.emptyStats(), {runs: 10, highest_score: 20}), match, alice);
+
+      expect(totals).to.include({innings: 1, runs: 24, balls_faced: 6, dismissals: 1, highest_score: 20});
+    });
+
+    it('should count a duck only when the batter was out for 0', () => {
+      const match = matchWith(aliceWins, [
+        {batter: alice, runs: 0, wickets: 0, balls: 3},
+        {batter: bob, runs: 0, wickets: 1, balls: 1},
+      ]);
+
+      expect(stats.addMatch(undefined, match, alice).ducks).to.equal(0);
+      expect(stats.addMatch(undefined, match, bob).ducks).to.equal(1);
+      expect(stats.addMatch(undefined, match, bob).highest_score).to.equal(0);
+    });
+
+    it('should ignore super overs and innings with no balls faced', () => {
+      const match = matchWith(aliceWins, [
+        {batter: alice, runs: 6, wickets: 1, balls: 3},
+        {batter: bob, runs: 0, wickets: 0, balls: 0},
+        {batter: alice, runs: 12, wickets: 0, balls: 6},
+      ]);
+
+      expect(stats.addMatch(undefined, match, alice)).to.include({innings: 1, runs: 6});
+      expect(stats.addMatch(undefined, match, bob)).to.include({innings: 0, highest_score: null});
+    });
+
+    it('should not modify the input totals', () => {
+      const before = stats.emptyStats();
+      stats.addMatch(before, matchWith(aliceWins, []), alice);
+
+      expect(before).to.deep.equal(stats.emptyStats());
+    });
+  });
+
+  describe('careerAverages', () => {
+    it('should derive average and strike rate', () => {
+      const totals = Object.assign(stats.emptyStats(), {runs: 50, dismissals: 3, balls_faced: 30});
+
+      expect(stats.careerAverages(totals)).to.deep.equal({average: 16.67, strike_rate: 166.67});
+    });
+
+    it('should return null when there is nothing to divide by', () => {
+      expect(stats.careerAverages(stats.emptyStats())).to.deep.equal({average: null, strike_rate: null});
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Tests for submitMove Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+const engine = require('../utils/gameEngine');
+const { computeCommitment } = require('../utils/commitment');
+
+describe('submitMove', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let matchDoc;
+  let submitMoveHandler;
+  let mockAdmin;
+
+  const matchId = 'match-1';
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const nonce = 'nonce-0123456789abcdef';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  /**
+   * Sends a commitment for `pick` on the current ball
+   */
+  const commit = (uid, pick, ball = matchDoc.ball.number) => submitMoveHandler({
+    matchId,
+    ball,
+    commitment: computeCommitment(matchId, ball, pick, nonce)
+  }, contextFor(uid));
+
+  /**
+   * Reveals `pick` on the current ball
+   */
+  const reveal = (uid, pick, ball = matchDoc.ball.number) => submitMoveHandler({
+    matchId,
+    ball,
+    pick,
+    nonce
+  }, contextFor(uid));
+
+  /**
+   * Plays a full ball through commit and reveal for both players
+   */
+  const playBall = async (alicePick, bobPick) => {
+    await commit(alice, alicePick);
+    await commit(bob, bobPick);
+    await reveal(alice, alicePick);
+    return reveal(bob, bobPick);
+  };
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory match document, alice bats first
+    matchDoc = {
+      players: [alice, bob],
+      source: 'quick_match',
+      status: 'in_progress',
+      game: engine.createGame({ battingFirst: alice, bowlingFirst: bob }),
+      ball: { number: 1, commitments: {}, reveals: {}, deadline_at_ms: Date.now() + 60000 },
+      timeouts: {}
+    };
+
+    const matchRefStub = { id: matchId };
+    const matchesCollectionStub = {
+      doc: sandbox.stub().returns(matchRefStub)
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(matchesCollectionStub),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async () => ({
+            exists: !!matchDoc,
+            data: () => JSON.parse(JSON.stringify(matchDoc))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            matchDoc = { ...matchDoc, ...data };
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/submitMove')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const submitMove = proxyquire('../handlers/submitMove', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches
+    });
+    submitMoveHandler = submitMove.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 1, commitment: 'a'.repeat(64) }, { auth: null, app: {} }),
+        'unauthenticated'
+      );
+    });
+
+    it('should throw error if email is not verified', async () => {
+      authStub.getUser.resolves({ uid: alice, emailVerified: false });
+
+      await expectHttpsError(
+        commit(alice, 3),
+        'failed-precondition',
+        'use a verified email address to continue'
+      );
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a matchId', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ ball: 1, commitment: 'a'.repeat(64) }, contextFor(alice)),
+        'invalid-argument'
+      );
+    });
+
+    it('should require a positive integer ball number', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 0, commitment: 'a'.repeat(64) }, contextFor(alice)),
+        'invalid-argument'
+      );
+    });
+
+    it('should reject a request with both a commitment and a pick', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 1, commitment: 'a'.repeat(64), pick: 3, nonce }, contextFor(alice)),
+        'invalid-argument'
+      );
+    });
+
+    it('should reject a malformed commitment', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 1, commitment: 'not-a-hash' }, contextFor(alice)),
+        'invalid-argument',
+        'commitment'
+      );
+    });
+
+    it('should reject an out of range pick', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 1, pick: 7, nonce }, contextFor(alice)),
+        'invalid-argument',
+        'pick'
+      );
+    });
+
+    it('should reject a short nonce', async () => {
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 1, pick: 3, nonce: 'short' }, contextFor(alice)),
+        'invalid-argument',
+        'nonce'
+      );
+    });
+  });
+
+  describe('Match Checks', () => {
+    it('should return not-found for a missing match', async () => {
+      matchDoc = null;
+      await expectHttpsError(commit(alice, 3, 1), 'not-found');
+    });
+
+    it('should return not-found for a non-participant', async () => {
+      await expectHttpsError(commit('uid-carol', 3), 'not-found');
+    });
+
+    it('should reject moves on a completed match', async () => {
+      matchDoc.status = 'completed';
+      await expectHttpsError(commit(alice, 3), 'failed-precondition', 'not in progress');
+    });
+
+    it('should reject moves for a ball other than the current one', async () => {
+      await expectHttpsError(commit(alice, 3, 2), 'failed-precondition', 'Not the current ball');
+    });
+  });
+
+  describe('Commit Step', () => {
+    it('should store the commitment without resolving the ball', async () => {
+      const result = await commit(alice, 3);
+
+      expect(result).to.deep.equal({ success: true, ball: 1, resolved: false });
+      expect(matchDoc.ball.commitments[alice]).to.equal(computeCommitment(matchId, 1, 3, nonce));
+      expect(matchDoc.ball.reveals).to.deep.equal({});
+    });
+
+    it('should reject a second commitment for the same ball', async () => {
+      await commit(alice, 3);
+      await expectHttpsError(commit(alice, 4), 'already-exists');
+    });
+  });
+
+  describe('Reveal Step', () => {
+    it('should reject a reveal without a commitment', async () => {
+      await expectHttpsError(reveal(alice, 3), 'failed-precondition', 'Commit a move');
+    });
+
+    it('should reject a reveal before the opponent has committed', async () => {
+      await commit(alice, 3);
+      await expectHttpsError(reveal(alice, 3), 'failed-precondition', 'Waiting for opponent');
+    });
+
+    it('should reject a reveal that does not match the commitment', async () => {
+      await commit(alice, 3);
+      await commit(bob, 5);
+      await expectHttpsError(reveal(alice, 4), 'permission-denied', 'does not match');
+      expect(matchDoc.ball.reveals).to.deep.equal({});
+    });
+
+    it('should reject a second reveal for the same ball', async () => {
+      await commit(alice, 3);
+      await commit(bob, 5);
+      await reveal(alice, 3);
+      await expectHttpsError(reveal(alice, 3), 'already-exists');
+    });
+
+    it('should not resolve the ball after only one reveal', async () => {
+      await commit(alice, 3);
+      await commit(bob, 5);
+      const result = await reveal(alice, 3);
+
+      expect(result.resolved).to.be.false;
+      expect(matchDoc.ball.reveals).to.deep.equal({ [alice]: 3 });
+      expect(matchDoc.game.innings[0].balls).to.equal(0);
+    });
+  });
+
+  describe('Ball Resolution', () => {
+    it('should resolve the ball with the engine once both reveals are in', async () => {
+      const result = await playBall(3, 5);
+
+      expect(result.resolved).to.be.true;
+      expect(result.outcome).to.deep.equal({ batter_pick: 3, bowler_pick: 5, runs: 3, out: false });
+      expect(result.status).to.equal('in_progress');
+      expect(matchDoc.game.innings[0].runs).to.equal(3);
+    });
+
+    it('should move on to a fresh ball', async () => {
+      await playBall(3, 5);
+
+      expect(matchDoc.ball).to.deep.include({ number: 2, commitments: {}, reveals: {} });
+      expect(matchDoc.ball.deadline_at_ms).to.be.greaterThan(Date.now());
+    });
+
+    it('should reset the timeout streak of a player who acts', async () => {
+      matchDoc.timeouts = { [alice]: 2, [bob]: 1 };
+
+      await commit(alice, 3);
+
+      expect(matchDoc.timeouts).to.deep.equal({ [alice]: 0, [bob]: 1 });
+    });
+
+    it('should not let a commitment be replayed on the next ball', async () => {
+      await playBall(3, 5);
+      await submitMoveHandler({
+        matchId,
+        ball: 2,
+        commitment: computeCommitment(matchId, 1, 3, nonce)
+      }, contextFor(alice));
+      await commit(bob, 5);
+
+      await expectHttpsError(
+        submitMoveHandler({ matchId, ball: 2, pick: 3, nonce }, contextFor(alice)),
+        'permission-denied'
+      );
+    });
+
+    it('should complete the match when the engine says the game is over', async () => {
+      // Alice out for 0, Bob scores 1 on the first ball of the chase
+      await playBall(2, 2);
+      const result = await playBall(4, 1);
+
+      expect(result.status).to.equal('completed');
+      expect(result.result.winner).to.equal(bob);
+      expect(matchDoc.status).to.equal('completed');
+      expect(matchDoc.result.winner).to.equal(bob);
+      expect(matchDoc.ball).to.be.null;
+      expect(matchDoc.ended_at).to.equal('SERVER_TIMESTAMP');
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      await expectHttpsError(commit(alice, 3), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for sweepQuickMatchQueue scheduled Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { resolveFormat } = require('../utils/matchFormat');
+
+describe('sweepQuickMatchQueue', () => {
+  let sandbox;
+  let firestoreStub;
+  let queueEntries;
+  let pairWaitingEntriesStub;
+  let sweepQuickMatchQueueHandler;
+
+  const defaultFormat = resolveFormat();
+  const t1Format = resolveFormat('t1');
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    queueEntries = [];
+
+    const queryStub = {
+      where: sandbox.stub().returnsThis(),
+      limit: sandbox.stub().returnsThis(),
+      get: sandbox.stub().callsFake(async () => {
+        const docs = queueEntries.map(entry => ({ id: entry.uid, data: () => entry }));
+        return { size: docs.length, docs };
+      })
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().returns(queryStub)
+    };
+
+    pairWaitingEntriesStub = sandbox.stub().callsFake(async format => [
+      { matchId: `match-${format.key}`, players: ['uid-a', 'uid-b'], format: format.key }
+    ]);
+
+    delete require.cache[require.resolve('../handlers/sweepQuickMatchQueue')];
+
+    const sweepQuickMatchQueue = proxyquire('../handlers/sweepQuickMatchQueue', {
+      'firebase-admin': { firestore: () => firestoreStub },
+      '../services/matchmaking': { pairWaitingEntries: pairWaitingEntriesStub }
+    });
+    sweepQuickMatchQueueHandler = sweepQuickMatchQueue.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const addWaiting = (uid, format) => {
+    queueEntries.push({ uid, status: 'waiting', format, format_key: format?.key });
+  };
+
+  it('should do nothing when fewer than two players wait', async () => {
+    addWaiting('uid-a', defaultFormat);
+
+    const paired = await sweepQuickMatchQueueHandler({});
+
+    expect(paired).to.equal(0);
+    expect(pairWaitingEntriesStub.called).to.be.false;
+  });
+
+  it('should retry pairing once per format with two or more players', async () => {
+    addWaiting('uid-a', defaultFormat);
+    addWaiting('uid-b', t1Format);
+    addWaiting('uid-c', t1Format);
+    addWaiting('uid-d', undefined);
+
+    const paired = await sweepQuickMatchQueueHandler({});
+
+    expect(paired).to.equal(2);
+    expect(pairWaitingEntriesStub.callCount).to.equal(2);
+    expect(pairWaitingEntriesStub.getCalls().map(call => call.args[0].key))
+      .to.have.members([defaultFormat.key, t1Format.key]);
+  });
+
+  it('should carry on when one format fails', async () => {
+    addWaiting('uid-a', defaultFormat);
+    addWaiting('uid-b', defaultFormat);
+    addWaiting('uid-c', t1Format);
+    addWaiting('uid-d', t1Format);
+    pairWaitingEntriesStub.onFirstCall().rejects(new Error('Transaction failed'));
+
+    const paired = await sweepQuickMatchQueueHandler({});
+
+    expect(paired).to.equal(1);
+  });
+});
@@ -0,0 +1,122 @@
+const {expect} = require('chai');
+const {
+  TournamentError,
+  validateTournament,
+  slotId,
+  seedPositions,
+  seedBracket,
+  nextPairings,
+  openSlot,
+  decideSlot,
+} = require('../utils/tournament');
+
+describe('tournament', () => {
+  const now = 1000000;
+  const limits = {maxPlayers: 64, maxLeadMs: 60000};
+
+  describe('validateTournament', () => {
+    it('should accept valid settings and trim the name', () => {
+      expect(validateTournament({name: '  Sunday Cup ', maxPlayers: 8, startsAtMs: now + 1000}, now, limits))
+          .to.deep.equal({name: 'Sunday Cup', maxPlayers: 8, startsAtMs: now + 1000});
+    });
+
+    [
+      {name: 'ab', maxPlayers: 8, startsAtMs: now + 1000},
+      {name: 'x'.repeat(51), maxPlayers: 8, startsAtMs: now + 1000},
+      {name: 'Sunday Cup', maxPlayers: 1, startsAtMs: now + 1000},
+      {name: 'Sunday Cup', maxPlayers: 65, startsAtMs: now + 1000},
+      {name: 'Sunday Cup', maxPlayers: 8.5, startsAtMs: now + 1000},
+      {name: 'Sunday Cup', maxPlayers: 8, startsAtMs: now},
+      {name: 'Sunday Cup', maxPlayers: 8, startsAtMs: now + 60001},
+      {name: 'Sunday Cup', maxPlayers: 8},
+    ].forEach((input) => {
+      it(`should reject ${JSON.stringify(input)}`, () => {
+        expect(() => validateTournament(input, now, limits)).to.throw(TournamentError);
+      });
+    });
+  });
+
+  it('should give slot IDs that sort by round, then slot', () => {
+    expect(slotId(1, 3)).to.equal('r01_s003');
+    expect([slotId(2, 1), slotId(1, 10), slotId(1, 2)].sort())
+        .to.deep.equal(['r01_s002', 'r01_s010', 'r02_s001']);
+  });
+
+  it('should keep the top seeds apart until the late rounds', () => {
+    expect(seedPositions(2)).to.deep.equal([1, 2]);
+    expect(seedPositions(8)).to.deep.equal([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  describe('seedBracket', () => {
+    const entrant = (uid, rating, registeredAtMs = 0) => ({uid, rating, registered_at_ms: registeredAtMs});
+
+    it('should seed by rating, then registration time', () => {
+      const bracket = seedBracket([
+        entrant('a', 1200, 2),
+        entrant('b', 1500),
+        entrant('c', 1200, 1),
+        entrant('d', 1000),
+      ]);
+
+      expect(bracket.seeds).to.deep.equal({b: 1, c: 2, a: 3, d: 4});
+      expect(bracket).to.include({size: 4, rounds: 2});
+      expect(bracket.pairings).to.deep.equal([['b', 'd'], ['c', 'a']]);
+    });
+
+    it('should give byes to the top seeds', () => {
+      const bracket = seedBracket([entrant('a', 1500), entrant('b', 1400), entrant('c', 1300)]);
+
+      expect(bracket).to.include({size: 4, rounds: 2});
+      expect(bracket.pairings).to.deep.equal([['a', null], ['b', 'c']]);
+    });
+  });
+
+  it('should pair neighbouring winners for the next round', () => {
+    expect(nextPairings(['a', 'b', null, 'd'])).to.deep.equal([['a', 'b'], [null, 'd']]);
+  });
+
+  describe('openSlot', () => {
+    const everyone = () => true;
+
+    it('should need a game when both players can play', () => {
+      expect(openSlot(['a', 'b'], everyone)).to.deep.equal({status: 'playing', winner: null, eliminated: []});
+    });
+
+    it('should give a bye to a player without an opponent', () => {
+      expect(openSlot(['a', null], everyone)).to.deep.equal({status: 'bye', winner: 'a', eliminated: []});
+    });
+
+    it('should give a walkover against a no-show', () => {
+      expect(openSlot(['a', 'b'], (uid) => uid === 'b'))
+          .to.deep.equal({status: 'walkover', winner: 'b', eliminated: ['a']});
+    });
+
+    it('should void the slot when nobody can play', () => {
+      expect(openSlot(['a', 'b'], () => false)).to.deep.equal({status: 'void', winner: null, eliminated: ['a', 'b']});
+      expect(openSlot([null, null], everyone)).to.deep.equal({status: 'void', winner: null, eliminated: []});
+    });
+  });
+
+  describe('decideSlot', () => {
+    const slot = {players: ['a', 'b'], seeds: [3, 2]};
+
+    it('should wait for a game in progress', () => {
+      expect(decideSlot(slot, {status: 'in_progress'})).to.equal(null);
+    });
+
+    it('should advance the winner of a completed game', () => {
+      expect(decideSlot(slot, {status: 'completed', result: {winner: 'a', tie: false}}))
+          .to.deep.equal({status: 'completed', winner: 'a', eliminated: ['b']});
+    });
+
+    it('should give a tie to the better seed', () => {
+      expect(decideSlot(slot, {status: 'completed', result: {winner: null, tie: true}}))
+          .to.deep.equal({status: 'completed', winner: 'b', eliminated: ['a']});
+    });
+
+    it('should advance nobody from an abandoned game', () => {
+      expect(decideSlot(slot, {status: 'abandoned'}))
+          .to.deep.equal({status: 'void', winner: null, eliminated: ['a', 'b']});
+    });
+  });
+});
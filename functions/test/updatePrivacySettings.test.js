@@ -0,0 +1,155 @@
+/**
+ * Tests for updatePrivacySettings Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('updatePrivacySettings', () => {
+  let sandbox;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let updatePrivacySettingsHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path
+    docs = {
+      [`users/${alice}`]: { username: 'alice_1234' }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(name => ({
+        doc: (id) => {
+          const path = `${name}/${id}`;
+          return {
+            get: async () => ({ exists: !!docs[path], data: () => docs[path] }),
+            update: async (data) => {
+              docs[path] = { ...docs[path], ...data };
+            }
+          };
+        }
+      }))
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/updatePrivacySettings')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const updatePrivacySettings = proxyquire('../handlers/updatePrivacySettings', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore
+    });
+    updatePrivacySettingsHandler = updatePrivacySettings.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(updatePrivacySettingsHandler({ showOnline: false }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should reject a non-boolean showOnline', async () => {
+      await expectHttpsError(
+        updatePrivacySettingsHandler({ showOnline: 'no' }, contextFor(alice)),
+        'invalid-argument',
+        'showOnline must be true or false'
+      );
+    });
+
+    it('should throw not-found without a profile', async () => {
+      await expectHttpsError(updatePrivacySettingsHandler({ showOnline: false }, contextFor('uid-nobody')), 'not-found');
+    });
+  });
+
+  describe('Settings', () => {
+    it('should hide the online state', async () => {
+      const result = await updatePrivacySettingsHandler({ showOnline: false }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true, settings: { showOnline: false } });
+      expect(docs[`users/${alice}`]).to.deep.include({
+        privacy: { show_online: false },
+        updated_at: 'SERVER_TIMESTAMP'
+      });
+    });
+
+    it('should keep the current value when left out', async () => {
+      docs[`users/${alice}`].privacy = { show_online: false };
+
+      const result = await updatePrivacySettingsHandler({}, contextFor(alice));
+
+      expect(result.settings).to.deep.equal({ showOnline: false });
+    });
+
+    it('should default to showing the online state', async () => {
+      const result = await updatePrivacySettingsHandler({}, contextFor(alice));
+
+      expect(result.settings).to.deep.equal({ showOnline: true });
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should handle unexpected errors gracefully', async () => {
+      firestoreStub.collection = sandbox.stub().throws(new Error('Database error'));
+
+      await expectHttpsError(updatePrivacySettingsHandler({ showOnline: true }, contextFor(alice)), 'internal', 'An unexpected error occurred');
+    });
+  });
+});
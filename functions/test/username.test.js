@@ -0,0 +1,140 @@
+const {expect} = require('chai');
+const {
+  RESERVED_WORDS,
+  BLOCKED_WORDS,
+  UsernamePolicyError,
+  usernameKey,
+  validateUsername,
+  suggestUsernames,
+} = require('../utils/username');
+
+describe('username', () => {
+  const ruleOf = (username) => {
+    try {
+      validateUsername(username);
+      return null;
+    } catch (error) {
+      expect(error).to.be.instanceOf(UsernamePolicyError);
+      return error.rule;
+    }
+  };
+
+  describe('validateUsername', () => {
+    it('should accept and trim valid usernames', () => {
+      expect(validateUsername(' virat_kohli ')).to.equal('virat_kohli');
+      expect(validateUsername('testuser123')).to.equal('testuser123');
+    });
+
+    [
+      ['short', 'length'],
+      ['thisusernameistoolong', 'length'],
+      ['_testuser', 'start'],
+      ['123testuser', 'start'],
+      ['TestUser123', 'start'],
+      ['test-user1', 'characters'],
+      ['testUser123', 'characters'],
+    ].forEach(([username, rule]) => {
+      it(`should reject "${username}" by the ${rule} rule`, () => {
+        expect(ruleOf(username)).to.equal(rule);
+      });
+    });
+
+    it('should reject reserved words anywhere in the name', () => {
+      [
+        'admin_official', 'the_moderator', 'handcricket_hq', 'adm1n_person', 'sup_port_team', 'admin123abc',
+        'theadminguy', 'adminofficial',
+      ].forEach((username) => {
+        expect(ruleOf(username), username).to.equal('reserved');
+      });
+    });
+
+    it('should reject offensive words anywhere in the name, including digit spellings', () => {
+      ['big_sh1t_42', 'fuck_it_all', 'wh0re_house', 'fuckyou123', 'niggerlover', 'shithead_99', 's1ut_master']
+          .forEach((username) => {
+            expect(ruleOf(username), username).to.equal('profanity');
+          });
+    });
+
+    it('should accept real words that contain a listed word', () => {
+      ['badminton_ace', 'ecosystem_xi', 'mishit_master', 'supportive_fan', 'scunthorpe_cc'].forEach((username) => {
+        expect(ruleOf(username), username).to.equal(null);
+      });
+    });
+
+    it('should still reject a listed word next to an allowed one', () => {
+      expect(ruleOf('badminton_admin')).to.equal('reserved');
+    });
+
+    it('should only list lowercase words', () => {
+      [...RESERVED_WORDS, ...BLOCKED_WORDS].forEach((word) => {
+        expect(word).to.match(/^[a-z]+$/);
+      });
+    });
+
+    it('should explain the failed rule in the message', () => {
+      expect(() => validateUsername('short')).to.throw('8 to 15 characters');
+      expect(() => validateUsername('admin_official')).to.throw('reserved word');
+    });
+  });
+
+  describe('suggestUsernames', () => {
+    it('should only suggest valid names with distinct keys', () => {
+      ['virat_kohli', 'abcdefghijklmno', 'abcdefgh'].forEach((username) => {
+        const suggestions = suggestUsernames(username);
+        const keys = new Set([usernameKey(username), ...suggestions.map(usernameKey)]);
+
+        expect(suggestions).to.not.be.empty;
+        expect(keys.size).to.equal(suggestions.length + 1);
+        suggestions.forEach((suggestion) => {
+          expect(validateUsername(suggestion)).to.equal(suggestion);
+        });
+      });
+    });
+
+    it('should keep the start of the name', () => {
+      expect(suggestUsernames('virat_kohli', 8, (min) => min)).to.deep.equal([
+        'virat_kohli_xi',
+        'virat_kohli_cc',
+        'virat_kohli_bat',
+        'virat_kohl_bowl',
+        'virat_kohli_10',
+        'virat_kohli100',
+        'virat_kohl_1000',
+        'the_virat_kohli',
+      ]);
+    });
+
+    it('should return at most the requested number', () => {
+      expect(suggestUsernames('virat_kohli', 2)).to.have.lengthOf(2);
+    });
+  });
+
+  describe('usernameKey', () => {
+    it('should give look-alikes the same key', () => {
+      expect(usernameKey('virat_koh1i')).to.equal(usernameKey('virat_kohli'));
+      expect(usernameKey('viratkohli')).to.equal(usernameKey('virat_kohli'));
+      expect(usernameKey('c0rner_shop')).to.equal(usernameKey('corner_shop'));
+      expect(usernameKey('comer_shop')).to.equal(usernameKey('corner_shop'));
+      expect(usernameKey('vvicket_keeper')).to.equal(usernameKey('wicket_keeper'));
+      expect(usernameKey('5pin_bowler')).to.equal(usernameKey('spin_bowler'));
+    });
+
+    it('should read i, l and 1 alike', () => {
+      expect(usernameKey('vlrat_koh1i')).to.equal(usernameKey('virat_kohli'));
+      expect(usernameKey('virat_kohl1')).to.equal(usernameKey('virat_kohli'));
+    });
+
+    it('should not let distinct names collide', () => {
+      expect(usernameKey('alice_12345')).to.not.equal(usernameKey('alce_12345'));
+      expect(usernameKey('hello_world')).to.not.equal(usernameKey('helo_world'));
+      expect(usernameKey('virat_kohli1')).to.not.equal(usernameKey('virat_kohli'));
+      expect(usernameKey('bill_gates')).to.not.equal(usernameKey('bil_gates'));
+    });
+
+    it('should keep different names apart', () => {
+      expect(usernameKey('virat_kohli7')).to.not.equal(usernameKey('virat_kohli'));
+      expect(usernameKey('virat_kohli_10')).to.not.equal(usernameKey('virat_kohli100'));
+      expect(usernameKey('rohit_sharma')).to.not.equal(usernameKey('rohit_sharmo'));
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for withdrawFromTournament Cloud Function
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const functions = require('firebase-functions');
+
+describe('withdrawFromTournament', () => {
+  let sandbox;
+  let clock;
+  let authStub;
+  let firestoreStub;
+  let docs;
+  let withdrawFromTournamentHandler;
+  let mockAdmin;
+
+  const alice = 'uid-alice';
+  const bob = 'uid-bob';
+  const tournamentId = 'cup-1';
+  const tournamentPath = `tournaments/${tournamentId}`;
+  const entrantPath = uid => `${tournamentPath}/entrants/${uid}`;
+  const contextFor = uid => ({ auth: { uid }, app: {} });
+
+  const expectHttpsError = async (promise, code, message) => {
+    try {
+      await promise;
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(functions.https.HttpsError);
+      expect(error.code).to.equal(code);
+      if (message) {
+        expect(error.message).to.include(message);
+      }
+    }
+  };
+
+  // Put the cup under way with alice and bob playing the first slot
+  const startPlay = (matchStatus = 'toss') => {
+    docs[tournamentPath] = { ...docs[tournamentPath], status: 'in_progress', current_round: 1 };
+    docs[entrantPath(alice)] = { ...docs[entrantPath(alice)], status: 'active', slot_id: 'r01_s001' };
+    docs[entrantPath(bob)] = { ...docs[entrantPath(bob)], status: 'active', slot_id: 'r01_s001' };
+    docs[`${tournamentPath}/bracket/r01_s001`] = {
+      round: 1,
+      slot: 1,
+      players: [alice, bob],
+      seeds: [1, 2],
+      status: 'playing',
+      match_id: 'match-1',
+      winner_uid: null
+    };
+    docs['matches/match-1'] = {
+      players: [alice, bob],
+      source: 'tournament',
+      status: matchStatus,
+      game: null,
+      reconnect_deadline_at_ms: null
+    };
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers(1000000);
+
+    authStub = {
+      getUser: sandbox.stub().callsFake(async uid => ({
+        uid,
+        email: `${uid}@example.com`,
+        emailVerified: true
+      }))
+    };
+
+    // In-memory documents keyed by path, alice and bob registered
+    docs = {
+      [tournamentPath]: { name: 'Sunday Cup', status: 'registration', max_players: 8, player_count: 2 },
+      [entrantPath(alice)]: { uid: alice, status: 'registered', slot_id: null },
+      [entrantPath(bob)]: { uid: bob, status: 'registered', slot_id: null }
+    };
+
+    const fieldValueStub = {
+      serverTimestamp: sandbox.stub().returns('SERVER_TIMESTAMP')
+    };
+
+    const refFor = path => ({
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionFor(`${path}/${name}`)
+    });
+    const collectionFor = path => ({
+      doc: id => refFor(`${path}/${id}`)
+    });
+
+    firestoreStub = {
+      collection: sandbox.stub().callsFake(collectionFor),
+      runTransaction: sandbox.stub().callsFake(async (callback) => {
+        const transaction = {
+          get: sandbox.stub().callsFake(async ref => ({
+            exists: !!docs[ref.path],
+            data: () => JSON.parse(JSON.stringify(docs[ref.path]))
+          })),
+          update: sandbox.stub().callsFake((ref, data) => {
+            docs[ref.path] = { ...docs[ref.path], ...data };
+          }),
+          delete: sandbox.stub().callsFake((ref) => {
+            delete docs[ref.path];
+          })
+        };
+        return callback(transaction);
+      })
+    };
+    const FirestoreConstructor = function() {
+      return firestoreStub;
+    };
+    FirestoreConstructor.FieldValue = fieldValueStub;
+    firestoreStub.constructor = FirestoreConstructor;
+
+    mockAdmin = {
+      auth: () => authStub,
+      firestore: () => firestoreStub
+    };
+
+    delete require.cache[require.resolve('../handlers/withdrawFromTournament')];
+    delete require.cache[require.resolve('../services/tournaments')];
+    delete require.cache[require.resolve('../services/matches')];
+    delete require.cache[require.resolve('../utils/auth')];
+    delete require.cache[require.resolve('../utils/firestore')];
+
+    const mockAuth = proxyquire('../utils/auth', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockFirestore = proxyquire('../utils/firestore', {
+      'firebase-admin': mockAdmin
+    });
+
+    const mockMatches = proxyquire('../services/matches', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore
+    });
+
+    const mockTournaments = proxyquire('../services/tournaments', {
+      'firebase-admin': mockAdmin,
+      '../utils/firestore': mockFirestore,
+      './matches': mockMatches
+    });
+
+    const withdrawFromTournament = proxyquire('../handlers/withdrawFromTournament', {
+      'firebase-admin': mockAdmin,
+      '../utils/auth': mockAuth,
+      '../utils/firestore': mockFirestore,
+      '../services/matches': mockMatches,
+      '../services/tournaments': mockTournaments
+    });
+    withdrawFromTournamentHandler = withdrawFromTournament.handler;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('Authentication', () => {
+    it('should throw error if user is not authenticated', async () => {
+      await expectHttpsError(withdrawFromTournamentHandler({ tournamentId }, { auth: null, app: {} }), 'unauthenticated');
+    });
+  });
+
+  describe('Request Validation', () => {
+    it('should require a tournamentId', async () => {
+      await expectHttpsError(withdrawFromTournamentHandler({}, contextFor(alice)), 'invalid-argument', 'tournamentId is required');
+    });
+
+    it('should reject an unknown tournament', async () => {
+      await expectHttpsError(withdrawFromTournamentHandler({ tournamentId: 'nope' }, contextFor(alice)), 'not-found', 'Tournament not found');
+    });
+
+    it('should reject a player who is not registered', async () => {
+      await expectHttpsError(withdrawFromTournamentHandler({ tournamentId }, contextFor('uid-carol')), 'not-found', 'Not registered');
+    });
+
+    it('should reject a finished tournament', async () => {
+      docs[tournamentPath].status = 'completed';
+
+      await expectHttpsError(withdrawFromTournamentHandler({ tournamentId }, contextFor(alice)), 'failed-precondition', 'Tournament is over');
+    });
+
+    it('should reject a player already knocked out', async () => {
+      startPlay();
+      docs[entrantPath(alice)].status = 'eliminated';
+
+      await expectHttpsError(withdrawFromTournamentHandler({ tournamentId }, contextFor(alice)), 'failed-precondition', 'No longer in the tournament');
+    });
+  });
+
+  describe('Before the start', () => {
+    it('should remove the entry and free the place', async () => {
+      const result = await withdrawFromTournamentHandler({ tournamentId }, contextFor(alice));
+
+      expect(result).to.deep.equal({ success: true });
+      expect(docs).to.not.have.property(entrantPath(alice));
+      expect(docs[tournamentPath].player_count).to.equal(1);
+    });
+  });
+
+  describe('Once under way', () => {
+    it('should give the opponent a walkover in the game being played', async () => {
+      startPlay();
+
+      await withdrawFromTournamentHandler({ tournamentId }, contextFor(alice));
+
+      expect(docs['matches/match-1']).to.include({ status: 'completed', reconnect_deadline_at_ms: null });
+      expect(docs['matches/match-1'].result).to.include({ winner: bob, loser: alice, by: 'walkover' });
+      expect(docs[entrantPath(alice)].status).to.equal('withdrawn');
+      expect(docs[entrantPath(bob)].status).to.equal('active');
+    });
+
+    it('should leave a finished game alone', async () => {
+      startPlay('completed');
+
+      await withdrawFromTournamentHandler({ tournamentId }, contextFor(alice));
+
+      expect(docs['matches/match-1'].status).to.equal('completed');
+      expect(docs['matches/match-1']).to.not.have.property('result');
+      expect(docs[entrantPath(alice)].status).to.equal('withdrawn');
+    });
+
+    it('should mark an entrant between games withdrawn', async () => {
+      startPlay();
+      docs[`${tournamentPath}/bracket/r01_s001`].status = 'completed';
+
+      await withdrawFromTournamentHandler({ tournamentId }, contextFor(alice));
+
+      expect(docs['matches/match-1'].status).to.equal('toss');
+      expect(docs[entrantPath(alice)].status).to.equal('withdrawn');
+      expect(docs[tournamentPath].player_count).to.equal(2);
+    });
+  });
+
+  describe('Error Handling', () => {
+    it('should wrap unexpected errors', async () => {
+      firestoreStub.runTransaction.rejects(new Error('Database error'));
+
+      const promise = withdrawFromTournamentHandler({ tournamentId }, contextFor(alice));
+      const assertion = expectHttpsError(promise, 'internal', 'An unexpected error occurred');
+      await clock.tickAsync(1000);
+      await assertion;
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Commit–reveal utilities
+ *
+ * Each ball is played in two steps so neither player can see the other's
+ * pick first: players send a SHA-256 commitment, then reveal the pick and
+ * the nonce used to build it once both commitments are in.
+ *
+ * commitment = hex(sha256(`${matchId}:${ball}:${pick}:${nonce}`))
+ *
+ * Binding the match ID and ball number into the hash stops a commitment
+ * from being replayed on another ball.
+ */
+
+const crypto = require('crypto');
+
+const MIN_NONCE_LENGTH = 16;
+const MAX_NONCE_LENGTH = 128;
+const COMMITMENT_REGEX = /^[0-9a-f]{64}$/;
+
+/**
+ * Compute the commitment for a pick
+ *
+ * @param {string} matchId - Match document ID
+ * @param {number} ball - Ball number the pick is for
+ * @param {number} pick - Picked number
+ * @param {string} nonce - Client-generated random string
+ * @return {string} Lowercase hex SHA-256 digest
+ */
+function computeCommitment(matchId, ball, pick, nonce) {
+  return crypto.createHash('sha256')
+      .update(`${matchId}:${ball}:${pick}:${nonce}`)
+      .digest('hex');
+}
+
+/**
+ * Check that a value looks like a commitment
+ *
+ * @param {*} commitment - Value to check
+ * @return {boolean} True if commitment is a 64-character lowercase hex string
+ */
+function isValidCommitment(commitment) {
+  return typeof commitment === 'string' && COMMITMENT_REGEX.test(commitment);
+}
+
+/**
+ * Check that a value is an acceptable nonce
+ *
+ * @param {*} nonce - Value to check
+ * @return {boolean} True if nonce is a string of allowed length
+ */
+function isValidNonce(nonce) {
+  return typeof nonce === 'string' &&
+    nonce.length >= MIN_NONCE_LENGTH &&
+    nonce.length <= MAX_NONCE_LENGTH;
+}
+
+/**
+ * Check a revealed pick against an earlier commitment
+ *
+ * Uses a timing-safe comparison.
+ *
+ * @param {string} commitment - Stored commitment
+ * @param {string} matchId - Match document ID
+ * @param {number} ball - Ball number
+ * @param {number} pick - Revealed pick
+ * @param {string} nonce - Revealed nonce
+ * @return {boolean} True if the reveal matches the commitment
+ */
+function verifyReveal(commitment, matchId, ball, pick, nonce) {
+  const a = Buffer.from(computeCommitment(matchId, ball, pick, nonce));
+  const b = Buffer.from(String(commitment));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  computeCommitment,
+  isValidCommitment,
+  isValidNonce,
+  verifyReveal,
+};
@@ -4,7 +4,9 @@
  * Provides helper functions for common Firestore operations.
  */
 
+const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const logger = require('./logger');
 
 /**
  * Get a Firestore server timestamp
@@ -29,4 +31,113 @@ function getServerTimestamp() {
   return FieldValue.serverTimestamp();
 }
 
-module.exports = { getServerTimestamp };
+/**
+ * Run a Firestore transaction, retrying failed attempts after a delay
+ *
+ * Follows the same pattern as createNewUser: an HttpsError thrown inside the
+ * transaction is a business rule failure and is re-thrown immediately; any
+ * other error (contention, network) is retried up to maxRetries times.
+ *
+ * @param {admin.firestore.Firestore} db - Firestore instance
+ * @param {Function} updateFunction - Transaction callback, receives the transaction
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxRetries=3] - Maximum number of attempts
+ * @param {number} [options.retryDelayMs=500] - Delay between attempts in milliseconds
+ * @returns {Promise<*>} Value returned by updateFunction
+ * @throws {Error} The last error once all attempts have failed
+ */
+async function runTransactionWithRetry(db, updateFunction, { maxRetries = 3, retryDelayMs = 500 } = {}) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      // Wait before retry (except on first attempt)
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+      }
+
+      return await db.runTransaction(updateFunction);
+    } catch (error) {
+      if (error instanceof functions.https.HttpsError) {
+        throw error;
+      }
+
+      logger.warn('Transaction attempt failed', {
+        attempt,
+        maxRetries,
+        error: error.message
+      });
+
+      if (attempt === maxRetries) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Sleep utility for retry delays
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Attempts to delete a document with retry logic for locked documents
+ * @param {admin.firestore.DocumentReference} docRef - Document reference to delete
+ * @param {number} maxRetries - Maximum number of retries
+ * @param {number} retryDelayMs - Delay between retries in milliseconds
+ * @returns {Promise<boolean>} True if deleted successfully, false otherwise
+ */
+async function deleteWithRetry(docRef, maxRetries = 10, retryDelayMs = 500) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      // Check if document exists first
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        logger.debug('Document does not exist, nothing to delete');
+        return true; // Document doesn't exist, consider it successful
+      }
+
+      // Attempt to delete
+      await docRef.delete();
+      logger.debug('Document deleted successfully', { attempt });
+      return true;
+    } catch (error) {
+      // Check if this is a locked/contention error
+      // Firestore returns 'aborted' for transaction conflicts
+      // and 'failed-precondition' for other contention issues
+      const isLockedError = error.code === 'aborted' || 
+                           error.code === 'failed-precondition' ||
+                           error.code === 'unavailable' ||
+                           error.message?.includes('concurrent') ||
+                           error.message?.includes('locked');
+
+      if (isLockedError && attempt < maxRetries) {
+        logger.debug('Document locked, retrying', { 
+          attempt, 
+          maxRetries,
+          errorCode: error.code 
+        });
+        await sleep(retryDelayMs);
+        continue;
+      }
+
+      // If not a locked error or we've exhausted retries, log and return false
+      if (isLockedError) {
+        logger.warn('Document still locked after max retries', {
+          maxRetries,
+          errorCode: error.code
+        });
+      } else {
+        logger.warn('Unexpected error during delete', {
+          attempt,
+          errorCode: error.code,
+          errorMessage: error.message
+        });
+      }
+      return false;
+    }
+  }
+  return false;
+}
+
+module.exports = { getServerTimestamp, runTransactionWithRetry, deleteWithRetry };
@@ -0,0 +1,365 @@
+/**
+ * Hand cricket game engine
+ *
+ * Pure, server-authoritative model of a hand cricket match.
+ * Has no Firebase imports so match callables can use it to resolve balls
+ * and it can be unit tested on its own.
+ *
+ * Rules:
+ * - Each ball, the batter and the bowler both secretly pick a number in the
+ *   format's range (1 to 6 by default)
+ * - Different numbers: the batter scores the number they picked
+ * - Same number: the batter loses a wicket
+ * - An innings ends when the format's wickets are lost or its balls are bowled
+ * - The second innings chases a target of first-innings runs + 1
+ * - The match ends when the chase is reached or the second innings ends
+ * - A tie is a draw, or goes to super overs if the format asks for them
+ *
+ * State is a plain JSON-serialisable object so it can be stored as-is on
+ * matches/{matchId}. Functions never mutate the state they are given.
+ */
+
+const {
+  SUPER_OVER_BALLS,
+  SUPER_OVER_WICKETS,
+  getDefaultFormat,
+} = require('./matchFormat');
+
+// Pick range of the default format
+const MIN_PICK = 1;
+const MAX_PICK = 6;
+
+// Super overs played before a tie is accepted as a draw
+const MAX_SUPER_OVERS = 3;
+
+/**
+ * Error thrown when a game action breaks the rules
+ *
+ * `code` is one of 'invalid-players', 'invalid-pick' or 'game-over' so
+ * callers can map it to the right HttpsError.
+ */
+class GameEngineError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'GameEngineError';
+    this.code = code;
+  }
+}
+
+/**
+ * Create an empty innings
+ *
+ * @param {string} batter - UID of the batting player
+ * @param {string} bowler - UID of the bowling player
+ * @return {Object} Innings state
+ */
+function createInnings(batter, bowler) {
+  return {
+    batter,
+    bowler,
+    runs: 0,
+    wickets: 0,
+    balls: 0,
+    log: [],
+  };
+}
+
+/**
+ * Create the initial state of a game
+ *
+ * @param {Object} options - Game options
+ * @param {string} options.battingFirst - UID of the player batting first
+ * @param {string} options.bowlingFirst - UID of the player bowling first
+ * @param {Object} [options.format] - Format spec from matchFormat.resolveFormat (default format if omitted)
+ * @return {Object} Game state
+ * @throws {GameEngineError} If the players are missing or identical
+ */
+function createGame({battingFirst, bowlingFirst, format} = {}) {
+  if (typeof battingFirst !== 'string' || !battingFirst ||
+      typeof bowlingFirst !== 'string' || !bowlingFirst) {
+    throw new GameEngineError('invalid-players', 'Both players are required');
+  }
+  if (battingFirst === bowlingFirst) {
+    throw new GameEngineError('invalid-players', 'Players must be different');
+  }
+
+  return {
+    players: [battingFirst, bowlingFirst],
+    format: format || getDefaultFormat(),
+    innings: [createInnings(battingFirst, bowlingFirst)],
+    target: null,
+    status: 'in_progress',
+    result: null,
+  };
+}
+
+/**
+ * Check whether a pick is allowed
+ *
+ * @param {*} pick - Value to check
+ * @param {Object} [format] - Format spec (default format if omitted)
+ * @return {boolean} True if pick is an integer in the format's range
+ */
+function isValidPick(pick, format) {
+  const minPick = format ? format.min_pick : MIN_PICK;
+  const maxPick = format ? format.max_pick : MAX_PICK;
+  return Number.isInteger(pick) && pick >= minPick && pick <= maxPick;
+}
+
+/**
+ * Get the ball and wicket limits of an innings
+ *
+ * Innings 0 and 1 follow the format; later innings are super overs.
+ *
+ * @param {Object} state - Game state
+ * @param {number} index - Innings index
+ * @return {Object} { balls, wickets } (balls is null for no limit)
+ */
+function getInningsLimits(state, index) {
+  if (index < 2) {
+    return {
+      balls: state.format.balls_per_innings,
+      wickets: state.format.wickets,
+    };
+  }
+  return {balls: SUPER_OVER_BALLS, wickets: SUPER_OVER_WICKETS};
+}
+
+/**
+ * Count the super overs played or in progress
+ *
+ * @param {Object} state - Game state
+ * @return {number} Number of super overs
+ */
+function countSuperOvers(state) {
+  return Math.floor((state.innings.length - 1) / 2);
+}
+
+/**
+ * Get the innings currently being played (or the last one, once completed)
+ *
+ * @param {Object} state - Game state
+ * @return {Object} Innings state
+ */
+function getCurrentInnings(state) {
+  return state.innings[state.innings.length - 1];
+}
+
+/**
+ * Get the most recently played ball
+ *
+ * @param {Object} state - Game state
+ * @return {Object|null} Ball log entry, or null if no ball has been played
+ */
+function getLastBall(state) {
+  for (let i = state.innings.length - 1; i >= 0; i--) {
+    const log = state.innings[i].log;
+    if (log.length > 0) {
+      return log[log.length - 1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a player's role in the current innings
+ *
+ * @param {Object} state - Game state
+ * @param {string} uid - Player UID
+ * @return {string|null} 'batter', 'bowler', or null if not a player
+ */
+function getRole(state, uid) {
+  const innings = getCurrentInnings(state);
+  if (innings.batter === uid) {
+    return 'batter';
+  }
+  if (innings.bowler === uid) {
+    return 'bowler';
+  }
+  return null;
+}
+
+/**
+ * Work out the result of a game from its last pair of innings
+ *
+ * @param {Object} state - Game state whose last chase has ended
+ * @return {Object} Result { winner, loser, tie, by, margin, super_overs }
+ */
+function computeResult(state) {
+  const index = state.innings.length - 1;
+  const first = state.innings[index - 1];
+  const second = state.innings[index];
+  const superOvers = countSuperOvers(state);
+
+  if (second.runs > first.runs) {
+    return {
+      winner: second.batter,
+      loser: second.bowler,
+      tie: false,
+      by: 'wickets',
+      margin: getInningsLimits(state, index).wickets - second.wickets,
+      super_overs: superOvers,
+    };
+  }
+
+  if (first.runs > second.runs) {
+    return {
+      winner: first.batter,
+      loser: first.bowler,
+      tie: false,
+      by: 'runs',
+      margin: first.runs - second.runs,
+      super_overs: superOvers,
+    };
+  }
+
+  return {
+    winner: null,
+    loser: null,
+    tie: true,
+    by: null,
+    margin: null,
+    super_overs: superOvers,
+  };
+}
+
+/**
+ * Move the game on after a ball: switch innings, start a super over or finish the game
+ *
+ * Innings come in pairs (setting, then chasing); pairs after the first are super overs.
+ *
+ * @param {Object} state - Game state after the ball was recorded
+ * @return {Object} Updated game state
+ */
+function advance(state) {
+  const index = state.innings.length - 1;
+  const innings = state.innings[index];
+  const limits = getInningsLimits(state, index);
+  const isChase = index % 2 === 1;
+
+  const chaseReached = isChase && innings.runs >= state.target;
+  const allOut = innings.wickets >= limits.wickets;
+  const ballsDone = limits.balls !== null && innings.balls >= limits.balls;
+
+  if (!chaseReached && !allOut && !ballsDone) {
+    return state;
+  }
+
+  if (!isChase) {
+    return Object.assign({}, state, {
+      target: innings.runs + 1,
+      innings: [...state.innings, createInnings(innings.bowler, innings.batter)],
+    });
+  }
+
+  const result = computeResult(state);
+  const playSuperOver = result.tie &&
+    state.format.tie_breaker === 'super_over' &&
+    countSuperOvers(state) < MAX_SUPER_OVERS;
+
+  if (playSuperOver) {
+    // The side that batted second bats first in the super over
+    return Object.assign({}, state, {
+      target: null,
+      innings: [...state.innings, createInnings(innings.batter, innings.bowler)],
+    });
+  }
+
+  return Object.assign({}, state, {
+    status: 'completed',
+    result,
+  });
+}
+
+/**
+ * Resolve one ball
+ *
+ * @param {Object} state - Game state
+ * @param {Object} picks - Map of UID to picked number, for both players
+ * @return {Object} New game state (the input state is not modified)
+ * @throws {GameEngineError} If the game is over or a pick is missing or invalid
+ */
+function playBall(state, picks) {
+  if (state.status !== 'in_progress') {
+    throw new GameEngineError('game-over', 'Game is already over');
+  }
+
+  const innings = getCurrentInnings(state);
+  const batterPick = picks ? picks[innings.batter] : undefined;
+  const bowlerPick = picks ? picks[innings.bowler] : undefined;
+
+  if (!isValidPick(batterPick, state.format) || !isValidPick(bowlerPick, state.format)) {
+    throw new GameEngineError(
+        'invalid-pick',
+        `Both players must pick a whole number from ${state.format.min_pick} to ${state.format.max_pick}`
+    );
+  }
+
+  const out = batterPick === bowlerPick;
+  const runs = out ? 0 : batterPick;
+
+  const updatedInnings = Object.assign({}, innings, {
+    runs: innings.runs + runs,
+    wickets: innings.wickets + (out ? 1 : 0),
+    balls: innings.balls + 1,
+    log: [...innings.log, {
+      batter_pick: batterPick,
+      bowler_pick: bowlerPick,
+      runs,
+      out,
+    }],
+  });
+
+  return advance(Object.assign({}, state, {
+    innings: [...state.innings.slice(0, -1), updatedInnings],
+  }));
+}
+
+/**
+ * End the game with one player forfeiting
+ *
+ * @param {Object} state - Game state
+ * @param {string} loser - UID of the player who forfeits
+ * @param {string} [by='forfeit'] - How the game was lost ('forfeit' or 'walkover')
+ * @return {Object} Completed game state
+ * @throws {GameEngineError} If the game is over or the loser is not a player
+ */
+function forfeit(state, loser, by = 'forfeit') {
+  if (state.status !== 'in_progress') {
+    throw new GameEngineError('game-over', 'Game is already over');
+  }
+  if (!state.players.includes(loser)) {
+    throw new GameEngineError('invalid-players', 'Only a player can forfeit');
+  }
+
+  return Object.assign({}, state, {
+    status: 'completed',
+    result: {
+      winner: state.players.find((uid) => uid !== loser),
+      loser,
+      tie: false,
+      by,
+      margin: null,
+      super_overs: countSuperOvers(state),
+    },
+  });
+}
+
+module.exports = {
+  MIN_PICK,
+  MAX_PICK,
+  MAX_SUPER_OVERS,
+  GameEngineError,
+  createGame,
+  forfeit,
+  isValidPick,
+  getCurrentInnings,
+  getInningsLimits,
+  getLastBall,
+  getRole,
+  playBall,
+};
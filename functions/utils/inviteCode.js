@@ -0,0 +1,51 @@
+/**
+ * Invite code utilities
+ *
+ * Pure helpers for the short codes that identify private rooms
+ * (private_rooms/{code}). Codes use an alphabet without look-alike
+ * characters (0/O, 1/I/L) so they are easy to read out and type.
+ */
+
+const crypto = require('crypto');
+
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+const INVITE_CODE_PATTERN = new RegExp(`^[${INVITE_CODE_ALPHABET}]{${INVITE_CODE_LENGTH}}$`);
+
+/**
+ * Generate a random invite code
+ *
+ * @param {Function} [randomInt] - Random integer source, for tests
+ * @return {string} Code such as 'K7QX2M'
+ */
+function generateInviteCode(randomInt = crypto.randomInt) {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a code as typed by a user
+ *
+ * Uppercases it and drops spaces and dashes, so 'k7q-x2m' matches 'K7QX2M'.
+ *
+ * @param {*} input - Code from the request
+ * @return {string|null} Normalized code, or null if it is not a valid code
+ */
+function normalizeInviteCode(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const code = input.toUpperCase().replace(/[\s-]/g, '');
+  return INVITE_CODE_PATTERN.test(code) ? code : null;
+}
+
+module.exports = {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_LENGTH,
+  generateInviteCode,
+  normalizeInviteCode,
+};
@@ -0,0 +1,188 @@
+/**
+ * Leaderboard utilities
+ *
+ * Pure helpers shared by the leaderboard callable, the weekly reset job and
+ * the match completion trigger.
+ *
+ * Boards rank players by one metric over one period:
+ * - all_time: read straight from `users/{uid}` (rating and `stats`)
+ * - weekly: read from `weekly_leaderboard/{week}_{uid}` entries, which count
+ *   the matches completed in the current ISO week:
+ *   {
+ *     uid, username,       // username as of the player's last match that week
+ *     week,                // ISO week, e.g. "2024-W05"
+ *     rating,              // rating after the player's last match that week
+ *     matches, wins, runs  // totals for the week
+ *   }
+ *
+ * Past weeks are moved to `leaderboard_archives/{week}_{uid}` with the same
+ * fields by resetWeeklyLeaderboards.
+ */
+
+const PERIODS = ['all_time', 'weekly'];
+
+// Field each board is ordered by, per period
+const BOARDS = {
+  rating: {all_time: 'rating', weekly: 'rating'},
+  wins: {all_time: 'stats.wins', weekly: 'wins'},
+  runs: {all_time: 'stats.runs', weekly: 'runs'},
+};
+
+const WEEK_PATTERN = /^\d{4}-W\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error thrown when a leaderboard request is invalid
+ */
+class LeaderboardError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'LeaderboardError';
+  }
+}
+
+/**
+ * Get the ISO 8601 week of a moment, in UTC
+ *
+ * Weeks start on Monday; week 1 is the week with the year's first Thursday,
+ * so the first days of January may belong to the previous year's last week.
+ *
+ * @param {number} ms - Epoch millis
+ * @return {string} Week as "YYYY-Www"
+ */
+function isoWeek(ms) {
+  const date = new Date(ms);
+  const day = date.getUTCDay() || 7;
+  // The Thursday of this week decides the year
+  const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 4 - day);
+  const year = new Date(thursday).getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Get the document ID of a weekly entry
+ *
+ * @param {string} week - ISO week
+ * @param {string} uid - Player UID
+ * @return {string} Document ID in weekly_leaderboard and leaderboard_archives
+ */
+function weeklyEntryId(week, uid) {
+  return `${week}_${uid}`;
+}
+
+/**
+ * Resolve which board a request is about
+ *
+ * @param {Object} [request] - { board, period, week }, all optional
+ * @param {number} now - Current epoch millis
+ * @return {Object} { board, period, week, field, collection } where week is
+ *   null for all-time boards and collection is the one holding the rows
+ * @throws {LeaderboardError} If the board, period or week is invalid
+ */
+function resolveBoard(request, now) {
+  const options = request || {};
+  const board = options.board != null ? options.board : 'rating';
+  const period = options.period != null ? options.period : 'all_time';
+
+  if (!Object.prototype.hasOwnProperty.call(BOARDS, board)) {
+    throw new LeaderboardError(`board must be one of: ${Object.keys(BOARDS).join(', ')}`);
+  }
+  if (!PERIODS.includes(period)) {
+    throw new LeaderboardError(`period must be one of: ${PERIODS.join(', ')}`);
+  }
+
+  if (period === 'all_time') {
+    return {board, period, week: null, field: BOARDS[board][period], collection: 'users'};
+  }
+
+  const currentWeek = isoWeek(now);
+  const week = options.week != null ? options.week : currentWeek;
+  if (typeof week !== 'string' || !WEEK_PATTERN.test(week)) {
+    throw new LeaderboardError('week must look like 2024-W05');
+  }
+
+  return {
+    board,
+    period,
+    week,
+    field: BOARDS[board][period],
+    // Past weeks are read from the snapshot taken by resetWeeklyLeaderboards
+    collection: week === currentWeek ? 'weekly_leaderboard' : 'leaderboard_archives',
+  };
+}
+
+/**
+ * Fold one completed match into a player's weekly entry
+ *
+ * @param {Object|undefined} entry - Current entry (none before the first match of the week)
+ * @param {Object} player - { uid, username, rating, week }
+ * @param {Object} totalsBefore - Career totals before the match (see utils/stats.js)
+ * @param {Object} totalsAfter - Career totals after the match
+ * @return {Object} New entry
+ */
+function addToWeeklyEntry(entry, player, totalsBefore, totalsAfter) {
+  const current = entry || {};
+  return {
+    uid: player.uid,
+    username: player.username,
+    week: player.week,
+    rating: player.rating,
+    matches: (current.matches || 0) + 1,
+    wins: (current.wins || 0) + (totalsAfter.wins - totalsBefore.wins),
+    runs: (current.runs || 0) + (totalsAfter.runs - totalsBefore.runs),
+  };
+}
+
+/**
+ * Read a possibly nested field such as "stats.wins"
+ *
+ * @param {Object} data - Document data
+ * @param {string} field - Dotted field path
+ * @return {*} Field value, or undefined
+ */
+function fieldValue(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Build a leaderboard row
+ *
+ * All-time rows are built from user documents, weekly rows from entries;
+ * both come out in the same public shape.
+ *
+ * @param {string} period - "all_time" or "weekly"
+ * @param {string} uid - Player UID
+ * @param {Object} data - users/{uid} or weekly entry data
+ * @param {number} rank - Position on the board, from 1
+ * @return {Object} { rank, uid, username, rating, matches, wins, runs }
+ */
+function leaderboardItem(period, uid, data, rank) {
+  const totals = period === 'all_time' ? (data.stats || {}) : data;
+  return {
+    rank,
+    uid,
+    username: data.username,
+    rating: typeof data.rating === 'number' ? Math.round(data.rating) : null,
+    matches: totals.matches || 0,
+    wins: totals.wins || 0,
+    runs: totals.runs || 0,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  BOARDS,
+  WEEK_PATTERN,
+  LeaderboardError,
+  isoWeek,
+  resolveBoard,
+  weeklyEntryId,
+  addToWeeklyEntry,
+  fieldValue,
+  leaderboardItem,
+};
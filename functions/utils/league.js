@@ -0,0 +1,280 @@
+/**
+ * League utilities
+ *
+ * Pure helpers for round-robin leagues (see createLeague and
+ * services/leagues.js):
+ * - Every member plays every other member once; fixtures are drawn with the
+ *   circle method so nobody plays twice in a round
+ * - A win is worth 2 points, a tie 1 and a loss 0
+ * - Net run rate (NRR) is runs scored per over minus runs conceded per over.
+ *   A side bowled out counts the innings' full allowance of balls, and games
+ *   decided by forfeit or walkover do not count towards it
+ * - Members level on points are separated by the league's tie-breakers, in
+ *   order, and finally by UID so the order is always the same
+ */
+
+// Length of a league name, after trimming
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 50;
+
+// Smallest league that has a fixture
+const MIN_MEMBERS = 2;
+
+// Points for each outcome of a game
+const POINTS = {
+  win: 2,
+  tie: 1,
+  loss: 0,
+};
+
+// Balls in an over, for run rates
+const BALLS_PER_OVER = 6;
+
+// Innings before this index are the main innings; later ones are super overs
+const MAIN_INNINGS = 2;
+
+// Results that leave the run rate alone
+const NO_RUN_RATE_RESULTS = ['forfeit', 'walkover'];
+
+// Ways to separate members level on points
+const TIE_BREAKERS = ['nrr', 'wins', 'head_to_head'];
+const DEFAULT_TIE_BREAKERS = ['nrr', 'head_to_head'];
+
+/**
+ * Error thrown when a league request is invalid
+ */
+class LeagueError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'LeagueError';
+  }
+}
+
+/**
+ * Validate the settings of a new league
+ *
+ * @param {Object} data - { name, maxMembers?, tieBreakers? } as sent by the client
+ * @param {Object} limits - { maxMembers } from config
+ * @return {Object} { name, maxMembers, tieBreakers } with the name trimmed and defaults filled in
+ * @throws {LeagueError} If a setting is missing or out of range
+ */
+function validateLeague(data, limits) {
+  const settings = data || {};
+  const name = typeof settings.name === 'string' ? settings.name.trim() : '';
+  if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+    throw new LeagueError(`name must be ${NAME_MIN_LENGTH} to ${NAME_MAX_LENGTH} characters`);
+  }
+
+  const maxMembers = settings.maxMembers != null ? settings.maxMembers : limits.maxMembers;
+  if (!Number.isInteger(maxMembers) || maxMembers < MIN_MEMBERS || maxMembers > limits.maxMembers) {
+    throw new LeagueError(`maxMembers must be a whole number from ${MIN_MEMBERS} to ${limits.maxMembers}`);
+  }
+
+  const tieBreakers = settings.tieBreakers != null ? settings.tieBreakers : DEFAULT_TIE_BREAKERS;
+  if (!Array.isArray(tieBreakers) ||
+      !tieBreakers.every((rule) => TIE_BREAKERS.includes(rule)) ||
+      new Set(tieBreakers).size !== tieBreakers.length) {
+    throw new LeagueError(`tieBreakers must be a list of distinct values from: ${TIE_BREAKERS.join(', ')}`);
+  }
+
+  return {name, maxMembers, tieBreakers: [...tieBreakers]};
+}
+
+/**
+ * Get the ID of a fixture
+ *
+ * Zero-padded so document IDs sort by round, then fixture.
+ *
+ * @param {number} round - Round number, from 1
+ * @param {number} number - Fixture number within the round, from 1
+ * @return {string} ID such as "r01_f002"
+ */
+function fixtureId(round, number) {
+  return `r${String(round).padStart(2, '0')}_f${String(number).padStart(3, '0')}`;
+}
+
+/**
+ * Draw the fixtures of a round-robin
+ *
+ * With an odd number of members, one member sits out each round.
+ *
+ * @param {string[]} uids - Members, at least two
+ * @return {Array<Array<string[]>>} Rounds, each a list of [uid, uid] pairs
+ */
+function roundRobin(uids) {
+  const players = uids.length % 2 === 0 ? [...uids] : [...uids, null];
+  const size = players.length;
+  const rounds = [];
+
+  // The first player stays put while the others rotate around them
+  let ring = players.slice(1);
+  for (let round = 0; round < size - 1; round++) {
+    const lineup = [players[0], ...ring];
+    const pairs = [];
+    for (let i = 0; i < size / 2; i++) {
+      const pair = [lineup[i], lineup[size - 1 - i]];
+      if (!pair.includes(null)) {
+        pairs.push(pair);
+      }
+    }
+    rounds.push(pairs);
+    ring = [ring[ring.length - 1], ...ring.slice(0, -1)];
+  }
+
+  return rounds;
+}
+
+/**
+ * Get the table row of a member who has not played
+ *
+ * @param {string} uid - Member UID
+ * @param {string|null} username - Member username
+ * @return {Object} Standing, all zero
+ */
+function emptyStanding(uid, username) {
+  return {
+    uid,
+    username,
+    played: 0,
+    won: 0,
+    lost: 0,
+    tied: 0,
+    points: 0,
+    runs_for: 0,
+    balls_faced: 0,
+    runs_against: 0,
+    balls_bowled: 0,
+    nrr: 0,
+    // Points taken from each opponent
+    head_to_head: {},
+  };
+}
+
+/**
+ * Work out the net run rate of a standing
+ *
+ * @param {Object} standing - Standing with run and ball totals
+ * @return {number} Runs per over scored minus conceded, rounded to 3 decimals
+ */
+function netRunRate(standing) {
+  const rate = (runs, balls) => (balls > 0 ? (runs * BALLS_PER_OVER) / balls : 0);
+  const nrr = rate(standing.runs_for, standing.balls_faced) - rate(standing.runs_against, standing.balls_bowled);
+  return Math.round(nrr * 1000) / 1000;
+}
+
+/**
+ * Fold one completed game into a member's standing
+ *
+ * @param {Object} standing - Current standing
+ * @param {Object} match - Completed match document data with result, game and format
+ * @param {string} uid - Member UID
+ * @return {Object} New standing (the input is not modified)
+ */
+function addResult(standing, match, uid) {
+  const result = match.result;
+  const opponent = match.players.find((player) => player !== uid);
+  let outcome = 'loss';
+  if (result.tie) {
+    outcome = 'tie';
+  } else if (result.winner === uid) {
+    outcome = 'win';
+  }
+
+  const headToHead = standing.head_to_head || {};
+  const next = Object.assign({}, standing, {
+    played: standing.played + 1,
+    won: standing.won + (outcome === 'win' ? 1 : 0),
+    lost: standing.lost + (outcome === 'loss' ? 1 : 0),
+    tied: standing.tied + (outcome === 'tie' ? 1 : 0),
+    points: standing.points + POINTS[outcome],
+    head_to_head: Object.assign({}, headToHead, {
+      [opponent]: (headToHead[opponent] || 0) + POINTS[outcome],
+    }),
+  });
+
+  if (!NO_RUN_RATE_RESULTS.includes(result.by)) {
+    const format = match.format;
+    // A side bowled out is charged the innings' full allowance
+    const ballsOf = (innings) => (format.balls_per_innings !== null && innings.wickets >= format.wickets ?
+      format.balls_per_innings :
+      innings.balls);
+
+    ((match.game && match.game.innings) || []).slice(0, MAIN_INNINGS).forEach((innings) => {
+      if (innings.batter === uid) {
+        next.runs_for += innings.runs;
+        next.balls_faced += ballsOf(innings);
+      } else {
+        next.runs_against += innings.runs;
+        next.balls_bowled += ballsOf(innings);
+      }
+    });
+  }
+
+  next.nrr = netRunRate(next);
+  return next;
+}
+
+/**
+ * Order members level on every criterion so far by the next one
+ *
+ * @param {Object[]} group - Standings level so far
+ * @param {string[]} criteria - Criteria still to apply
+ * @return {Object[]} The group in table order
+ */
+function breakTies(group, criteria) {
+  if (group.length < 2 || criteria.length === 0) {
+    return group;
+  }
+
+  const [criterion, ...rest] = criteria;
+  const valueOf = {
+    points: (standing) => standing.points,
+    nrr: (standing) => standing.nrr,
+    wins: (standing) => standing.won,
+    // Points taken from the other members of the group only
+    head_to_head: (standing) => group.reduce((sum, other) => sum + ((standing.head_to_head || {})[other.uid] || 0), 0),
+  }[criterion];
+
+  const sorted = [...group].sort((a, b) => valueOf(b) - valueOf(a));
+  const ordered = [];
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start + 1;
+    while (end < sorted.length && valueOf(sorted[end]) === valueOf(sorted[start])) {
+      end++;
+    }
+    ordered.push(...breakTies(sorted.slice(start, end), rest));
+    start = end;
+  }
+  return ordered;
+}
+
+/**
+ * Put standings in table order
+ *
+ * @param {Object[]} standings - Standing of every member
+ * @param {string[]} tieBreakers - The league's tie-breakers, in order
+ * @return {Object[]} Standings with `position`, from the top of the table
+ */
+function rankStandings(standings, tieBreakers) {
+  const byUid = [...standings].sort((a, b) => (a.uid < b.uid ? -1 : 1));
+  return breakTies(byUid, ['points', ...tieBreakers])
+      .map((standing, i) => Object.assign({position: i + 1}, standing));
+}
+
+module.exports = {
+  POINTS,
+  TIE_BREAKERS,
+  DEFAULT_TIE_BREAKERS,
+  LeagueError,
+  validateLeague,
+  fixtureId,
+  roundRobin,
+  emptyStanding,
+  netRunRate,
+  addResult,
+  rankStandings,
+};
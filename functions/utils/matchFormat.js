@@ -0,0 +1,156 @@
+/**
+ * Match format utilities
+ *
+ * Pure helpers describing how a match is played: balls per innings, wickets,
+ * the range of numbers players may pick and what happens on a tie.
+ *
+ * Format spec (stored on matches/{matchId}.format and in the game state):
+ * {
+ *   key,                // canonical key, equal for equal specs (used for pairing)
+ *   balls_per_innings,  // number, or null for "till out"
+ *   wickets,            // wickets per innings
+ *   min_pick, max_pick, // allowed numbers, 1-6 or 0-10
+ *   tie_breaker         // 'super_over' or 'draw'
+ * }
+ */
+
+const TIE_BREAKERS = ['super_over', 'draw'];
+
+// Allowed number ranges, by name
+const NUMBER_RANGES = {
+  one_to_six: {min_pick: 1, max_pick: 6},
+  zero_to_ten: {min_pick: 0, max_pick: 10},
+};
+
+const MAX_BALLS_PER_INNINGS = 120;
+const MAX_WICKETS = 10;
+
+// Super overs are always one over with one wicket
+const SUPER_OVER_BALLS = 6;
+const SUPER_OVER_WICKETS = 1;
+
+// Named formats clients can ask for
+const PRESETS = {
+  till_out: {balls_per_innings: null, wickets: 1, numbers: 'one_to_six', tie_breaker: 'draw'},
+  t1: {balls_per_innings: 6, wickets: 1, numbers: 'one_to_six', tie_breaker: 'super_over'},
+  t2: {balls_per_innings: 12, wickets: 2, numbers: 'one_to_six', tie_breaker: 'super_over'},
+  three_wickets: {balls_per_innings: null, wickets: 3, numbers: 'one_to_six', tie_breaker: 'draw'},
+};
+
+const DEFAULT_FORMAT_NAME = 'till_out';
+
+/**
+ * Error thrown when a format request is invalid
+ */
+class MatchFormatError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MatchFormatError';
+  }
+}
+
+/**
+ * Build the canonical key of a format spec
+ *
+ * @param {Object} spec - Format spec without key
+ * @return {string} Key such as 'b6-w1-n1_6-super_over' ('bx' for till out)
+ */
+function formatKey(spec) {
+  const balls = spec.balls_per_innings === null ? 'x' : spec.balls_per_innings;
+  return `b${balls}-w${spec.wickets}-n${spec.min_pick}_${spec.max_pick}-${spec.tie_breaker}`;
+}
+
+/**
+ * Build a full format spec from its parts
+ *
+ * @param {Object} parts - { balls_per_innings, wickets, numbers, tie_breaker }
+ * @return {Object} Format spec
+ */
+function buildSpec({balls_per_innings: balls, wickets, numbers, tie_breaker: tieBreaker}) {
+  const range = NUMBER_RANGES[numbers];
+  const spec = {
+    balls_per_innings: balls,
+    wickets,
+    min_pick: range.min_pick,
+    max_pick: range.max_pick,
+    tie_breaker: tieBreaker,
+  };
+  return Object.assign({key: formatKey(spec)}, spec);
+}
+
+/**
+ * Resolve a client format request into a full format spec
+ *
+ * Accepts nothing (default format), a preset name, or a custom object:
+ * { ballsPerInnings: number|null, wickets: number, numbers: 'one_to_six'|'zero_to_ten',
+ *   tieBreaker: 'super_over'|'draw' }
+ *
+ * @param {string|Object} [input] - Format request
+ * @return {Object} Format spec
+ * @throws {MatchFormatError} If the request is not a valid format
+ */
+function resolveFormat(input) {
+  if (input === undefined || input === null) {
+    return buildSpec(PRESETS[DEFAULT_FORMAT_NAME]);
+  }
+
+  if (typeof input === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(PRESETS, input)) {
+      throw new MatchFormatError(`unknown format, expected one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    return buildSpec(PRESETS[input]);
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new MatchFormatError('format must be a preset name or an object');
+  }
+
+  const balls = input.ballsPerInnings === undefined ? null : input.ballsPerInnings;
+  if (balls !== null && (!Number.isInteger(balls) || balls < 1 || balls > MAX_BALLS_PER_INNINGS)) {
+    throw new MatchFormatError(`ballsPerInnings must be null or a whole number from 1 to ${MAX_BALLS_PER_INNINGS}`);
+  }
+
+  const wickets = input.wickets === undefined ? 1 : input.wickets;
+  if (!Number.isInteger(wickets) || wickets < 1 || wickets > MAX_WICKETS) {
+    throw new MatchFormatError(`wickets must be a whole number from 1 to ${MAX_WICKETS}`);
+  }
+
+  const numbers = input.numbers === undefined ? 'one_to_six' : input.numbers;
+  if (!Object.prototype.hasOwnProperty.call(NUMBER_RANGES, numbers)) {
+    throw new MatchFormatError(`numbers must be one of: ${Object.keys(NUMBER_RANGES).join(', ')}`);
+  }
+
+  const tieBreaker = input.tieBreaker === undefined ? 'draw' : input.tieBreaker;
+  if (!TIE_BREAKERS.includes(tieBreaker)) {
+    throw new MatchFormatError(`tieBreaker must be one of: ${TIE_BREAKERS.join(', ')}`);
+  }
+
+  return buildSpec({
+    balls_per_innings: balls,
+    wickets,
+    numbers,
+    tie_breaker: tieBreaker,
+  });
+}
+
+/**
+ * Get the default format spec
+ *
+ * @return {Object} Format spec
+ */
+function getDefaultFormat() {
+  return resolveFormat();
+}
+
+module.exports = {
+  PRESETS,
+  TIE_BREAKERS,
+  SUPER_OVER_BALLS,
+  SUPER_OVER_WICKETS,
+  MatchFormatError,
+  resolveFormat,
+  getDefaultFormat,
+};
@@ -0,0 +1,62 @@
+/**
+ * Match history utilities
+ *
+ * Pure helpers for listing a player's finished matches (see listMyMatches).
+ * A finished match is seen from one player's side:
+ * - outcome: "won", "lost", "tied" or "abandoned"
+ * - opponent_uid: the other player
+ */
+
+// Matches that can be listed in a player's history
+const FINISHED_MATCH_STATUSES = ['completed', 'abandoned'];
+
+// Outcomes a history can be filtered by
+const RESULT_FILTERS = ['won', 'lost', 'abandoned'];
+
+/**
+ * Get the outcome of a finished match for one player
+ *
+ * @param {Object} match - Match document data
+ * @param {string} uid - Player UID
+ * @return {string} "won", "lost", "tied" or "abandoned"
+ */
+function outcomeFor(match, uid) {
+  if (match.status === 'abandoned') {
+    return 'abandoned';
+  }
+  if (match.result.tie) {
+    return 'tied';
+  }
+  return match.result.winner === uid ? 'won' : 'lost';
+}
+
+/**
+ * Build a history row from a match document
+ *
+ * Only the summary is returned; the ball-by-ball state stays on the match.
+ *
+ * @param {string} matchId - Match document ID
+ * @param {Object} match - Match document data
+ * @param {string} uid - Player whose history this is
+ * @return {Object} { id, opponent_uid, source, format_key, status, outcome, result, ended_at }
+ */
+function historyItem(matchId, match, uid) {
+  const endedAt = match.ended_at;
+  return {
+    id: matchId,
+    opponent_uid: match.players.find((player) => player !== uid) || null,
+    source: match.source,
+    format_key: (match.format && match.format.key) || null,
+    status: match.status,
+    outcome: outcomeFor(match, uid),
+    result: match.result || null,
+    ended_at: endedAt && typeof endedAt.toDate === 'function' ? endedAt.toDate().toISOString() : null,
+  };
+}
+
+module.exports = {
+  FINISHED_MATCH_STATUSES,
+  RESULT_FILTERS,
+  outcomeFor,
+  historyItem,
+};
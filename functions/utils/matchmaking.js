@@ -0,0 +1,115 @@
+/**
+ * Matchmaking utilities
+ *
+ * Pure helpers for rating-band aware pairing of quick match queue entries.
+ *
+ * Each entry carries the band it was queued with:
+ * {
+ *   initial,            // accepted rating difference when the player starts waiting
+ *   growth_per_second,  // how much the band widens per second of waiting
+ *   open_after_ms       // after this long any opponent is accepted
+ * }
+ *
+ * Two players may be paired when their rating difference is within the band
+ * of either of them, so the player who has waited longest decides. Among the
+ * acceptable opponents of the oldest entry, the closest rating wins.
+ *
+ * Players who blocked each other (`blocked_uids`, see blockUser) are never
+ * paired, however long they wait.
+ */
+
+/**
+ * Build a band spec from configuration
+ *
+ * @param {Object} config - Config with RATING_BAND_* values
+ * @return {Object} Band spec { initial, growth_per_second, open_after_ms }
+ */
+function createBand(config) {
+  return {
+    initial: config.RATING_BAND_INITIAL,
+    growth_per_second: config.RATING_BAND_GROWTH_PER_SECOND,
+    open_after_ms: config.RATING_BAND_OPEN_AFTER_MS,
+  };
+}
+
+/**
+ * Get the accepted rating difference after waiting a while
+ *
+ * @param {Object} band - Band spec
+ * @param {number} waitedMs - Time spent waiting
+ * @return {number} Accepted difference (Infinity once the band is open)
+ */
+function bandWidth(band, waitedMs) {
+  const waited = Math.max(0, waitedMs);
+  if (waited >= band.open_after_ms) {
+    return Infinity;
+  }
+  return band.initial + band.growth_per_second * (waited / 1000);
+}
+
+/**
+ * Check whether two entries may be paired now
+ *
+ * @param {Object} a - Entry { id, rating, rating_band, queued_at_ms, blocked_uids }
+ * @param {Object} b - Entry { id, rating, rating_band, queued_at_ms, blocked_uids }
+ * @param {number} now - Current epoch millis
+ * @return {boolean} True if neither blocked the other and the difference is within either band
+ */
+function canPair(a, b, now) {
+  if ((a.blocked_uids || []).includes(b.id) || (b.blocked_uids || []).includes(a.id)) {
+    return false;
+  }
+
+  const difference = Math.abs(a.rating - b.rating);
+  return difference <= bandWidth(a.rating_band, now - a.queued_at_ms) ||
+    difference <= bandWidth(b.rating_band, now - b.queued_at_ms);
+}
+
+/**
+ * Pick pairs among waiting entries
+ *
+ * Goes through the entries oldest first; each unpaired entry takes the
+ * acceptable unpaired opponent with the closest rating (the older one on a
+ * tie). Entries with no acceptable opponent keep waiting.
+ *
+ * @param {Object[]} entries - Entries { id, rating, rating_band, queued_at_ms, blocked_uids }
+ * @param {number} now - Current epoch millis
+ * @return {Array<Object[]>} Pairs of entries, oldest entry first in each pair
+ */
+function pickPairs(entries, now) {
+  const waiting = [...entries].sort((a, b) => a.queued_at_ms - b.queued_at_ms);
+  const paired = new Set();
+  const pairs = [];
+
+  waiting.forEach((entry) => {
+    if (paired.has(entry.id)) {
+      return;
+    }
+
+    let best = null;
+    waiting.forEach((candidate) => {
+      if (candidate.id === entry.id || paired.has(candidate.id) || !canPair(entry, candidate, now)) {
+        return;
+      }
+      // Strictly closer only, so the older candidate wins a tie
+      if (!best || Math.abs(candidate.rating - entry.rating) < Math.abs(best.rating - entry.rating)) {
+        best = candidate;
+      }
+    });
+
+    if (best) {
+      paired.add(entry.id);
+      paired.add(best.id);
+      pairs.push([entry, best]);
+    }
+  });
+
+  return pairs;
+}
+
+module.exports = {
+  createBand,
+  bandWidth,
+  canPair,
+  pickPairs,
+};
@@ -0,0 +1,193 @@
+/**
+ * Skill rating utilities (Glicko-2)
+ *
+ * Pure implementation of Mark Glickman's Glicko-2 system
+ * (http://www.glicko.net/glicko/glicko2.pdf). Every completed match is
+ * treated as its own rating period with a single game.
+ *
+ * A rating is a plain object:
+ * {
+ *   rating,      // Glicko scale, starts at 1500
+ *   deviation,   // rating deviation (RD), starts at 350 and shrinks with games
+ *   volatility   // expected fluctuation, starts at 0.06
+ * }
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// System constant: how much volatility may change per period (0.3 to 1.2)
+const TAU = 0.5;
+
+// Conversion factor between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+
+// Convergence tolerance of the volatility iteration
+const EPSILON = 0.000001;
+
+// Scores of a single game
+const SCORES = {
+  win: 1,
+  tie: 0.5,
+  loss: 0,
+};
+
+/**
+ * Get the rating of a player who has not played yet
+ *
+ * @return {Object} { rating, deviation, volatility }
+ */
+function initialRating() {
+  return {
+    rating: DEFAULT_RATING,
+    deviation: DEFAULT_DEVIATION,
+    volatility: DEFAULT_VOLATILITY,
+  };
+}
+
+/**
+ * Reduce the impact of a game by the opponent's deviation
+ *
+ * @param {number} phi - Opponent deviation on the Glicko-2 scale
+ * @return {number} g(phi)
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score against an opponent
+ *
+ * @param {number} mu - Player rating on the Glicko-2 scale
+ * @param {number} muOpponent - Opponent rating on the Glicko-2 scale
+ * @param {number} phiOpponent - Opponent deviation on the Glicko-2 scale
+ * @return {number} Expected score from 0 to 1
+ */
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * Work out the new volatility (step 5 of the paper, Illinois algorithm)
+ *
+ * @param {number} phi - Player deviation on the Glicko-2 scale
+ * @param {number} sigma - Player volatility
+ * @param {number} delta - Estimated improvement
+ * @param {number} v - Estimated variance
+ * @return {number} New volatility
+ */
+function newVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) {
+      k++;
+    }
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Update a rating after a rating period
+ *
+ * @param {Object} player - Current rating { rating, deviation, volatility }
+ * @param {Object[]} games - Games of the period: { opponent: { rating, deviation }, score }
+ * @return {Object} New rating { rating, deviation, volatility }
+ */
+function updateRating(player, games) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.deviation / SCALE;
+  const sigma = player.volatility;
+
+  if (games.length === 0) {
+    // No games: only the deviation grows
+    return {
+      rating: player.rating,
+      deviation: Math.sqrt(phi * phi + sigma * sigma) * SCALE,
+      volatility: sigma,
+    };
+  }
+
+  const opponents = games.map(({opponent, score}) => ({
+    mu: (opponent.rating - DEFAULT_RATING) / SCALE,
+    phi: opponent.deviation / SCALE,
+    score,
+  }));
+
+  let vInverse = 0;
+  let improvement = 0;
+  opponents.forEach((opponent) => {
+    const gPhi = g(opponent.phi);
+    const expected = expectedScore(mu, opponent.mu, opponent.phi);
+    vInverse += gPhi * gPhi * expected * (1 - expected);
+    improvement += gPhi * (opponent.score - expected);
+  });
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const sigmaPrime = newVolatility(phi, sigma, delta, v);
+  const phiStar = Math.sqrt(phi * phi + sigmaPrime * sigmaPrime);
+  const phiPrime = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muPrime = mu + phiPrime * phiPrime * improvement;
+
+  return {
+    rating: muPrime * SCALE + DEFAULT_RATING,
+    deviation: phiPrime * SCALE,
+    volatility: sigmaPrime,
+  };
+}
+
+/**
+ * Rate a single game between two players
+ *
+ * Both new ratings are computed from the ratings before the game.
+ *
+ * @param {Object} first - Rating of the first player
+ * @param {Object} second - Rating of the second player
+ * @param {number} firstScore - Score of the first player (see SCORES)
+ * @return {Object[]} [newFirst, newSecond]
+ */
+function rateGame(first, second, firstScore) {
+  return [
+    updateRating(first, [{opponent: second, score: firstScore}]),
+    updateRating(second, [{opponent: first, score: 1 - firstScore}]),
+  ];
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  SCORES,
+  initialRating,
+  updateRating,
+  rateGame,
+};
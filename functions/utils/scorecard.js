@@ -0,0 +1,159 @@
+/**
+ * Scorecard utilities
+ *
+ * Pure helpers that turn the stored match state into what getMatch returns:
+ * a ball-by-ball scorecard, a compact replay and the public view of the
+ * toss and the ball being played.
+ *
+ * Only resolved balls are in the game log, so the scorecard and replay never
+ * contain a pick that has not been revealed by both players. The ball being
+ * played and an undecided toss only show who has acted, never the values.
+ */
+
+// Innings before this index are the main innings; later ones are super overs
+const MAIN_INNINGS = 2;
+
+// Version of the replay encoding, bumped if the format ever changes
+const REPLAY_VERSION = 1;
+
+/**
+ * Build the scorecard of a game
+ *
+ * @param {Object|null} game - Game state (null before the toss is decided)
+ * @return {Object|null} { target, innings: [{ number, super_over, batter, bowler,
+ *   runs, wickets, balls, target, deliveries: [{ ball, batter_pick, bowler_pick, runs, out }] }] }
+ */
+function buildScorecard(game) {
+  if (!game) {
+    return null;
+  }
+
+  return {
+    target: game.target,
+    innings: game.innings.map((innings, index) => ({
+      number: index + 1,
+      super_over: index >= MAIN_INNINGS,
+      batter: innings.batter,
+      bowler: innings.bowler,
+      runs: innings.runs,
+      wickets: innings.wickets,
+      balls: innings.balls,
+      // The second innings of each pair chases the first
+      target: index % 2 === 1 ? game.innings[index - 1].runs + 1 : null,
+      deliveries: innings.log.map((ball, i) => Object.assign({ball: i + 1}, ball)),
+    })),
+  };
+}
+
+/**
+ * Encode a game as a compact replay
+ *
+ * Innings are separated by "|". Each innings is the index of its batter in
+ * `players`, a ":", then two base-36 characters per ball: the batter's pick
+ * and the bowler's pick (picks go up to 10, "a"). Equal picks are a wicket,
+ * otherwise the batter scores their pick, so outcomes are not stored.
+ *
+ * Example: "0:4352|1:3316" is a first innings of 4 and 5 off balls (4,3) and
+ * (5,2), then a second innings with a wicket on (3,3) and 1 run off (1,6).
+ *
+ * @param {Object|null} game - Game state
+ * @return {Object|null} { version, players, data }
+ */
+function encodeReplay(game) {
+  if (!game) {
+    return null;
+  }
+
+  const data = game.innings.map((innings) => {
+    const balls = innings.log
+        .map((ball) => ball.batter_pick.toString(36) + ball.bowler_pick.toString(36))
+        .join('');
+    return `${game.players.indexOf(innings.batter)}:${balls}`;
+  }).join('|');
+
+  return {version: REPLAY_VERSION, players: game.players, data};
+}
+
+/**
+ * Decode a replay back into balls
+ *
+ * @param {Object} replay - Replay from encodeReplay
+ * @return {Object[]} Innings [{ batter, bowler, log: [{ batter_pick, bowler_pick, runs, out }] }]
+ */
+function decodeReplay(replay) {
+  if (replay.data === '') {
+    return [];
+  }
+
+  return replay.data.split('|').map((encoded) => {
+    const [batterIndex, balls] = encoded.split(':');
+    const log = [];
+    for (let i = 0; i < balls.length; i += 2) {
+      const batterPick = parseInt(balls[i], 36);
+      const bowlerPick = parseInt(balls[i + 1], 36);
+      const out = batterPick === bowlerPick;
+      log.push({batter_pick: batterPick, bowler_pick: bowlerPick, runs: out ? 0 : batterPick, out});
+    }
+    return {
+      batter: replay.players[Number(batterIndex)],
+      bowler: replay.players[1 - Number(batterIndex)],
+      log,
+    };
+  });
+}
+
+/**
+ * Build the public view of the ball being played
+ *
+ * @param {Object|null} ball - Ball state { number, commitments, reveals, deadline_at_ms }
+ * @param {string[]} players - UIDs of both players
+ * @return {Object|null} { number, committed, revealed, deadline_at_ms } where
+ *   committed and revealed map each UID to a boolean
+ */
+function ballStatus(ball, players) {
+  if (!ball) {
+    return null;
+  }
+
+  return {
+    number: ball.number,
+    committed: Object.fromEntries(players.map((uid) => [uid, !!ball.commitments[uid]])),
+    revealed: Object.fromEntries(players.map((uid) => [uid, ball.reveals[uid] !== undefined])),
+    deadline_at_ms: ball.deadline_at_ms,
+  };
+}
+
+/**
+ * Build the public view of the toss
+ *
+ * Fingers are shown once both players have shown theirs.
+ *
+ * @param {Object|null} toss - Toss state (see utils/toss.js)
+ * @param {string[]} players - UIDs of both players
+ * @return {Object|null} { caller, call, shown, fingers, winner, choice, deadline_at_ms }
+ */
+function tossStatus(toss, players) {
+  if (!toss) {
+    return null;
+  }
+
+  const shown = Object.fromEntries(players.map((uid) => [uid, toss.fingers[uid] !== undefined]));
+  return {
+    caller: toss.caller,
+    call: toss.call,
+    shown,
+    fingers: players.every((uid) => shown[uid]) ? toss.fingers : null,
+    winner: toss.winner,
+    choice: toss.choice,
+    deadline_at_ms: toss.deadline_at_ms,
+  };
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  buildScorecard,
+  encodeReplay,
+  decodeReplay,
+  ballStatus,
+  tossStatus,
+};
@@ -0,0 +1,104 @@
+/**
+ * Career statistics utilities
+ *
+ * Pure helpers that fold completed matches into a player's career totals,
+ * stored on users/{uid}.stats:
+ * {
+ *   matches, wins, losses, ties,  // completed matches
+ *   innings,                      // innings batted (super overs are not counted)
+ *   runs, balls_faced,
+ *   dismissals,                   // wickets lost while batting
+ *   highest_score,                // best innings, null before the first innings
+ *   ducks                         // innings ended on 0 with a wicket lost
+ * }
+ *
+ * Averages are derived from the totals when read (see careerAverages), so
+ * they never drift from the numbers they are computed from.
+ */
+
+// Innings before this index are the main innings; later ones are super overs
+const MAIN_INNINGS = 2;
+
+/**
+ * Get the totals of a player who has not completed a match
+ *
+ * @return {Object} Career totals, all zero
+ */
+function emptyStats() {
+  return {
+    matches: 0,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    innings: 0,
+    runs: 0,
+    balls_faced: 0,
+    dismissals: 0,
+    highest_score: null,
+    ducks: 0,
+  };
+}
+
+/**
+ * Fold one completed match into a player's totals
+ *
+ * Matches decided before a ball was bowled (a walkover in the toss) count
+ * for the result only.
+ *
+ * @param {Object|undefined} stats - Current totals (empty if missing)
+ * @param {Object} match - Completed match document data with result and game
+ * @param {string} uid - Player UID
+ * @return {Object} New totals (the input is not modified)
+ */
+function addMatch(stats, match, uid) {
+  const totals = Object.assign(emptyStats(), stats);
+  const result = match.result;
+
+  totals.matches += 1;
+  if (result.tie) {
+    totals.ties += 1;
+  } else if (result.winner === uid) {
+    totals.wins += 1;
+  } else {
+    totals.losses += 1;
+  }
+
+  const innings = ((match.game && match.game.innings) || [])
+      .slice(0, MAIN_INNINGS)
+      .filter((entry) => entry.batter === uid && entry.balls > 0);
+
+  innings.forEach((entry) => {
+    totals.innings += 1;
+    totals.runs += entry.runs;
+    totals.balls_faced += entry.balls;
+    totals.dismissals += entry.wickets;
+    totals.highest_score = Math.max(totals.highest_score || 0, entry.runs);
+    if (entry.runs === 0 && entry.wickets > 0) {
+      totals.ducks += 1;
+    }
+  });
+
+  return totals;
+}
+
+/**
+ * Derive averages from career totals
+ *
+ * @param {Object} stats - Career totals
+ * @return {Object} { average, strike_rate }, rounded to 2 decimals, null when undefined
+ */
+function careerAverages(stats) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    // Runs per dismissal
+    average: stats.dismissals > 0 ? round(stats.runs / stats.dismissals) : null,
+    // Runs per 100 balls faced
+    strike_rate: stats.balls_faced > 0 ? round((stats.runs / stats.balls_faced) * 100) : null,
+  };
+}
+
+module.exports = {
+  emptyStats,
+  addMatch,
+  careerAverages,
+};
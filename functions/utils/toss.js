@@ -0,0 +1,146 @@
+/**
+ * Toss utilities
+ *
+ * Pure helpers for the toss that runs before ball one of a match:
+ * one player (the caller) calls odd or even, both players show 1 to 6
+ * fingers, and the parity of the total decides who wins the toss.
+ * The winner then chooses to bat or bowl first.
+ *
+ * Toss state is stored on matches/{matchId}.toss:
+ * { caller, call, fingers: { [uid]: n }, winner, choice, deadline_at_ms }
+ */
+
+const crypto = require('crypto');
+
+const TOSS_CALLS = ['odd', 'even'];
+const TOSS_CHOICES = ['bat', 'bowl'];
+const MIN_FINGERS = 1;
+const MAX_FINGERS = 6;
+
+/**
+ * Create the initial toss state
+ *
+ * @param {string} caller - UID of the player who calls odd or even
+ * @param {number} deadlineAtMs - Epoch millis after which idle players are decided for
+ * @return {Object} Toss state
+ */
+function createToss(caller, deadlineAtMs) {
+  return {
+    caller,
+    call: null,
+    fingers: {},
+    winner: null,
+    choice: null,
+    deadline_at_ms: deadlineAtMs,
+  };
+}
+
+/**
+ * Check whether a number of fingers is allowed
+ *
+ * @param {*} fingers - Value to check
+ * @return {boolean} True if fingers is an integer from 1 to 6
+ */
+function isValidFingers(fingers) {
+  return Number.isInteger(fingers) && fingers >= MIN_FINGERS && fingers <= MAX_FINGERS;
+}
+
+/**
+ * Check whether the toss is waiting for calls and fingers (rather than the bat/bowl choice)
+ *
+ * @param {Object} toss - Toss state
+ * @return {boolean} True while the toss winner is not yet known
+ */
+function isCalling(toss) {
+  return !toss.winner;
+}
+
+/**
+ * Work out the toss winner once the call and both players' fingers are in
+ *
+ * @param {Object} toss - Toss state
+ * @param {string[]} players - Both match players
+ * @return {string|null} Winner UID, or null if inputs are still missing
+ */
+function decideWinner(toss, players) {
+  const hasAllFingers = players.every((uid) => isValidFingers(toss.fingers[uid]));
+  if (!toss.call || !hasAllFingers) {
+    return null;
+  }
+
+  const total = players.reduce((sum, uid) => sum + toss.fingers[uid], 0);
+  const parity = total % 2 === 0 ? 'even' : 'odd';
+  const other = players.find((uid) => uid !== toss.caller);
+  return parity === toss.call ? toss.caller : other;
+}
+
+/**
+ * Work out who bats first from the toss winner's choice
+ *
+ * @param {Object} toss - Toss state with winner and choice
+ * @param {string[]} players - Both match players
+ * @return {Object} { battingFirst, bowlingFirst }
+ */
+function getBattingOrder(toss, players) {
+  const other = players.find((uid) => uid !== toss.winner);
+  return toss.choice === 'bat' ?
+    {battingFirst: toss.winner, bowlingFirst: other} :
+    {battingFirst: other, bowlingFirst: toss.winner};
+}
+
+/**
+ * Fill in whatever idle players have not sent yet
+ *
+ * While calling: picks a random call for an idle caller and random fingers
+ * for idle players, then decides the winner. While choosing: picks a random
+ * choice for an idle winner.
+ *
+ * @param {Object} toss - Toss state
+ * @param {string[]} players - Both match players
+ * @param {Function} [randomInt] - (max) => integer in [0, max), injectable for tests
+ * @return {Object} { toss, idle } - Updated toss state and UIDs that were decided for
+ */
+function decideForIdle(toss, players, randomInt = crypto.randomInt) {
+  const idle = [];
+
+  if (!isCalling(toss)) {
+    if (toss.choice) {
+      return {toss, idle};
+    }
+    idle.push(toss.winner);
+    return {
+      toss: Object.assign({}, toss, {choice: TOSS_CHOICES[randomInt(TOSS_CHOICES.length)]}),
+      idle,
+    };
+  }
+
+  const updated = Object.assign({}, toss, {fingers: Object.assign({}, toss.fingers)});
+  if (!updated.call) {
+    updated.call = TOSS_CALLS[randomInt(TOSS_CALLS.length)];
+    idle.push(toss.caller);
+  }
+  players.forEach((uid) => {
+    if (!isValidFingers(updated.fingers[uid])) {
+      updated.fingers[uid] = MIN_FINGERS + randomInt(MAX_FINGERS - MIN_FINGERS + 1);
+      if (!idle.includes(uid)) {
+        idle.push(uid);
+      }
+    }
+  });
+  updated.winner = decideWinner(updated, players);
+
+  return {toss: updated, idle};
+}
+
+module.exports = {
+  TOSS_CALLS,
+  TOSS_CHOICES,
+  MIN_FINGERS,
+  MAX_FINGERS,
+  createToss,
+  isValidFingers,
+  isCalling,
+  decideWinner,
+  getBattingOrder,
+  decideForIdle,
+};
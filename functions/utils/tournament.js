@@ -0,0 +1,189 @@
+/**
+ * Tournament utilities
+ *
+ * Pure helpers for knockout tournaments (see createTournament and
+ * advanceTournaments):
+ * - Entrants are seeded by rating, highest first; the bracket is the next
+ *   power of two, and the missing places are byes for the top seeds
+ * - Seeds 1 and 2 can only meet in the final, 1 to 4 in the semi-finals, ...
+ * - A slot is one head-to-head game of a round; slot k of round r + 1 is
+ *   played by the winners of slots 2k - 1 and 2k of round r
+ * - A player who cannot play when their slot opens (offline or withdrawn)
+ *   is a no-show and loses by walkover; if neither can play, nobody advances
+ * - A tied game is won by the better seed; an abandoned game by nobody
+ */
+
+// Length of a tournament name, after trimming
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 50;
+
+// Smallest field that makes a tournament
+const MIN_PLAYERS = 2;
+
+/**
+ * Error thrown when a tournament request is invalid
+ */
+class TournamentError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TournamentError';
+  }
+}
+
+/**
+ * Validate the settings of a new tournament
+ *
+ * @param {Object} data - { name, maxPlayers, startsAtMs } as sent by the client
+ * @param {number} now - Current epoch millis
+ * @param {Object} limits - { maxPlayers, maxLeadMs } from config
+ * @return {Object} { name, maxPlayers, startsAtMs } with the name trimmed
+ * @throws {TournamentError} If a setting is missing or out of range
+ */
+function validateTournament(data, now, limits) {
+  const settings = data || {};
+  const name = typeof settings.name === 'string' ? settings.name.trim() : '';
+  if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+    throw new TournamentError(`name must be ${NAME_MIN_LENGTH} to ${NAME_MAX_LENGTH} characters`);
+  }
+
+  const maxPlayers = settings.maxPlayers;
+  if (!Number.isInteger(maxPlayers) || maxPlayers < MIN_PLAYERS || maxPlayers > limits.maxPlayers) {
+    throw new TournamentError(`maxPlayers must be a whole number from ${MIN_PLAYERS} to ${limits.maxPlayers}`);
+  }
+
+  const startsAtMs = settings.startsAtMs;
+  if (!Number.isInteger(startsAtMs) || startsAtMs <= now || startsAtMs > now + limits.maxLeadMs) {
+    throw new TournamentError('startsAtMs must be a time in the future, within the allowed lead time');
+  }
+
+  return {name, maxPlayers, startsAtMs};
+}
+
+/**
+ * Get the ID of a bracket slot
+ *
+ * Zero-padded so document IDs sort by round, then slot.
+ *
+ * @param {number} round - Round number, from 1
+ * @param {number} slot - Slot number within the round, from 1
+ * @return {string} ID such as "r01_s003"
+ */
+function slotId(round, slot) {
+  return `r${String(round).padStart(2, '0')}_s${String(slot).padStart(3, '0')}`;
+}
+
+/**
+ * Get the bracket positions of the seeds
+ *
+ * @param {number} size - Bracket size, a power of two
+ * @return {number[]} Seeds in bracket order, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for 8
+ */
+function seedPositions(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Seed the entrants and draw the first round
+ *
+ * @param {Object[]} entrants - [{ uid, rating, registered_at_ms }], at least two
+ * @return {Object} { size, rounds, seeds, pairings } where seeds maps each
+ *   UID to its seed and pairings are the first round's [uid, uid|null] pairs
+ */
+function seedBracket(entrants) {
+  // Highest rating first, then whoever registered first
+  const ranked = [...entrants].sort((a, b) =>
+    b.rating - a.rating || a.registered_at_ms - b.registered_at_ms || (a.uid < b.uid ? -1 : 1));
+
+  let size = 1;
+  while (size < ranked.length) {
+    size *= 2;
+  }
+
+  const seeds = Object.fromEntries(ranked.map((entrant, i) => [entrant.uid, i + 1]));
+  const positions = seedPositions(size).map((seed) => (ranked[seed - 1] ? ranked[seed - 1].uid : null));
+  const pairings = [];
+  for (let i = 0; i < positions.length; i += 2) {
+    pairings.push([positions[i], positions[i + 1]]);
+  }
+
+  return {size, rounds: Math.log2(size), seeds, pairings};
+}
+
+/**
+ * Pair the winners of a round for the next one
+ *
+ * @param {Array<string|null>} winners - Winner of each slot in slot order (null if nobody advanced)
+ * @return {Array<Array<string|null>>} Next round's pairs
+ */
+function nextPairings(winners) {
+  const pairings = [];
+  for (let i = 0; i < winners.length; i += 2) {
+    pairings.push([winners[i], winners[i + 1]]);
+  }
+  return pairings;
+}
+
+/**
+ * Decide how a slot opens
+ *
+ * @param {Array<string|null>} players - The slot's pair
+ * @param {function(string): boolean} canPlay - Whether a player can play now
+ * @return {Object} { status, winner, eliminated } where status is "playing"
+ *   (a game is needed), "bye", "walkover" or "void", and eliminated lists the no-shows
+ */
+function openSlot(players, canPlay) {
+  const present = players.filter((uid) => uid !== null);
+  const able = present.filter((uid) => canPlay(uid));
+  const eliminated = present.filter((uid) => !able.includes(uid));
+
+  if (able.length === 2) {
+    return {status: 'playing', winner: null, eliminated};
+  }
+  if (able.length === 1) {
+    return {status: present.length === 1 ? 'bye' : 'walkover', winner: able[0], eliminated};
+  }
+  return {status: 'void', winner: null, eliminated};
+}
+
+/**
+ * Decide a slot from its game
+ *
+ * @param {Object} slot - Bracket slot data { players, seeds }
+ * @param {Object} match - Match document data
+ * @return {Object|null} { status, winner, eliminated } with status
+ *   "completed" or "void", or null while the game is still being played
+ */
+function decideSlot(slot, match) {
+  if (match.status === 'abandoned') {
+    return {status: 'void', winner: null, eliminated: [...slot.players]};
+  }
+  if (match.status !== 'completed') {
+    return null;
+  }
+
+  let winner = match.result.winner;
+  if (match.result.tie) {
+    // Ties go to the better (lower) seed
+    winner = slot.seeds[0] < slot.seeds[1] ? slot.players[0] : slot.players[1];
+  }
+  return {status: 'completed', winner, eliminated: slot.players.filter((uid) => uid !== winner)};
+}
+
+module.exports = {
+  TournamentError,
+  validateTournament,
+  slotId,
+  seedPositions,
+  seedBracket,
+  nextPairings,
+  openSlot,
+  decideSlot,
+};
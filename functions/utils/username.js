@@ -0,0 +1,266 @@
+/**
+ * Username policy
+ *
+ * Pure helpers deciding which usernames are allowed and when two usernames
+ * are too alike to coexist. Used by createNewUser and changeUsername.
+ *
+ * Each rule has a code that is sent to clients in HttpsError details
+ * (`details.rule`), so the signup screen can say what to fix:
+ * - 'length', 'start', 'characters': format rules
+ * - 'reserved': contains a word that would let a user pose as staff
+ * - 'profanity': contains an offensive word
+ *
+ * Words are matched anywhere in the name, with underscores dropped and
+ * digits read as letters, so 'the_adm1n_guy' is caught. A few real words
+ * that happen to contain a listed one ('badminton') are allowed.
+ *
+ * Uniqueness is checked on a canonical key (see usernameKey), so look-alikes
+ * such as 'virat_koh1i', 'virat_kohll' and 'viratkohli' map to the same
+ * reservation. Bump USERNAME_KEY_VERSION whenever the key changes, so
+ * migrateUsernameKeys moves existing reservations to their new keys.
+ */
+
+const crypto = require('crypto');
+
+const USERNAME_MIN_LENGTH = 8;
+const USERNAME_MAX_LENGTH = 15;
+
+// Full format rule, the same one createNewUser has always applied
+const USERNAME_PATTERN = /^[a-z][a-z0-9_]{7,14}$/;
+
+// Words that would let a user pose as staff or as the game itself
+const RESERVED_WORDS = [
+  'admin',
+  'administrator',
+  'moderator',
+  'official',
+  'support',
+  'helpdesk',
+  'security',
+  'system',
+  'handcricket',
+];
+
+// Offensive words
+const BLOCKED_WORDS = [
+  'asshole',
+  'bastard',
+  'bitch',
+  'cunt',
+  'dickhead',
+  'fag',
+  'fuck',
+  'nazi',
+  'nigga',
+  'nigger',
+  'penis',
+  'porn',
+  'rapist',
+  'retard',
+  'shit',
+  'slut',
+  'twat',
+  'vagina',
+  'wanker',
+  'whore',
+];
+
+// Real words that contain a listed word, removed before the lists are searched
+const ALLOWED_WORDS = [
+  'badminton',
+  'ecosystem',
+  'mishit',
+  'scunthorpe',
+  'supportive',
+];
+
+// Digits commonly used to spell letters, for the word lists
+const LEET_LETTERS = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+  9: 'g',
+};
+
+// Characters and sequences that look alike, for the canonical key
+const CONFUSABLES = [
+  ['_', ''],
+  ['0', 'o'],
+  ['1', 'l'],
+  ['i', 'l'],
+  ['5', 's'],
+  ['rn', 'm'],
+  ['vv', 'w'],
+];
+
+// Version of usernameKey; reservations are moved when it changes
+const USERNAME_KEY_VERSION = 2;
+
+// Folds of the version 1 key, still honoured until every reservation is moved
+const CONFUSABLES_V1 = CONFUSABLES.filter(([from]) => from !== 'i');
+
+const RULE_MESSAGES = {
+  length: `username must be ${USERNAME_MIN_LENGTH} to ${USERNAME_MAX_LENGTH} characters`,
+  start: 'username must start with a lowercase letter',
+  characters: 'username may only contain lowercase letters, numbers and underscores',
+  reserved: 'username contains a reserved word',
+  profanity: 'username contains a word that is not allowed',
+};
+
+/**
+ * Error thrown when a username breaks the policy
+ */
+class UsernamePolicyError extends Error {
+  /**
+   * @param {string} rule - Key of the broken rule in RULE_MESSAGES
+   */
+  constructor(rule) {
+    super(RULE_MESSAGES[rule]);
+    this.name = 'UsernamePolicyError';
+    this.rule = rule;
+  }
+}
+
+/**
+ * Build the canonical key of a username
+ *
+ * Underscores are dropped and look-alike characters are folded together,
+ * so names that read the same get the same key. The thin strokes i, l and 1
+ * all fold to 'l'; every character still counts, so 'helo' and 'hello'
+ * stay apart.
+ *
+ * @param {string} username - Valid username
+ * @return {string} Canonical key, e.g. 'vlratkohll' for 'virat_koh1i'
+ */
+function usernameKey(username) {
+  return CONFUSABLES.reduce((key, [from, to]) => key.split(from).join(to), username);
+}
+
+/**
+ * Build the version 1 canonical key of a username
+ *
+ * Reservations not yet moved by migrateUsernameKeys are keyed this way.
+ *
+ * @param {string} username - Valid username
+ * @return {string} Version 1 key, e.g. 'viratkohli' for 'virat_koh1i'
+ */
+function previousUsernameKey(username) {
+  return CONFUSABLES_V1.reduce((key, [from, to]) => key.split(from).join(to), username);
+}
+
+/**
+ * Get the spellings of a username to search for listed words
+ *
+ * @param {string} username - Username that passed the format rules
+ * @return {string[]} Name without underscores and allowed words, as written
+ *   and with digits read as letters (1 as both i and l)
+ */
+function wordForms(username) {
+  const plain = ALLOWED_WORDS.reduce((form, word) => form.split(word).join(' '), username.replace(/_/g, ''));
+  const readDigits = (letters) => plain.replace(/[0-9]/g, (digit) => letters[digit] || digit);
+  return [plain, readDigits(LEET_LETTERS), readDigits(Object.assign({}, LEET_LETTERS, {1: 'l'}))];
+}
+
+/**
+ * Check whether a username contains a word from a list
+ *
+ * @param {string} username - Username that passed the format rules
+ * @param {string[]} words - Words to look for
+ * @return {boolean} True if any spelling of the name contains a word
+ */
+function containsWord(username, words) {
+  const forms = wordForms(username);
+  return words.some((word) => forms.some((form) => form.includes(word)));
+}
+
+/**
+ * Validate a requested username against the policy
+ *
+ * @param {string} input - Username from the request
+ * @return {string} Trimmed username
+ * @throws {UsernamePolicyError} With the rule that failed
+ */
+function validateUsername(input) {
+  const username = input.trim();
+
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    throw new UsernamePolicyError('length');
+  }
+  if (!/^[a-z]/.test(username)) {
+    throw new UsernamePolicyError('start');
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new UsernamePolicyError('characters');
+  }
+  if (containsWord(username, RESERVED_WORDS)) {
+    throw new UsernamePolicyError('reserved');
+  }
+  if (containsWord(username, BLOCKED_WORDS)) {
+    throw new UsernamePolicyError('profanity');
+  }
+
+  return username;
+}
+
+// Endings tried when suggesting alternatives to a taken name
+const SUGGESTION_WORDS = ['xi', 'cc', 'bat', 'bowl'];
+
+/**
+ * Suggest alternative usernames for a name that is taken
+ *
+ * Candidates keep as much of the name as fits, add a word or a few random
+ * digits, and all pass the policy with distinct canonical keys. Whether they
+ * are free still has to be checked against the reservations.
+ *
+ * @param {string} username - Valid username that is unavailable
+ * @param {number} [count=8] - Maximum number of candidates
+ * @param {Function} [randomInt] - Random integer source, for tests
+ * @return {string[]} Candidate usernames
+ */
+function suggestUsernames(username, count = 8, randomInt = crypto.randomInt) {
+  const fit = (base, suffix) => base.slice(0, USERNAME_MAX_LENGTH - suffix.length).replace(/_+$/, '') + suffix;
+
+  const candidates = [
+    ...SUGGESTION_WORDS.map((word) => fit(username, `_${word}`)),
+    fit(username, `_${randomInt(10, 100)}`),
+    fit(username, String(randomInt(100, 1000))),
+    fit(username, `_${randomInt(1000, 10000)}`),
+    fit(`the_${username}`, ''),
+  ];
+
+  const keys = new Set([usernameKey(username)]);
+  const suggestions = [];
+  candidates.forEach((candidate) => {
+    const key = usernameKey(candidate);
+    if (suggestions.length >= count || keys.has(key)) {
+      return;
+    }
+    try {
+      validateUsername(candidate);
+    } catch (error) {
+      return;
+    }
+    keys.add(key);
+    suggestions.push(candidate);
+  });
+
+  return suggestions;
+}
+
+module.exports = {
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+  USERNAME_PATTERN,
+  RESERVED_WORDS,
+  BLOCKED_WORDS,
+  USERNAME_KEY_VERSION,
+  UsernamePolicyError,
+  usernameKey,
+  previousUsernameKey,
+  validateUsername,
+  suggestUsernames,
+};